@@ -1,8 +1,14 @@
 import * as THREE from 'three';
 import { PostProcessingManager } from './core/PostProcessingManager.js';
 import { SceneManager } from './core/SceneManager.js';
+import { RenderWorkerClient } from './core/RenderWorkerClient.js';
+import { BlackHoleSystem } from './core/BlackHoleSystem.js';
+import { ParticleSystem, TEXT_ASSEMBLY, spellText, textFrame } from './core/ParticleSystem.js';
+import { EffectRegistry } from './core/EffectRegistry.js';
+import { EventBus } from './core/EventBus.js';
 import { GravitationalLensing } from './effects/GravitationalLensing.js';
 import { NebulaEffect } from './effects/NebulaEffect.js';
+import { TimeDilation } from './effects/TimeDilation.js';
 
 // Import UI systems
 import { UIManager } from './ui/UIManager.js';
@@ -14,12 +20,62 @@ import { AudioManager } from './audio/AudioManager.js';
 import { Documentation } from './utils/Documentation.js';
 import { AssetManager } from './utils/AssetManager.js';
 import { PhysicsController } from './utils/PhysicsController.js';
+import { Random, generateSeed, seedFromURL, seedURL } from './utils/Random.js';
+import { SessionRecorder } from './utils/SessionRecorder.js';
+import { ContentManifest } from './content/ContentManifest.js';
+import { Blog } from './content/Blog.js';
+import { ProjectCatalog } from './content/ProjectCatalog.js';
+import { ProjectShowcase } from './content/ProjectShowcase.js';
+import { Router } from './ui/Router.js';
+import { SearchOverlay } from './ui/SearchOverlay.js';
+import { CommandRegistry } from './ui/CommandRegistry.js';
+import { CommandPalette } from './ui/CommandPalette.js';
+import { registerAppCommands } from './ui/AppCommands.js';
+import { downloadBlob } from './utils/Download.js';
+import { FragmentArchive } from './utils/FragmentArchive.js';
+import { FrameExporter } from './utils/FrameExporter.js';
+import { PosterRenderer } from './utils/PosterRenderer.js';
+import { EventHorizonLog } from './ui/EventHorizonLog.js';
+import { ControlPanel } from './ui/ControlPanel.js';
+import { TimelinePanel } from './ui/TimelinePanel.js';
+import { ExportPanel } from './ui/ExportPanel.js';
+import { TimelinePlayer, parseTimeline } from './core/Timeline.js';
+import { getParameter, paramsFor } from './core/ParameterSchema.js';
+import { C, SOLAR_MASS, fromSceneLength, sceneToMeters } from './physics/Units.js';
+
+// Data fragments start this far in front of the camera (scene units)
+const DATA_LAUNCH_DISTANCE = 10;
 
 /**
  * Main application class
  */
 export class App {
-    constructor() {
+    /**
+     * @param {Object} options - Where and how to run; the defaults are the full site
+     * @param {HTMLCanvasElement} options.canvas - Canvas to render on, instead of #blackhole-canvas
+     * @param {HTMLElement} options.container - Element the view fills and overlays go in, instead of the window
+     * @param {boolean} options.embedded - Only the visualisation: no site UI, URL state or render worker
+     * @param {string} options.seed - Seed, instead of ?seed= or a new one
+     * @param {string} options.quality - Starting quality level, 'low', 'medium' or 'high'
+     * @param {boolean} options.audio - Whether an embedded view plays sound
+     * @param {boolean} options.transparent - Leave out the space background, so the page shows through
+     * @param {boolean} options.interactive - Whether the camera follows dragging and zooming
+     */
+    constructor(options = {}) {
+        this.options = {
+            canvas: null,
+            container: null,
+            embedded: false,
+            seed: null,
+            quality: 'medium',
+            audio: false,
+            transparent: false,
+            interactive: true,
+            ...options
+        };
+        this.embedded = Boolean(this.options.embedded);
+        this.container = this.options.container;
+        
         // Core Three.js components
         this.scene = null;
         this.camera = null;
@@ -27,20 +83,23 @@ export class App {
         this.clock = null;
         
         // Sizes for rendering
-        this.sizes = {
-            width: window.innerWidth,
-            height: window.innerHeight
-        };
+        this.sizes = this.getViewportSize();
         
         // Managers
         this.sceneManager = null;
         this.postProcessingManager = null;
         this.assetManager = null;
         this.physicsController = null;
+        this.blackHoleSystem = null; // Multi-body black hole system, null for the default scene
+        this.blackHoleParams = {}; // Black hole parameter overrides (see ParameterSchema.js)
+        this.renderWorker = null; // Set when the scene renders in a worker (see RenderWorkerClient.js)
         
-        // Effects
+        // Effects, registered by name (see EffectRegistry.js); the fields point at the built-in ones
+        this.effects = new EffectRegistry(this);
         this.gravitationalLensingEffect = null;
         this.nebulaEffect = null;
+        this.timeDilationEffect = null;
+        this.particleSystem = null; // Background, simulated and typed-text particles
         
         // UI systems
         this.uiManager = null;
@@ -52,13 +111,65 @@ export class App {
         // Utilities
         this.documentation = null;
         
+        // Site sections, loaded from content/manifest.json (see ContentManifest.js)
+        this.content = null;
+        this.blog = null;
+        
+        // Projects, loaded from content/projects.json (see ProjectCatalog.js)
+        this.projects = null;
+        this.projectShowcase = null;
+        
+        // URL and history (see Router.js)
+        this.router = null;
+        
+        // Site search, opened with / or Ctrl+K (see SearchOverlay.js)
+        this.search = null;
+        
+        // Everything fed to the Data Singularity and the panel that lists it (see FragmentArchive.js)
+        this.fragmentArchive = null;
+        this.eventHorizonLog = null;
+        
+        // Actions, their key bindings and the palette that lists them (see CommandRegistry.js)
+        this.commands = null;
+        this.commandPalette = null;
+        
+        // Sliders and presets for the black hole parameters (see ControlPanel.js)
+        this.controlPanel = null;
+        
+        // Keyframed camera, parameter and section sequences and their editor (see Timeline.js)
+        this.timeline = null;
+        this.timelinePanel = null;
+        
+        // Video and image-sequence export on a fixed time step, and its dialog (see FrameExporter.js)
+        this.exporter = null;
+        this.exportPanel = null;
+        
+        // High-resolution stills rendered in tiles (see PosterRenderer.js)
+        this.posterRenderer = null;
+        this.poster = null; // While rendering one: { width, height, pointSizes }
+        
         // Animation
         this.isRunning = false;
         this.clock = new THREE.Clock();
+        this.elapsedTime = 0; // App time in seconds, advanced by (possibly replayed) frame deltas
+        this.frameDelta = 0; // Seconds the last frame advanced app time by
+        this.frameCount = 0;
+        this.exporting = false; // While true, frames are only drawn by captureFrame on a fixed step
+        
+        // Seeded randomness: every module forks its own generator from this one (see Random.js)
+        this.seed = this.options.seed || (!this.embedded && seedFromURL()) || generateSeed();
+        this.random = new Random(this.seed);
+        
+        // Session recording and replay, started from the URL (see SessionRecorder.js); the URL
+        // belongs to the page an embedded view sits in
+        this.recorder = new SessionRecorder(this);
+        if (!this.embedded) {
+            this.recorder.init(this.seed);
+        }
         
         // Configuration
         this.config = {
-            devicePerformance: 'medium',
+            devicePerformance: this.options.quality,
             debug: {
                 showFPS: false,
                 showControls: false
@@ -66,11 +177,22 @@ export class App {
             physics: {
                 enabled: true,
                 useWebWorker: true
+            },
+            rendering: {
+                // Render on an OffscreenCanvas in a worker where supported; opt in with ?offscreen
+                offscreen: !this.embedded && new URLSearchParams(window.location.search).has('offscreen')
             }
         };
         
-        // Resize handler bound to this instance
+        // What modules tell each other (see EventBus.js)
+        this.events = new EventBus();
+        
+        // Handlers bound to this instance
         this.handleResize = this.onResize.bind(this);
+        this.handleError = this.handleGlobalError.bind(this);
+        this.handleParticlesBurst = this.onParticlesBurst.bind(this);
+        this.resizeObserver = null; // Watches the container instead of the window, if given
+        this.disposed = false;
     }
     
     /**
@@ -93,42 +215,40 @@ export class App {
                 // Initialize physics controller
                 this.initPhysicsController();
                 
-                // Load essential assets before continuing
-                this.loadEssentialAssets().then(() => {
-                    // Create renderer with error handling
-                    this.createRenderer();
-                    
-                    // Initialize scene with error handling
-                    this.initScene();
-                    
-                    // Initialize effects
-                    try {
-                        this.initEffects();
-                    } catch (effectError) {
-                        console.error('Failed to initialize effects:', effectError);
-                        // Continue without effects
+                // Load essential assets and the site content before continuing
+                Promise.all([this.loadEssentialAssets(), this.embedded ? null : this.loadContent()]).then(() => {
+                    // Disposed while loading, e.g. an embedded view taken off the page
+                    if (this.disposed) {
+                        throw new Error('The app was disposed before it started');
                     }
                     
-                    // Initialize UI
-                    try {
-                        this.initUIManager();
-                        this.initUIController();
-                    } catch (uiError) {
-                        console.error('Failed to initialize UI:', uiError);
-                        // Continue without UI
+                    // Renderer, scene, effects and 3D UI, here or in the render worker
+                    return this.initRendering();
+                }).then(() => {
+                    // The site around the black hole; an embedded view is only the visualisation
+                    if (!this.embedded) {
+                        this.initSite();
                     }
                     
                     // Initialize audio
                     try {
-                        this.initAudioManager();
+                        if (!this.embedded || this.options.audio) {
+                            this.initAudioManager();
+                        }
                     } catch (audioError) {
                         console.error('Failed to initialize audio:', audioError);
                         // Continue without audio
                     }
                     
-                    // Add event listeners
-                    window.addEventListener('resize', this.handleResize);
-                    window.addEventListener('error', this.handleGlobalError.bind(this));
+                    // Add event listeners; an embedded view follows its container's size
+                    if (this.container && typeof ResizeObserver !== 'undefined') {
+                        this.resizeObserver = new ResizeObserver(this.handleResize);
+                        this.resizeObserver.observe(this.container);
+                    } else {
+                        window.addEventListener('resize', this.handleResize);
+                    }
+                    window.addEventListener('error', this.handleError);
+                    this.events.on('particles:burst', this.handleParticlesBurst);
                     
                     // Start animation loop
                     this.isRunning = true;
@@ -147,6 +267,10 @@ export class App {
                     console.log('App initialization complete');
                     resolve();
                 }).catch(error => {
+                    if (this.disposed) {
+                        reject(error);
+                        return;
+                    }
                     console.error('Failed to load essential assets:', error);
                     this.showFallbackContent('Failed to load essential assets. Please check your connection and try again.');
                     reject(error);
@@ -159,6 +283,183 @@ export class App {
         });
     }
     
+    /**
+     * Initialize the 2D interface, content, routing and tools around the visualisation
+     * Each part is optional: one that fails to start is logged and left out.
+     */
+    initSite() {
+        // Initialize UI
+        try {
+            this.initUIController();
+        } catch (uiError) {
+            console.error('Failed to initialize UI:', uiError);
+            // Continue without UI
+        }
+        
+        // Initialize blog
+        try {
+            this.initBlog();
+        } catch (blogError) {
+            console.error('Failed to initialize blog:', blogError);
+            // Continue without blog
+        }
+        
+        // Initialize project showcase
+        try {
+            this.initProjectShowcase();
+        } catch (projectsError) {
+            console.error('Failed to initialize projects:', projectsError);
+            // Continue without projects
+        }
+        
+        // Show the section, camera and parameters in the URL, once everything that
+        // follows routes is listening
+        try {
+            this.initRouter();
+        } catch (routerError) {
+            console.error('Failed to initialize router:', routerError);
+            // Continue without deep links
+        }
+        
+        // Initialize the black hole control panel, after the router has applied the URL
+        try {
+            this.initControlPanel();
+        } catch (controlsError) {
+            console.error('Failed to initialize control panel:', controlsError);
+            // Continue without the control panel
+        }
+        
+        // Initialize the timeline and its editor
+        try {
+            this.initTimeline();
+        } catch (timelineError) {
+            console.error('Failed to initialize timeline:', timelineError);
+            // Continue without timelines
+        }
+        
+        // Initialize video export, after the timeline it can follow
+        try {
+            this.initExport();
+        } catch (exportError) {
+            console.error('Failed to initialize export:', exportError);
+            // Continue without export
+        }
+        
+        // Initialize search
+        try {
+            this.initSearch();
+        } catch (searchError) {
+            console.error('Failed to initialize search:', searchError);
+            // Continue without search
+        }
+        
+        // Initialize the fragment archive and its log
+        try {
+            this.initFragmentArchive();
+        } catch (archiveError) {
+            console.error('Failed to initialize fragment archive:', archiveError);
+            // Continue without the archive
+        }
+        
+        // Initialize keyboard commands and the command palette
+        try {
+            this.initCommands();
+        } catch (commandsError) {
+            console.error('Failed to initialize commands:', commandsError);
+            // Continue without keyboard shortcuts
+        }
+    }
+    
+    /**
+     * Set up rendering, in a worker on an OffscreenCanvas when enabled and supported
+     * @returns {Promise} - Resolves once the scene is rendering, on whichever thread
+     */
+    initRendering() {
+        if (!this.shouldRenderOffscreen()) {
+            this.initMainThreadRendering();
+            return Promise.resolve();
+        }
+        
+        return this.initRenderWorker().catch(error => {
+            console.warn('Render worker failed to start, rendering on the main thread instead:', error);
+            
+            // The old canvas belongs to the worker now
+            this.canvas = this.renderWorker.restoreCanvas();
+            this.renderWorker.dispose();
+            this.renderWorker = null;
+            this.initMainThreadRendering();
+        });
+    }
+    
+    /**
+     * Whether to render in a worker
+     * Recording and replay step the scene frame by frame from this thread, so they keep it here.
+     * @returns {boolean} - True to use the render worker
+     */
+    shouldRenderOffscreen() {
+        if (!this.config.rendering.offscreen) return false;
+        
+        if (!RenderWorkerClient.isSupported()) {
+            console.log('OffscreenCanvas not supported, rendering on the main thread');
+            return false;
+        }
+        
+        return !this.recorder.isRecording && !this.recorder.isReplaying;
+    }
+    
+    /**
+     * Create the renderer, scene, effects and 3D UI on this thread
+     */
+    initMainThreadRendering() {
+        // Create renderer with error handling
+        this.createRenderer();
+        
+        // Initialize scene with error handling
+        this.initScene();
+        this.setTransparent(this.options.transparent);
+        this.setInteractive(this.options.interactive);
+        
+        // Initialize effects
+        try {
+            this.initEffects();
+        } catch (effectError) {
+            console.error('Failed to initialize effects:', effectError);
+            // Continue without effects
+        }
+        
+        // Initialize 3D UI; the navigation orbs lead to the site's sections, which an embed has not got
+        if (this.embedded) return;
+        
+        try {
+            this.initUIManager();
+        } catch (uiError) {
+            console.error('Failed to initialize UI:', uiError);
+            // Continue without UI
+        }
+    }
+    
+    /**
+     * Hand the canvas to the render worker
+     * The render-side fields (renderer, sceneManager, effects, uiManager) become facades that
+     * forward calls to the worker; scene and camera stay null on this thread.
+     * @returns {Promise} - Resolves once the worker is rendering
+     */
+    initRenderWorker() {
+        const canvas = this.options.canvas || document.getElementById('blackhole-canvas');
+        if (!canvas) {
+            return Promise.reject(new Error('Canvas element with ID "blackhole-canvas" not found'));
+        }
+        
+        this.canvas = canvas;
+        this.renderWorker = new RenderWorkerClient(this);
+        
+        return this.renderWorker.init(canvas).then(() => {
+            Object.assign(this, this.renderWorker.createFacades());
+            this.connectLensingTable();
+            console.log('Rendering in a worker on an OffscreenCanvas');
+        });
+    }
+    
     /**
      * Initialize asset manager
      */
@@ -207,6 +508,34 @@ export class App {
         return this.assetManager.loadAssets(essentialAssets);
     }
     
+    /**
+     * Load the content manifest that defines the site's sections, and the project catalog
+     * @returns {Promise} - Resolves once this.content and this.projects are set; a failed load leaves them empty
+     */
+    loadContent() {
+        const manifest = ContentManifest.load()
+            .then(manifest => {
+                this.content = manifest;
+                console.log(`Content manifest loaded: ${manifest.sections.length} sections`);
+            })
+            .catch(error => {
+                console.error('Failed to load content manifest:', error);
+                this.content = new ContentManifest();
+            });
+        
+        const projects = ProjectCatalog.load()
+            .then(catalog => {
+                this.projects = catalog;
+                console.log(`Project catalog loaded: ${catalog.projects.length} projects`);
+            })
+            .catch(error => {
+                console.error('Failed to load project catalog:', error);
+                this.projects = new ProjectCatalog();
+            });
+        
+        return Promise.all([manifest, projects]);
+    }
+    
     /**
      * Load non-essential assets after initialization
      */
@@ -259,13 +588,7 @@ export class App {
                     this.sceneManager.updateAssets();
                 }
                 
-                if (this.gravitationalLensingEffect && this.gravitationalLensingEffect.updateAssets) {
-                    this.gravitationalLensingEffect.updateAssets();
-                }
-                
-                if (this.nebulaEffect && this.nebulaEffect.updateAssets) {
-                    this.nebulaEffect.updateAssets();
-                }
+                this.effects.invoke('updateAssets');
             })
             .catch(error => {
                 console.warn('Failed to load some non-essential assets:', error);
@@ -279,13 +602,13 @@ export class App {
     createRenderer() {
         try {
             // Get the canvas element or create one if it doesn't exist
-            const canvas = document.getElementById('blackhole-canvas');
+            const canvas = this.options.canvas || document.getElementById('blackhole-canvas');
             if (!canvas) {
                 console.error('Canvas element with ID "blackhole-canvas" not found');
                 // Creating a fallback canvas for testing
                 const fallbackCanvas = document.createElement('canvas');
                 fallbackCanvas.id = 'blackhole-canvas';
-                document.body.appendChild(fallbackCanvas);
+                (this.container || document.body).appendChild(fallbackCanvas);
                 this.canvas = fallbackCanvas;
             } else {
                 this.canvas = canvas;
@@ -302,7 +625,7 @@ export class App {
             
             // Set properties with error checking
             this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2)); // Limit for performance
-            this.renderer.setSize(window.innerWidth, window.innerHeight);
+            this.renderer.setSize(this.sizes.width, this.sizes.height);
             
             try {
                 this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
@@ -473,13 +796,13 @@ export class App {
                 });
                 
                 this.renderer.setPixelRatio(1); // Use lowest pixel ratio
-                this.renderer.setSize(window.innerWidth, window.innerHeight);
+                this.renderer.setSize(this.sizes.width, this.sizes.height);
                 
                 // Replace canvas in DOM
                 if (parentElement) {
                     parentElement.replaceChild(this.renderer.domElement, oldCanvas);
                 } else {
-                    document.body.appendChild(this.renderer.domElement);
+                    (this.container || document.body).appendChild(this.renderer.domElement);
                 }
                 
                 // Reset postprocessing with minimal effects
@@ -532,13 +855,16 @@ export class App {
             this.sceneManager.setQualityLevel(this.config.devicePerformance);
         }
         
-        if (this.gravitationalLensingEffect && this.gravitationalLensingEffect.setQualityLevel) {
-            this.gravitationalLensingEffect.setQualityLevel(this.config.devicePerformance);
-        }
+        this.effects.setQualityLevel(this.config.devicePerformance);
         
-        if (this.nebulaEffect && this.nebulaEffect.setQualityLevel) {
-            this.nebulaEffect.setQualityLevel(this.config.devicePerformance);
+        if (this.physicsController) {
+            this.physicsController.setQualityLevel(this.config.devicePerformance);
         }
+        
+        // Keep bloom and grain overrides from the control panel or the URL
+        this.setEffectParams(paramsFor('effects', this.blackHoleParams));
+        
+        this.events.emit('quality:change', { level: this.config.devicePerformance, reduced: true });
     }
     
     /**
@@ -562,6 +888,8 @@ export class App {
         
         // Stop animation loop temporarily
         this.isRunning = false;
+        this.effects.contextLost();
+        this.events.emit('context:lost');
         
         // Show a message to the user
         const contextLossMessage = document.createElement('div');
@@ -576,7 +904,7 @@ export class App {
         contextLossMessage.style.borderRadius = '5px';
         contextLossMessage.style.zIndex = '10000';
         contextLossMessage.innerHTML = 'Visualizer paused. Attempting to recover... <div class="spinner"></div>';
-        document.body.appendChild(contextLossMessage);
+        this.attachOverlay(contextLossMessage);
         
         // Listen for context restored event
         this.renderer.domElement.addEventListener('webglcontextrestored', () => {
@@ -587,14 +915,18 @@ export class App {
                 contextLossMessage.parentNode.removeChild(contextLossMessage);
             }
             
-            // Reinitialize scene and effects
+            // three.js restores the scene it renders; the post-processing chain and the effects
+            // rebuild what they freed, including effects registered after startup
             try {
-                this.initScene();
-                this.initEffects();
+                if (this.postProcessingManager) {
+                    this.postProcessingManager.onContextRestored();
+                }
+                this.effects.contextRestored();
                 
                 // Restart animation loop
                 this.isRunning = true;
                 this.animate();
+                this.events.emit('context:restored');
             } catch (error) {
                 console.error('Failed to recover from context loss:', error);
                 this.showFallbackContent('Unable to recover visualization. Please refresh the page.');
@@ -625,6 +957,11 @@ export class App {
         fallback.style.padding = '20px';
         fallback.style.zIndex = '1000';
         
+        // Links to the content sections, once the manifest has loaded
+        const sectionLinks = (this.content ? this.content.sections : [])
+            .map(section => `<a href="#/${section.id}" style="color: #44aaff; text-decoration: none; padding: 10px;">${section.label}</a>`)
+            .join('');
+        
         // Add fallback content
         fallback.innerHTML = `
             <h2 style="font-family: 'Orbitron', sans-serif; margin-bottom: 20px;">Visualization Not Available</h2>
@@ -632,24 +969,22 @@ export class App {
             <div style="margin-bottom: 30px;">
                 <button id="fallback-retry" style="background: #8844ff; border: none; color: white; padding: 10px 20px; border-radius: 4px; cursor: pointer; font-family: 'Orbitron', sans-serif;">Retry</button>
             </div>
+            ${sectionLinks ? `
             <p style="opacity: 0.7; max-width: 600px;">You can still explore the site content using the links below:</p>
             <div style="display: flex; gap: 20px; margin-top: 20px;">
-                <a href="#about" style="color: #44aaff; text-decoration: none; padding: 10px;">About</a>
-                <a href="#projects" style="color: #44aaff; text-decoration: none; padding: 10px;">Projects</a>
-                <a href="#contact" style="color: #44aaff; text-decoration: none; padding: 10px;">Contact</a>
-                <a href="#blog" style="color: #44aaff; text-decoration: none; padding: 10px;">Blog</a>
-            </div>
+                ${sectionLinks}
+            </div>` : ''}
         `;
         
         // Add to DOM
-        document.body.appendChild(fallback);
+        this.attachOverlay(fallback);
         
         // Add retry button listener
-        const retryButton = document.getElementById('fallback-retry');
+        const retryButton = fallback.querySelector('#fallback-retry');
         if (retryButton) {
             retryButton.addEventListener('click', () => {
                 // Remove fallback
-                document.body.removeChild(fallback);
+                fallback.remove();
                 
                 // Try to initialize again
                 this.init();
@@ -657,19 +992,46 @@ export class App {
         }
     }
     
+    /**
+     * Show an overlay (loading, fallback or context loss) over the visualisation
+     * Overlays are styled to cover the page; in a container they cover just the container.
+     * @param {HTMLElement} element - Overlay
+     */
+    attachOverlay(element) {
+        if (this.container) {
+            element.style.position = 'absolute';
+            this.container.appendChild(element);
+        } else {
+            document.body.appendChild(element);
+        }
+    }
+    
     /**
      * Animation loop with error handling and performance monitoring
      */
     animate() {
         if (!this.isRunning) return;
         
+        // An export draws its own frames on a fixed step (see FrameExporter.js)
+        if (this.exporting) {
+            requestAnimationFrame(this.animate.bind(this));
+            return;
+        }
+        
         try {
-            // Check for GPU hangs
-            this.checkGPUHang();
+            // Check for GPU hangs (the render worker watches its own frames)
+            if (!this.renderWorker) {
+                this.checkGPUHang();
+            }
             
             // Schedule next frame
             requestAnimationFrame(this.animate.bind(this));
             
+            // Advance app time; a replayed session uses the recorded deltas and input
+            this.frameDelta = this.recorder.beginFrame(this.clock.getDelta());
+            this.elapsedTime += this.frameDelta;
+            this.frameCount++;
+            
             // Update components
             this.update();
             
@@ -677,7 +1039,7 @@ export class App {
             this.render();
             
             // Periodically check memory usage (every 100 frames)
-            if (Math.random() < 0.01) { // ~1% chance per frame
+            if (this.frameCount % 100 === 0) {
                 this.checkMemoryUsage();
             }
         } catch (error) {
@@ -709,7 +1071,7 @@ export class App {
         // Create camera
         this.camera = new THREE.PerspectiveCamera(
             75, // FOV
-            window.innerWidth / window.innerHeight, // Aspect ratio
+            this.sizes.width / this.sizes.height, // Aspect ratio
             0.1, // Near clipping plane
             1000 // Far clipping plane
         );
@@ -725,18 +1087,36 @@ export class App {
      */
     initEffects() {
         // Create gravitational lensing effect
-        this.gravitationalLensingEffect = new GravitationalLensing(this);
-        this.gravitationalLensingEffect.init();
+        this.effects.register('gravitationalLensing', new GravitationalLensing(this), { order: 100, alias: 'gravitationalLensingEffect' });
+        this.connectLensingTable();
         
         // Create nebula effect
-        this.nebulaEffect = new NebulaEffect(this);
-        this.nebulaEffect.init();
+        this.effects.register('nebula', new NebulaEffect(this), { order: 200, alias: 'nebulaEffect' });
+        
+        // Time dilation field, particles and clocks; off until turned on from the command palette
+        this.effects.register('timeDilation', new TimeDilation(this), { order: 300, enabled: false, alias: 'timeDilationEffect' });
+        
+        // Create particles, including the simulation's and typed text
+        this.effects.register('particles', new ParticleSystem(this), { order: 400, alias: 'particleSystem' });
         
         // Setup post-processing
         this.postProcessingManager = new PostProcessingManager(this);
         this.postProcessingManager.init();
     }
     
+    /**
+     * Bend light with deflection angles traced by the physics worker
+     */
+    connectLensingTable() {
+        if (!this.physicsController) return;
+        
+        this.physicsController.onLensingTable(table => {
+            if (this.gravitationalLensingEffect) {
+                this.gravitationalLensingEffect.setDeflectionTable(table);
+            }
+        });
+    }
+    
     /**
      * Initialize the UI Manager for 3D user interface
      */
@@ -753,6 +1133,123 @@ export class App {
         this.uiController.init();
     }
     
+    /**
+     * Initialize the blog in the #blog content section
+     */
+    initBlog() {
+        this.blog = new Blog(this);
+        this.blog.init();
+    }
+    
+    /**
+     * Initialize the project cards and detail views in the #projects content section
+     */
+    initProjectShowcase() {
+        this.projectShowcase = new ProjectShowcase(this);
+        this.projectShowcase.init();
+    }
+    
+    /**
+     * Initialize the router that keeps the URL in step with the view
+     */
+    initRouter() {
+        this.router = new Router(this);
+        this.router.init();
+    }
+    
+    /**
+     * Initialize the black hole control panel
+     */
+    initControlPanel() {
+        this.controlPanel = new ControlPanel(this);
+        this.controlPanel.init();
+    }
+    
+    /**
+     * Initialize the timeline player and editor
+     * A ?timeline=<url> link loads that timeline and plays it.
+     */
+    initTimeline() {
+        this.timeline = new TimelinePlayer(this);
+        
+        this.timelinePanel = new TimelinePanel(this);
+        this.timelinePanel.init();
+        
+        const url = new URLSearchParams(window.location.search).get('timeline');
+        if (url) {
+            this.loadTimeline(url)
+                .then(() => this.timeline.play())
+                .catch(error => console.error(`Failed to load timeline ${url}:`, error));
+        }
+    }
+    
+    /**
+     * Initialize the frame exporter, the poster renderer and their dialog
+     */
+    initExport() {
+        this.exporter = new FrameExporter(this);
+        this.posterRenderer = new PosterRenderer(this);
+        
+        this.exportPanel = new ExportPanel(this);
+        this.exportPanel.init();
+    }
+    
+    /**
+     * Load a timeline into the player, stopped at its start
+     * @param {Object|string} source - Timeline data, or the URL of a timeline JSON file
+     * @returns {Promise<Object>} - Resolves with the checked timeline; rejects if it cannot be fetched or is invalid
+     */
+    loadTimeline(source) {
+        const data = typeof source === 'string'
+            ? fetch(source).then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                return response.json();
+            })
+            : Promise.resolve(source);
+        
+        return data.then(json => {
+            const timeline = parseTimeline(json);
+            this.timeline.load(timeline);
+            if (this.timelinePanel && this.timelinePanel.isOpen) {
+                this.timelinePanel.render();
+            }
+            return timeline;
+        });
+    }
+    
+    /**
+     * Initialize the search overlay
+     */
+    initSearch() {
+        this.search = new SearchOverlay(this);
+        this.search.init();
+    }
+    
+    /**
+     * Initialize the fragment archive and the event horizon log
+     */
+    initFragmentArchive() {
+        this.fragmentArchive = new FragmentArchive(this);
+        this.fragmentArchive.init();
+        
+        this.eventHorizonLog = new EventHorizonLog(this);
+        this.eventHorizonLog.init();
+    }
+    
+    /**
+     * Initialize the command registry, the app's commands and the command palette
+     */
+    initCommands() {
+        this.commands = new CommandRegistry(this.events);
+        registerAppCommands(this);
+        this.commands.init();
+        
+        this.commandPalette = new CommandPalette(this);
+        this.commandPalette.init();
+    }
+    
     /**
      * Initialize the Audio Manager system
      */
@@ -812,14 +1309,6 @@ export class App {
             
             // Add to DOM
             document.body.appendChild(helpButton);
-            
-            // Add keyboard shortcut ('?' key)
-            document.addEventListener('keydown', (e) => {
-                if (e.key === '?' || (e.key === '/' && e.shiftKey)) {
-                    e.preventDefault();
-                    this.showDocumentation();
-                }
-            });
         }
     }
     
@@ -828,37 +1317,34 @@ export class App {
      * @param {string} componentId - Optional component ID to show
      */
     showDocumentation(componentId = null) {
-        if (this.documentation) {
-            this.documentation.showDocumentation(componentId);
+        if (!this.documentation) {
+            this.documentation = new Documentation(this);
         }
+        this.documentation.showDocumentation(componentId);
     }
     
     /**
      * Update called on each frame
      */
     update() {
-        const time = this.clock.getElapsedTime();
-        
-        // Update components
-        if (this.sceneManager) {
-            this.sceneManager.update(time);
-        }
+        const time = this.elapsedTime;
         
-        if (this.gravitationalLensingEffect) {
-            this.gravitationalLensingEffect.update(time);
+        // The render worker updates the scene on its own frames
+        if (!this.renderWorker) {
+            this.updateScene(time);
         }
         
-        if (this.nebulaEffect) {
-            this.nebulaEffect.update(time);
+        if (this.uiController) {
+            this.uiController.update(time);
         }
         
-        // Update UI
-        if (this.uiManager) {
-            this.uiManager.update(time);
+        // Timelines play on app time, so they follow the frames and replay with recordings
+        if (this.timeline) {
+            this.timeline.update(time);
         }
         
-        if (this.uiController) {
-            this.uiController.update(time);
+        if (this.timelinePanel) {
+            this.timelinePanel.update();
         }
         
         // Update physics (handled by PhysicsController independently)
@@ -870,10 +1356,40 @@ export class App {
         }
     }
     
+    /**
+     * Update the scene, effects and 3D UI
+     * @param {number} time - App time in seconds
+     */
+    updateScene(time) {
+        if (this.sceneManager) {
+            this.sceneManager.update(time);
+        }
+        
+        this.effects.update(this.frameDelta, time);
+        
+        if (this.blackHoleSystem) {
+            this.blackHoleSystem.update(time);
+        }
+        
+        if (this.uiManager) {
+            this.uiManager.update(time);
+        }
+    }
+    
+    /**
+     * App time, for anything animated outside update(time)
+     * @returns {number} - Seconds of app time; replays reproduce it frame for frame
+     */
+    getElapsedTime() {
+        return this.elapsedTime;
+    }
+    
     /**
      * Render the scene
      */
     render() {
+        if (this.renderWorker) return;
+        
         if (this.postProcessingManager) {
             this.postProcessingManager.render();
         } else {
@@ -885,25 +1401,44 @@ export class App {
      * Resize handler
      */
     onResize() {
-        if (!this.camera || !this.renderer) return;
+        // An export keeps its resolution until it ends
+        if (!this.camera || !this.renderer || this.exporting) return;
         
         // Update sizes property
-        this.sizes = {
-            width: window.innerWidth,
-            height: window.innerHeight
-        };
+        this.sizes = this.getViewportSize();
+        const { width, height } = this.sizes;
         
         // Update camera aspect ratio and projection matrix
-        this.camera.aspect = window.innerWidth / window.innerHeight;
+        this.camera.aspect = width / height;
         this.camera.updateProjectionMatrix();
         
         // Update renderer size
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
+        this.renderer.setSize(width, height);
         
         // Update post-processing
         if (this.postProcessingManager) {
-            this.postProcessingManager.resize();
+            this.postProcessingManager.resize(width, height);
+        }
+        
+        this.effects.resize(width, height);
+    }
+    
+    /**
+     * Size of the area the view fills: the container's if given, else the window's
+     * @returns {Object} - { width, height } in CSS pixels, at least 1 each
+     */
+    getViewportSize() {
+        if (this.container) {
+            return {
+                width: Math.max(1, this.container.clientWidth),
+                height: Math.max(1, this.container.clientHeight)
+            };
         }
+        
+        return {
+            width: window.innerWidth,
+            height: window.innerHeight
+        };
     }
     
     /**
@@ -928,6 +1463,14 @@ export class App {
         return cssVar || defaultColors[colorName] || '#ffffff';
     }
     
+    /**
+     * Set the page cursor, e.g. while hovering a navigation orb
+     * @param {string} cursor - CSS cursor
+     */
+    setCursor(cursor) {
+        (this.container || document.body).style.cursor = cursor;
+    }
+    
     /**
      * Dispose of all resources to prevent memory leaks
      */
@@ -936,9 +1479,15 @@ export class App {
         
         // Remove event listeners
         window.removeEventListener('resize', this.handleResize);
+        window.removeEventListener('error', this.handleError);
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
         
         // Stop animation loop
         this.isRunning = false;
+        this.disposed = true;
         
         // Dispose physics controller
         if (this.physicsController) {
@@ -947,6 +1496,24 @@ export class App {
             this.physicsController = null;
         }
         
+        if (this.recorder) {
+            this.recorder.dispose();
+        }
+        
+        // The scene lives in the render worker, so it goes with it; drop the facades
+        if (this.renderWorker) {
+            console.log('Disposing render worker');
+            this.renderWorker.dispose();
+            this.renderWorker = null;
+            this.renderer = null;
+            this.sceneManager = null;
+            this.postProcessingManager = null;
+            this.gravitationalLensingEffect = null;
+            this.nebulaEffect = null;
+            this.particleSystem = null;
+            this.uiManager = null;
+        }
+        
         // Dispose asset manager first (this will dispose all textures)
         if (this.assetManager) {
             console.log('Disposing asset manager');
@@ -979,14 +1546,13 @@ export class App {
         }
         
         // Dispose effects
-        if (this.gravitationalLensingEffect) {
-            console.log('Disposing gravitational lensing effect');
-            this.gravitationalLensingEffect.dispose();
-        }
+        console.log('Disposing effects');
+        this.effects.dispose();
         
-        if (this.nebulaEffect) {
-            console.log('Disposing nebula effect');
-            this.nebulaEffect.dispose();
+        if (this.blackHoleSystem) {
+            console.log('Disposing black hole system');
+            this.blackHoleSystem.dispose();
+            this.blackHoleSystem = null;
         }
         
         // Dispose UI
@@ -1000,13 +1566,61 @@ export class App {
             this.uiController.dispose();
         }
         
-        // Dispose audio
-        if (this.audioManager) {
-            console.log('Disposing audio manager');
-            this.audioManager.dispose();
+        if (this.blog) {
+            this.blog.dispose();
         }
         
-        // Clear references
+        if (this.projectShowcase) {
+            this.projectShowcase.dispose();
+        }
+        
+        if (this.router) {
+            this.router.dispose();
+        }
+        
+        if (this.controlPanel) {
+            this.controlPanel.dispose();
+        }
+        
+        if (this.timeline) {
+            this.timeline.dispose();
+        }
+        
+        if (this.timelinePanel) {
+            this.timelinePanel.dispose();
+        }
+        
+        if (this.exportPanel) {
+            this.exportPanel.dispose();
+        }
+        
+        if (this.search) {
+            this.search.dispose();
+        }
+        
+        if (this.commandPalette) {
+            this.commandPalette.dispose();
+        }
+        
+        if (this.eventHorizonLog) {
+            this.eventHorizonLog.dispose();
+        }
+        
+        if (this.fragmentArchive) {
+            this.fragmentArchive.dispose();
+        }
+        
+        if (this.commands) {
+            this.commands.dispose();
+        }
+        
+        // Dispose audio
+        if (this.audioManager) {
+            console.log('Disposing audio manager');
+            this.audioManager.dispose();
+        }
+        
+        // Clear references
         this.scene = null;
         this.camera = null;
         this.renderer = null;
@@ -1017,9 +1631,26 @@ export class App {
         this.nebulaEffect = null;
         this.uiManager = null;
         this.uiController = null;
+        this.blog = null;
+        this.projectShowcase = null;
+        this.router = null;
+        this.controlPanel = null;
+        this.timeline = null;
+        this.timelinePanel = null;
+        this.exporter = null;
+        this.posterRenderer = null;
+        this.exportPanel = null;
+        this.search = null;
+        this.commandPalette = null;
+        this.commands = null;
+        this.eventHorizonLog = null;
+        this.fragmentArchive = null;
         this.audioManager = null;
         this.documentation = null;
         
+        // Modules have dropped their own subscriptions; drop any left
+        this.events.dispose();
+        
         // Force garbage collection if available
         if (window.gc) {
             window.gc();
@@ -1045,24 +1676,6 @@ export class App {
         }
     }
     
-    /**
-     * Create and play a sound for section opening
-     */
-    createSectionOpenSound() {
-        if (this.audioManager) {
-            this.audioManager.createUISwitchSound(true);
-        }
-    }
-    
-    /**
-     * Create and play a sound for section closing
-     */
-    createSectionCloseSound() {
-        if (this.audioManager) {
-            this.audioManager.createUISwitchSound(false);
-        }
-    }
-    
     /**
      * Update visuals based on theme
      * @param {string} theme - 'dark' or 'light'
@@ -1138,7 +1751,8 @@ export class App {
         // Set initial parameters
         const blackHoleData = {
             position: [0, 0, 0],
-            mass: 1e30 // 1 solar mass in kg
+            mass: SOLAR_MASS,
+            spin: 0.6 // Kerr parameter a/M, drives frame dragging and the ISCO
         };
         
         // Set simulation parameters
@@ -1166,19 +1780,20 @@ export class App {
         // Create 500 particles in an orbit
         const particles = [];
         const count = 500;
+        const mass = this.physicsController.params.blackHoleData.mass;
         
         for (let i = 0; i < count; i++) {
             // Create particles in a disk
             const angle = (i / count) * Math.PI * 2;
-            const radius = 20 + Math.random() * 30;
+            const radius = 20 + this.random.next() * 30; // Scene units
             
-            // Position on a flat orbit
-            const x = Math.cos(angle) * radius;
-            const y = (Math.random() - 0.5) * 2; // Slight vertical distribution
-            const z = Math.sin(angle) * radius;
+            // Position on a flat orbit, converted to simulation meters
+            const x = sceneToMeters(Math.cos(angle) * radius, mass);
+            const y = sceneToMeters((this.random.next() - 0.5) * 2, mass); // Slight vertical distribution
+            const z = sceneToMeters(Math.sin(angle) * radius, mass);
             
-            // Orbital velocity (perpendicular to position)
-            const speed = 0.5 + Math.random() * 0.3;
+            // Orbital velocity (perpendicular to position), around the circular speed √(M/r)
+            const speed = C * Math.sqrt(1 / fromSceneLength(radius)) * (0.9 + this.random.next() * 0.2);
             const vx = -Math.sin(angle) * speed;
             const vy = 0;
             const vz = Math.cos(angle) * speed;
@@ -1198,23 +1813,72 @@ export class App {
     
     /**
      * Handle physics update from simulation
-     * @param {Object} data - Physics update data
+     * @param {Object} data - Physics update data (particle buffer, count and layout, see ParticleBuffer.js)
      */
     handlePhysicsUpdate(data) {
-        // Update visualization components with new particle positions
-        if (this.gravitationalLensingEffect && this.gravitationalLensingEffect.updateParticles) {
-            this.gravitationalLensingEffect.updateParticles(data.particles);
+        // Follow archived fragments before the buffer goes to the renderer
+        if (this.fragmentArchive) {
+            this.fragmentArchive.observe(data);
+        }
+        
+        if (this.renderWorker) {
+            this.renderWorker.forwardPhysicsUpdate(data);
+        } else {
+            this.applyPhysicsToScene(data);
         }
         
         // Update UI if needed
         if (this.uiController && this.uiController.updatePhysicsData) {
             this.uiController.updatePhysicsData({
-                particleCount: data.particles.length,
+                particleCount: data.count,
                 capturedCount: data.capturedCount
             });
         }
     }
     
+    /**
+     * Move the rendered bodies and particles to a physics update, on the thread that renders
+     * @param {Object} data - Physics update data (particle buffer, count and layout, see ParticleBuffer.js)
+     */
+    applyPhysicsToScene(data) {
+        // Follow the bodies of a multi-body system, including mergers
+        if (this.blackHoleSystem && data.bodies) {
+            this.blackHoleSystem.setBodies(data.bodies);
+            
+            if (this.gravitationalLensingEffect) {
+                this.gravitationalLensingEffect.setBodies(this.blackHoleSystem.getLensingBodies());
+            }
+        }
+        
+        // Upload the particle buffer for rendering
+        if (this.particleSystem && this.particleSystem.updateSimulatedParticles) {
+            this.particleSystem.updateSimulatedParticles(data);
+        }
+        
+        // Flash where data fragments are torn apart
+        if (this.particleSystem && data.disruptions) {
+            data.disruptions.forEach(disruption => {
+                const position = new THREE.Vector3().fromArray(disruption.position).multiplyScalar(data.sceneScale);
+                this.particleSystem.createQuantumFluctuationEffect(position, 0.6);
+            });
+        }
+        
+        // Update visualization components with new particle positions
+        if (this.gravitationalLensingEffect && this.gravitationalLensingEffect.updateParticles) {
+            this.gravitationalLensingEffect.updateParticles(data.buffer, data.count, data.layout);
+        }
+    }
+    
+    /**
+     * Burst of particles flowing into the black hole, e.g. from a right-click on the canvas
+     * @param {Object} detail - particles:burst detail: { x, y } in normalized device coordinates, and text
+     */
+    onParticlesBurst({ x, y, text }) {
+        if (this.particleSystem) {
+            this.particleSystem.createParticlesAtMouse(x, y, text);
+        }
+    }
+
     /**
      * Add particles to the physics simulation
      * @param {Array|Object} particles - Particle or array of particles to add
@@ -1225,6 +1889,73 @@ export class App {
         }
     }
     
+    /**
+     * Spell text out in particles, then send it into the black hole as a fragment and archive it
+     * The particles gather into the text in front of the camera and hold it for a moment; then
+     * the simulation takes over, its debris starting in the same letters. Without the simulation
+     * the particles fall in on their own.
+     * @param {string} text - Text typed into the data input
+     * @returns {boolean} - True if the text was shown or launched
+     */
+    launchDataFragment(text) {
+        const physics = this.physicsController;
+        const simulated = Boolean(physics && physics.isInitialized && this.config.physics.enabled);
+        
+        // In front of the camera, or of where it starts when the camera lives in the render worker
+        const frame = this.camera
+            ? textFrame(this.camera, DATA_LAUNCH_DISTANCE)
+            : { center: [0, 0, 40 - DATA_LAUNCH_DISTANCE], right: [1, 0, 0], up: [0, 1, 0] };
+        
+        const letters = spellText(text, frame, this.config.devicePerformance, this.random);
+        
+        if (letters && this.particleSystem) {
+            this.particleSystem.assembleText(letters, { handoff: simulated });
+        }
+        
+        if (!simulated) {
+            return Boolean(letters && this.particleSystem);
+        }
+        
+        // Launch once the text has held for a moment
+        setTimeout(() => {
+            const fragment = physics.addDataFragment(text, frame.center, letters);
+            
+            if (fragment && this.fragmentArchive) {
+                this.fragmentArchive.record(text, fragment, {
+                    bodies: physics.bodies,
+                    blackHoleMass: physics.params.blackHoleData.mass
+                }).catch(error => console.error('Failed to archive fragment:', error));
+            }
+        }, (TEXT_ASSEMBLY.assemble + TEXT_ASSEMBLY.hold) * 1000);
+        
+        return true;
+    }
+    
+    /**
+     * Send an archived fragment in again, scaled to the current black hole
+     * Lengths and masses scale with the hole's mass; velocities stay the same, so the orbit
+     * keeps its shape.
+     * @param {Object} record - Fragment archive record
+     * @returns {Object|null} - The new fragment, or null without the physics simulation
+     */
+    replayFragment(record) {
+        const physics = this.physicsController;
+        if (!physics || !this.config.physics.enabled) return null;
+        
+        const scale = physics.params.blackHoleData.mass / record.blackHoleMass;
+        const { position, velocity, radius, mass, particleCount, seed, shape } = record.launch;
+        
+        return physics.addFragment({
+            position: position.map(x => x * scale),
+            velocity,
+            radius: radius * scale,
+            mass: mass * scale,
+            particleCount,
+            seed,
+            shape: shape ? shape.map(x => x * scale) : null
+        });
+    }
+    
     /**
      * Clear all particles from the physics simulation
      */
@@ -1234,6 +1965,446 @@ export class App {
         }
     }
     
+    /**
+     * Switch between a single black hole and the multi-body presets
+     * @param {string} presetId - Key of BlackHoleSystem.presets
+     */
+    setBlackHoleSystem(presetId) {
+        if (!this.physicsController || !this.config.physics.enabled) return;
+        
+        const preset = BlackHoleSystem.presets[presetId];
+        if (!preset) {
+            console.warn(`Unknown black hole system: ${presetId}`);
+            return;
+        }
+        
+        // Back to the single black hole at the origin
+        if (!preset.createBodies) {
+            this.showBlackHoleSystem(null);
+            
+            this.physicsController.setParameters({
+                blackHoleData: { position: [0, 0, 0] },
+                timeScale: null
+            });
+            return;
+        }
+        
+        // Build the system around the current black hole's mass
+        const mass = this.physicsController.params.blackHoleData.mass;
+        const bodies = preset.createBodies(mass);
+        this.showBlackHoleSystem(bodies, mass);
+        
+        // The time scale needs only the system's settings, not its scene objects, so a scene-less
+        // instance does when the system renders in the worker
+        const system = this.blackHoleSystem || new BlackHoleSystem(this);
+        this.physicsController.setParameters({
+            bodies,
+            timeScale: system.timeScaleFor(bodies)
+        });
+        
+        // Bodies only move while the simulation runs
+        this.physicsController.onUpdate(this.handlePhysicsUpdate.bind(this));
+        this.physicsController.start();
+    }
+    
+    /**
+     * Show a multi-body system in the scene, or go back to the single black hole
+     * @param {Array|null} bodies - Compact bodies, or null for the single black hole
+     * @param {number} mass - Reference mass the system is drawn against
+     */
+    showBlackHoleSystem(bodies, mass) {
+        if (this.renderWorker) {
+            this.renderWorker.call('', 'showBlackHoleSystem', [bodies, mass]);
+            return;
+        }
+        
+        if (!bodies) {
+            if (this.blackHoleSystem) {
+                this.blackHoleSystem.dispose();
+                this.blackHoleSystem = null;
+            }
+            
+            if (this.gravitationalLensingEffect) {
+                this.gravitationalLensingEffect.setBodies(null);
+            }
+            return;
+        }
+        
+        if (!this.blackHoleSystem) {
+            this.blackHoleSystem = new BlackHoleSystem(this);
+            this.blackHoleSystem.setBlackHoleParams(paramsFor('blackHole', this.blackHoleParams));
+        }
+        
+        this.blackHoleSystem.init(mass);
+        this.blackHoleSystem.setBodies(bodies);
+        
+        if (this.gravitationalLensingEffect) {
+            this.gravitationalLensingEffect.setBodies(this.blackHoleSystem.getLensingBodies());
+        }
+    }
+    
+    /**
+     * Override black hole parameters, e.g. from a shared link or the control panel
+     * Each group of parameters goes where it belongs (see ParameterSchema.js).
+     * @param {Object} params - Parameter values; any not given return to their defaults
+     */
+    setBlackHoleParams(params) {
+        const previous = this.blackHoleParams;
+        this.blackHoleParams = { ...params };
+        
+        // The simulation stays on this thread
+        this.setPhysicsParams(paramsFor('physics', this.blackHoleParams));
+        
+        if (this.renderWorker) {
+            this.renderWorker.call('', 'setBlackHoleParams', [this.blackHoleParams]);
+            return;
+        }
+        
+        if (this.blackHoleSystem) {
+            this.blackHoleSystem.setBlackHoleParams(paramsFor('blackHole', this.blackHoleParams));
+        }
+        
+        this.setEffectParams(paramsFor('effects', this.blackHoleParams), paramsFor('effects', previous));
+    }
+    
+    /**
+     * Give the simulated black hole a mass and spin
+     * Setting them returns a multi-body system to a single hole, so nothing is set unless they change.
+     * @param {Object} params - { mass, spin } in solar masses and a/M; missing ones use their defaults
+     */
+    setPhysicsParams({ mass = getParameter('mass').default, spin = getParameter('spin').default }) {
+        if (!this.physicsController) return;
+        
+        const current = this.physicsController.params.blackHoleData;
+        const blackHoleData = { mass: mass * SOLAR_MASS, spin };
+        if (current.mass === blackHoleData.mass && current.spin === blackHoleData.spin) return;
+        
+        this.physicsController.setParameters({ blackHoleData });
+    }
+    
+    /**
+     * Apply lensing, time dilation and post-processing overrides
+     * Effects without an override keep what the quality level chose for them.
+     * @param {Object} params - Effects parameters (lensStrength, dilationStrength, bloomStrength, filmGrain)
+     * @param {Object} previous - The overrides they replace, to restore any that were dropped
+     */
+    setEffectParams(params, previous = {}) {
+        const lensing = this.gravitationalLensingEffect;
+        const timeDilation = this.timeDilationEffect;
+        const postProcessing = this.postProcessingManager;
+        
+        if (Object.keys(previous).some(key => !(key in params))) {
+            if (lensing) lensing.setLensStrength(getParameter('lensStrength').default);
+            if (timeDilation) timeDilation.setDilationStrength(getParameter('dilationStrength').default);
+            if (postProcessing) postProcessing.setQualityLevel();
+        }
+        
+        if (lensing && params.lensStrength !== undefined) {
+            lensing.setLensStrength(params.lensStrength);
+        }
+        
+        if (timeDilation && params.dilationStrength !== undefined) {
+            timeDilation.setDilationStrength(params.dilationStrength);
+        }
+        
+        if (postProcessing) {
+            postProcessing.setBloomParams({ strength: params.bloomStrength });
+            postProcessing.setFilmGrain({ intensity: params.filmGrain });
+        }
+    }
+    
+    /**
+     * Switch quality level, e.g. from the command palette
+     * @param {string} level - 'low', 'medium' or 'high'
+     */
+    setQualityLevel(level) {
+        this.config.devicePerformance = level;
+        
+        // Physics stays on this thread
+        if (this.physicsController) {
+            this.physicsController.setQualityLevel(level);
+        }
+        
+        if (this.renderWorker) {
+            this.renderWorker.call('', 'setQualityLevel', [level]);
+        } else {
+            [this.postProcessingManager, this.sceneManager]
+                .forEach(module => {
+                    if (module && module.setQualityLevel) {
+                        module.setQualityLevel(level);
+                    }
+                });
+            this.effects.setQualityLevel(level);
+            
+            // The quality level resets bloom and grain; overrides win
+            this.setEffectParams(paramsFor('effects', this.blackHoleParams));
+        }
+        
+        this.events.emit('quality:change', { level, reduced: false });
+    }
+    
+    /**
+     * Turn an effect on or off
+     * @param {string} name - A registered effect, e.g. 'nebula', or a post-processing one, e.g.
+     *     'bloom' (see PostProcessingManager.effectsEnabled)
+     */
+    toggleEffect(name) {
+        if (this.renderWorker) {
+            this.renderWorker.call('', 'toggleEffect', [name]);
+            return;
+        }
+        
+        if (this.effects.has(name)) {
+            this.effects.toggle(name);
+            return;
+        }
+        
+        const postProcessing = this.postProcessingManager;
+        const toggle = postProcessing && postProcessing[`toggle${name.charAt(0).toUpperCase()}${name.slice(1)}`];
+        if (typeof toggle !== 'function') {
+            console.warn(`Cannot toggle ${name}: no such effect`);
+            return;
+        }
+        
+        toggle.call(postProcessing, !postProcessing.effectsEnabled[name]);
+    }
+    
+    /**
+     * Show or hide the space around the black hole
+     * Hidden, the canvas is transparent there and whatever is behind it shows through.
+     * @param {boolean} transparent - True to hide the background colour, stars and nebula
+     */
+    setTransparent(transparent) {
+        this.options.transparent = Boolean(transparent);
+        
+        if (this.renderWorker) {
+            this.renderWorker.call('', 'setTransparent', [this.options.transparent]);
+            return;
+        }
+        
+        if (this.sceneManager) {
+            this.sceneManager.setBackgroundVisible(!this.options.transparent);
+        }
+    }
+    
+    /**
+     * Let the camera follow dragging and zooming, or hold it still
+     * @param {boolean} interactive - False to ignore pointer input on the canvas
+     */
+    setInteractive(interactive) {
+        this.options.interactive = Boolean(interactive);
+        
+        if (this.sceneManager && this.sceneManager.controls) {
+            this.sceneManager.controls.enabled = this.options.interactive;
+        }
+    }
+    
+    /**
+     * Render the current view and capture it as an image
+     * @param {number} step - Seconds to advance app time first, for exports on a fixed step; 0 captures the view as it is
+     * @returns {Promise<Blob>} - PNG of the canvas
+     */
+    captureFrame(step = 0) {
+        if (step > 0) {
+            this.advanceFrame(step);
+        }
+        
+        if (this.renderWorker) {
+            return this.renderWorker.captureFrame(step);
+        }
+        
+        return new Promise((resolve, reject) => {
+            if (!this.renderer) {
+                reject(new Error('Nothing is rendering'));
+                return;
+            }
+            
+            // Render right before reading, so the drawing buffer still holds the frame
+            this.render();
+            this.renderer.domElement.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('The canvas could not be captured'));
+                }
+            }, 'image/png');
+        });
+    }
+    
+    /**
+     * Advance app time by a step and update everything, without rendering
+     * @param {number} step - Seconds
+     */
+    advanceFrame(step) {
+        this.frameDelta = step;
+        this.elapsedTime += step;
+        this.frameCount++;
+        this.update();
+    }
+    
+    /**
+     * Hand frames over to an export, or take them back
+     * While exporting the animation loop stands still, so only captureFrame draws, and the 3D
+     * navigation is hidden so it does not end up in the frames.
+     * @param {boolean} exporting - True to start, false to return to the clock
+     */
+    setExporting(exporting) {
+        this.exporting = exporting;
+        
+        if (this.uiManager && this.uiManager.uiGroup) {
+            this.uiManager.uiGroup.visible = !exporting;
+        }
+        
+        if (!exporting) {
+            // The time spent exporting is not a frame, nor a hang
+            if (this.clock) this.clock.getDelta();
+            this.lastFrameTime = performance.now();
+        }
+        
+        if (this.renderWorker) {
+            this.renderWorker.call('', 'setExporting', [exporting]);
+        }
+    }
+    
+    /**
+     * Render at a given size rather than the window's, e.g. for an export
+     * The canvas keeps its size on the page; only its drawing buffer changes.
+     * @param {number} width - Width in CSS pixels
+     * @param {number} height - Height in CSS pixels
+     * @param {number} pixelRatio - Device pixels per CSS pixel
+     */
+    setRenderSize(width, height, pixelRatio = 1) {
+        if (this.renderWorker) {
+            this.renderWorker.call('', 'setRenderSize', [width, height, pixelRatio]);
+            return;
+        }
+        
+        if (!this.camera || !this.renderer) return;
+        
+        this.sizes = { width, height };
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+        
+        this.renderer.setPixelRatio(pixelRatio);
+        this.renderer.setSize(width, height, false);
+        
+        const postProcessing = this.postProcessingManager;
+        if (postProcessing && postProcessing.composer) {
+            postProcessing.composer.setPixelRatio(pixelRatio);
+            postProcessing.resize(width, height);
+        }
+        
+        this.effects.resize(width, height);
+    }
+    
+    /**
+     * Start rendering a poster in tiles (see PosterRenderer.js)
+     * The whole view is rendered once at preview size for the bloom, which every tile then
+     * takes its part of. Point sprites are sized in pixels, so they grow with the poster to keep
+     * their size in the picture.
+     * @param {Object} poster - width and height of the poster, previewWidth and previewHeight
+     */
+    beginPoster({ width, height, previewWidth, previewHeight }) {
+        if (this.renderWorker) {
+            this.renderWorker.call('', 'beginPoster', [{ width, height, previewWidth, previewHeight }]);
+            return;
+        }
+        
+        if (!this.camera || !this.renderer || this.poster) return;
+        
+        this.setRenderSize(previewWidth, previewHeight, 1);
+        this.render();
+        if (this.postProcessingManager) {
+            this.postProcessingManager.beginTiles();
+        }
+        
+        const pointScale = width / previewWidth;
+        const pointSizes = new Map(); // pixelRatio uniform -> value to restore
+        this.scene.traverse(object => {
+            const uniforms = object.material && object.material.uniforms;
+            if (uniforms && uniforms.pixelRatio && !pointSizes.has(uniforms.pixelRatio)) {
+                pointSizes.set(uniforms.pixelRatio, uniforms.pixelRatio.value);
+                uniforms.pixelRatio.value *= pointScale;
+            }
+        });
+        
+        this.poster = { width, height, pointSizes };
+    }
+    
+    /**
+     * Point the camera at one tile of the poster; captureFrame then renders it
+     * @param {Object} tile - x and y from the poster's top left, width and height, in poster pixels
+     */
+    setPosterTile({ x, y, width, height }) {
+        if (this.renderWorker) {
+            this.renderWorker.call('', 'setPosterTile', [{ x, y, width, height }]);
+            return;
+        }
+        
+        if (!this.poster) return;
+        
+        // The camera keeps the poster's shape and looks through the tile
+        this.setRenderSize(width, height, 1);
+        this.camera.aspect = this.poster.width / this.poster.height;
+        this.camera.setViewOffset(this.poster.width, this.poster.height, x, y, width, height);
+        
+        // Screen-space effects work in the whole poster, whose UV runs bottom up
+        const offset = [x / this.poster.width, 1 - (y + height) / this.poster.height, width / this.poster.width, height / this.poster.height];
+        if (this.postProcessingManager) {
+            this.postProcessingManager.setTile(...offset);
+        }
+        if (this.gravitationalLensingEffect) {
+            this.gravitationalLensingEffect.setViewOffset(...offset);
+        }
+    }
+    
+    /**
+     * Go back to rendering the whole view after a poster
+     * The render size is left to the caller to restore, as after an export.
+     */
+    endPoster() {
+        if (this.renderWorker) {
+            this.renderWorker.call('', 'endPoster', []);
+            return;
+        }
+        
+        if (!this.poster) return;
+        
+        this.camera.clearViewOffset();
+        this.poster.pointSizes.forEach((value, uniform) => {
+            uniform.value = value;
+        });
+        
+        if (this.postProcessingManager) {
+            this.postProcessingManager.endTiles();
+        }
+        if (this.gravitationalLensingEffect) {
+            this.gravitationalLensingEffect.setViewOffset(0, 0, 1, 1);
+        }
+        
+        this.poster = null;
+    }
+    
+    /**
+     * Save the current view as a PNG
+     */
+    takeScreenshot() {
+        this.captureFrame()
+            .then(blob => downloadBlob(blob, `black-hole-${this.seed}-${Date.now()}.png`))
+            .catch(error => console.error('Failed to take screenshot:', error));
+    }
+    
+    /**
+     * Go to a route, e.g. when something in the scene is picked
+     * Black hole parameters from the current URL are kept.
+     * @param {Object} route - Route (see Router.navigate)
+     */
+    navigate(route) {
+        if (this.router) {
+            this.router.navigate({ blackHoleParams: this.router.route.blackHoleParams, ...route });
+        }
+    }
+    
     /**
      * Calculate gravitational lensing effects
      * @param {Array} rays - Array of light rays
@@ -1250,6 +2421,39 @@ export class App {
         }
     }
     
+    /**
+     * Link that reopens the site with this session's seed
+     * @returns {string} - URL with ?seed= set
+     */
+    getSeedURL() {
+        return seedURL(this.seed);
+    }
+    
+    /**
+     * Start or finish a session recording
+     * Recording reloads the page with the current seed, so the replay starts from the same
+     * state; finishing saves the recording as a JSON file.
+     */
+    toggleRecording() {
+        if (this.recorder.isReplaying) return;
+        
+        if (this.recorder.isRecording) {
+            this.recorder.download(this.recorder.stopRecording());
+        } else {
+            this.recorder.recordFromStart(this.seed);
+        }
+    }
+    
+    /**
+     * Replay a saved recording; the page reloads with the recording's seed
+     * @param {File} file - JSON file saved by toggleRecording
+     */
+    replayRecording(file) {
+        file.text()
+            .then(text => this.recorder.replay(text))
+            .catch(error => console.error('Failed to read recording:', error));
+    }
+    
     /**
      * Create a subtle sound effect for interactions
      * @param {number} volume - Volume of the sound (0-1)
@@ -1263,7 +2467,7 @@ export class App {
             
             // Configure oscillator with a pleasing tone
             oscillator.type = 'sine';
-            const baseFreq = 220 + Math.random() * 220;
+            const baseFreq = 220 + this.random.next() * 220;
             oscillator.frequency.setValueAtTime(baseFreq, audioContext.currentTime);
             oscillator.frequency.exponentialRampToValueAtTime(baseFreq * 1.5, audioContext.currentTime + 0.1);
             
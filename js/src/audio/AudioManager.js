@@ -1,9 +1,14 @@
 export class AudioManager {
     constructor(app) {
         this.app = app;
+        this.random = app.random.fork('AudioManager');
         this.audioContext = null;
         this.masterGain = null;
         this.enabled = true;
+        this.audioToggle = null;
+        this.controlsContainer = null;
+        this.removeStartListeners = null; // Set until the first interaction starts the sound
+        this.subscriptions = []; // App events that play interaction sounds
         
         // Audio nodes
         this.ambientSound = null;
@@ -22,16 +27,38 @@ export class AudioManager {
         
         // Add audio controls to UI
         this.addAudioControls();
+        
+        // Play interaction sounds for what happens elsewhere in the app
+        this.subscribeToEvents();
+    }
+    
+    /**
+     * Follow the app events that have a sound
+     * Sounds are skipped until the first interaction creates the audio context.
+     */
+    subscribeToEvents() {
+        const events = this.app.events;
+        this.subscriptions = [
+            events.on('section:change', ({ sectionId }) => {
+                if (sectionId) this.playSound('orbHover');
+            }),
+            events.on('menu:toggle', () => this.playSound('orbHover')),
+            events.on('fragment:launched', () => this.playSound('dataEntry')),
+            events.on('particles:burst', () => this.playSound('dataEntry')),
+            events.on('fragment:consumed', () => this.playSound('dataAbsorption'))
+        ];
     }
     
     /**
      * Set up audio context (must be triggered by user interaction)
      */
     setupAudioContext() {
+        // Interaction with the page, or only with the view when it is embedded in one
+        const target = this.app.container || document;
+        
         const initializeAudioOnInteraction = () => {
             // Remove event listeners once audio is initialized
-            document.removeEventListener('click', initializeAudioOnInteraction);
-            document.removeEventListener('keydown', initializeAudioOnInteraction);
+            this.removeStartListeners();
             
             // Create audio context
             this.createAudioContext();
@@ -50,8 +77,13 @@ export class AudioManager {
         };
         
         // Set up event listeners for user interaction
-        document.addEventListener('click', initializeAudioOnInteraction);
-        document.addEventListener('keydown', initializeAudioOnInteraction);
+        target.addEventListener('click', initializeAudioOnInteraction);
+        target.addEventListener('keydown', initializeAudioOnInteraction);
+        this.removeStartListeners = () => {
+            target.removeEventListener('click', initializeAudioOnInteraction);
+            target.removeEventListener('keydown', initializeAudioOnInteraction);
+            this.removeStartListeners = null;
+        };
     }
     
     /**
@@ -202,7 +234,7 @@ export class AudioManager {
             play: () => {
                 const osc = this.audioContext.createOscillator();
                 osc.type = 'triangle';
-                osc.frequency.value = 220 + Math.random() * 100;
+                osc.frequency.value = 220 + this.random.next() * 100;
                 
                 const gain = this.audioContext.createGain();
                 gain.gain.value = 0;
@@ -271,7 +303,7 @@ export class AudioManager {
         
         // Fill the buffer with noise
         for (let i = 0; i < bufferSize; i++) {
-            data[i] = Math.random() * 2 - 1;
+            data[i] = this.random.next() * 2 - 1;
         }
         
         this.noiseBuffer = buffer;
@@ -297,8 +329,8 @@ export class AudioManager {
                 // Exponential decay
                 const decay = Math.exp(-n * 5);
                 // Add some randomness for a more natural sound
-                impulseL[i] = (Math.random() * 2 - 1) * decay;
-                impulseR[i] = (Math.random() * 2 - 1) * decay;
+                impulseL[i] = (this.random.next() * 2 - 1) * decay;
+                impulseR[i] = (this.random.next() * 2 - 1) * decay;
             }
             
             // Create convolver node
@@ -335,7 +367,7 @@ export class AudioManager {
             if (!this.ambientSound) return;
             
             // Helper function for random value in range
-            const rand = (min, max) => Math.random() * (max - min) + min;
+            const rand = (min, max) => this.random.next() * (max - min) + min;
             
             // Slowly change pad filter frequency
             const { padFilter, bassFilter, padGain } = this.ambientSound;
@@ -373,13 +405,16 @@ export class AudioManager {
         audioToggle.addEventListener('click', () => this.toggleAudio(audioToggle));
         
         controlsContainer.appendChild(audioToggle);
-        document.body.appendChild(controlsContainer);
+        (this.app.container || document.body).appendChild(controlsContainer);
+        this.audioToggle = audioToggle;
+        this.controlsContainer = controlsContainer;
     }
     
     /**
      * Toggle audio on/off
+     * @param {HTMLElement} audioToggle - Button showing the state, the one from addAudioControls by default
      */
-    toggleAudio(audioToggle) {
+    toggleAudio(audioToggle = this.audioToggle) {
         if (!this.audioContext) return;
         
         this.enabled = !this.enabled;
@@ -392,10 +427,10 @@ export class AudioManager {
             
             if (this.enabled) {
                 this.masterGain.gain.linearRampToValueAtTime(0.7, now + 0.5);
-                audioToggle.classList.remove('muted');
+                if (audioToggle) audioToggle.classList.remove('muted');
             } else {
                 this.masterGain.gain.linearRampToValueAtTime(0.0, now + 0.5);
-                audioToggle.classList.add('muted');
+                if (audioToggle) audioToggle.classList.add('muted');
             }
         }
     }
@@ -467,6 +502,21 @@ export class AudioManager {
      * Dispose of audio resources
      */
     dispose() {
+        // Stop waiting for an interaction that has not come
+        if (this.removeStartListeners) {
+            this.removeStartListeners();
+        }
+        
+        this.subscriptions.forEach(subscription => subscription.dispose());
+        this.subscriptions = [];
+        
+        // Remove UI elements
+        if (this.controlsContainer) {
+            this.controlsContainer.remove();
+            this.controlsContainer = null;
+            this.audioToggle = null;
+        }
+        
         if (!this.audioContext) return;
         
         // Stop all sounds
@@ -518,12 +568,6 @@ export class AudioManager {
             this.audioContext = null;
         }
         
-        // Remove UI elements
-        const audioControls = document.querySelector('.audio-controls');
-        if (audioControls) {
-            audioControls.remove();
-        }
-        
         console.log('Audio Manager disposed');
     }
 } 
\ No newline at end of file
@@ -0,0 +1,331 @@
+import { parseFrontMatter } from './FrontMatter.js';
+import { renderMarkdown, escapeHTML } from './Markdown.js';
+
+/**
+ * Blog
+ * Renders the posts in content/blog into the #blog content section: a list with tag filters
+ * and pagination, and a reader for one post. Posts are Markdown with front-matter (title,
+ * date, tags, summary); content/blog/index.json lists them and is generated, together with
+ * the feeds and sitemap entries, by scripts/build-blog.js.
+ *
+ * Routes (see Router.js): #/blog shows the list, #/blog/<slug> opens a post.
+ */
+
+export const BLOG_INDEX_URL = 'content/blog/index.json';
+
+const POSTS_PER_PAGE = 5;
+
+export class Blog {
+    constructor(app) {
+        this.app = app;
+        this.posts = [];
+        this.loaded = false;
+        this.bodies = new Map(); // slug -> Promise of rendered HTML
+        this.tag = null;
+        this.page = 1;
+        this.container = null;
+        this.route = null; // Last blog route, shown once the index has loaded
+        this.ready = Promise.resolve(); // Settles once the index has loaded (or failed to)
+
+        this.handleRouteChange = this.onRouteChange.bind(this);
+        this.routeSubscription = null;
+        this.handleClick = this.onClick.bind(this);
+    }
+
+    /**
+     * Load the post index and follow blog routes
+     * @returns {Promise} - Resolves once the index has loaded (or failed to)
+     */
+    init() {
+        this.container = document.getElementById('blog-content');
+
+        if (!this.container) {
+            console.warn('Blog section not found; blog disabled');
+            return Promise.resolve();
+        }
+
+        this.container.addEventListener('click', this.handleClick);
+        this.routeSubscription = this.app.events.on('route:change', this.handleRouteChange);
+
+        this.ready = this.load()
+            .then(() => {
+                this.loaded = true;
+                if (this.route) this.show(this.route.item);
+            })
+            .catch(error => {
+                console.error('Failed to load blog index:', error);
+                this.container.innerHTML = '<p class="blog-empty">Posts are not available right now.</p>';
+            });
+
+        return this.ready;
+    }
+
+    /**
+     * Fetch the post index
+     * @returns {Promise} - Resolves once this.posts is set
+     */
+    load() {
+        return fetch(BLOG_INDEX_URL)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(data => {
+                this.posts = (data.posts || []).slice().sort((a, b) => b.date.localeCompare(a.date));
+                console.log(`Blog index loaded: ${this.posts.length} posts`);
+            });
+    }
+
+    /**
+     * Find a post
+     * @param {string} slug - Post slug
+     * @returns {Object|null} - Index entry
+     */
+    getPost(slug) {
+        return this.posts.find(post => post.slug === slug) || null;
+    }
+
+    /**
+     * Every tag in use, most used first
+     * @returns {Array} - [{ tag, count }]
+     */
+    getTags() {
+        const counts = new Map();
+        this.posts.forEach(post => {
+            (post.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+        });
+
+        return Array.from(counts, ([tag, count]) => ({ tag, count }))
+            .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+    }
+
+    /**
+     * Posts matching the current tag filter
+     * @returns {Array} - Index entries
+     */
+    getFilteredPosts() {
+        return this.tag
+            ? this.posts.filter(post => (post.tags || []).includes(this.tag))
+            : this.posts;
+    }
+
+    /**
+     * Load a post's body
+     * @param {string} slug - Post slug
+     * @returns {Promise<string>} - Rendered HTML
+     */
+    loadPost(slug) {
+        if (!this.bodies.has(slug)) {
+            const post = this.getPost(slug);
+            const body = post
+                ? fetch(new URL(post.body, new URL(BLOG_INDEX_URL, window.location.href)))
+                    .then(response => {
+                        if (!response.ok) {
+                            throw new Error(`HTTP error! status: ${response.status}`);
+                        }
+                        return response.text();
+                    })
+                    .then(source => renderMarkdown(parseFrontMatter(source).body))
+                : Promise.reject(new Error(`No post ${slug}`));
+
+            // Let a failed load be retried next time
+            body.catch(() => this.bodies.delete(slug));
+            this.bodies.set(slug, body);
+        }
+
+        return this.bodies.get(slug);
+    }
+
+    /**
+     * Follow the router into and around the blog
+     * @param {Object} route - route:change detail, { section, item }
+     */
+    onRouteChange(route) {
+        if (route.section !== 'blog') return;
+
+        this.route = route;
+        if (this.loaded) this.show(this.route.item);
+    }
+
+    /**
+     * Show a post, or the list
+     * @param {string|null} slug - Post slug, or null for the list
+     */
+    show(slug) {
+        if (slug) {
+            this.renderPost(slug);
+        } else {
+            this.renderList();
+        }
+    }
+
+    /**
+     * Handle tag and page buttons
+     * @param {MouseEvent} event - Click inside the blog container
+     */
+    onClick(event) {
+        const button = event.target.closest('[data-blog-tag], [data-blog-page]');
+        if (!button) return;
+
+        event.preventDefault();
+
+        if (button.dataset.blogTag !== undefined) {
+            this.setTag(button.dataset.blogTag || null);
+        } else {
+            this.setPage(parseInt(button.dataset.blogPage, 10));
+        }
+    }
+
+    /**
+     * Filter the list by tag
+     * @param {string|null} tag - Tag, or null for all posts
+     */
+    setTag(tag) {
+        this.tag = tag;
+        this.page = 1;
+        this.showList();
+    }
+
+    /**
+     * Go to a page of the list
+     * @param {number} page - 1-based page number
+     */
+    setPage(page) {
+        this.page = page;
+        this.showList();
+    }
+
+    /**
+     * Show the list, going back to #/blog first if a post is open
+     */
+    showList() {
+        if (this.route && this.route.item && this.app.router) {
+            // The route change renders the list
+            this.app.router.navigate({ section: 'blog' });
+        } else {
+            this.renderList();
+        }
+    }
+
+    /**
+     * Render the post list: tag filters, one page of posts, page links
+     */
+    renderList() {
+        const posts = this.getFilteredPosts();
+        const pageCount = Math.max(1, Math.ceil(posts.length / POSTS_PER_PAGE));
+        this.page = Math.min(Math.max(1, this.page), pageCount);
+
+        const start = (this.page - 1) * POSTS_PER_PAGE;
+        const pagePosts = posts.slice(start, start + POSTS_PER_PAGE);
+
+        const tags = this.getTags();
+        const filters = tags.length > 0 ? `
+            <div class="blog-tags" role="toolbar" aria-label="Filter posts by tag">
+                <button class="blog-tag${this.tag ? '' : ' active'}" data-blog-tag="">All</button>
+                ${tags.map(({ tag, count }) => `
+                    <button class="blog-tag${tag === this.tag ? ' active' : ''}" data-blog-tag="${escapeHTML(tag)}">${escapeHTML(tag)} <span class="blog-tag-count">${count}</span></button>
+                `).join('')}
+            </div>` : '';
+
+        const list = pagePosts.length > 0
+            ? pagePosts.map(post => `
+                <article class="blog-post">
+                    <h3><a href="#/blog/${encodeURIComponent(post.slug)}">${escapeHTML(post.title)}</a></h3>
+                    <div class="post-date">${formatDate(post.date)}</div>
+                    <p>${escapeHTML(post.summary || '')}</p>
+                    ${this.renderTags(post)}
+                    <a href="#/blog/${encodeURIComponent(post.slug)}" class="read-more">Read More</a>
+                </article>
+            `).join('')
+            : '<p class="blog-empty">No posts yet.</p>';
+
+        const pagination = pageCount > 1 ? `
+            <nav class="blog-pagination" aria-label="Blog pages">
+                <button data-blog-page="${this.page - 1}" ${this.page === 1 ? 'disabled' : ''}>&larr; Newer</button>
+                <span class="blog-page-number">Page ${this.page} of ${pageCount}</span>
+                <button data-blog-page="${this.page + 1}" ${this.page === pageCount ? 'disabled' : ''}>Older &rarr;</button>
+            </nav>` : '';
+
+        this.container.innerHTML = filters + list + pagination;
+        this.container.scrollTop = 0;
+    }
+
+    /**
+     * Render one post in full
+     * @param {string} slug - Post slug
+     */
+    renderPost(slug) {
+        const post = this.getPost(slug);
+
+        if (!post) {
+            this.container.innerHTML = `
+                <p class="blog-empty">That post could not be found.</p>
+                <a href="#/blog" class="blog-back">&larr; All posts</a>
+            `;
+            return;
+        }
+
+        this.container.innerHTML = `
+            <article class="blog-post blog-post-full">
+                <a href="#/blog" class="blog-back">&larr; All posts</a>
+                <h3>${escapeHTML(post.title)}</h3>
+                <div class="post-date">${formatDate(post.date)}</div>
+                ${this.renderTags(post)}
+                <div class="blog-post-body"><div class="loading-indicator">Loading...</div></div>
+            </article>
+        `;
+        this.container.scrollTop = 0;
+
+        const body = this.container.querySelector('.blog-post-body');
+
+        this.loadPost(slug)
+            .then(html => {
+                // Ignore a slow load if the reader has moved on
+                if (body.isConnected) body.innerHTML = html;
+            })
+            .catch(error => {
+                console.error(`Failed to load post ${slug}:`, error);
+                if (body.isConnected) body.innerHTML = '<p>This post is not available right now.</p>';
+            });
+    }
+
+    /**
+     * Tag buttons for a post
+     * @param {Object} post - Index entry
+     * @returns {string} - HTML
+     */
+    renderTags(post) {
+        if (!post.tags || post.tags.length === 0) return '';
+
+        return `<div class="blog-post-tags">${post.tags.map(tag =>
+            `<button class="blog-tag" data-blog-tag="${escapeHTML(tag)}">${escapeHTML(tag)}</button>`
+        ).join('')}</div>`;
+    }
+
+    /**
+     * Stop listening for route changes
+     */
+    dispose() {
+        if (this.routeSubscription) {
+            this.routeSubscription.dispose();
+            this.routeSubscription = null;
+        }
+        if (this.container) {
+            this.container.removeEventListener('click', this.handleClick);
+        }
+    }
+}
+
+/**
+ * Format a post date for display
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} - e.g. "June 15, 2023"
+ */
+function formatDate(date) {
+    const parsed = new Date(`${date}T00:00:00Z`);
+    if (isNaN(parsed.getTime())) return escapeHTML(String(date));
+
+    return parsed.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
@@ -0,0 +1,139 @@
+import { renderMarkdown } from './Markdown.js';
+
+/**
+ * Content manifest
+ * The site's sections, in order, as listed in content/manifest.json. Everything that names a
+ * section is generated from it: the 3D navigation orbs (colour, glow and fragment types), the
+ * DOM nav bar and orb links, the 1–N keyboard shortcuts and the section bodies, which are
+ * Markdown files next to the manifest. Adding a section is an edit to the content directory.
+ *
+ * A section entry:
+ *   id            - Unique slug, also the route (#/id); an id matching a content-section overlay
+ *                   in index.html opens it too
+ *   label         - Nav text
+ *   summary       - One line for the welcome panel
+ *   body          - Markdown file, relative to the manifest
+ *   color         - Theme colour name ('primary', 'secondary', 'tertiary') or a CSS colour
+ *   glowColor     - CSS colour of the orb's glow
+ *   fragmentTypes - Data fragments orbiting the orb, from FRAGMENT_TYPES
+ */
+
+export const MANIFEST_URL = 'content/manifest.json';
+
+export const FRAGMENT_TYPES = ['code', 'data', 'image', 'text'];
+
+const SECTION_DEFAULTS = {
+    summary: '',
+    color: 'primary',
+    glowColor: '#ffffff',
+    fragmentTypes: ['data']
+};
+
+export class ContentManifest {
+    /**
+     * @param {Object} data - Parsed manifest ({ sections: [...] })
+     * @param {string} url - Where the manifest was loaded from; bodies resolve against it
+     */
+    constructor(data = { sections: [] }, url = MANIFEST_URL) {
+        this.url = url;
+        this.sections = normalizeSections(data.sections || []);
+        this.bodies = new Map(); // section id -> Promise of rendered HTML
+    }
+
+    /**
+     * Fetch and parse a manifest
+     * @param {string} url - Manifest URL
+     * @returns {Promise<ContentManifest>} - Resolves with the manifest
+     */
+    static load(url = MANIFEST_URL) {
+        return fetch(url)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(data => new ContentManifest(data, url));
+    }
+
+    /**
+     * Find a section
+     * @param {string} id - Section id
+     * @returns {Object|null} - Section entry
+     */
+    getSection(id) {
+        return this.sections.find(section => section.id === id) || null;
+    }
+
+    /**
+     * Section for a 1-based keyboard shortcut
+     * @param {number} number - Shortcut digit
+     * @returns {Object|null} - Section entry
+     */
+    getSectionByShortcut(number) {
+        return this.sections[number - 1] || null;
+    }
+
+    /**
+     * Load a section's body
+     * @param {string} id - Section id
+     * @returns {Promise<string>} - Rendered HTML
+     */
+    loadBody(id) {
+        if (!this.bodies.has(id)) {
+            const section = this.getSection(id);
+            const body = section && section.body
+                ? fetch(new URL(section.body, new URL(this.url, window.location.href)))
+                    .then(response => {
+                        if (!response.ok) {
+                            throw new Error(`HTTP error! status: ${response.status}`);
+                        }
+                        return response.text();
+                    })
+                    .then(renderMarkdown)
+                : Promise.reject(new Error(`No content for section ${id}`));
+
+            // Let a failed load be retried next time
+            body.catch(() => this.bodies.delete(id));
+            this.bodies.set(id, body);
+        }
+
+        return this.bodies.get(id);
+    }
+
+    /**
+     * Plain data for structured cloning (to the render worker)
+     * @returns {Object} - Manifest data
+     */
+    toJSON() {
+        return { sections: this.sections };
+    }
+}
+
+/**
+ * Fill in defaults and drop entries that cannot be shown
+ * @param {Array} sections - Raw manifest entries
+ * @returns {Array} - Valid sections
+ */
+function normalizeSections(sections) {
+    const ids = new Set();
+
+    return sections.reduce((valid, entry) => {
+        if (!entry || typeof entry.id !== 'string' || !/^[a-z0-9-]+$/.test(entry.id)) {
+            console.warn('Skipping content section without a valid id:', entry);
+            return valid;
+        }
+
+        if (ids.has(entry.id)) {
+            console.warn(`Skipping duplicate content section: ${entry.id}`);
+            return valid;
+        }
+        ids.add(entry.id);
+
+        const section = { ...SECTION_DEFAULTS, ...entry };
+        section.label = entry.label || entry.id.toUpperCase();
+        section.fragmentTypes = (section.fragmentTypes || []).filter(type => FRAGMENT_TYPES.includes(type));
+        valid.push(section);
+        return valid;
+    }, []);
+}
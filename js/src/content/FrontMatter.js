@@ -0,0 +1,84 @@
+/**
+ * Front-matter
+ * Reads the metadata block at the top of a Markdown file:
+ *
+ *   ---
+ *   title: Exploring the Potential of WebGPU
+ *   date: 2023-06-15
+ *   tags: [webgpu, graphics]
+ *   summary: "WebGPU represents the next generation..."
+ *   ---
+ *
+ * Values are single-line strings, optionally quoted, or lists written inline ([a, b]) or as
+ * indented "- item" lines. That is all the blog posts need, so this is not a YAML parser.
+ * Used both in the browser and by scripts/build-blog.js.
+ */
+
+/**
+ * Split a Markdown file into its front-matter and body
+ * @param {string} source - File contents
+ * @returns {Object} - { data, body }; data is empty when there is no front-matter
+ */
+export function parseFrontMatter(source) {
+    const text = source.replace(/\r\n?/g, '\n');
+    const match = text.match(/^---\n([\s\S]*?)\n---\n?/);
+
+    if (!match) {
+        return { data: {}, body: text };
+    }
+
+    const data = {};
+    let listKey = null;
+
+    match[1].split('\n').forEach(line => {
+        if (line.trim() === '' || line.trim().startsWith('#')) return;
+
+        const item = line.match(/^\s+-\s+(.*)$/);
+        if (item && listKey) {
+            data[listKey].push(parseScalar(item[1]));
+            return;
+        }
+
+        const field = line.match(/^([A-Za-z][\w-]*):\s*(.*)$/);
+        if (!field) {
+            console.warn(`Ignoring front-matter line: ${line}`);
+            return;
+        }
+
+        const [, key, value] = field;
+        if (value === '') {
+            // A list follows on indented lines
+            data[key] = [];
+            listKey = key;
+        } else {
+            data[key] = parseValue(value);
+            listKey = null;
+        }
+    });
+
+    return { data, body: text.slice(match[0].length) };
+}
+
+/**
+ * Parse a field value: an inline list or a scalar
+ * @param {string} value - Text after the colon
+ * @returns {string|Array} - Parsed value
+ */
+function parseValue(value) {
+    const list = value.match(/^\[(.*)\]$/);
+    if (list) {
+        return list[1].split(',').map(parseScalar).filter(entry => entry !== '');
+    }
+    return parseScalar(value);
+}
+
+/**
+ * Strip surrounding quotes from a scalar
+ * @param {string} value - Raw value
+ * @returns {string} - Unquoted value
+ */
+function parseScalar(value) {
+    const trimmed = value.trim();
+    const quoted = trimmed.match(/^(["'])(.*)\1$/);
+    return quoted ? quoted[2].replace(/\\"/g, '"') : trimmed;
+}
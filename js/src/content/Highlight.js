@@ -0,0 +1,143 @@
+import { escapeHTML } from './Markdown.js';
+
+/**
+ * Syntax highlighting
+ * Tokenises fenced code blocks for the languages the site writes about and wraps tokens in
+ * <span class="token TYPE">, the classes styles.css already colours (comment, keyword,
+ * function, number, string, punctuation, operator). Unknown languages come back escaped but
+ * unstyled.
+ */
+
+const JS_KEYWORDS = [
+    'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'delete',
+    'do', 'else', 'export', 'extends', 'false', 'finally', 'for', 'from', 'function', 'if', 'import',
+    'in', 'instanceof', 'let', 'new', 'null', 'of', 'return', 'static', 'super', 'switch', 'this',
+    'throw', 'true', 'try', 'typeof', 'undefined', 'var', 'void', 'while', 'yield'
+];
+
+const GLSL_KEYWORDS = [
+    'attribute', 'bool', 'break', 'bvec2', 'bvec3', 'bvec4', 'const', 'continue', 'discard', 'do',
+    'else', 'false', 'float', 'for', 'highp', 'if', 'in', 'inout', 'int', 'ivec2', 'ivec3', 'ivec4',
+    'lowp', 'mat2', 'mat3', 'mat4', 'mediump', 'out', 'precision', 'return', 'sampler2D',
+    'samplerCube', 'struct', 'true', 'uniform', 'varying', 'vec2', 'vec3', 'vec4', 'void', 'while',
+    // WGSL, which the WebGPU posts use
+    'array', 'f32', 'fn', 'i32', 'let', 'u32', 'var', 'vec2f', 'vec3f', 'vec4f'
+];
+
+const keywords = (words) => new RegExp(`\\b(?:${words.join('|')})\\b`, 'y');
+
+const C_COMMENT = /\/\/[^\n]*|\/\*[\s\S]*?\*\//y;
+const NUMBER = /\b(?:0x[\da-fA-F]+|\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+)[fu]?\b/y;
+const FUNCTION = /\b[A-Za-z_$][\w$]*(?=\s*\()/y;
+const PUNCTUATION = /[{}[\]();,.:]/y;
+
+// Rules are tried in order at each position; the first match wins
+const LANGUAGES = {
+    javascript: [
+        ['comment', C_COMMENT],
+        ['string', /(["'`])(?:\\[\s\S]|(?!\1)[^\\])*\1/y],
+        ['keyword', keywords(JS_KEYWORDS)],
+        ['number', NUMBER],
+        ['function', FUNCTION],
+        ['operator', /=>|[-+*/%=!<>&|^~?]+/y],
+        ['punctuation', PUNCTUATION]
+    ],
+    glsl: [
+        ['comment', C_COMMENT],
+        ['keyword', /#\w+/y],
+        ['keyword', keywords(GLSL_KEYWORDS)],
+        ['number', NUMBER],
+        ['function', FUNCTION],
+        ['operator', /->|[-+*/%=!<>&|^~?]+/y],
+        ['punctuation', PUNCTUATION]
+    ],
+    css: [
+        ['comment', /\/\*[\s\S]*?\*\//y],
+        ['string', /(["'])(?:\\.|(?!\1)[^\\\n])*\1/y],
+        ['keyword', /@[\w-]+|![\w]+/y],
+        ['function', /[\w-]+(?=\()/y],
+        ['number', /#[\da-fA-F]{3,8}\b|-?\d*\.?\d+(?:%|[a-z]+)?/y],
+        ['punctuation', /[{}();:,]/y]
+    ],
+    html: [
+        ['comment', /<!--[\s\S]*?-->/y],
+        ['keyword', /<\/?[\w-]+|\/?>/y],
+        ['string', /(["'])[\s\S]*?\1/y],
+        ['operator', /=/y]
+    ],
+    bash: [
+        ['comment', /#[^\n]*/y],
+        ['string', /(["'])(?:\\.|(?!\1)[^\\])*\1/y],
+        ['keyword', /\b(?:cd|export|if|then|fi|for|do|done|npm|npx|node|git)\b/y],
+        ['operator', /[|&;<>]+/y]
+    ],
+    json: [
+        ['string', /"(?:\\.|[^\\"])*"/y],
+        ['number', /-?\d+\.?\d*(?:[eE][+-]?\d+)?/y],
+        ['keyword', /\b(?:true|false|null)\b/y],
+        ['punctuation', /[{}[\],:]/y]
+    ]
+};
+
+const ALIASES = {
+    js: 'javascript',
+    mjs: 'javascript',
+    ts: 'javascript',
+    typescript: 'javascript',
+    frag: 'glsl',
+    vert: 'glsl',
+    wgsl: 'glsl',
+    xml: 'html',
+    sh: 'bash',
+    shell: 'bash'
+};
+
+/**
+ * Highlight a code block
+ * @param {string} code - Source code
+ * @param {string} language - Fence language, e.g. 'js' or 'glsl'
+ * @returns {string} - Escaped HTML with token spans
+ */
+export function highlight(code, language = '') {
+    const name = language.toLowerCase();
+    const rules = LANGUAGES[ALIASES[name] || name];
+    if (!rules) return escapeHTML(code);
+
+    // [type, text] runs; type null is plain text. Neighbouring runs of one type are merged.
+    const runs = [];
+    const append = (type, text) => {
+        const last = runs[runs.length - 1];
+        if (last && last[0] === type) {
+            last[1] += text;
+        } else {
+            runs.push([type, text]);
+        }
+    };
+
+    let position = 0;
+    while (position < code.length) {
+        let matched = false;
+
+        for (const [type, pattern] of rules) {
+            pattern.lastIndex = position;
+            const match = pattern.exec(code);
+            if (match && match[0].length > 0) {
+                append(type, match[0]);
+                position += match[0].length;
+                matched = true;
+                break;
+            }
+        }
+
+        if (!matched) {
+            // Consume a whole word at once, so keywords are not matched inside identifiers
+            const word = code.slice(position).match(/^[\w$]+|^[\s\S]/)[0];
+            append(null, word);
+            position += word.length;
+        }
+    }
+
+    return runs
+        .map(([type, text]) => (type ? `<span class="token ${type}">${escapeHTML(text)}</span>` : escapeHTML(text)))
+        .join('');
+}
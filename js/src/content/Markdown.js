@@ -0,0 +1,141 @@
+import { highlight } from './Highlight.js';
+
+/**
+ * Markdown
+ * Small Markdown renderer for the site's own content files. Covers what the content uses:
+ * ATX headings, paragraphs, bullet and numbered lists, block quotes, fenced code (highlighted
+ * by its language), inline code, emphasis, links and images. Lines starting with an HTML tag
+ * pass through untouched, so a section can embed markup Markdown has no syntax for (buttons,
+ * for example). The input is trusted site content, not user text.
+ */
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Plain text
+ * @returns {string} - Text safe to place in HTML
+ */
+export function escapeHTML(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render inline Markdown: code spans, images, links and emphasis
+ * @param {string} text - One block's text
+ * @returns {string} - HTML
+ */
+export function renderInline(text) {
+    // Code spans first, so nothing inside them is formatted
+    const codeSpans = [];
+    const withoutCode = text.replace(/`([^`]+)`/g, (match, code) => {
+        codeSpans.push(`<code>${escapeHTML(code)}</code>`);
+        return `\u0000${codeSpans.length - 1}\u0000`;
+    });
+
+    return escapeHTML(withoutCode)
+        .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, '<img src="$2" alt="$1">')
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '<a href="$2">$1</a>')
+        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+        .replace(/(^|\W)_([^_\s][^_]*)_(?=\W|$)/g, '$1<em>$2</em>')
+        .replace(/\u0000(\d+)\u0000/g, (match, index) => codeSpans[index]);
+}
+
+/**
+ * Render a Markdown document
+ * @param {string} markdown - Markdown source
+ * @returns {string} - HTML
+ */
+export function renderMarkdown(markdown) {
+    const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+    const html = [];
+    let i = 0;
+
+    const isBlank = (line) => line.trim() === '';
+    const startsBlock = (line) => /^(#{1,6}\s|```|>|\s*[-*]\s|\s*\d+\.\s|<)/.test(line);
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (isBlank(line)) {
+            i++;
+            continue;
+        }
+
+        // Fenced code block
+        const fence = line.match(/^```\s*([\w-]*)/);
+        if (fence) {
+            const code = [];
+            for (i++; i < lines.length && !lines[i].startsWith('```'); i++) {
+                code.push(lines[i]);
+            }
+            i++; // Closing fence
+            const language = fence[1] ? ` class="language-${fence[1]}"` : '';
+            html.push(`<pre><code${language}>${highlight(code.join('\n'), fence[1])}</code></pre>`);
+            continue;
+        }
+
+        // Heading
+        const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+        if (heading) {
+            const level = heading[1].length;
+            html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+            i++;
+            continue;
+        }
+
+        // Raw HTML block, up to the next blank line
+        if (line.startsWith('<')) {
+            const block = [];
+            for (; i < lines.length && !isBlank(lines[i]); i++) {
+                block.push(lines[i]);
+            }
+            html.push(block.join('\n'));
+            continue;
+        }
+
+        // Block quote
+        if (line.startsWith('>')) {
+            const quote = [];
+            for (; i < lines.length && lines[i].startsWith('>'); i++) {
+                quote.push(lines[i].replace(/^>\s?/, ''));
+            }
+            html.push(`<blockquote>${renderMarkdown(quote.join('\n'))}</blockquote>`);
+            continue;
+        }
+
+        // List; continuation lines are indented
+        const list = line.match(/^\s*([-*]|\d+\.)\s+/);
+        if (list) {
+            const ordered = /\d/.test(list[1]);
+            const marker = ordered ? /^\s*\d+\.\s+/ : /^\s*[-*]\s+/;
+            const items = [];
+            while (i < lines.length && !isBlank(lines[i])) {
+                if (marker.test(lines[i])) {
+                    items.push(lines[i].replace(marker, ''));
+                } else if (items.length > 0 && /^\s+/.test(lines[i])) {
+                    items[items.length - 1] += ' ' + lines[i].trim();
+                } else {
+                    break;
+                }
+                i++;
+            }
+            const tag = ordered ? 'ol' : 'ul';
+            html.push(`<${tag}>${items.map(item => `<li>${renderInline(item)}</li>`).join('')}</${tag}>`);
+            continue;
+        }
+
+        // Paragraph
+        const paragraph = [];
+        while (i < lines.length && !isBlank(lines[i]) && (paragraph.length === 0 || !startsBlock(lines[i]))) {
+            paragraph.push(lines[i].trim());
+            i++;
+        }
+        html.push(`<p>${renderInline(paragraph.join(' '))}</p>`);
+    }
+
+    return html.join('\n');
+}
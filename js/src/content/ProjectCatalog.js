@@ -0,0 +1,153 @@
+/**
+ * Project catalog
+ * The projects listed in content/projects.json. The Projects overlay (ProjectShowcase.js)
+ * renders them as filterable cards with detail views, and UIManager puts a satellite per
+ * project around the orb of the PROJECTS_SECTION content section.
+ *
+ * A project entry:
+ *   id          - Unique slug, also the detail URL (#/projects/id)
+ *   title       - Name
+ *   year        - Year of the latest release or work
+ *   status      - One of PROJECT_STATUSES
+ *   featured    - Highlighted in the list
+ *   summary     - One or two sentences for the card
+ *   description - Markdown for the detail view
+ *   tech        - Technologies, which are also the filters
+ *   links       - [{ label, url }]
+ *   images      - [{ src, alt, caption }], relative to the catalog; the first is the cover
+ */
+
+export const PROJECTS_URL = 'content/projects.json';
+
+// Content section whose orb the project satellites circle
+export const PROJECTS_SECTION = 'projects';
+
+export const PROJECT_STATUSES = ['active', 'completed', 'prototype', 'archived'];
+
+// Orders for the list: key -> comparator
+export const PROJECT_SORTS = {
+    newest: (a, b) => b.year - a.year || a.title.localeCompare(b.title),
+    oldest: (a, b) => a.year - b.year || a.title.localeCompare(b.title),
+    title: (a, b) => a.title.localeCompare(b.title),
+    status: (a, b) => PROJECT_STATUSES.indexOf(a.status) - PROJECT_STATUSES.indexOf(b.status) || b.year - a.year
+};
+
+export class ProjectCatalog {
+    /**
+     * @param {Object} data - Parsed catalog ({ projects: [...] })
+     * @param {string} url - Where the catalog was loaded from; images resolve against it
+     */
+    constructor(data = { projects: [] }, url = PROJECTS_URL) {
+        this.url = url;
+        this.projects = normalizeProjects(data.projects || []);
+    }
+
+    /**
+     * Fetch and parse a catalog
+     * @param {string} url - Catalog URL
+     * @returns {Promise<ProjectCatalog>} - Resolves with the catalog
+     */
+    static load(url = PROJECTS_URL) {
+        return fetch(url)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(data => new ProjectCatalog(data, url));
+    }
+
+    /**
+     * Find a project
+     * @param {string} id - Project id
+     * @returns {Object|null} - Project entry
+     */
+    getProject(id) {
+        return this.projects.find(project => project.id === id) || null;
+    }
+
+    /**
+     * Every technology in use, most used first
+     * @returns {Array} - [{ tech, count }]
+     */
+    getTech() {
+        const counts = new Map();
+        this.projects.forEach(project => {
+            project.tech.forEach(tech => counts.set(tech, (counts.get(tech) || 0) + 1));
+        });
+
+        return Array.from(counts, ([tech, count]) => ({ tech, count }))
+            .sort((a, b) => b.count - a.count || a.tech.localeCompare(b.tech));
+    }
+
+    /**
+     * Projects using a technology, in a given order
+     * @param {string|null} tech - Technology, or null for all projects
+     * @param {string} sort - Key of PROJECT_SORTS
+     * @returns {Array} - Project entries
+     */
+    query(tech = null, sort = 'newest') {
+        const projects = tech
+            ? this.projects.filter(project => project.tech.includes(tech))
+            : this.projects.slice();
+
+        return projects.sort(PROJECT_SORTS[sort] || PROJECT_SORTS.newest);
+    }
+
+    /**
+     * Absolute URL of a project image
+     * @param {string} src - Image path from the catalog
+     * @returns {string} - URL
+     */
+    resolveImage(src) {
+        return new URL(src, new URL(this.url, window.location.href)).href;
+    }
+
+    /**
+     * Plain data for structured cloning (to the render worker)
+     * @returns {Object} - Catalog data
+     */
+    toJSON() {
+        return { projects: this.projects };
+    }
+}
+
+/**
+ * Fill in defaults and drop entries that cannot be shown
+ * @param {Array} projects - Raw catalog entries
+ * @returns {Array} - Valid projects
+ */
+function normalizeProjects(projects) {
+    const ids = new Set();
+
+    return projects.reduce((valid, entry) => {
+        if (!entry || typeof entry.id !== 'string' || !/^[a-z0-9-]+$/.test(entry.id) || !entry.title) {
+            console.warn('Skipping project without a valid id and title:', entry);
+            return valid;
+        }
+
+        if (ids.has(entry.id)) {
+            console.warn(`Skipping duplicate project: ${entry.id}`);
+            return valid;
+        }
+        ids.add(entry.id);
+
+        if (entry.status && !PROJECT_STATUSES.includes(entry.status)) {
+            console.warn(`Project ${entry.id} has unknown status ${entry.status}`);
+        }
+
+        valid.push({
+            ...entry,
+            year: Number(entry.year) || 0,
+            status: PROJECT_STATUSES.includes(entry.status) ? entry.status : 'completed',
+            featured: Boolean(entry.featured),
+            summary: entry.summary || '',
+            description: entry.description || '',
+            tech: Array.isArray(entry.tech) ? entry.tech : [],
+            links: (entry.links || []).filter(link => link && link.url),
+            images: (entry.images || []).filter(image => image && image.src)
+        });
+        return valid;
+    }, []);
+}
@@ -0,0 +1,265 @@
+import { renderMarkdown, escapeHTML } from './Markdown.js';
+import { PROJECTS_SECTION, PROJECT_SORTS } from './ProjectCatalog.js';
+
+/**
+ * Project showcase
+ * Renders app.projects (see ProjectCatalog.js) into the #projects content section: cards that
+ * can be filtered by technology and sorted, and a detail view with an image gallery.
+ *
+ * Routes (see Router.js): #/projects shows the cards, #/projects/<id> opens a project. Picking a
+ * project's satellite in the 3D scene goes to the same route.
+ */
+
+const SORT_LABELS = {
+    newest: 'Newest',
+    oldest: 'Oldest',
+    title: 'Title',
+    status: 'Status'
+};
+
+export class ProjectShowcase {
+    constructor(app) {
+        this.app = app;
+        this.tech = null;
+        this.sort = 'newest';
+        this.imageIndex = 0;
+        this.container = null;
+
+        this.handleRouteChange = this.onRouteChange.bind(this);
+        this.routeSubscription = null;
+        this.handleClick = this.onClick.bind(this);
+        this.handleChange = this.onChange.bind(this);
+    }
+
+    /**
+     * Follow project routes
+     */
+    init() {
+        this.container = document.getElementById('projects-content');
+
+        if (!this.container) {
+            console.warn('Projects section not found; project showcase disabled');
+            return;
+        }
+
+        this.container.addEventListener('click', this.handleClick);
+        this.container.addEventListener('change', this.handleChange);
+        this.routeSubscription = this.app.events.on('route:change', this.handleRouteChange);
+
+        this.renderList();
+    }
+
+    /**
+     * Loaded projects
+     * @returns {ProjectCatalog|null} - Catalog
+     */
+    get catalog() {
+        return this.app.projects;
+    }
+
+    /**
+     * Follow the router into and around the projects
+     * @param {Object} route - route:change detail, { section, item }
+     */
+    onRouteChange({ section, item }) {
+        if (section !== PROJECTS_SECTION) return;
+
+        if (item) {
+            this.imageIndex = 0;
+            this.renderProject(item);
+        } else {
+            this.renderList();
+        }
+    }
+
+    /**
+     * Handle tech filters and gallery buttons
+     * @param {MouseEvent} event - Click inside the projects container
+     */
+    onClick(event) {
+        const button = event.target.closest('[data-project-tech], [data-project-image]');
+        if (!button) return;
+
+        event.preventDefault();
+
+        if (button.dataset.projectTech !== undefined) {
+            this.tech = button.dataset.projectTech || null;
+            this.renderList();
+        } else {
+            this.showImage(parseInt(button.dataset.projectImage, 10));
+        }
+    }
+
+    /**
+     * Handle the sort menu
+     * @param {Event} event - Change inside the projects container
+     */
+    onChange(event) {
+        if (!event.target.matches('[data-project-sort]')) return;
+
+        this.sort = PROJECT_SORTS[event.target.value] ? event.target.value : 'newest';
+        this.renderList();
+    }
+
+    /**
+     * Render the project cards with their filters
+     */
+    renderList() {
+        const catalog = this.catalog;
+        if (!catalog || catalog.projects.length === 0) {
+            this.container.innerHTML = '<p class="projects-empty">Projects are not available right now.</p>';
+            return;
+        }
+
+        // A filter from another visit may no longer exist
+        if (this.tech && !catalog.getTech().some(({ tech }) => tech === this.tech)) {
+            this.tech = null;
+        }
+
+        const filters = `
+            <div class="projects-toolbar">
+                <div class="project-filters" role="toolbar" aria-label="Filter projects by technology">
+                    <button class="project-tag${this.tech ? '' : ' active'}" data-project-tech="">All</button>
+                    ${catalog.getTech().map(({ tech, count }) => `
+                        <button class="project-tag${tech === this.tech ? ' active' : ''}" data-project-tech="${escapeHTML(tech)}">${escapeHTML(tech)} <span class="project-tag-count">${count}</span></button>
+                    `).join('')}
+                </div>
+                <label class="project-sort">Sort by
+                    <select data-project-sort>
+                        ${Object.keys(PROJECT_SORTS).map(key => `
+                            <option value="${key}"${key === this.sort ? ' selected' : ''}>${SORT_LABELS[key] || key}</option>
+                        `).join('')}
+                    </select>
+                </label>
+            </div>`;
+
+        const cards = catalog.query(this.tech, this.sort).map(project => {
+            const cover = project.images[0];
+            return `
+                <a class="project-card${project.featured ? ' featured' : ''}" href="#/${PROJECTS_SECTION}/${encodeURIComponent(project.id)}">
+                    ${cover ? `<img class="project-cover" src="${escapeHTML(catalog.resolveImage(cover.src))}" alt="${escapeHTML(cover.alt || '')}" loading="lazy">` : ''}
+                    <div class="project-title">${escapeHTML(project.title)}</div>
+                    ${this.renderMeta(project)}
+                    <div class="project-description"><p>${escapeHTML(project.summary)}</p></div>
+                    <div class="project-tech">${project.tech.map(escapeHTML).join(' • ')}</div>
+                </a>
+            `;
+        }).join('');
+
+        this.container.innerHTML = `${filters}<div class="projects-container">${cards}</div>`;
+        this.container.scrollTop = 0;
+    }
+
+    /**
+     * Render one project with its gallery and links
+     * @param {string} id - Project id
+     */
+    renderProject(id) {
+        const project = this.catalog ? this.catalog.getProject(id) : null;
+
+        if (!project) {
+            this.container.innerHTML = `
+                <p class="projects-empty">That project could not be found.</p>
+                <a href="#/${PROJECTS_SECTION}" class="project-back">&larr; All projects</a>
+            `;
+            return;
+        }
+
+        const links = project.links.length > 0 ? `
+            <ul class="project-links">
+                ${project.links.map(link => `
+                    <li><a href="${escapeHTML(link.url)}" target="_blank" rel="noopener">${escapeHTML(link.label || link.url)}</a></li>
+                `).join('')}
+            </ul>` : '';
+
+        this.container.innerHTML = `
+            <article class="project-detail">
+                <a href="#/${PROJECTS_SECTION}" class="project-back">&larr; All projects</a>
+                <h3>${escapeHTML(project.title)}</h3>
+                ${this.renderMeta(project)}
+                ${this.renderGallery(project)}
+                <div class="project-body">${renderMarkdown(project.description || project.summary)}</div>
+                <div class="project-tech">${project.tech.map(escapeHTML).join(' • ')}</div>
+                ${links}
+            </article>
+        `;
+        this.container.scrollTop = 0;
+    }
+
+    /**
+     * Year and status line
+     * @param {Object} project - Project entry
+     * @returns {string} - HTML
+     */
+    renderMeta(project) {
+        return `
+            <div class="project-meta">
+                ${project.year ? `<span class="project-year">${project.year}</span>` : ''}
+                <span class="project-status project-status-${project.status}">${project.status}</span>
+            </div>`;
+    }
+
+    /**
+     * Main image, caption and thumbnails
+     * @param {Object} project - Project entry
+     * @returns {string} - HTML
+     */
+    renderGallery(project) {
+        if (project.images.length === 0) return '';
+
+        const images = project.images;
+        const index = Math.min(this.imageIndex, images.length - 1);
+        const image = images[index];
+
+        const controls = images.length > 1 ? `
+            <div class="project-gallery-nav">
+                <button data-project-image="${(index - 1 + images.length) % images.length}" aria-label="Previous image">&larr;</button>
+                <div class="project-thumbnails">
+                    ${images.map((thumb, i) => `
+                        <button class="project-thumbnail${i === index ? ' active' : ''}" data-project-image="${i}" aria-label="Image ${i + 1}">
+                            <img src="${escapeHTML(this.catalog.resolveImage(thumb.src))}" alt="">
+                        </button>
+                    `).join('')}
+                </div>
+                <button data-project-image="${(index + 1) % images.length}" aria-label="Next image">&rarr;</button>
+            </div>` : '';
+
+        return `
+            <figure class="project-gallery">
+                <img class="project-gallery-image" src="${escapeHTML(this.catalog.resolveImage(image.src))}" alt="${escapeHTML(image.alt || '')}">
+                ${image.caption ? `<figcaption>${escapeHTML(image.caption)}</figcaption>` : ''}
+                ${controls}
+            </figure>`;
+    }
+
+    /**
+     * Switch the gallery of the open project
+     * @param {number} index - Image index
+     */
+    showImage(index) {
+        const gallery = this.container.querySelector('.project-gallery');
+        const route = this.app.router ? this.app.router.route : null;
+        const project = route && this.catalog ? this.catalog.getProject(route.item) : null;
+        if (!gallery || !project || isNaN(index)) return;
+
+        this.imageIndex = index;
+
+        const template = document.createElement('template');
+        template.innerHTML = this.renderGallery(project).trim();
+        gallery.replaceWith(template.content);
+    }
+
+    /**
+     * Stop listening for route changes
+     */
+    dispose() {
+        if (this.routeSubscription) {
+            this.routeSubscription.dispose();
+            this.routeSubscription = null;
+        }
+        if (this.container) {
+            this.container.removeEventListener('click', this.handleClick);
+            this.container.removeEventListener('change', this.handleChange);
+        }
+    }
+}
@@ -0,0 +1,251 @@
+import { escapeHTML } from './Markdown.js';
+
+/**
+ * Search index
+ * An inverted index over the site's text: every word points at the documents that contain it
+ * and how often. A query matches a word exactly, as a prefix (so results appear while typing)
+ * or within a small edit distance (so typos still find something); every query word has to
+ * match for a document to be a result. Titles count for more than body text.
+ *
+ * A document:
+ *   title   - Result heading
+ *   text    - Plain text to search and take snippets from
+ *   kind    - Label shown with the result, e.g. 'Blog'
+ *   section - Route section to open
+ *   item    - Route item to open, or null
+ */
+
+// Score multipliers for how a query word matched an indexed word
+const MATCH_WEIGHTS = {
+    exact: 1,
+    prefix: 0.7,
+    fuzzy: 0.4
+};
+
+const TITLE_BOOST = 3;
+
+// Shorter words only match exactly or by prefix
+const FUZZY_MIN_LENGTH = 4;
+
+const SNIPPET_LENGTH = 160;
+
+export class SearchIndex {
+    constructor() {
+        this.documents = [];
+        this.terms = new Map(); // word -> Map(document index -> weighted count)
+    }
+
+    /**
+     * Add a document
+     * @param {Object} document - { title, text, kind, section, item }
+     */
+    add(document) {
+        const index = this.documents.length;
+        this.documents.push(document);
+
+        const count = (word, weight) => {
+            if (!this.terms.has(word)) {
+                this.terms.set(word, new Map());
+            }
+            const postings = this.terms.get(word);
+            postings.set(index, (postings.get(index) || 0) + weight);
+        };
+
+        tokenize(document.title).forEach(word => count(word, TITLE_BOOST));
+        tokenize(document.text).forEach(word => count(word, 1));
+    }
+
+    /**
+     * Find documents matching every word of a query, best first
+     * @param {string} query - Search text
+     * @param {number} limit - Maximum number of results
+     * @returns {Array} - [{ document, score, terms }], terms being the indexed words that matched
+     */
+    search(query, limit = 20) {
+        const words = tokenize(query);
+        if (words.length === 0) return [];
+
+        let results = null; // document index -> { score, terms }
+
+        for (const word of words) {
+            const matches = new Map();
+
+            this.expand(word).forEach(({ term, weight }) => {
+                const postings = this.terms.get(term);
+                const idf = Math.log(1 + this.documents.length / postings.size);
+
+                postings.forEach((count, index) => {
+                    const match = matches.get(index) || { score: 0, terms: [] };
+                    match.score = Math.max(match.score, count * idf * weight);
+                    match.terms.push(term);
+                    matches.set(index, match);
+                });
+            });
+
+            // Keep only documents that matched every word so far
+            if (results === null) {
+                results = matches;
+            } else {
+                results.forEach((result, index) => {
+                    const match = matches.get(index);
+                    if (match) {
+                        result.score += match.score;
+                        result.terms.push(...match.terms);
+                    } else {
+                        results.delete(index);
+                    }
+                });
+            }
+
+            if (results.size === 0) return [];
+        }
+
+        return Array.from(results, ([index, { score, terms }]) => ({
+            document: this.documents[index],
+            score,
+            terms: Array.from(new Set(terms))
+        }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+
+    /**
+     * Indexed words a query word stands for
+     * @param {string} word - Normalised query word
+     * @returns {Array} - [{ term, weight }]
+     */
+    expand(word) {
+        const expansions = [];
+        const maxDistance = word.length >= 8 ? 2 : (word.length >= FUZZY_MIN_LENGTH ? 1 : 0);
+
+        this.terms.forEach((postings, term) => {
+            if (term === word) {
+                expansions.push({ term, weight: MATCH_WEIGHTS.exact });
+            } else if (term.startsWith(word)) {
+                expansions.push({ term, weight: MATCH_WEIGHTS.prefix });
+            } else if (maxDistance > 0 && Math.abs(term.length - word.length) <= maxDistance &&
+                editDistance(term, word, maxDistance) <= maxDistance) {
+                expansions.push({ term, weight: MATCH_WEIGHTS.fuzzy });
+            }
+        });
+
+        return expansions;
+    }
+}
+
+/**
+ * Split text into normalised words
+ * @param {string} text - Text
+ * @returns {Array} - Lowercase words without accents
+ */
+export function tokenize(text) {
+    return (normalize(text || '').match(/[a-z0-9]+/g) || []);
+}
+
+/**
+ * Lowercase and strip accents
+ * @param {string} text - Text
+ * @returns {string} - Normalised text
+ */
+function normalize(text) {
+    return text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Plain text of rendered HTML
+ * @param {string} html - HTML
+ * @returns {string} - Text with tags removed and whitespace collapsed
+ */
+export function htmlToText(html) {
+    return String(html)
+        .replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#0?39;/g, "'")
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Escaped HTML with matched words in <mark>
+ * @param {string} text - Plain text
+ * @param {Array} terms - Indexed words that matched
+ * @returns {string} - HTML
+ */
+export function highlightTerms(text, terms) {
+    const matched = new Set(terms);
+    let html = '';
+    let last = 0;
+
+    for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+        const words = tokenize(match[0]);
+        if (words.length > 0 && words.every(word => matched.has(word))) {
+            html += escapeHTML(text.slice(last, match.index)) + `<mark>${escapeHTML(match[0])}</mark>`;
+            last = match.index + match[0].length;
+        }
+    }
+
+    return html + escapeHTML(text.slice(last));
+}
+
+/**
+ * A piece of a document's text around its first match
+ * @param {string} text - Plain text
+ * @param {Array} terms - Indexed words that matched
+ * @returns {string} - HTML with matches in <mark>
+ */
+export function snippet(text, terms) {
+    const matched = new Set(terms);
+    let start = 0;
+
+    for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+        if (tokenize(match[0]).some(word => matched.has(word))) {
+            start = Math.max(0, match.index - SNIPPET_LENGTH / 4);
+            break;
+        }
+    }
+
+    // Start and end on word boundaries
+    if (start > 0) {
+        start = text.indexOf(' ', start) + 1 || start;
+    }
+    let end = Math.min(text.length, start + SNIPPET_LENGTH);
+    if (end < text.length) {
+        end = text.lastIndexOf(' ', end) > start ? text.lastIndexOf(' ', end) : end;
+    }
+
+    return (start > 0 ? '&hellip;' : '') +
+        highlightTerms(text.slice(start, end), terms) +
+        (end < text.length ? '&hellip;' : '');
+}
+
+/**
+ * Levenshtein distance, giving up once it exceeds a limit
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} limit - Largest distance of interest
+ * @returns {number} - Distance, or limit + 1 when greater than limit
+ */
+function editDistance(a, b, limit) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+
+        if (rowMin > limit) return limit + 1;
+        previous = current;
+    }
+
+    return previous[b.length];
+}
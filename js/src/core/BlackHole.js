@@ -11,36 +11,70 @@ import {
     magneticFieldVertexShader,
     magneticFieldFragmentShader
 } from '../shaders/BlackHoleShader.js';
+import { clampSpin, iscoRadius } from '../physics/KerrGeodesics.js';
+import { diskTemperature } from '../physics/AccretionDisk.js';
+import { SCENE_UNITS_PER_M, SOLAR_MASS, fromSceneLength, sceneHorizonRadius, toSceneLength } from '../physics/Units.js';
+
+// Default outer edge of the accretion disk in M
+const ACCRETION_DISK_OUTER_RADIUS = 14;
 
 export class BlackHole {
-    constructor(app) {
+    /**
+     * @param {Object} app - The main app instance
+     * @param {Object} options - Optional { position, scale, spin, mass }; scale is the body's mass in units of the
+     *     reference mass, mass is in kg and sets the disk's physical temperatures
+     */
+    constructor(app, options = {}) {
         this.app = app;
+        this.random = app.random.fork('BlackHole');
+        this.spin = clampSpin(options.spin || 0);
+        this.mass = options.mass || SOLAR_MASS;
+        
+        // All meshes live in one group so a black hole can be moved and resized as a unit
+        this.group = new THREE.Group();
+        if (options.position) this.group.position.copy(options.position);
+        if (options.scale) this.group.scale.setScalar(options.scale);
+        
         this.blackHole = null;
         this.accretionDisk = null;
         this.eventHorizon = null;
         this.hawkingRadiation = null;
         this.magneticFieldLines = [];
         this.hawkingRadiationData = null;
+        this.peakDiskTemperature = 0; // Hottest emitted disk temperature in K for the physical mode
         
-        // Black hole parameters
+        // Black hole parameters; sizes are scene units for a hole of the reference mass (see Units.js)
         this.blackHoleParams = {
-            radius: this.app.config.blackHoleRadius || 10,
+            radius: sceneHorizonRadius(this.spin),
             intensity: 1.0,
             rotationSpeed: 0.05,
             distortion: 1.0,
-            accretionDiskSize: this.app.config.accretionDiskRadius || 15,
+            accretionDiskInnerRadius: toSceneLength(iscoRadius(this.spin)),
+            accretionDiskSize: ACCRETION_DISK_OUTER_RADIUS, // Outer edge in M, unlike the other sizes
             accretionDiskIntensity: 0.8,
             hawkingIntensity: 0.7,
             magneticFieldStrength: 0.6,
             eventHorizonIntensity: 0.9,
-            lensStrength: 3.0
+            lensStrength: 3.0,
+            
+            // Accretion disk emission: 'stylized' colours, or a physical 'novikov-thorne' or
+            // 'shakura-sunyaev' thin disk with Doppler beaming and gravitational redshift
+            diskEmission: 'stylized',
+            accretionRate: 0.1, // Fraction of the Eddington rate
+            inclination: 0, // Tilt of the spin axis toward the viewer in degrees
+            displayPeakTemperature: 9000 // Colour temperature shown for the hottest ring, 0 for true colours
         };
+        this.defaultParams = { ...this.blackHoleParams };
+        
+        this.group.rotation.x = THREE.MathUtils.degToRad(this.blackHoleParams.inclination);
     }
     
     /**
      * Initialize the black hole and related effects
      */
     init() {
+        this.app.scene.add(this.group);
+        
         this.createBlackHoleMesh();
         this.createAccretionDisk();
         this.createEventHorizonParticles();
@@ -73,7 +107,7 @@ export class BlackHole {
         
         this.blackHole = new THREE.Mesh(sphereGeometry, blackHoleMaterial);
         this.blackHole.userData.shader = blackHoleMaterial;
-        this.app.scene.add(this.blackHole);
+        this.group.add(this.blackHole);
     }
     
     /**
@@ -88,31 +122,32 @@ export class BlackHole {
         const sizes = new Float32Array(particleCount);
         const colors = new Float32Array(particleCount * 3);
         const offsetValues = new Float32Array(particleCount);
+        const temperatures = new Float32Array(particleCount); // Filled by updateDiskEmission
         
         // Distribute particles in a disk shape
         for (let i = 0; i < particleCount; i++) {
             // Generate random angle and radius for disk shape
-            const angle = Math.random() * Math.PI * 2;
-            const innerRadius = this.blackHoleParams.radius * 1.05; // Ensure particles start just outside the black hole
-            const outerRadius = this.blackHoleParams.accretionDiskSize;
+            const angle = this.random.next() * Math.PI * 2;
+            const innerRadius = this.blackHoleParams.accretionDiskInnerRadius; // The disk ends at the ISCO
+            const outerRadius = toSceneLength(this.blackHoleParams.accretionDiskSize);
             
             // Distribution with more particles close to the black hole
-            const radiusSqrt = Math.sqrt(Math.random());
+            const radiusSqrt = Math.sqrt(this.random.next());
             const radius = innerRadius + (outerRadius - innerRadius) * radiusSqrt;
             
             // Add some thickness to the disk
             const thickness = 0.5 * (1 - (radius - innerRadius) / (outerRadius - innerRadius));
-            const heightVariation = (Math.random() - 0.5) * thickness;
+            const heightVariation = (this.random.next() - 0.5) * thickness;
             
             positions[i * 3] = Math.cos(angle) * radius;
             positions[i * 3 + 1] = heightVariation;
             positions[i * 3 + 2] = Math.sin(angle) * radius;
             
             // Particles are smaller at the inner edge (closer to black hole)
-            sizes[i] = Math.max(0.1, Math.random() * 0.2 * (radius / outerRadius));
+            sizes[i] = Math.max(0.1, this.random.next() * 0.2 * (radius / outerRadius));
             
             // Offset values for animation
-            offsetValues[i] = Math.random() * Math.PI * 2;
+            offsetValues[i] = this.random.next() * Math.PI * 2;
             
             // Colors ranging from hot orange/yellow (inner) to cool blue (outer)
             const normalizedRadius = (radius - innerRadius) / (outerRadius - innerRadius);
@@ -139,13 +174,24 @@ export class BlackHole {
         diskGeometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
         diskGeometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
         diskGeometry.setAttribute('offset', new THREE.BufferAttribute(offsetValues, 1));
+        diskGeometry.setAttribute('temperature', new THREE.BufferAttribute(temperatures, 1));
         
         // Create shader material
         const diskMaterial = new THREE.ShaderMaterial({
             uniforms: {
                 time: { value: 0 },
                 pixelRatio: { value: window.devicePixelRatio },
-                intensity: { value: this.blackHoleParams.accretionDiskIntensity }
+                intensity: { value: this.blackHoleParams.accretionDiskIntensity },
+                truncationRadius: { value: 1e6 }, // No truncation
+                orbitDirection: { value: this.spin < 0 ? -1 : 1 },
+                
+                // Physical emission model
+                physicalEmission: { value: false },
+                spin: { value: Math.abs(this.spin) },
+                unitsPerM: { value: SCENE_UNITS_PER_M },
+                observerPosition: { value: new THREE.Vector3() },
+                peakTemperature: { value: 1 },
+                displayPeakTemperature: { value: this.blackHoleParams.displayPeakTemperature }
             },
             vertexShader: accretionDiskVertexShader,
             fragmentShader: accretionDiskFragmentShader,
@@ -156,8 +202,68 @@ export class BlackHole {
         
         this.accretionDisk = new THREE.Points(diskGeometry, diskMaterial);
         this.accretionDisk.userData.shader = diskMaterial;
+        this.accretionDisk.userData.outerRadius = toSceneLength(this.blackHoleParams.accretionDiskSize);
         this.accretionDisk.frustumCulled = false;
-        this.app.scene.add(this.accretionDisk);
+        this.group.add(this.accretionDisk);
+        
+        this.updateDiskEmission();
+    }
+    
+    /**
+     * Stretch the disk out to its outer edge, keeping each particle's place between the edges
+     * Temperatures depend on radius, so updateDiskEmission should follow.
+     */
+    updateDiskSize() {
+        if (!this.accretionDisk) return;
+        
+        const innerRadius = this.blackHoleParams.accretionDiskInnerRadius;
+        const outerRadius = toSceneLength(this.blackHoleParams.accretionDiskSize);
+        const previousRadius = this.accretionDisk.userData.outerRadius;
+        if (outerRadius === previousRadius) return;
+        
+        const stretch = (outerRadius - innerRadius) / (previousRadius - innerRadius);
+        const positions = this.accretionDisk.geometry.getAttribute('position');
+        
+        for (let i = 0; i < positions.count; i++) {
+            const radius = Math.hypot(positions.getX(i), positions.getZ(i));
+            const scale = (innerRadius + (radius - innerRadius) * stretch) / radius;
+            positions.setX(i, positions.getX(i) * scale);
+            positions.setZ(i, positions.getZ(i) * scale);
+        }
+        
+        positions.needsUpdate = true;
+        this.accretionDisk.userData.outerRadius = outerRadius;
+    }
+    
+    /**
+     * Recompute the disk's emitted temperatures for the current emission model and accretion rate
+     */
+    updateDiskEmission() {
+        if (!this.accretionDisk) return;
+        
+        const { diskEmission, accretionRate, displayPeakTemperature } = this.blackHoleParams;
+        const physical = diskEmission !== 'stylized';
+        const uniforms = this.accretionDisk.userData.shader.uniforms;
+        
+        uniforms.physicalEmission.value = physical;
+        uniforms.displayPeakTemperature.value = displayPeakTemperature;
+        if (!physical) return;
+        
+        const positions = this.accretionDisk.geometry.getAttribute('position');
+        const temperatureAttribute = this.accretionDisk.geometry.getAttribute('temperature');
+        const params = { mass: this.mass, spin: this.spin, accretionRate, model: diskEmission };
+        let peak = 0;
+        
+        for (let i = 0; i < positions.count; i++) {
+            const radius = Math.hypot(positions.getX(i), positions.getZ(i));
+            const temperature = diskTemperature(fromSceneLength(radius), params);
+            temperatureAttribute.setX(i, temperature);
+            peak = Math.max(peak, temperature);
+        }
+        
+        temperatureAttribute.needsUpdate = true;
+        this.peakDiskTemperature = peak;
+        uniforms.peakTemperature.value = Math.max(peak, 1);
     }
     
     /**
@@ -177,8 +283,8 @@ export class BlackHole {
         
         for (let i = 0; i < particleCount; i++) {
             // Create particles on a sphere around the event horizon
-            const theta = Math.random() * Math.PI * 2;
-            const phi = Math.acos(2 * Math.random() - 1);
+            const theta = this.random.next() * Math.PI * 2;
+            const phi = Math.acos(2 * this.random.next() - 1);
             
             const x = horizonRadius * Math.sin(phi) * Math.cos(theta);
             const y = horizonRadius * Math.sin(phi) * Math.sin(theta);
@@ -189,7 +295,7 @@ export class BlackHole {
             positions[i * 3 + 2] = z;
             
             // Random color between primary and secondary
-            const mixAmount = Math.random();
+            const mixAmount = this.random.next();
             const color = new THREE.Color().lerpColors(primaryColor, secondaryColor, mixAmount);
             
             colors[i * 3] = color.r;
@@ -197,7 +303,7 @@ export class BlackHole {
             colors[i * 3 + 2] = color.b;
             
             // Varied particle sizes
-            sizes[i] = Math.random() * 0.5 + 0.1;
+            sizes[i] = this.random.next() * 0.5 + 0.1;
         }
         
         particlesGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
@@ -220,7 +326,7 @@ export class BlackHole {
         this.eventHorizonParticles = new THREE.Points(particlesGeometry, particlesMaterial);
         this.eventHorizonParticles.userData.shader = particlesMaterial;
         this.eventHorizonParticles.frustumCulled = false;
-        this.app.scene.add(this.eventHorizonParticles);
+        this.group.add(this.eventHorizonParticles);
     }
     
     /**
@@ -241,17 +347,17 @@ export class BlackHole {
         // Initial particle state - place them away from the scene at first
         for (let i = 0; i < particleCount; i++) {
             // Start particles farther out in a spherical formation
-            const phi = Math.random() * Math.PI * 2;
-            const cosTheta = Math.random() * 2 - 1;
+            const phi = this.random.next() * Math.PI * 2;
+            const cosTheta = this.random.next() * 2 - 1;
             const sinTheta = Math.sqrt(1 - cosTheta * cosTheta);
-            const radius = this.blackHoleParams.radius * 1.2 + Math.random() * 0.5;
+            const radius = this.blackHoleParams.radius * 1.2 + this.random.next() * 0.5;
             
             positions[i * 3] = radius * sinTheta * Math.cos(phi);
             positions[i * 3 + 1] = radius * sinTheta * Math.sin(phi);
             positions[i * 3 + 2] = radius * cosTheta;
             
             // Smaller, more subtle particles
-            sizes[i] = Math.random() * 0.05 + 0.02;
+            sizes[i] = this.random.next() * 0.05 + 0.02;
             
             // Alternating particle types (escaping/in-falling)
             types[i] = i % 2 === 0 ? 1.0 : 0.0;
@@ -288,7 +394,7 @@ export class BlackHole {
         
         // Only add to scene if intensity is above minimum threshold
         if (this.blackHoleParams.hawkingIntensity > 0.1) {
-            this.app.scene.add(this.hawkingRadiation);
+            this.group.add(this.hawkingRadiation);
         }
         
         // Store original positions and other properties for animation
@@ -321,8 +427,8 @@ export class BlackHole {
             const lineProgress = new Float32Array(pointsPerLine);
             
             // Create a randomized starting position around the black hole
-            const theta = Math.random() * Math.PI * 2;
-            const phi = Math.acos(2 * Math.random() - 1);
+            const theta = this.random.next() * Math.PI * 2;
+            const phi = Math.acos(2 * this.random.next() - 1);
             
             const startRadius = this.blackHoleParams.radius * 1.2;
             const startX = startRadius * Math.sin(phi) * Math.cos(theta);
@@ -336,7 +442,7 @@ export class BlackHole {
                 // Create a spiraling path
                 const radius = startRadius + t * 15;
                 const spiralAngle = theta + t * 10 + i * (Math.PI * 2 / lineCount);
-                const spiralHeight = startZ + (Math.random() - 0.5) * 5;
+                const spiralHeight = startZ + (this.random.next() - 0.5) * 5;
                 
                 const x = radius * Math.cos(spiralAngle);
                 const y = radius * Math.sin(spiralAngle);
@@ -370,7 +476,7 @@ export class BlackHole {
             
             const line = new THREE.Line(lineGeometry, lineMaterial);
             line.userData.shader = lineMaterial;
-            this.app.scene.add(line);
+            this.group.add(line);
             this.magneticFieldLines.push(line);
         }
     }
@@ -406,17 +512,17 @@ export class BlackHole {
             this.blackHoleParams.hawkingIntensity <= 0.1) {
             
             // If visible but should be hidden, remove from scene
-            if (this.hawkingRadiation && this.app.scene.children.includes(this.hawkingRadiation) && 
+            if (this.hawkingRadiation && this.group.children.includes(this.hawkingRadiation) && 
                 (!this.blackHoleParams || this.blackHoleParams.hawkingIntensity <= 0.1)) {
-                this.app.scene.remove(this.hawkingRadiation);
+                this.group.remove(this.hawkingRadiation);
             }
             
             return;
         }
         
         // If it should be visible but isn't in the scene, add it
-        if (!this.app.scene.children.includes(this.hawkingRadiation)) {
-            this.app.scene.add(this.hawkingRadiation);
+        if (!this.group.children.includes(this.hawkingRadiation)) {
+            this.group.add(this.hawkingRadiation);
         }
         
         // Update shader time uniform with a slower value to reduce flickering
@@ -435,7 +541,7 @@ export class BlackHole {
         // Use time to create a emission rate that depends on intensity
         // Lower emission rate to reduce visual noise
         const emissionRate = 0.02 * intensity;
-        const emitParticle = Math.random() < emissionRate;
+        const emitParticle = this.random.next() < emissionRate;
         
         for (let i = 0; i < particleCount; i++) {
             // Calculate current position
@@ -480,8 +586,8 @@ export class BlackHole {
                 // Only emit new particles based on emission rate
                 if (emitParticle || i % 50 === 0) { // Much less frequent respawning
                     // Similar to creation logic - reset at emission radius
-                    const phi = Math.random() * Math.PI * 2;
-                    const cosTheta = Math.random() * 2 - 1;
+                    const phi = this.random.next() * Math.PI * 2;
+                    const cosTheta = this.random.next() * 2 - 1;
                     const sinTheta = Math.sqrt(1 - cosTheta * cosTheta);
                     
                     // Reset position to emission radius
@@ -493,13 +599,13 @@ export class BlackHole {
                     particleType[i] = i % 2 === 0 ? 1.0 : 0.0;
                     
                     // Reset size for variation
-                    sizes[i] = Math.random() * 0.05 + 0.02;
+                    sizes[i] = this.random.next() * 0.05 + 0.02;
                 } else {
                     // For particles we don't reset, move them far away but not at the same position
                     // to prevent clumping when they return
-                    x = 1000 + Math.random() * 100;
-                    y = 1000 + Math.random() * 100;
-                    z = 1000 + Math.random() * 100;
+                    x = 1000 + this.random.next() * 100;
+                    y = 1000 + this.random.next() * 100;
+                    z = 1000 + this.random.next() * 100;
                 }
             }
             
@@ -537,8 +643,12 @@ export class BlackHole {
         // Update accretion disk
         if (this.accretionDisk && this.accretionDisk.userData.shader) {
             this.accretionDisk.userData.shader.uniforms.intensity.value = this.blackHoleParams.accretionDiskIntensity;
+            this.updateDiskSize();
+            this.updateDiskEmission();
         }
         
+        this.group.rotation.x = THREE.MathUtils.degToRad(this.blackHoleParams.inclination);
+        
         // Update magnetic field lines
         if (this.magneticFieldLines) {
             this.magneticFieldLines.forEach(line => {
@@ -547,6 +657,15 @@ export class BlackHole {
         }
     }
     
+    /**
+     * Replace parameter overrides, returning any others to their defaults
+     * @param {Object} params - blackHoleParams values to use instead of the defaults
+     */
+    setParams(params) {
+        Object.assign(this.blackHoleParams, this.defaultParams, params);
+        this.updateBlackHoleFromControls();
+    }
+    
     /**
      * Update black hole and related effects
      */
@@ -557,7 +676,13 @@ export class BlackHole {
         }
         
         if (this.accretionDisk && this.accretionDisk.userData.shader) {
-            this.accretionDisk.userData.shader.uniforms.time.value = time;
+            const uniforms = this.accretionDisk.userData.shader.uniforms;
+            uniforms.time.value = time;
+            
+            // Doppler shifts depend on where the disk is seen from
+            if (uniforms.physicalEmission.value) {
+                this.group.worldToLocal(uniforms.observerPosition.value.copy(this.app.camera.position));
+            }
         }
         
         if (this.eventHorizonParticles && this.eventHorizonParticles.userData.shader) {
@@ -576,4 +701,43 @@ export class BlackHole {
         // Update Hawking radiation with more complex movement
         this.updateHawkingRadiation(time);
     }
-} 
\ No newline at end of file
+    
+    /**
+     * Place this black hole in the scene (one body of a multi-body system)
+     * @param {THREE.Vector3} position - World position
+     * @param {number} scale - Size relative to the default black hole
+     */
+    setTransform(position, scale) {
+        this.group.position.copy(position);
+        this.group.scale.setScalar(scale);
+    }
+    
+    /**
+     * Strip the accretion disk beyond a radius, as a companion's tides would
+     * @param {number} radius - Truncation radius in the black hole's local units (Infinity for none)
+     */
+    setDiskTruncation(radius) {
+        if (this.accretionDisk && this.accretionDisk.userData.shader) {
+            this.accretionDisk.userData.shader.uniforms.truncationRadius.value = Math.min(radius, 1e6);
+        }
+    }
+    
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        this.group.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) object.material.dispose();
+        });
+        
+        // Hawking radiation may be detached from the group while inactive
+        if (this.hawkingRadiation && !this.hawkingRadiation.parent) {
+            this.hawkingRadiation.geometry.dispose();
+            this.hawkingRadiation.material.dispose();
+        }
+        
+        this.app.scene.remove(this.group);
+        this.magneticFieldLines = [];
+    }
+}
@@ -130,11 +130,12 @@ export class BlackHoleApp {
     animate() {
         if (!this.initialized) return;
         
-        const time = this.clock.getElapsedTime();
+        const delta = this.clock.getDelta();
+        const time = this.clock.elapsedTime;
         
         // Update components
         if (this.blackHole) this.blackHole.update(time);
-        if (this.particleSystem) this.particleSystem.update(time);
+        if (this.particleSystem) this.particleSystem.update(delta, time);
         if (this.uiManager) this.uiManager.update(time);
         
         // Render
@@ -0,0 +1,247 @@
+import * as THREE from 'three';
+import { BlackHole } from './BlackHole.js';
+import {
+    createBody,
+    createBinaryBodies,
+    orbitalPeriod,
+    ringdownStrain
+} from '../physics/CompactBodies.js';
+import { clampSpin } from '../physics/KerrGeodesics.js';
+import { SOLAR_MASS, gravitationalRadius, metersToScene, sceneHorizonRadius } from '../physics/Units.js';
+
+/**
+ * BlackHoleSystem - Renders a multi-body black hole system from physics updates
+ * Keeps one BlackHole per compact body, following the worker's positions, truncating each
+ * accretion disk at its Roche lobe and shaking the merger remnant with its ringdown.
+ */
+export class BlackHoleSystem {
+    /**
+     * Preset systems, built around a reference (total) mass in kg
+     */
+    static presets = {
+        single: {
+            label: 'Single black hole'
+        },
+        binary: {
+            label: 'Equal-mass binary',
+            createBodies: (mass) => createBinaryBodies({
+                totalMass: mass,
+                massRatio: 1,
+                separation: 20 * gravitationalRadius(mass)
+            })
+        },
+        'unequal-binary': {
+            label: 'Binary, mass ratio 1:3',
+            createBodies: (mass) => createBinaryBodies({
+                totalMass: mass,
+                massRatio: 1 / 3,
+                separation: 20 * gravitationalRadius(mass),
+                spins: [0.7, 0]
+            })
+        },
+        triple: {
+            label: 'Hierarchical triple',
+            createBodies: (mass) => {
+                // Tight inner binary with a light companion on a wide orbit
+                const innerMass = mass * 0.8;
+                const outerMass = mass - innerMass;
+                const outerSeparation = 45 * gravitationalRadius(mass);
+                const outerSpeed = 2 * Math.PI * outerSeparation / orbitalPeriod(mass, outerSeparation);
+                const inner = createBinaryBodies({
+                    position: [-outerSeparation * outerMass / mass, 0, 0],
+                    totalMass: innerMass,
+                    massRatio: 0.6,
+                    separation: 14 * gravitationalRadius(mass)
+                });
+                inner.forEach(body => { body.velocity[2] -= outerSpeed * outerMass / mass; });
+
+                return [
+                    ...inner,
+                    createBody({
+                        id: 3,
+                        position: [outerSeparation * innerMass / mass, 0, 0],
+                        velocity: [0, 0, outerSpeed * innerMass / mass],
+                        mass: outerMass,
+                        spin: 0.3
+                    })
+                ];
+            }
+        }
+    };
+
+    constructor(app) {
+        this.app = app;
+        this.blackHoles = new Map(); // body id -> BlackHole
+        this.bodies = [];
+        this.referenceMass = SOLAR_MASS;
+        this.blackHoleParams = {}; // Overrides applied to every black hole, e.g. from the URL
+
+        // Settings
+        this.settings = {
+            ringdownAmplitude: 0.15, // Fractional size change at the start of a ringdown
+            orbitSeconds: 4 // Real seconds per orbit of the tightest pair at the start
+        };
+    }
+
+    /**
+     * Initialize the system
+     * @param {number} referenceMass - Total mass in kg that sets the length scale
+     */
+    init(referenceMass) {
+        this.referenceMass = referenceMass || this.referenceMass;
+    }
+
+    /**
+     * Simulated seconds per real second so the tightest pair starts at settings.orbitSeconds per orbit
+     * @param {Array} bodies - Compact bodies
+     * @returns {number} - Time scale for PhysicsController
+     */
+    timeScaleFor(bodies) {
+        let shortestPeriod = Infinity;
+
+        for (let i = 0; i < bodies.length; i++) {
+            for (let j = i + 1; j < bodies.length; j++) {
+                const a = bodies[i];
+                const b = bodies[j];
+                const separation = Math.hypot(
+                    a.position[0] - b.position[0],
+                    a.position[1] - b.position[1],
+                    a.position[2] - b.position[2]
+                );
+                shortestPeriod = Math.min(shortestPeriod, orbitalPeriod(a.mass + b.mass, separation));
+            }
+        }
+
+        return Number.isFinite(shortestPeriod) ? shortestPeriod / this.settings.orbitSeconds : 1;
+    }
+
+    /**
+     * Convert a physics position (meters) to scene coordinates
+     * @param {Array} position - Position in meters
+     * @returns {THREE.Vector3} - Scene position
+     */
+    toScenePosition(position) {
+        return new THREE.Vector3(
+            metersToScene(position[0], this.referenceMass),
+            metersToScene(position[1], this.referenceMass),
+            metersToScene(position[2], this.referenceMass)
+        );
+    }
+
+    /**
+     * Scene scale of a body's BlackHole: its mass relative to the reference, swelling with any ringdown
+     * @param {Object} body - Compact body
+     * @returns {number} - Uniform scale
+     */
+    bodyScale(body) {
+        return body.mass / this.referenceMass * (1 + this.settings.ringdownAmplitude * ringdownStrain(body));
+    }
+
+    /**
+     * Roche lobe radius of a body relative to its nearest neighbour (Eggleton 1983)
+     * @param {Object} body - Compact body
+     * @returns {number} - Radius in meters, Infinity for an isolated body
+     */
+    rocheLobeRadius(body) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+
+        this.bodies.forEach(other => {
+            if (other === body) return;
+            const distance = Math.hypot(
+                body.position[0] - other.position[0],
+                body.position[1] - other.position[1],
+                body.position[2] - other.position[2]
+            );
+            if (distance < nearestDistance) {
+                nearest = other;
+                nearestDistance = distance;
+            }
+        });
+
+        if (!nearest) return Infinity;
+
+        const q23 = Math.pow(body.mass / nearest.mass, 2 / 3);
+        const q13 = Math.pow(body.mass / nearest.mass, 1 / 3);
+        return nearestDistance * 0.49 * q23 / (0.6 * q23 + Math.log(1 + q13));
+    }
+
+    /**
+     * Sync rendered black holes with the latest physics bodies
+     * @param {Array} bodies - Compact bodies from the physics simulation
+     */
+    setBodies(bodies) {
+        this.bodies = bodies;
+        const ids = new Set(bodies.map(body => body.id));
+
+        // Remove black holes that merged away
+        this.blackHoles.forEach((blackHole, id) => {
+            if (!ids.has(id)) {
+                blackHole.dispose();
+                this.blackHoles.delete(id);
+            }
+        });
+
+        bodies.forEach(body => {
+            let blackHole = this.blackHoles.get(body.id);
+
+            // Horizon and ISCO depend on spin, which only changes when the body absorbs another
+            if (blackHole && blackHole.spin !== clampSpin(body.spin)) {
+                blackHole.dispose();
+                blackHole = null;
+            }
+
+            if (!blackHole) {
+                blackHole = new BlackHole(this.app, { spin: body.spin, mass: body.mass });
+                Object.assign(blackHole.blackHoleParams, this.blackHoleParams);
+                blackHole.init();
+                this.blackHoles.set(body.id, blackHole);
+            }
+
+            // BlackHole meshes are sized for the reference mass, so scale by this body's mass
+            const scale = this.bodyScale(body);
+            blackHole.setTransform(this.toScenePosition(body.position), scale);
+            blackHole.setDiskTruncation(metersToScene(this.rocheLobeRadius(body), this.referenceMass) / scale);
+        });
+    }
+
+    /**
+     * Override parameters of every black hole, now and as they are created
+     * @param {Object} params - blackHoleParams values; any not given return to their defaults
+     */
+    setBlackHoleParams(params) {
+        this.blackHoleParams = { ...params };
+        this.blackHoles.forEach(blackHole => blackHole.setParams(this.blackHoleParams));
+    }
+
+    /**
+     * Lens descriptions for GravitationalLensing
+     * @returns {Array} - [{ position, radius, mass, spin }] with world positions and horizon radii in scene units
+     *     and masses relative to the reference mass
+     */
+    getLensingBodies() {
+        return this.bodies.map(body => ({
+            position: this.toScenePosition(body.position),
+            radius: sceneHorizonRadius(body.spin) * this.bodyScale(body),
+            mass: body.mass / this.referenceMass,
+            spin: body.spin
+        }));
+    }
+
+    /**
+     * Update all black holes
+     * @param {number} time - Elapsed time in seconds
+     */
+    update(time) {
+        this.blackHoles.forEach(blackHole => blackHole.update(time));
+    }
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        this.blackHoles.forEach(blackHole => blackHole.dispose());
+        this.blackHoles.clear();
+        this.bodies = [];
+    }
+}
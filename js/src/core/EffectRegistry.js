@@ -0,0 +1,254 @@
+/**
+ * Effect registry
+ * The scene effects (lensing, nebula, particles, time dilation and any added later) are
+ * registered here with a name and an order, and App drives them all through the registry
+ * instead of one by one. Effects can be registered, removed and turned on or off at any time.
+ *
+ * An effect is an object with any of these methods; missing ones are skipped:
+ *   init()                  - Build, e.g. add meshes to app.scene; called on register
+ *   update(delta, time)     - Each frame: seconds since the last frame, and app time
+ *   resize(width, height)   - The rendered size changed, in CSS pixels
+ *   setQualityLevel(level)  - 'low', 'medium' or 'high'
+ *   setActive(active)       - Show or hide; called when the effect is turned on or off
+ *   onContextLost()         - The WebGL context is gone; free what was made for it
+ *   onContextRestored()     - It is back; rebuild what onContextLost freed, on or off as before
+ *   getPasses()             - Post-processing passes to add, as [{ pass, order }] (see
+ *                             PostProcessingManager.updatePasses for the built-in orders)
+ *   dispose()               - Take everything out of the scene and free it
+ *
+ * Effects are updated, resized and so on in ascending order, and registered effects with the
+ * same order keep the order they were registered in. Turned-off effects are not updated and
+ * their passes leave the chain, but they still follow resizes and quality changes.
+ */
+
+export class EffectRegistry {
+    constructor(app) {
+        this.app = app;
+        this.entries = []; // { name, effect, order, enabled, alias, passes }, sorted by order
+    }
+
+    /**
+     * Add and initialize an effect, replacing any with the same name
+     * @param {string} name - Unique name, e.g. 'timeDilation'
+     * @param {Object} effect - The effect (see above)
+     * @param {Object} options - order (default 0), enabled (default true), and alias: an App
+     *     field that also points at the effect, for code that looks it up there
+     * @returns {Object|null} - The effect, or null if it failed to start
+     */
+    register(name, effect, { order = 0, enabled = true, alias = null } = {}) {
+        if (!this.app.scene) {
+            console.error(`Cannot register effect ${name}: there is no scene on this thread`);
+            return null;
+        }
+
+        if (this.has(name)) {
+            console.warn(`Replacing effect ${name}`);
+            this.unregister(name);
+        }
+
+        try {
+            if (effect.init) effect.init();
+        } catch (error) {
+            console.error(`Failed to initialize effect ${name}:`, error);
+            return null;
+        }
+
+        const entry = { name, effect, order, enabled: true, alias, passes: [] };
+        entry.passes = this.call(entry, 'getPasses') || [];
+
+        // After the last entry with the same order or lower
+        const index = this.entries.findIndex(other => other.order > order);
+        this.entries.splice(index === -1 ? this.entries.length : index, 0, entry);
+
+        if (alias) this.app[alias] = effect;
+
+        if (!enabled) {
+            this.setEnabled(name, false);
+        } else if (entry.passes.length > 0) {
+            this.updatePasses();
+        }
+
+        return effect;
+    }
+
+    /**
+     * Remove and dispose of an effect
+     * @param {string} name - Effect name
+     */
+    unregister(name) {
+        const entry = this.find(name);
+        if (!entry) return;
+
+        this.entries.splice(this.entries.indexOf(entry), 1);
+        if (entry.alias) this.app[entry.alias] = null;
+        if (entry.passes.length > 0) this.updatePasses();
+
+        this.call(entry, 'dispose');
+    }
+
+    /**
+     * @param {string} name - Effect name
+     * @returns {Object|null} - The effect
+     */
+    get(name) {
+        const entry = this.find(name);
+        return entry ? entry.effect : null;
+    }
+
+    /**
+     * @param {string} name - Effect name
+     * @returns {boolean} - True if registered
+     */
+    has(name) {
+        return Boolean(this.find(name));
+    }
+
+    /**
+     * @returns {Array} - [{ name, order, enabled }] in order
+     */
+    list() {
+        return this.entries.map(({ name, order, enabled }) => ({ name, order, enabled }));
+    }
+
+    /**
+     * @param {string} name - Effect name
+     * @returns {boolean} - True if registered and turned on
+     */
+    isEnabled(name) {
+        const entry = this.find(name);
+        return Boolean(entry && entry.enabled);
+    }
+
+    /**
+     * Turn an effect on or off
+     * @param {string} name - Effect name
+     * @param {boolean} enabled - True to show and update it
+     */
+    setEnabled(name, enabled) {
+        const entry = this.find(name);
+        if (!entry) {
+            console.warn(`Cannot turn ${enabled ? 'on' : 'off'} effect ${name}: not registered`);
+            return;
+        }
+
+        entry.enabled = enabled;
+        this.call(entry, 'setActive', enabled);
+
+        if (entry.passes.length > 0) this.updatePasses();
+    }
+
+    /**
+     * Turn an effect on if it is off, and off if it is on
+     * @param {string} name - Effect name
+     */
+    toggle(name) {
+        this.setEnabled(name, !this.isEnabled(name));
+    }
+
+    /**
+     * Passes of the effects that are on, for the post-processing chain
+     * @returns {Array} - [{ pass, order }]
+     */
+    getPasses() {
+        return this.entries
+            .filter(entry => entry.enabled)
+            .flatMap(entry => entry.passes);
+    }
+
+    /**
+     * Advance the effects that are on by a frame
+     * @param {number} delta - Seconds since the last frame
+     * @param {number} time - App time in seconds
+     */
+    update(delta, time) {
+        this.entries
+            .filter(entry => entry.enabled)
+            .forEach(entry => this.call(entry, 'update', delta, time));
+    }
+
+    /**
+     * @param {number} width - Rendered width in CSS pixels
+     * @param {number} height - Rendered height in CSS pixels
+     */
+    resize(width, height) {
+        this.invoke('resize', width, height);
+    }
+
+    /**
+     * @param {string} level - 'low', 'medium' or 'high'
+     */
+    setQualityLevel(level) {
+        this.invoke('setQualityLevel', level);
+    }
+
+    contextLost() {
+        this.invoke('onContextLost');
+    }
+
+    contextRestored() {
+        this.invoke('onContextRestored');
+
+        // Rebuilt effects come back with new passes
+        this.entries.forEach(entry => {
+            entry.passes = this.call(entry, 'getPasses') || [];
+        });
+        this.updatePasses();
+    }
+
+    /**
+     * Call a method on every effect that has it, on or off, e.g. 'updateColors'
+     * @param {string} method - Method name
+     * @param {...*} args - Arguments
+     */
+    invoke(method, ...args) {
+        this.entries.forEach(entry => this.call(entry, method, ...args));
+    }
+
+    /**
+     * Dispose of every effect, last first
+     */
+    dispose() {
+        [...this.entries].reverse().forEach(entry => {
+            if (entry.alias) this.app[entry.alias] = null;
+            this.call(entry, 'dispose');
+        });
+        this.entries = [];
+    }
+
+    /**
+     * @param {string} name - Effect name
+     * @returns {Object|undefined} - Registry entry
+     */
+    find(name) {
+        return this.entries.find(entry => entry.name === name);
+    }
+
+    /**
+     * Call one effect's method, if it has it
+     * A failing effect is logged and the others carry on.
+     * @param {Object} entry - Registry entry
+     * @param {string} method - Method name
+     * @param {...*} args - Arguments
+     * @returns {*} - What the method returned
+     */
+    call(entry, method, ...args) {
+        if (typeof entry.effect[method] !== 'function') return undefined;
+
+        try {
+            return entry.effect[method](...args);
+        } catch (error) {
+            console.error(`Effect ${entry.name} failed in ${method}:`, error);
+            return undefined;
+        }
+    }
+
+    /**
+     * Rebuild the post-processing chain after passes came or went
+     */
+    updatePasses() {
+        const postProcessing = this.app.postProcessingManager;
+        if (postProcessing && postProcessing.composer) {
+            postProcessing.updatePasses();
+        }
+    }
+}
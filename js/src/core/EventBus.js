@@ -0,0 +1,125 @@
+/**
+ * App events
+ * Modules tell each other what happened through app.events rather than events on window or
+ * calls into each other's fields. Each app has its own bus, so a <black-hole-view> on a page
+ * does not hear the site's sections change, and a render worker's app has one of its own.
+ *
+ * Events, who emits them and their detail:
+ *   section:change      UIManager        { sectionId } - a section opened; null for the overview
+ *   route:change        Router           { section, item } - the page or the item in it changed
+ *   params:change       Router           { params } - black hole parameter overrides from a link,
+ *                                        history navigation or the control panel
+ *   quality:change      App              { level, reduced } - reduced when lowered after slow frames
+ *   keybindings:change  CommandRegistry  {} - keys were rebound or reset
+ *   fragment:launched   UIController     { text } - text was typed into the Data Singularity
+ *   fragment:consumed   FragmentArchive  { id, captured, ejected, lingered } - the black hole
+ *                                        captured an archived fragment; debris in particles
+ *   archive:change      FragmentArchive  {} - fragments were archived, settled or cleared
+ *   particles:burst     index.html       { x, y, text } - burst of particles at a point in
+ *                                        normalized device coordinates (-1 to 1)
+ *   menu:toggle         UIController     { open } - the mobile menu opened or closed
+ *   context:lost        App              {} - the WebGL context is gone and rendering stopped
+ *   context:restored    App              {} - it is back and rendering again
+ *
+ * on() returns a subscription; dispose() it to stop listening. Emitting or listening for a
+ * type not listed here logs a warning, as it is most likely a typo.
+ */
+
+export const APP_EVENTS = [
+    'section:change',
+    'route:change',
+    'params:change',
+    'quality:change',
+    'keybindings:change',
+    'fragment:launched',
+    'fragment:consumed',
+    'archive:change',
+    'particles:burst',
+    'menu:toggle',
+    'context:lost',
+    'context:restored'
+];
+
+export class EventBus {
+    constructor() {
+        this.listeners = new Map(); // type -> Set of handlers
+    }
+
+    /**
+     * Listen for an event
+     * @param {string} type - Event type, e.g. 'section:change'
+     * @param {Function} handler - Called with the event's detail
+     * @returns {Object} - Subscription; its dispose() removes the handler
+     */
+    on(type, handler) {
+        checkType(type);
+
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+
+        // Wrapped, so the same function can be subscribed twice and disposed of separately
+        const listener = (detail) => handler(detail);
+        this.listeners.get(type).add(listener);
+
+        return {
+            dispose: () => {
+                const listeners = this.listeners.get(type);
+                if (listeners) listeners.delete(listener);
+            }
+        };
+    }
+
+    /**
+     * Listen for the next event of a type only
+     * @param {string} type - Event type
+     * @param {Function} handler - Called with the event's detail
+     * @returns {Object} - Subscription, to stop waiting early
+     */
+    once(type, handler) {
+        const subscription = this.on(type, (detail) => {
+            subscription.dispose();
+            handler(detail);
+        });
+        return subscription;
+    }
+
+    /**
+     * Tell everyone listening for a type
+     * A failing handler is logged and the rest still run.
+     * @param {string} type - Event type
+     * @param {Object} detail - Event detail (see above)
+     */
+    emit(type, detail = {}) {
+        checkType(type);
+
+        const listeners = this.listeners.get(type);
+        if (!listeners) return;
+
+        // Handlers may subscribe or dispose while this runs
+        [...listeners].forEach(listener => {
+            try {
+                listener(detail);
+            } catch (error) {
+                console.error(`Error in ${type} handler:`, error);
+            }
+        });
+    }
+
+    /**
+     * Drop every subscription
+     */
+    dispose() {
+        this.listeners.clear();
+    }
+}
+
+/**
+ * Warn about an event type that is not documented above
+ * @param {string} type - Event type
+ */
+function checkType(type) {
+    if (!APP_EVENTS.includes(type)) {
+        console.warn(`Unknown app event: ${type}`);
+    }
+}
@@ -0,0 +1,392 @@
+/**
+ * Black hole parameter schema
+ * Every black hole parameter a user can change, in one place: the control panel builds its
+ * sliders from it (see ControlPanel.js), links carry it as bh.<key> (see Router.js) and
+ * App.setBlackHoleParams sends each group where it belongs:
+ *
+ *   physics   - The simulated hole (PhysicsController blackHoleData)
+ *   blackHole - BlackHole.blackHoleParams of every drawn black hole
+ *   effects   - Gravitational lensing, time dilation and post-processing
+ *
+ * A parameter:
+ *   key         - Name in blackHoleParams and in links
+ *   group       - One of the groups above
+ *   label       - What the panel shows
+ *   min, max    - Range; values outside it are clamped
+ *   step        - Slider step; for log-scale parameters, in powers of ten
+ *   scale       - 'log' for parameters spanning decades
+ *   options     - [{ value, label }] for a choice instead of a number
+ *   default     - Value without an override
+ *   unit        - Shown after the value
+ *   description - One or two sentences for the panel
+ */
+
+export const PARAMETER_GROUPS = [
+    {
+        id: 'physics',
+        label: 'Physics',
+        description: 'The simulated black hole that typed text and fragments fall into.'
+    },
+    {
+        id: 'blackHole',
+        label: 'Accretion disk',
+        description: 'How black holes drawn with a disk look, as in multi-body systems.'
+    },
+    {
+        id: 'effects',
+        label: 'Effects',
+        description: 'Lensing, time dilation and post-processing. Without an override the quality level decides.'
+    }
+];
+
+export const PARAMETER_SCHEMA = [
+    // Physics
+    {
+        key: 'mass',
+        group: 'physics',
+        label: 'Mass',
+        min: 1,
+        max: 1e10,
+        step: 0.01,
+        scale: 'log',
+        default: 1,
+        unit: 'M☉',
+        description: 'Sets how fast the simulation runs and where fragments are torn apart. The scene is drawn in units of the hole\'s size, so it looks the same.'
+    },
+    {
+        key: 'spin',
+        group: 'physics',
+        label: 'Spin',
+        min: 0,
+        max: 0.998,
+        step: 0.001,
+        default: 0,
+        unit: 'a/M',
+        description: 'How fast the hole turns. Spin drags space around with it (frame dragging), shrinks the horizon and the innermost stable orbit and makes the shadow lopsided.'
+    },
+
+    // Accretion disk
+    {
+        key: 'inclination',
+        group: 'blackHole',
+        label: 'Inclination',
+        min: 0,
+        max: 90,
+        step: 1,
+        default: 0,
+        unit: '°',
+        description: 'Tilt of the spin axis toward the viewer; 90° sees the disk edge on.'
+    },
+    {
+        key: 'accretionDiskSize',
+        group: 'blackHole',
+        label: 'Disk size',
+        min: 10,
+        max: 30,
+        step: 0.5,
+        default: 14,
+        unit: 'M',
+        description: 'Outer edge of the accretion disk. The inner edge stays at the innermost stable orbit.'
+    },
+    {
+        key: 'diskEmission',
+        group: 'blackHole',
+        label: 'Disk emission',
+        options: [
+            { value: 'stylized', label: 'Stylized' },
+            { value: 'novikov-thorne', label: 'Novikov-Thorne' },
+            { value: 'shakura-sunyaev', label: 'Shakura-Sunyaev' }
+        ],
+        default: 'stylized',
+        description: 'Stylized colours, or a physical thin disk with Doppler beaming and gravitational redshift.'
+    },
+    {
+        key: 'accretionRate',
+        group: 'blackHole',
+        label: 'Accretion rate',
+        min: 1e-9,
+        max: 1,
+        step: 0.01,
+        scale: 'log',
+        default: 0.1,
+        unit: 'Eddington',
+        description: 'Fraction of the Eddington rate, which sets the temperature of the physical disks.'
+    },
+    {
+        key: 'displayPeakTemperature',
+        group: 'blackHole',
+        label: 'Display temperature',
+        min: 0,
+        max: 20000,
+        step: 100,
+        default: 9000,
+        unit: 'K',
+        description: 'Colour temperature shown for the hottest ring of the physical disks; 0 shows true colours.'
+    },
+    {
+        key: 'accretionDiskIntensity',
+        group: 'blackHole',
+        label: 'Disk brightness',
+        min: 0,
+        max: 2,
+        step: 0.05,
+        default: 0.8,
+        description: 'Brightness of the accretion disk.'
+    },
+    {
+        key: 'intensity',
+        group: 'blackHole',
+        label: 'Horizon glow',
+        min: 0,
+        max: 3,
+        step: 0.1,
+        default: 1.0,
+        description: 'Glow around the event horizon.'
+    },
+    {
+        key: 'magneticFieldStrength',
+        group: 'blackHole',
+        label: 'Magnetic field',
+        min: 0,
+        max: 2,
+        step: 0.05,
+        default: 0.6,
+        description: 'Brightness of the magnetic field lines threading the disk.'
+    },
+    {
+        key: 'hawkingIntensity',
+        group: 'blackHole',
+        label: 'Hawking radiation',
+        min: 0,
+        max: 2,
+        step: 0.05,
+        default: 0.7,
+        description: 'Particles leaving the horizon. Real Hawking radiation from holes this size is far too faint to see.'
+    },
+
+    // Effects
+    {
+        key: 'lensStrength',
+        group: 'effects',
+        label: 'Lensing',
+        min: 0,
+        max: 5,
+        step: 0.1,
+        default: 2.0,
+        description: 'Strength of the bending of background light.'
+    },
+    {
+        key: 'dilationStrength',
+        group: 'effects',
+        label: 'Time dilation',
+        min: 0,
+        max: 5,
+        step: 0.1,
+        default: 2.0,
+        unit: '×',
+        description: 'How strongly the time dilation field, particles and clocks exaggerate the slowing of time near the horizon. Shown when the effect is turned on.'
+    },
+    {
+        key: 'bloomStrength',
+        group: 'effects',
+        label: 'Bloom',
+        min: 0,
+        max: 3,
+        step: 0.05,
+        default: 1.0,
+        description: 'Glow around bright parts of the picture.'
+    },
+    {
+        key: 'filmGrain',
+        group: 'effects',
+        label: 'Film grain',
+        min: 0,
+        max: 0.5,
+        step: 0.01,
+        default: 0.05,
+        description: 'Noise over the picture.'
+    }
+];
+
+// Named starting points; parameters not given keep their defaults. Masses are measured, spins
+// and inclinations are rough, the accretion rates are orders of magnitude and the disk sizes
+// only look the part.
+export const PARAMETER_PRESETS = [
+    {
+        id: 'sgr-a',
+        name: 'Sgr A*',
+        params: {
+            mass: 4.3e6,
+            spin: 0.9,
+            inclination: 30,
+            diskEmission: 'novikov-thorne',
+            accretionRate: 1e-8,
+            accretionDiskSize: 12
+        }
+    },
+    {
+        id: 'm87',
+        name: 'M87*',
+        params: {
+            mass: 6.5e9,
+            spin: 0.9,
+            inclination: 17,
+            diskEmission: 'novikov-thorne',
+            accretionRate: 1e-5,
+            accretionDiskSize: 20
+        }
+    },
+    {
+        id: 'stellar',
+        name: 'Stellar-mass (Cygnus X-1)',
+        params: {
+            mass: 21,
+            spin: 0.95,
+            inclination: 27,
+            diskEmission: 'shakura-sunyaev',
+            accretionRate: 0.02,
+            accretionDiskSize: 24
+        }
+    },
+    {
+        id: 'extreme-kerr',
+        name: 'Extreme Kerr',
+        params: {
+            mass: 1e6,
+            spin: 0.998,
+            inclination: 80,
+            diskEmission: 'novikov-thorne',
+            accretionRate: 0.3,
+            accretionDiskSize: 10,
+            lensStrength: 3.0,
+            dilationStrength: 4.0
+        }
+    }
+];
+
+/**
+ * Schema entry for a parameter
+ * @param {string} key - Parameter key
+ * @returns {Object|undefined} - Parameter
+ */
+export function getParameter(key) {
+    return PARAMETER_SCHEMA.find(param => param.key === key);
+}
+
+/**
+ * Every parameter at its default
+ * @returns {Object} - key -> default
+ */
+export function defaultParams() {
+    return Object.fromEntries(PARAMETER_SCHEMA.map(param => [param.key, param.default]));
+}
+
+/**
+ * The parameters of one group
+ * @param {string} group - 'physics', 'blackHole' or 'effects'
+ * @param {Object} params - Parameter values
+ * @returns {Object} - The values that belong to the group
+ */
+export function paramsFor(group, params) {
+    return Object.fromEntries(Object.entries(params).filter(([key]) => {
+        const param = getParameter(key);
+        return param && param.group === group;
+    }));
+}
+
+/**
+ * The values that differ from their defaults
+ * @param {Object} params - Parameter values
+ * @returns {Object} - Overrides, as stored in links and presets
+ */
+export function overridesOf(params) {
+    return Object.fromEntries(Object.entries(params).filter(([key, value]) => {
+        const param = getParameter(key);
+        return param && value !== param.default;
+    }));
+}
+
+/**
+ * Compare parameter overrides
+ * @param {Object} a - Overrides
+ * @param {Object} b - Overrides
+ * @returns {boolean} - True if they set the same values
+ */
+export function sameParams(a, b) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+}
+
+/**
+ * Check a value, e.g. from a link or a saved preset
+ * Numbers are clamped to the range and rounded to the step.
+ * @param {string} key - Parameter key
+ * @param {*} value - Value, as a number or a string
+ * @returns {number|string|undefined} - The value, or undefined for an unknown key or bad value
+ */
+export function parseParameter(key, value) {
+    const param = getParameter(key);
+    if (!param) return undefined;
+
+    if (param.options) {
+        return param.options.some(option => option.value === value) ? value : undefined;
+    }
+
+    const number = typeof value === 'string' && value.trim() === '' ? NaN : Number(value);
+    if (!Number.isFinite(number)) return undefined;
+
+    return roundParameter(param, Math.min(param.max, Math.max(param.min, number)));
+}
+
+/**
+ * Round a value to what the parameter's slider can show
+ * Log-scale values keep three significant figures.
+ * @param {Object} param - Parameter
+ * @param {number} value - Value
+ * @returns {number} - Rounded value
+ */
+export function roundParameter(param, value) {
+    if (param.scale === 'log') {
+        return Number(value.toPrecision(3));
+    }
+
+    const decimals = Math.max(0, -Math.floor(Math.log10(param.step) + 1e-9));
+    return Number((Math.round(value / param.step) * param.step).toFixed(decimals));
+}
+
+/**
+ * A value as the panel shows it
+ * @param {Object} param - Parameter
+ * @param {number|string} value - Value
+ * @returns {string} - e.g. "4.3×10⁶ M☉", "0.900 a/M" or "Novikov-Thorne"
+ */
+export function formatParameter(param, value) {
+    if (param.options) {
+        const option = param.options.find(entry => entry.value === value);
+        return option ? option.label : String(value);
+    }
+
+    let text;
+    if (param.scale === 'log' && (value >= 1e4 || value < 1e-2)) {
+        const [mantissa, exponent] = value.toExponential(1).split('e');
+        text = `${mantissa.replace(/\.0$/, '')}×10${superscript(Number(exponent))}`;
+    } else if (param.scale === 'log') {
+        text = String(Number(value.toPrecision(3)));
+    } else {
+        const decimals = Math.max(0, -Math.floor(Math.log10(param.step) + 1e-9));
+        text = value.toFixed(decimals);
+    }
+
+    if (!param.unit) return text;
+    return param.unit === '°' ? `${text}°` : `${text} ${param.unit}`;
+}
+
+/**
+ * An integer in superscript digits
+ * @param {number} number - Integer
+ * @returns {string} - e.g. "⁻⁸"
+ */
+function superscript(number) {
+    const digits = '⁰¹²³⁴⁵⁶⁷⁸⁹';
+    return String(number).replace(/-/g, '⁻').replace(/\d/g, digit => digits[digit]);
+}
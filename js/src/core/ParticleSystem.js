@@ -7,15 +7,77 @@ import {
     dataStreamVertexShader,
     dataStreamFragmentShader,
     nebulaVertexShader,
-    nebulaFragmentShader
+    nebulaFragmentShader,
+    simulatedParticleVertexShader,
+    simulatedParticleFragmentShader,
+    textParticleVertexShader,
+    textParticleFragmentShader
 } from '../shaders/ParticleShader.js';
+import { sampleText, layoutText } from '../utils/TextSampler.js';
+
+// Typed text spelled out in particles: seconds to gather, to hold the word, and to let it go,
+// either fading as the physics simulation takes over or falling into the black hole
+export const TEXT_ASSEMBLY = {
+    assemble: 1.2,
+    hold: 1.0,
+    handoff: 0.5,
+    infall: 2.5
+};
+
+// Particles per character and in total at each quality level
+const TEXT_PARTICLES = {
+    low: { perCharacter: 12, max: 300 },
+    medium: { perCharacter: 24, max: 700 },
+    high: { perCharacter: 40, max: 1200 }
+};
+
+// Largest the text is drawn, in scene units
+const TEXT_SIZE = { width: 8, em: 1.2 };
+
+/**
+ * Where text goes: facing the camera, some distance in front of it
+ * @param {THREE.Camera} camera - Camera
+ * @param {number} distance - Distance in front of the camera in scene units
+ * @returns {Object} - { center, right, up } as arrays (see layoutText)
+ */
+export function textFrame(camera, distance) {
+    const center = camera.getWorldDirection(new THREE.Vector3()).multiplyScalar(distance).add(camera.position);
+    
+    return {
+        center: center.toArray(),
+        right: new THREE.Vector3(1, 0, 0).applyQuaternion(camera.quaternion).toArray(),
+        up: new THREE.Vector3(0, 1, 0).applyQuaternion(camera.quaternion).toArray()
+    };
+}
+
+/**
+ * Positions of particles spelling out a text, as many as the quality level allows
+ * @param {string} text - Text
+ * @param {Object} frame - Where the text goes (see textFrame)
+ * @param {string} level - Quality level: 'low', 'medium' or 'high'
+ * @param {Random} random - Random source
+ * @returns {Array|null} - Positions [x, y, z, ...] in scene units, or null if nothing can be drawn
+ */
+export function spellText(text, frame, level, random) {
+    const budget = TEXT_PARTICLES[level] || TEXT_PARTICLES.high;
+    const count = Math.min(budget.max, text.replace(/\s/g, '').length * budget.perCharacter);
+    const sample = sampleText(text, count, random);
+    
+    return sample ? layoutText(sample, frame, TEXT_SIZE) : null;
+}
 
 export class ParticleSystem {
     constructor(app) {
         this.app = app;
+        this.random = app.random.fork('ParticleSystem');
         this.particles = null;
         this.particleActivity = 0.0;
         this.activeEffects = [];
+        this.active = true;
+        
+        // Particles driven by the physics simulation
+        this.simulatedParticles = null;
+        this.simulatedBuffer = null;
         
         // Effect settings
         this.settings = {
@@ -34,10 +96,9 @@ export class ParticleSystem {
     
     /**
      * Create background particles
+     * @param {number} particleCount - Number of particles, by default the optimal count for the device
      */
-    createBackgroundParticles() {
-        // Get optimal particle count based on device performance
-        const particleCount = this.getOptimalParticleCount();
+    createBackgroundParticles(particleCount = this.getOptimalParticleCount()) {
         
         const geometry = new THREE.BufferGeometry();
         const positions = new Float32Array(particleCount * 3);
@@ -47,19 +108,19 @@ export class ParticleSystem {
         // Create particles with random positions
         for (let i = 0; i < particleCount; i++) {
             // Place particles in a wide spherical volume
-            const radius = 20 + Math.random() * 40;
-            const theta = Math.random() * Math.PI * 2;
-            const phi = Math.acos(2 * Math.random() - 1);
+            const radius = 20 + this.random.next() * 40;
+            const theta = this.random.next() * Math.PI * 2;
+            const phi = Math.acos(2 * this.random.next() - 1);
             
             positions[i * 3] = radius * Math.sin(phi) * Math.cos(theta);
             positions[i * 3 + 1] = radius * Math.sin(phi) * Math.sin(theta);
             positions[i * 3 + 2] = radius * Math.cos(phi);
             
             // Random sizes for particles
-            sizes[i] = Math.random() * 0.5 + 0.1;
+            sizes[i] = this.random.next() * 0.5 + 0.1;
             
             // Random base opacity
-            opacities[i] = Math.random() * 0.5 + 0.2;
+            opacities[i] = this.random.next() * 0.5 + 0.2;
         }
         
         geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
@@ -84,16 +145,18 @@ export class ParticleSystem {
         this.particles = new THREE.Points(geometry, material);
         this.particles.userData.shader = material;
         this.particles.frustumCulled = false;
+        this.particles.visible = this.active;
         this.app.scene.add(this.particles);
     }
     
     /**
      * Determine optimal particle count based on device performance
+     * @param {string} level - Quality level, the device's by default
      */
-    getOptimalParticleCount() {
+    getOptimalParticleCount(level = this.app.config.devicePerformance) {
         const baseCount = this.settings.baseParticleCount;
         
-        switch (this.app.config.devicePerformance) {
+        switch (level) {
             case 'low':
                 return baseCount * 0.3;
             case 'medium':
@@ -116,16 +179,18 @@ export class ParticleSystem {
     
     /**
      * Update particle system
+     * @param {number} delta - Seconds since the last frame
+     * @param {number} time - App time in seconds
      */
-    update(time) {
+    update(delta, time) {
         if (!this.particles) return;
         
         // Update time uniform
         this.particles.userData.shader.uniforms.time.value = time;
         
-        // Decay activity level over time
+        // Decay activity level over time, from full to none in under two seconds
         if (this.particleActivity > 0) {
-            this.particleActivity -= 0.01;
+            this.particleActivity -= 0.6 * delta;
             this.particleActivity = Math.max(0, this.particleActivity);
             this.particles.userData.shader.uniforms.activityLevel.value = this.particleActivity;
         }
@@ -139,6 +204,82 @@ export class ParticleSystem {
         });
     }
     
+    /**
+     * Create the points object for physics-driven particles
+     * Geometry attributes read straight from the interleaved particle buffer.
+     * @param {Float32Array} buffer - Particle buffer from the physics simulation
+     * @param {Object} layout - Particle buffer layout descriptor
+     */
+    createSimulatedParticles(buffer, layout) {
+        this.disposeSimulatedParticles();
+        
+        const { stride, fields } = layout;
+        this.simulatedBuffer = new THREE.InterleavedBuffer(buffer, stride);
+        this.simulatedBuffer.setUsage(THREE.DynamicDrawUsage);
+        
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.InterleavedBufferAttribute(
+            this.simulatedBuffer, fields.position.size, fields.position.offset
+        ));
+        geometry.setAttribute('relativisticFactor', new THREE.InterleavedBufferAttribute(
+            this.simulatedBuffer, fields.relativisticFactor.size, fields.relativisticFactor.offset
+        ));
+        
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                pixelRatio: { value: window.devicePixelRatio },
+                size: { value: 0.6 },
+                color: { value: new THREE.Color(this.app.getThemeColor('primary')) },
+                redshiftColor: { value: new THREE.Color(0xff3300) }
+            },
+            vertexShader: simulatedParticleVertexShader,
+            fragmentShader: simulatedParticleFragmentShader,
+            transparent: true,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false
+        });
+        
+        this.simulatedParticles = new THREE.Points(geometry, material);
+        this.simulatedParticles.userData.shader = material;
+        this.simulatedParticles.frustumCulled = false;
+        this.simulatedParticles.visible = this.active;
+        this.app.scene.add(this.simulatedParticles);
+    }
+    
+    /**
+     * Show the latest physics simulation state
+     * The buffer is used as the GPU attribute source without copying; a new points
+     * object is only built when the buffer capacity changes.
+     * Positions are simulation meters; the points object is scaled into scene units.
+     * @param {Object} update - Simulation update ({ buffer, count, layout, sceneScale })
+     */
+    updateSimulatedParticles({ buffer, count, layout, sceneScale = 1 }) {
+        if (!buffer || !layout) return;
+        
+        if (!this.simulatedParticles || this.simulatedBuffer.array.length !== buffer.length) {
+            this.createSimulatedParticles(buffer, layout);
+        } else if (this.simulatedBuffer.array !== buffer) {
+            this.simulatedBuffer.array = buffer;
+        }
+        
+        this.simulatedBuffer.needsUpdate = true;
+        this.simulatedParticles.geometry.setDrawRange(0, count);
+        this.simulatedParticles.scale.setScalar(sceneScale);
+    }
+    
+    /**
+     * Remove physics-driven particles
+     */
+    disposeSimulatedParticles() {
+        if (this.simulatedParticles) {
+            this.app.scene.remove(this.simulatedParticles);
+            this.simulatedParticles.geometry.dispose();
+            this.simulatedParticles.material.dispose();
+            this.simulatedParticles = null;
+            this.simulatedBuffer = null;
+        }
+    }
+    
     /**
      * Create a quantum particle effect (for interactive events)
      */
@@ -160,12 +301,12 @@ export class ParticleSystem {
         for (let i = 0; i < particleCount; i++) {
             // Random position around the center
             const offset = 0.5;
-            positions[i * 3] = position.x + (Math.random() - 0.5) * offset;
-            positions[i * 3 + 1] = position.y + (Math.random() - 0.5) * offset;
-            positions[i * 3 + 2] = position.z + (Math.random() - 0.5) * offset;
+            positions[i * 3] = position.x + (this.random.next() - 0.5) * offset;
+            positions[i * 3 + 1] = position.y + (this.random.next() - 0.5) * offset;
+            positions[i * 3 + 2] = position.z + (this.random.next() - 0.5) * offset;
             
             // Random sizes
-            sizes[i] = Math.random() * 0.2 + 0.1;
+            sizes[i] = this.random.next() * 0.2 + 0.1;
         }
         
         geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
@@ -176,7 +317,7 @@ export class ParticleSystem {
             uniforms: {
                 time: { value: 0 },
                 pixelRatio: { value: window.devicePixelRatio },
-                startTime: { value: this.app.clock.getElapsedTime() },
+                startTime: { value: this.app.getElapsedTime() },
                 intensity: { value: intensity },
                 color: { value: new THREE.Color(this.app.getThemeColor('primary')) }
             },
@@ -196,7 +337,7 @@ export class ParticleSystem {
             particles,
             geometry,
             material,
-            startTime: this.app.clock.getElapsedTime(),
+            startTime: this.app.getElapsedTime(),
             duration: 2.0, // Lifetime in seconds
             
             update: (time) => {
@@ -204,7 +345,7 @@ export class ParticleSystem {
                 material.uniforms.time.value = time;
                 
                 // Check if effect has completed its lifecycle
-                if (time - this.startTime > this.duration) {
+                if (time - effect.startTime > effect.duration) {
                     // Remove and clean up
                     this.app.scene.remove(particles);
                     geometry.dispose();
@@ -259,7 +400,7 @@ export class ParticleSystem {
         // Create particles along the stream path
         for (let i = 0; i < particleCount; i++) {
             // Distribute particles along the path with some randomness
-            const progress = Math.random();
+            const progress = this.random.next();
             const pos = new THREE.Vector3()
                 .copy(origin)
                 .add(direction.clone().multiplyScalar(distance * progress));
@@ -273,18 +414,18 @@ export class ParticleSystem {
             const perpendicular2 = new THREE.Vector3().crossVectors(direction, perpendicular1).normalize();
             perpendicular1.crossVectors(direction, perpendicular2).normalize();
             
-            pos.add(perpendicular1.multiplyScalar((Math.random() - 0.5) * perpendicularOffset));
-            pos.add(perpendicular2.multiplyScalar((Math.random() - 0.5) * perpendicularOffset));
+            pos.add(perpendicular1.multiplyScalar((this.random.next() - 0.5) * perpendicularOffset));
+            pos.add(perpendicular2.multiplyScalar((this.random.next() - 0.5) * perpendicularOffset));
             
             positions[i * 3] = pos.x;
             positions[i * 3 + 1] = pos.y;
             positions[i * 3 + 2] = pos.z;
             
             // Particle sizes based on position
-            sizes[i] = 0.1 + Math.random() * 0.2;
+            sizes[i] = 0.1 + this.random.next() * 0.2;
             
             // Gradient color along the stream
-            const colorMix = Math.random();
+            const colorMix = this.random.next();
             const color = new THREE.Color().lerpColors(primaryColor, secondaryColor, colorMix);
             colors[i * 3] = color.r;
             colors[i * 3 + 1] = color.g;
@@ -317,7 +458,7 @@ export class ParticleSystem {
             stream,
             geometry,
             material,
-            startTime: this.app.clock.getElapsedTime(),
+            startTime: this.app.getElapsedTime(),
             duration,
             
             update: (time) => {
@@ -325,8 +466,8 @@ export class ParticleSystem {
                 material.uniforms.time.value = time;
                 
                 // Calculate progress (0 to 1)
-                const elapsed = time - this.startTime;
-                const progress = Math.min(1.0, elapsed / this.duration);
+                const elapsed = time - effect.startTime;
+                const progress = Math.min(1.0, elapsed / effect.duration);
                 
                 // Check if effect has completed
                 if (progress >= 1.0) {
@@ -354,85 +495,134 @@ export class ParticleSystem {
     }
     
     /**
-     * Create data particles based on user input
+     * Spell user input out in particles in front of the camera and pull it into the black hole
+     * (App.launchDataFragment hands the text to the physics simulation instead, when it runs)
      * @param {string} input - User input for particle visualization
      */
     createDataParticles(input) {
-        console.log("createDataParticles called with input:", input);
-        
         if (!input || input.trim().length === 0) {
-            console.log("Input is empty, skipping particle creation");
             return;
         }
         
-        // Skip if too many effects already active
-        if (this.activeEffects.length >= this.settings.maxEffects) {
-            console.log("Too many active effects, skipping particle creation");
+        if (!this.app.camera) {
+            console.error("Camera is not initialized");
             return;
         }
         
         try {
-            // Get black hole position (assumed to be at the center)
-            const blackHolePosition = new THREE.Vector3(0, 0, 0);
-            
-            // Create starting position for particles - in front of camera
-            const cameraDirection = new THREE.Vector3(0, 0, -1);
+            const frame = textFrame(this.app.camera, 10);
+            const positions = spellText(input, frame, this.app.config.devicePerformance, this.random);
+            if (!positions) return;
             
-            if (!this.app.camera) {
-                console.error("Camera is not initialized");
-                return;
-            }
+            this.assembleText(positions);
+            this.createQuantumFluctuationEffect(new THREE.Vector3().fromArray(frame.center), 0.8);
+        } catch (error) {
+            console.error("Error in createDataParticles:", error);
+        }
+    }
+    
+    /**
+     * Gather particles into text, hold it, then let it go
+     * The particles fly in from around the letters. Afterwards they either fade while the
+     * physics simulation takes over, its debris starting in the same letters, or spiral into
+     * the black hole on their own. The animation runs in textParticleVertexShader.
+     * @param {Array} positions - Points on the letters [x, y, z, ...] in scene units (see spellText)
+     * @param {Object} options - { handoff: true if the simulation takes the text over }
+     * @returns {Object|null} - The effect, or null if too many effects are running
+     */
+    assembleText(positions, { handoff = false } = {}) {
+        if (this.activeEffects.length >= this.settings.maxEffects) {
+            return null;
+        }
+        
+        const count = positions.length / 3;
+        const origins = new Float32Array(count * 3);
+        const sizes = new Float32Array(count);
+        const delays = new Float32Array(count);
+        const colors = new Float32Array(count * 3);
+        
+        const primaryColor = new THREE.Color(this.app.getThemeColor('primary'));
+        const secondaryColor = new THREE.Color(this.app.getThemeColor('secondary'));
+        const color = new THREE.Color();
+        const direction = new THREE.Vector3();
+        
+        for (let i = 0; i < count; i++) {
+            // Start a few units from its place on the letters, in any direction
+            do {
+                direction.set(this.random.range(-1, 1), this.random.range(-1, 1), this.random.range(-1, 1));
+            } while (direction.lengthSq() > 1 || direction.lengthSq() < 1e-6);
+            direction.setLength(3 + this.random.next() * 5);
             
-            cameraDirection.applyQuaternion(this.app.camera.quaternion);
-            const startPosition = new THREE.Vector3().copy(this.app.camera.position).add(
-                cameraDirection.multiplyScalar(10) // 10 units in front of camera
-            );
+            origins[i * 3] = positions[i * 3] + direction.x;
+            origins[i * 3 + 1] = positions[i * 3 + 1] + direction.y;
+            origins[i * 3 + 2] = positions[i * 3 + 2] + direction.z;
             
-            console.log("Camera position:", this.app.camera.position);
-            console.log("Start position for particles:", startPosition);
+            sizes[i] = 0.15 + this.random.next() * 0.15;
+            delays[i] = this.random.next();
             
-            // Number of particles based on text length and device performance
-            const particleCount = Math.min(100, Math.max(20, input.length * 5));
-            console.log("Creating", particleCount, "particles");
+            color.lerpColors(primaryColor, secondaryColor, this.random.next());
+            colors[i * 3] = color.r;
+            colors[i * 3 + 1] = color.g;
+            colors[i * 3 + 2] = color.b;
+        }
+        
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(positions), 3));
+        geometry.setAttribute('origin', new THREE.BufferAttribute(origins, 3));
+        geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+        geometry.setAttribute('delay', new THREE.BufferAttribute(delays, 1));
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        
+        const startTime = this.app.getElapsedTime();
+        const releaseTime = handoff ? TEXT_ASSEMBLY.handoff : TEXT_ASSEMBLY.infall;
+        
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                time: { value: startTime },
+                startTime: { value: startTime },
+                pixelRatio: { value: window.devicePixelRatio },
+                assembleTime: { value: TEXT_ASSEMBLY.assemble },
+                holdTime: { value: TEXT_ASSEMBLY.hold },
+                releaseTime: { value: releaseTime },
+                infall: { value: handoff ? 0.0 : 1.0 },
+                blackHolePosition: { value: new THREE.Vector3(0, 0, 0) }
+            },
+            vertexShader: textParticleVertexShader,
+            fragmentShader: textParticleFragmentShader,
+            transparent: true,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false
+        });
+        
+        const particles = new THREE.Points(geometry, material);
+        particles.frustumCulled = false;
+        this.app.scene.add(particles);
+        
+        const effect = {
+            particles,
+            geometry,
+            material,
+            startTime,
+            duration: TEXT_ASSEMBLY.assemble + TEXT_ASSEMBLY.hold + releaseTime,
             
-            // Create individual particles for each character
-            for (let i = 0; i < input.length; i++) {
-                // Delay each character's particles slightly for a stream effect
-                setTimeout(() => {
-                    // Slightly randomize start position
-                    const offset = 0.5;
-                    const startPos = new THREE.Vector3(
-                        startPosition.x + (Math.random() - 0.5) * offset,
-                        startPosition.y + (Math.random() - 0.5) * offset,
-                        startPosition.z + (Math.random() - 0.5) * offset
-                    );
-                    
-                    // Create data stream from start position to black hole
-                    this.createDataStreamEffect(
-                        startPos, 
-                        blackHolePosition,
-                        3.0 + Math.random() * 2.0, // Random duration between 3-5 seconds
-                        () => {
-                            // Create a small particle burst at the black hole when particles arrive
-                            if (Math.random() > 0.7) { // Only create bursts sometimes to prevent overwhelming effects
-                                this.createQuantumFluctuationEffect(blackHolePosition, 0.5);
-                            }
-                        }
-                    );
-                    
-                    // Increase overall particle activity
-                    this.increaseParticleActivity(0.1);
-                    
-                }, i * 100); // 100ms delay between characters
+            update: (time) => {
+                material.uniforms.time.value = time;
+                
+                if (time - effect.startTime > effect.duration) {
+                    this.app.scene.remove(particles);
+                    geometry.dispose();
+                    material.dispose();
+                    return false;
+                }
+                
+                return true;
             }
-            
-            // Create one quantum fluctuation at the start position
-            this.createQuantumFluctuationEffect(startPosition, 0.8);
-            console.log("Initial quantum fluctuation created");
-            
-        } catch (error) {
-            console.error("Error in createDataParticles:", error);
-        }
+        };
+        
+        this.activeEffects.push(effect);
+        this.increaseParticleActivity(0.4);
+        
+        return effect;
     }
     
     /**
@@ -492,20 +682,20 @@ export class ParticleSystem {
                     // Slightly randomize start position
                     const offset = 1.0;
                     const startPos = new THREE.Vector3(
-                        startPosition.x + (Math.random() - 0.5) * offset,
-                        startPosition.y + (Math.random() - 0.5) * offset,
-                        startPosition.z + (Math.random() - 0.5) * offset
+                        startPosition.x + (this.random.next() - 0.5) * offset,
+                        startPosition.y + (this.random.next() - 0.5) * offset,
+                        startPosition.z + (this.random.next() - 0.5) * offset
                     );
                     
                     // Create data stream from start position to black hole
                     this.createDataStreamEffect(
                         startPos, 
                         blackHolePosition,
-                        1.5 + Math.random() * 2.0 * performanceFactor, // Scale duration with performance
+                        1.5 + this.random.next() * 2.0 * performanceFactor, // Scale duration with performance
                         () => {
                             // Create a small particle burst at the black hole when particles arrive
                             // Reduce probability on lower-end devices
-                            if (Math.random() > (0.5 - 0.3 * performanceFactor)) {
+                            if (this.random.next() > (0.5 - 0.3 * performanceFactor)) {
                                 this.createQuantumFluctuationEffect(
                                     blackHolePosition, 
                                     0.7 * performanceFactor // Reduce intensity on lower-end devices
@@ -529,6 +719,54 @@ export class ParticleSystem {
         }
     }
     
+    /**
+     * Show or hide the background and simulated particles
+     * @param {boolean} active - True to show them
+     */
+    setActive(active) {
+        this.active = active;
+        
+        if (this.particles) {
+            this.particles.visible = active;
+        }
+        
+        if (this.simulatedParticles) {
+            this.simulatedParticles.visible = active;
+        }
+    }
+    
+    /**
+     * Match the background particle count to a quality level
+     * Effects read the level from app.config when they start.
+     * @param {string} level - 'low', 'medium' or 'high'
+     */
+    setQualityLevel(level) {
+        if (!this.particles) return;
+        
+        const particleCount = this.getOptimalParticleCount(level);
+        if (this.particles.geometry.attributes.position.count === particleCount) return;
+        
+        this.app.scene.remove(this.particles);
+        this.particles.geometry.dispose();
+        this.particles.material.dispose();
+        this.createBackgroundParticles(particleCount);
+    }
+    
+    /**
+     * Free the particles made for the lost context, bursts and streams included
+     */
+    onContextLost() {
+        this.dispose();
+    }
+    
+    /**
+     * Bring back the background particles
+     * Simulated particles come back with the next physics update.
+     */
+    onContextRestored() {
+        this.init();
+    }
+    
     /**
      * Clean up resources
      */
@@ -538,8 +776,11 @@ export class ParticleSystem {
             this.app.scene.remove(this.particles);
             this.particles.geometry.dispose();
             this.particles.material.dispose();
+            this.particles = null;
         }
         
+        this.disposeSimulatedParticles();
+        
         // Clean up active effects
         this.activeEffects.forEach(effect => {
             if (effect.particles) {
@@ -577,21 +818,21 @@ export class ParticleSystem {
         // Create particles with visual properties
         for (let i = 0; i < count; i++) {
             // Create a particle with random variations
-            const size = 0.1 + Math.random() * 0.2;
-            const speed = 0.02 + Math.random() * 0.05;
+            const size = 0.1 + this.random.next() * 0.2;
+            const speed = 0.02 + this.random.next() * 0.05;
             const color = new THREE.Color(
-                0.5 + Math.random() * 0.5, 
-                0.5 + Math.random() * 0.5,
-                0.8 + Math.random() * 0.2
+                0.5 + this.random.next() * 0.5, 
+                0.5 + this.random.next() * 0.5,
+                0.8 + this.random.next() * 0.2
             );
             
             // Add some randomness to direction
             const spreadFactor = 0.2;
             const randDir = direction.clone().add(
                 new THREE.Vector3(
-                    (Math.random() - 0.5) * spreadFactor,
-                    (Math.random() - 0.5) * spreadFactor,
-                    (Math.random() - 0.5) * spreadFactor
+                    (this.random.next() - 0.5) * spreadFactor,
+                    (this.random.next() - 0.5) * spreadFactor,
+                    (this.random.next() - 0.5) * spreadFactor
                 )
             ).normalize();
             
@@ -603,7 +844,7 @@ export class ParticleSystem {
                 velocity: randDir.clone().multiplyScalar(speed),
                 color: color,
                 size: size,
-                lifetime: 2 + Math.random() * 2
+                lifetime: 2 + this.random.next() * 2
             });
         }
     }
@@ -3,6 +3,7 @@ import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
 import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import { CopyShader } from 'three/addons/shaders/CopyShader.js';
 
 import {
     basicPostProcessingVertexShader,
@@ -10,9 +11,19 @@ import {
     edgeDetectionFragmentShader,
     filmGrainFragmentShader,
     glowEffectFragmentShader,
-    spaceDistortionFragmentShader
+    spaceDistortionFragmentShader,
+    tiledBloomFragmentShader
 } from '../shaders/PostProcessingShader.js';
 
+// Where the built-in passes go in the chain; passes from registered effects (see
+// EffectRegistry.js) are placed among them by their own order
+export const PASS_ORDER = {
+    bloom: 100,
+    colorCorrection: 200,
+    spaceDistortion: 300,
+    filmGrain: 1000 // Always last
+};
+
 export class PostProcessingManager {
     /**
      * Constructor
@@ -74,6 +85,9 @@ export class PostProcessingManager {
         // Reference to gravitational lensing effect (if added)
         this.gravitationalLensing = null;
         
+        // While rendering in tiles: { bloomTarget, bloomPass } (see beginTiles)
+        this.tiles = null;
+        
         // Store initialization state
         this.initialized = false;
     }
@@ -298,7 +312,8 @@ export class PostProcessingManager {
                 vignetteSize: { value: params.vignetteSize },
                 time: { value: 0.0 },
                 noiseIntensity: { value: params.noiseIntensity },
-                chromaticAberration: { value: params.chromaticAberration }
+                chromaticAberration: { value: params.chromaticAberration },
+                viewOffset: { value: new THREE.Vector4(0, 0, 1, 1) }
             },
             vertexShader: basicPostProcessingVertexShader,
             fragmentShader: colorCorrectionFragmentShader
@@ -323,7 +338,8 @@ export class PostProcessingManager {
                 tDiffuse: { value: null },
                 time: { value: 0.0 },
                 grainIntensity: { value: params.intensity },
-                grainSize: { value: params.size }
+                grainSize: { value: params.size },
+                viewOffset: { value: new THREE.Vector4(0, 0, 1, 1) }
             },
             vertexShader: basicPostProcessingVertexShader,
             fragmentShader: filmGrainFragmentShader
@@ -349,7 +365,8 @@ export class PostProcessingManager {
                 tDiffuse: { value: null },
                 time: { value: 0.0 },
                 distortionStrength: { value: params.strength },
-                mousePosition: { value: params.mousePosition }
+                mousePosition: { value: params.mousePosition },
+                viewOffset: { value: new THREE.Vector4(0, 0, 1, 1) }
             },
             vertexShader: basicPostProcessingVertexShader,
             fragmentShader: spaceDistortionFragmentShader
@@ -648,23 +665,24 @@ export class PostProcessingManager {
             // Clear existing passes, keep only the render pass
             this.composer.passes = [this.passes.render];
             
-            // Add passes in desired order
-            if (this.effectsEnabled.bloom && this.passes.bloom) {
-                this.composer.addPass(this.passes.bloom);
-            }
-            
-            if (this.effectsEnabled.colorCorrection && this.passes.colorCorrection) {
-                this.composer.addPass(this.passes.colorCorrection);
-            }
+            // Built-in passes that are on; tiles take their bloom from the whole view
+            const passes = ['bloom', 'colorCorrection', 'spaceDistortion', 'filmGrain']
+                .filter(name => this.effectsEnabled[name])
+                .map(name => ({
+                    pass: name === 'bloom' && this.tiles ? this.tiles.bloomPass : this.passes[name],
+                    order: PASS_ORDER[name]
+                }));
             
-            if (this.effectsEnabled.spaceDistortion && this.passes.spaceDistortion) {
-                this.composer.addPass(this.passes.spaceDistortion);
+            // Then the passes of registered effects that are on
+            if (this.app.effects) {
+                passes.push(...this.app.effects.getPasses());
             }
             
-            // Film grain should always be the last effect
-            if (this.effectsEnabled.filmGrain && this.passes.filmGrain) {
-                this.composer.addPass(this.passes.filmGrain);
-            }
+            // Add passes in order; the sort is stable, so built-in passes come first on a tie
+            passes
+                .filter(({ pass }) => pass)
+                .sort((a, b) => a.order - b.order)
+                .forEach(({ pass }) => this.composer.addPass(pass));
             
             // Set the last pass to render to screen
             if (this.composer.passes.length > 0) {
@@ -845,6 +863,68 @@ export class PostProcessingManager {
         }
     }
     
+    /**
+     * Start rendering the view in tiles, e.g. for a poster (see PosterRenderer.js)
+     * Bloom spreads light further than any margin around a tile, so it is kept from the frame
+     * of the whole view rendered just before, and each tile adds its part of that; the
+     * screen-space effects find their place in the view through setTile.
+     */
+    beginTiles() {
+        if (!this.composer || this.tiles) return;
+        
+        this.tiles = { bloomTarget: null, bloomPass: null };
+        
+        const bloom = this.passes.bloom;
+        if (this.effectsEnabled.bloom && bloom && bloom.renderTargetsHorizontal) {
+            // UnrealBloomPass leaves the glow on its own in its first target; resizing for the
+            // tiles would clear it, so it is copied
+            const source = bloom.renderTargetsHorizontal[0];
+            const copy = new ShaderPass(CopyShader);
+            this.tiles.bloomTarget = new THREE.WebGLRenderTarget(source.width, source.height, { type: THREE.HalfFloatType });
+            copy.render(this.app.renderer, this.tiles.bloomTarget, source);
+            copy.dispose();
+            
+            this.tiles.bloomPass = new ShaderPass({
+                uniforms: {
+                    tDiffuse: { value: null },
+                    bloomTexture: { value: this.tiles.bloomTarget.texture },
+                    viewOffset: { value: new THREE.Vector4(0, 0, 1, 1) }
+                },
+                vertexShader: basicPostProcessingVertexShader,
+                fragmentShader: tiledBloomFragmentShader
+            });
+        }
+        
+        this.updatePasses();
+    }
+    
+    /**
+     * Place the next render in the whole view
+     * @param {number} x - Left edge, as a fraction of the view's width
+     * @param {number} y - Bottom edge, as a fraction of the view's height
+     * @param {number} width - Fraction of the view's width covered
+     * @param {number} height - Fraction of the view's height covered
+     */
+    setTile(x, y, width, height) {
+        [this.passes.colorCorrection, this.passes.filmGrain, this.passes.spaceDistortion, this.tiles && this.tiles.bloomPass]
+            .filter(pass => pass && pass.uniforms.viewOffset)
+            .forEach(pass => pass.uniforms.viewOffset.value.set(x, y, width, height));
+    }
+    
+    /**
+     * Go back to rendering the whole view
+     */
+    endTiles() {
+        if (!this.tiles) return;
+        
+        this.setTile(0, 0, 1, 1);
+        if (this.tiles.bloomPass) this.tiles.bloomPass.dispose();
+        if (this.tiles.bloomTarget) this.tiles.bloomTarget.dispose();
+        this.tiles = null;
+        
+        this.updatePasses();
+    }
+    
     /**
      * Set effect quality based on device performance
      */
@@ -878,9 +958,14 @@ export class PostProcessingManager {
      * Clean up resources
      */
     dispose() {
+        this.endTiles();
+        
+        // Passes of registered effects are theirs to dispose of
+        const effectPasses = this.app.effects ? this.app.effects.getPasses().map(({ pass }) => pass) : [];
+        
         if (this.composer) {
             this.composer.passes.forEach(pass => {
-                if (pass.dispose) pass.dispose();
+                if (pass.dispose && !effectPasses.includes(pass)) pass.dispose();
             });
         }
         
@@ -0,0 +1,382 @@
+/**
+ * Render worker client
+ * Main-thread side of the optional render worker. The page canvas is handed over as an
+ * OffscreenCanvas and the Three.js renderer, SceneManager, effects and 3D UI run in
+ * workers/RenderWorker.js, so a long frame there no longer blocks the DOM UI, physics messages
+ * or input. Input events are serialised and forwarded; calls the DOM UI makes on render-side
+ * modules go through facades that post { target, method, args } and return nothing.
+ */
+
+// Events the worker needs: OrbitControls listens on the canvas, UIManager and the Control-key
+// tracking in OrbitControls on the window
+const CANVAS_EVENTS = ['pointerdown', 'pointermove', 'pointerup', 'pointercancel', 'wheel', 'contextmenu'];
+const WINDOW_EVENTS = ['mousemove', 'click', 'touchstart', 'keydown', 'keyup'];
+
+// Event fields copied across; anything else (targets, DOM nodes) cannot be cloned
+const EVENT_FIELDS = [
+    'clientX', 'clientY', 'pageX', 'pageY', 'button', 'buttons', 'pointerId', 'pointerType', 'isPrimary',
+    'deltaX', 'deltaY', 'deltaZ', 'deltaMode', 'ctrlKey', 'metaKey', 'shiftKey', 'altKey', 'key', 'code'
+];
+
+export class RenderWorkerClient {
+    constructor(app) {
+        this.app = app;
+        this.worker = null;
+        this.canvas = null;
+        this.transferred = false;
+        this.pixelRatio = 1;
+        this.listeners = [];
+        this.captures = new Map(); // Frame capture id -> { resolve, reject }
+        this.nextCaptureId = 1;
+
+        this.handleResize = this.onResize.bind(this);
+    }
+
+    /**
+     * Check whether this browser can render from a worker
+     * @returns {boolean} - True when canvases can be transferred to an OffscreenCanvas
+     */
+    static isSupported() {
+        return typeof OffscreenCanvas !== 'undefined' &&
+            typeof HTMLCanvasElement !== 'undefined' &&
+            typeof HTMLCanvasElement.prototype.transferControlToOffscreen === 'function';
+    }
+
+    /**
+     * Hand the canvas to a new render worker and build the scene there
+     * @param {HTMLCanvasElement} canvas - Page canvas
+     * @returns {Promise} - Resolves once the worker is rendering, rejects if it could not start
+     */
+    init(canvas) {
+        this.canvas = canvas;
+        this.pixelRatio = Math.min(window.devicePixelRatio, 2);
+
+        return new Promise((resolve, reject) => {
+            try {
+                const offscreen = canvas.transferControlToOffscreen();
+                this.transferred = true;
+
+                this.worker = new Worker(new URL('../workers/RenderWorker.js', import.meta.url), { type: 'module' });
+
+                this.worker.onmessage = (event) => {
+                    const { type, data } = event.data;
+
+                    if (type === 'ready') {
+                        this.connectInput();
+                        resolve();
+                    } else if (type === 'init_failed') {
+                        reject(new Error(data.message));
+                    } else {
+                        this.handleWorkerMessage(type, data);
+                    }
+                };
+
+                // Before 'ready' this fails the start-up; afterwards it can only be reported
+                this.worker.onerror = (error) => {
+                    console.error('Render worker error:', error);
+                    reject(error);
+                };
+
+                this.worker.postMessage({
+                    type: 'init',
+                    data: {
+                        canvas: offscreen,
+                        width: window.innerWidth,
+                        height: window.innerHeight,
+                        pixelRatio: window.devicePixelRatio,
+                        seed: this.app.seed,
+                        config: this.app.config,
+                        colors: this.getThemeColors(),
+                        content: this.app.content ? this.app.content.toJSON() : null,
+                        projects: this.app.projects ? this.app.projects.toJSON() : null
+                    }
+                }, [offscreen]);
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * Theme colours for the worker, which cannot read CSS variables itself
+     * @returns {Object} - Colour name -> CSS colour
+     */
+    getThemeColors() {
+        const colors = {};
+        ['primary', 'secondary', 'tertiary', 'background', 'text'].forEach(name => {
+            colors[name] = this.app.getThemeColor(name);
+        });
+        return colors;
+    }
+
+    /**
+     * Handle messages from the worker once it is running
+     * @param {string} type - Message type
+     * @param {Object} data - Message payload
+     */
+    handleWorkerMessage(type, data) {
+        switch (type) {
+            case 'cursor':
+                this.app.setCursor(data.cursor);
+                break;
+
+            case 'sectionchange':
+                this.app.events.emit('section:change', data);
+                break;
+
+            case 'navigate':
+                this.app.navigate(data.route);
+                break;
+
+            case 'quality':
+                // The worker lowered its own quality after slow frames; keep physics in step
+                this.app.config.devicePerformance = data.devicePerformance;
+                if (this.app.physicsController) {
+                    this.app.physicsController.setQualityLevel(data.devicePerformance);
+                }
+                this.app.events.emit('quality:change', { level: data.devicePerformance, reduced: true });
+                break;
+
+            case 'fallback':
+                this.app.showFallbackContent(data.message);
+                break;
+
+            case 'capture': {
+                const capture = this.captures.get(data.id);
+                if (!capture) break;
+
+                this.captures.delete(data.id);
+                if (data.blob) {
+                    capture.resolve(data.blob);
+                } else {
+                    capture.reject(new Error(data.message));
+                }
+                break;
+            }
+
+            default:
+                console.warn(`Unknown message type from render worker: ${type}`);
+        }
+    }
+
+    /**
+     * Post a message to the worker
+     * @param {string} type - Message type
+     * @param {Object} data - Message payload
+     * @param {Array} transfer - Transferable objects
+     */
+    post(type, data, transfer = []) {
+        if (this.worker) {
+            this.worker.postMessage({ type, data }, transfer);
+        }
+    }
+
+    /**
+     * Call a method on a render-side object
+     * @param {string} target - Path from the worker's app, e.g. 'sceneManager' ('' for the app itself)
+     * @param {string} method - Method name
+     * @param {Array} args - Arguments; THREE.Vector3 values are sent as arrays and rebuilt
+     */
+    call(target, method, args = []) {
+        this.post('call', {
+            target,
+            method,
+            args: args.map(arg => (arg && arg.isVector3 ? { vector3: arg.toArray() } : arg))
+        });
+    }
+
+    /**
+     * Render a frame in the worker and get it back as an image
+     * @param {number} step - Seconds to advance the worker's app time first (0 for none)
+     * @returns {Promise<Blob>} - PNG of the canvas
+     */
+    captureFrame(step = 0) {
+        return new Promise((resolve, reject) => {
+            const id = this.nextCaptureId++;
+            this.captures.set(id, { resolve, reject });
+            this.post('capture', { id, step });
+        });
+    }
+
+    /**
+     * Stand-in for a render-side object
+     * @param {string} target - Path from the worker's app
+     * @param {Array} methods - Methods to forward; they return nothing
+     * @param {Object} properties - Writable properties and their initial values; writes are
+     *     forwarded and reads return the last value written here
+     * @returns {Object} - Facade
+     */
+    remote(target, methods, properties = {}) {
+        const facade = {};
+
+        methods.forEach(method => {
+            facade[method] = (...args) => this.call(target, method, args);
+        });
+
+        Object.entries(properties).forEach(([property, initial]) => {
+            let value = initial;
+            Object.defineProperty(facade, property, {
+                enumerable: true,
+                get: () => value,
+                set: (next) => {
+                    value = next;
+                    this.post('set', { target, property, value });
+                }
+            });
+        });
+
+        return facade;
+    }
+
+    /**
+     * Facades for the render-side modules the main thread talks to
+     * Assigned over the app's own fields, so the DOM UI, PerformanceMonitor and quality
+     * handling work unchanged.
+     * @returns {Object} - renderer, sceneManager, postProcessingManager, gravitationalLensingEffect, nebulaEffect, particleSystem, uiManager
+     */
+    createFacades() {
+        const renderer = this.remote('renderer', []);
+        renderer.getPixelRatio = () => this.pixelRatio;
+        renderer.setPixelRatio = (pixelRatio) => {
+            this.pixelRatio = pixelRatio;
+            this.call('renderer', 'setPixelRatio', [pixelRatio]);
+        };
+
+        const sceneManager = this.remote('sceneManager', [
+            'animateCameraTo', 'orbitCamera', 'stopCameraOrbit', 'setCameraPosition',
+            'createCameraFlythrough', 'setQualityLevel', 'updateColors'
+        ]);
+        sceneManager.controls = this.remote('sceneManager.controls', [], { enabled: true });
+
+        return {
+            renderer,
+            sceneManager,
+            postProcessingManager: this.remote('postProcessingManager', [
+                'setQualityLevel', 'disableNonEssentialEffects', 'updateColors', 'setBloomParams', 'setFilmGrain',
+                'setColorCorrection', 'setSpaceDistortion'
+            ]),
+            gravitationalLensingEffect: this.remote('gravitationalLensingEffect', [
+                'setQualityLevel', 'updateColors', 'setBodies', 'setDeflectionTable', 'setLensStrength'
+            ]),
+            nebulaEffect: this.remote('nebulaEffect', ['setQualityLevel', 'updateColors']),
+            particleSystem: this.remote('particleSystem', ['assembleText', 'createDataParticles', 'createParticlesAtMouse', 'setQualityLevel']),
+            uiManager: this.remote('uiManager', ['activateSection', 'deactivateAllSections', 'moveToSection', 'resetCamera', 'highlightSections', 'updateColors'])
+        };
+    }
+
+    /**
+     * Send a physics update to the scene
+     * Only the live part of the particle buffer is copied, and the copy is transferred.
+     * @param {Object} data - Update from PhysicsController
+     */
+    forwardPhysicsUpdate(data) {
+        const buffer = data.buffer ? data.buffer.slice(0, data.count * data.layout.stride) : null;
+
+        this.post('physics_update', {
+            buffer,
+            count: data.count,
+            layout: data.layout,
+            sceneScale: data.sceneScale,
+            bodies: data.bodies,
+            disruptions: data.disruptions
+        }, buffer ? [buffer.buffer] : []);
+    }
+
+    /**
+     * Start forwarding input and resizes
+     */
+    connectInput() {
+        const forward = (target) => (event) => {
+            if (event.type === 'wheel' || event.type === 'contextmenu') {
+                event.preventDefault();
+            }
+
+            // Keep receiving the drag when the pointer leaves the canvas
+            if (event.type === 'pointerdown') {
+                this.canvas.setPointerCapture(event.pointerId);
+            }
+
+            this.post('event', { target, event: serializeEvent(event) });
+        };
+
+        const listen = (element, type, listener, options) => {
+            element.addEventListener(type, listener, options);
+            this.listeners.push(() => element.removeEventListener(type, listener, options));
+        };
+
+        const toCanvas = forward('canvas');
+        const toWindow = forward('window');
+        CANVAS_EVENTS.forEach(type => listen(this.canvas, type, toCanvas, { passive: false }));
+        WINDOW_EVENTS.forEach(type => listen(window, type, toWindow));
+        listen(window, 'resize', this.handleResize);
+
+        // OrbitControls sets this on the canvas it sees, which is the worker's
+        this.canvas.style.touchAction = 'none';
+    }
+
+    /**
+     * Forward the new viewport size
+     */
+    onResize() {
+        this.post('resize', {
+            width: window.innerWidth,
+            height: window.innerHeight,
+            pixelRatio: window.devicePixelRatio
+        });
+    }
+
+    /**
+     * Put a fresh canvas in place of one whose control went to the worker
+     * @returns {HTMLCanvasElement} - Canvas the main thread can render to
+     */
+    restoreCanvas() {
+        if (!this.transferred || !this.canvas) return this.canvas;
+
+        const canvas = this.canvas.cloneNode(false);
+        this.canvas.replaceWith(canvas);
+        this.canvas = canvas;
+        this.transferred = false;
+        return canvas;
+    }
+
+    /**
+     * Stop the worker and input forwarding
+     */
+    dispose() {
+        this.listeners.forEach(remove => remove());
+        this.listeners = [];
+
+        this.captures.forEach(capture => capture.reject(new Error('Render worker stopped')));
+        this.captures.clear();
+
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+}
+
+/**
+ * Copy the fields of an input event that survive structured cloning
+ * @param {Event} event - DOM event
+ * @returns {Object} - Plain event description, rebuilt as an Event in the worker
+ */
+function serializeEvent(event) {
+    const data = { type: event.type };
+
+    EVENT_FIELDS.forEach(field => {
+        if (field in event) data[field] = event[field];
+    });
+
+    if (event.touches) {
+        data.touches = Array.from(event.touches, touch => ({
+            identifier: touch.identifier,
+            clientX: touch.clientX,
+            clientY: touch.clientY,
+            pageX: touch.pageX,
+            pageY: touch.pageY
+        }));
+    }
+
+    return data;
+}
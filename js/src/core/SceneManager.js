@@ -1,20 +1,28 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { TimelinePlayer, flythroughTimeline } from './Timeline.js';
+import { EASINGS, ease } from '../utils/Easing.js';
 import { starfieldVertexShader, starfieldFragmentShader, nebulaBackgroundVertexShader, nebulaBackgroundFragmentShader } from '../shaders/StarfieldShader.js';
 
 export class SceneManager {
     constructor(app) {
         this.app = app;
+        this.random = app.random.fork('SceneManager');
         
         // Scene elements
         this.scene = null;
         this.camera = null;
         this.renderer = null;
         this.controls = null;
+        this.cameraAnimation = 0; // Id of the running camera animation; a new one stops the last
+        this.flythrough = null; // Camera timeline from createCameraFlythrough
+        this.flythroughAnimation = 0; // cameraAnimation after the flythrough last moved the camera
         
         // Background elements
         this.starfield = null;
         this.nebulaBackground = null;
+        this.backgroundColor = new THREE.Color(0x000510);
+        this.backgroundVisible = true; // False leaves the canvas transparent behind the scene
         
         // Options
         this.options = {
@@ -28,10 +36,10 @@ export class SceneManager {
         };
         
         // Viewport size
-        this.sizes = {
-            width: window.innerWidth,
-            height: window.innerHeight
-        };
+        this.sizes = app.getViewportSize();
+        
+        // Resize handler bound to this instance
+        this.handleResize = this.resize.bind(this);
     }
     
     /**
@@ -46,7 +54,7 @@ export class SceneManager {
         this.createNebulaBackground();
         
         // Attach event listeners
-        window.addEventListener('resize', this.resize.bind(this));
+        window.addEventListener('resize', this.handleResize);
         
         // Store references in the app
         this.app.scene = this.scene;
@@ -62,7 +70,7 @@ export class SceneManager {
         this.scene = new THREE.Scene();
         
         // Set a base color for the background (will be mostly covered by nebula)
-        this.scene.background = new THREE.Color(0x000510);
+        this.scene.background = this.backgroundVisible ? this.backgroundColor : null;
     }
     
     /**
@@ -171,36 +179,36 @@ export class SceneManager {
         // Create stars with random positions in a large sphere
         for (let i = 0; i < starCount; i++) {
             // Use spherical distribution for more realistic star field
-            const radius = 50 + Math.random() * 50; // Between 50-100 units away
-            const theta = Math.random() * Math.PI * 2;
-            const phi = Math.acos(2 * Math.random() - 1);
+            const radius = 50 + this.random.next() * 50; // Between 50-100 units away
+            const theta = this.random.next() * Math.PI * 2;
+            const phi = Math.acos(2 * this.random.next() - 1);
             
             positions[i * 3] = radius * Math.sin(phi) * Math.cos(theta);
             positions[i * 3 + 1] = radius * Math.sin(phi) * Math.sin(theta);
             positions[i * 3 + 2] = radius * Math.cos(phi);
             
             // Star size - most stars are small, few are large
-            const sizeDistribution = Math.random();
+            const sizeDistribution = this.random.next();
             if (sizeDistribution > 0.995) {
                 // Very large, bright stars (rare)
-                sizes[i] = 0.5 + Math.random() * 0.5;
-                brightness[i] = 0.8 + Math.random() * 0.2;
+                sizes[i] = 0.5 + this.random.next() * 0.5;
+                brightness[i] = 0.8 + this.random.next() * 0.2;
             } else if (sizeDistribution > 0.95) {
                 // Medium-large stars (uncommon)
-                sizes[i] = 0.3 + Math.random() * 0.2;
-                brightness[i] = 0.6 + Math.random() * 0.3;
+                sizes[i] = 0.3 + this.random.next() * 0.2;
+                brightness[i] = 0.6 + this.random.next() * 0.3;
             } else if (sizeDistribution > 0.7) {
                 // Medium stars (common)
-                sizes[i] = 0.15 + Math.random() * 0.15;
-                brightness[i] = 0.4 + Math.random() * 0.3;
+                sizes[i] = 0.15 + this.random.next() * 0.15;
+                brightness[i] = 0.4 + this.random.next() * 0.3;
             } else {
                 // Small, dim stars (very common)
-                sizes[i] = 0.05 + Math.random() * 0.1;
-                brightness[i] = 0.2 + Math.random() * 0.3;
+                sizes[i] = 0.05 + this.random.next() * 0.1;
+                brightness[i] = 0.2 + this.random.next() * 0.3;
             }
             
             // Random twinkle speed
-            twinkleSpeeds[i] = 0.3 + Math.random() * 2.0;
+            twinkleSpeeds[i] = 0.3 + this.random.next() * 2.0;
         }
         
         geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
@@ -276,8 +284,7 @@ export class SceneManager {
      */
     resize() {
         // Update sizes
-        this.sizes.width = window.innerWidth;
-        this.sizes.height = window.innerHeight;
+        this.sizes = this.app.getViewportSize();
         
         // Update camera aspect ratio
         this.camera.aspect = this.sizes.width / this.sizes.height;
@@ -295,6 +302,9 @@ export class SceneManager {
      * Set camera position and target
      */
     setCameraPosition(x, y, z, lookAtX = 0, lookAtY = 0, lookAtZ = 0) {
+        // Stop any camera animation, which would move it straight back
+        this.cameraAnimation++;
+        
         // Set new camera position
         this.camera.position.set(x, y, z);
         
@@ -313,15 +323,16 @@ export class SceneManager {
      * @param {THREE.Vector3} targetPosition - Target camera position
      * @param {THREE.Vector3} targetLookAt - Target look-at point
      * @param {number} duration - Animation duration in seconds
-     * @param {string} easing - Easing function to use (default: 'easeInOutCubic')
+     * @param {string} easing - Easing curve in Easing.js (default: 'easeInOutCubic')
      * @param {boolean} followPath - Whether to follow a curved path instead of linear
      */
     animateCameraTo(targetPosition, targetLookAt, duration = 2.0, easing = 'easeInOutCubic', followPath = true) {
         if (!this.camera || !this.controls) return;
         
-        // Store animation state
-        const startTime = performance.now();
-        const endTime = startTime + duration * 1000;
+        // Store animation state (app time, so replayed sessions move the camera identically)
+        const animation = ++this.cameraAnimation;
+        const startTime = this.app.getElapsedTime();
+        const endTime = startTime + duration;
         
         // Store initial positions
         const startPosition = this.camera.position.clone();
@@ -339,16 +350,19 @@ export class SceneManager {
             
             // Add slight offset to avoid perfectly straight lines
             const offset = new THREE.Vector3(
-                (Math.random() - 0.5) * distance * 0.1,
+                (this.random.next() - 0.5) * distance * 0.1,
                 0,
-                (Math.random() - 0.5) * distance * 0.1
+                (this.random.next() - 0.5) * distance * 0.1
             );
             middlePosition.add(offset);
         }
         
         // Animation update function
         const updateCamera = () => {
-            const now = performance.now();
+            // Superseded by a later animation
+            if (animation !== this.cameraAnimation) return;
+            
+            const now = this.app.getElapsedTime();
             
             // Calculate progress ratio (0 to 1)
             let progress = (now - startTime) / (endTime - startTime);
@@ -357,25 +371,7 @@ export class SceneManager {
             progress = Math.max(0, Math.min(1, progress));
             
             // Apply easing function
-            let easedProgress;
-            switch (easing) {
-                case 'linear':
-                    easedProgress = progress;
-                    break;
-                case 'easeInQuad':
-                    easedProgress = progress * progress;
-                    break;
-                case 'easeOutQuad':
-                    easedProgress = progress * (2 - progress);
-                    break;
-                case 'easeOutCubic':
-                    easedProgress = 1 - Math.pow(1 - progress, 3);
-                    break;
-                case 'easeInOutCubic':
-                default:
-                    easedProgress = this.easeInOutCubic(progress);
-                    break;
-            }
+            const easedProgress = ease(easing, progress);
             
             // Calculate new camera position
             if (followPath && middlePosition) {
@@ -418,9 +414,7 @@ export class SceneManager {
      * @returns {number} Eased value
      */
     easeInOutCubic(t) {
-        return t < 0.5
-            ? 4 * t * t * t
-            : 1 - Math.pow(-2 * t + 2, 3) / 2;
+        return EASINGS.easeInOutCubic(t);
     }
     
     /**
@@ -448,7 +442,7 @@ export class SceneManager {
         const initialAngle = Math.atan2(startPos.z, startPos.x);
         
         // Store animation state
-        const startTime = performance.now() / 1000; // Convert to seconds
+        const startTime = this.app.getElapsedTime();
         
         // Create orbit animation object
         this.orbitAnimation = {
@@ -463,7 +457,7 @@ export class SceneManager {
             if (!this.orbitAnimation || !this.orbitAnimation.active) return;
             
             // Calculate elapsed time in seconds
-            const elapsed = performance.now() / 1000 - startTime;
+            const elapsed = this.app.getElapsedTime() - startTime;
             
             // Calculate current angle
             const angle = initialAngle + angularSpeed * elapsed;
@@ -503,94 +497,38 @@ export class SceneManager {
     
     /**
      * Create a smooth cinematic fly-through of key points
-     * @param {Array<Object>} waypoints - Array of waypoints with position, lookAt, and duration properties
+     * Plays as a camera timeline on the render clock (see Timeline.js); any other camera move
+     * ends it.
+     * @param {Array<Object>} waypoints - Array of waypoints with position, lookAt, duration and pause (seconds) properties
      * @param {boolean} loop - Whether to loop the fly-through
      */
     createCameraFlythrough(waypoints, loop = false) {
-        if (!waypoints || waypoints.length < 2) return;
-        
-        // Clone waypoints to prevent modification of original
-        const points = waypoints.map(wp => ({
-            position: new THREE.Vector3().copy(wp.position || new THREE.Vector3(0, 0, 40)),
-            lookAt: new THREE.Vector3().copy(wp.lookAt || new THREE.Vector3(0, 0, 0)),
-            duration: wp.duration || 2.0,
-            pause: wp.pause || 0
-        }));
-        
-        let currentIndex = 0;
-        let paused = false;
-        let pauseEndTime = 0;
-        
-        // Advance to next waypoint
-        const goToNextWaypoint = () => {
-            currentIndex++;
-            
-            // Check if we've completed the sequence
-            if (currentIndex >= points.length) {
-                if (loop) {
-                    // Start over for looping
-                    currentIndex = 0;
-                    startNextTransition();
-                } else {
-                    // End the sequence
-                    return;
-                }
-            } else {
-                startNextTransition();
-            }
-        };
+        if (!waypoints || waypoints.length < 2 || !this.camera || !this.controls) return;
         
-        // Start transition to current waypoint
-        const startNextTransition = () => {
-            const current = points[currentIndex];
-            
-            // Check if there's a pause before this waypoint
-            if (current.pause > 0) {
-                paused = true;
-                pauseEndTime = performance.now() + current.pause * 1000;
-                
-                // Schedule end of pause
-                setTimeout(() => {
-                    paused = false;
-                    
-                    // Get next waypoint (or wrap around if looping)
-                    const nextIndex = (currentIndex + 1) % points.length;
-                    
-                    // Start camera transition
-                    this.animateCameraTo(
-                        current.position,
-                        current.lookAt,
-                        current.duration,
-                        'easeInOutCubic',
-                        true
-                    );
-                    
-                    // Schedule next waypoint
-                    setTimeout(goToNextWaypoint, current.duration * 1000);
-                }, current.pause * 1000);
-            } else {
-                // No pause, start transition immediately
-                this.animateCameraTo(
-                    current.position,
-                    current.lookAt,
-                    current.duration,
-                    'easeInOutCubic',
-                    true
-                );
-                
-                // Schedule next waypoint
-                setTimeout(goToNextWaypoint, current.duration * 1000);
-            }
+        const start = {
+            position: this.camera.position.toArray(),
+            target: this.controls.target.toArray()
         };
         
-        // Start the sequence
-        startNextTransition();
+        this.flythrough = new TimelinePlayer(this.app, flythroughTimeline(start, waypoints, loop));
+        this.flythrough.play();
+        this.flythroughAnimation = this.cameraAnimation;
     }
     
     /**
      * Update scene elements
      */
     update(time) {
+        // Advance a flythrough, unless another camera move has taken over
+        if (this.flythrough) {
+            if (this.flythroughAnimation === this.cameraAnimation && this.flythrough.playing) {
+                this.flythrough.update(time);
+                this.flythroughAnimation = this.cameraAnimation;
+            } else {
+                this.flythrough = null;
+            }
+        }
+        
         // Update controls if available
         if (this.controls) {
             this.controls.update();
@@ -612,7 +550,7 @@ export class SceneManager {
      */
     dispose() {
         // Clean up event listeners
-        window.removeEventListener('resize', this.resize);
+        window.removeEventListener('resize', this.handleResize);
         
         // Dispose of controls
         if (this.controls) {
@@ -722,14 +660,33 @@ export class SceneManager {
         }
     }
     
+    /**
+     * Show or hide the sky: background colour, starfield and nebula
+     * @param {boolean} visible - False to leave the canvas transparent behind the black hole
+     */
+    setBackgroundVisible(visible) {
+        this.backgroundVisible = visible;
+        
+        if (this.scene) {
+            this.scene.background = visible ? this.backgroundColor : null;
+        }
+        if (this.starfield) {
+            this.starfield.visible = visible;
+        }
+        if (this.nebulaBackground) {
+            this.nebulaBackground.visible = visible;
+        }
+    }
+    
     /**
      * Update colors based on theme
      * @param {Object} colors - Color palette 
      */
     updateColors(colors) {
         // Update scene background color
-        if (this.scene) {
-            this.scene.background = new THREE.Color(colors.background);
+        this.backgroundColor = new THREE.Color(colors.background);
+        if (this.scene && this.backgroundVisible) {
+            this.scene.background = this.backgroundColor;
         }
         
         // Update starfield colors
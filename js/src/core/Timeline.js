@@ -0,0 +1,615 @@
+import { defaultParams, getParameter, overridesOf, parseParameter, sameParams } from './ParameterSchema.js';
+import { DEFAULT_EASING, EASINGS, ease } from '../utils/Easing.js';
+
+/**
+ * Timeline
+ * Keyframed sequences for intros and tours: the camera, black hole parameters, post-processing
+ * and which section is open. A TimelinePlayer advances on app time from the render loop, so
+ * playback, scrubbing and looping follow the frames (and replay with recorded sessions) rather
+ * than timers. Timelines are plain objects that save and load as JSON:
+ *
+ *   {
+ *     "version": 1,
+ *     "name": "Tour",
+ *     "duration": 20,          - Optional; the last keyframe if later
+ *     "loop": true,            - Go back to loopStart after the end
+ *     "loopStart": 4,          - Seconds; 0 if not given, e.g. to loop a tour after its intro
+ *     "tracks": [
+ *       { "type": "camera", "smooth": true,
+ *         "keyframes": [{ "time": 0, "position": [0, 0, 40], "target": [0, 0, 0] }] },
+ *       { "type": "param", "key": "inclination",
+ *         "keyframes": [{ "time": 2, "value": 60, "easing": "easeOutCubic" }] },
+ *       { "type": "postProcessing", "effect": "bloom", "key": "strength",
+ *         "keyframes": [{ "time": 0, "value": 1 }, { "time": 6, "value": 2.5 }] },
+ *       { "type": "section",
+ *         "keyframes": [{ "time": 5, "value": "physics" }, { "time": 9, "value": null }] }
+ *     ]
+ *   }
+ *
+ * Param tracks take any parameter in ParameterSchema.js. A keyframe's easing (see Easing.js)
+ * shapes the transition into it from the keyframe before. Numbers and camera poses are
+ * interpolated; smooth camera tracks follow a Catmull-Rom curve through their keyframes. Menu
+ * parameters, sections, and mass and spin (each change rebuilds the simulation's lensing table)
+ * switch when their keyframe is reached. Before its first keyframe a track holds that value.
+ */
+
+export const TIMELINE_VERSION = 1;
+
+export const TRACK_TYPES = ['camera', 'param', 'postProcessing', 'section'];
+
+// Post-processing values a track can animate, and the PostProcessingManager method that sets them
+export const POST_PROCESSING_TRACKS = {
+    bloom: { setter: 'setBloomParams', keys: ['strength', 'radius', 'threshold'] },
+    filmGrain: { setter: 'setFilmGrain', keys: ['intensity', 'size'] },
+    colorCorrection: {
+        setter: 'setColorCorrection',
+        keys: ['brightness', 'contrast', 'saturation', 'hue', 'vignetteIntensity', 'vignetteSize', 'noiseIntensity', 'chromaticAberration']
+    },
+    spaceDistortion: { setter: 'setSpaceDistortion', keys: ['strength'] }
+};
+
+// Keyframes closer than this (seconds) are the same keyframe
+const KEYFRAME_TOLERANCE = 0.01;
+
+// Length of a new, empty timeline (seconds)
+const DEFAULT_DURATION = 10;
+
+export class TimelinePlayer {
+    constructor(app, timeline = emptyTimeline()) {
+        this.app = app;
+        this.timeline = null;
+        this.position = 0; // Seconds into the timeline
+        this.playing = false;
+        this.lastTime = null; // App time of the last update while playing
+
+        this.baseParams = {}; // Parameter overrides the timeline's param tracks are applied over
+        this.appliedParams = null;
+        this.applied = new Map(); // Track -> value last applied, so held values are not sent every frame
+
+        this.load(timeline);
+    }
+
+    /**
+     * Length of the loaded timeline
+     * @returns {number} - Seconds
+     */
+    get duration() {
+        return timelineDuration(this.timeline);
+    }
+
+    /**
+     * Replace the timeline, stopped at its start
+     * Parameters without a track keep the values they have now.
+     * @param {Object} timeline - Timeline from parseTimeline or emptyTimeline
+     */
+    load(timeline) {
+        this.timeline = timeline;
+        this.position = 0;
+        this.playing = false;
+        this.baseParams = { ...this.app.blackHoleParams };
+        this.appliedParams = null;
+        this.applied.clear();
+    }
+
+    /**
+     * Play from the playhead, or from the start if it is at the end
+     */
+    play() {
+        if (this.position >= this.duration && !this.timeline.loop) {
+            this.position = 0;
+        }
+
+        this.playing = true;
+        this.lastTime = null;
+        this.apply();
+    }
+
+    /**
+     * Stop at the playhead
+     */
+    pause() {
+        this.playing = false;
+    }
+
+    /**
+     * Play, or pause if playing
+     */
+    togglePlayback() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Stop and go back to the start
+     */
+    stop() {
+        this.pause();
+        this.seek(0);
+    }
+
+    /**
+     * Move the playhead and show that moment
+     * @param {number} position - Seconds into the timeline
+     */
+    seek(position) {
+        this.position = Math.max(0, Math.min(this.duration, position));
+        this.applied.clear();
+        this.appliedParams = null;
+        this.apply();
+    }
+
+    /**
+     * Advance on the render clock
+     * @param {number} time - App time in seconds
+     */
+    update(time) {
+        if (!this.playing) return;
+
+        if (this.lastTime !== null) {
+            this.position += Math.max(0, time - this.lastTime);
+        }
+        this.lastTime = time;
+
+        const duration = this.duration;
+        if (this.position >= duration) {
+            const loopStart = Math.min(this.timeline.loopStart, duration);
+
+            if (this.timeline.loop && duration > loopStart) {
+                this.position = loopStart + (this.position - loopStart) % (duration - loopStart);
+            } else {
+                this.position = duration;
+                this.playing = false;
+            }
+        }
+
+        this.apply();
+    }
+
+    /**
+     * Show the timeline at the playhead
+     */
+    apply() {
+        const params = {};
+        let hasParams = false;
+
+        this.timeline.tracks.forEach(track => {
+            const value = sampleTrack(track, this.position);
+            if (value === undefined) return;
+
+            if (track.type === 'param') {
+                params[track.key] = value;
+                hasParams = true;
+                return;
+            }
+
+            if (sameValue(value, this.applied.get(track))) return;
+            this.applied.set(track, value);
+
+            if (track.type === 'camera') {
+                this.applyCamera(value);
+            } else if (track.type === 'postProcessing') {
+                this.applyPostProcessing(track, value);
+            } else {
+                this.applySection(value);
+            }
+        });
+
+        if (hasParams) {
+            this.applyParams(params);
+        }
+    }
+
+    /**
+     * Put the camera at a pose
+     * @param {Object} pose - { position, target } as arrays
+     */
+    applyCamera({ position, target }) {
+        if (this.app.sceneManager) {
+            this.app.sceneManager.setCameraPosition(...position, ...target);
+        }
+    }
+
+    /**
+     * Set parameters, through the router when there is one so the URL and control panel follow
+     * @param {Object} params - Values from the param tracks
+     */
+    applyParams(params) {
+        const overrides = overridesOf({ ...defaultParams(), ...this.baseParams, ...params });
+        if (this.appliedParams && sameParams(overrides, this.appliedParams)) return;
+        this.appliedParams = overrides;
+
+        if (this.app.router) {
+            this.app.router.setBlackHoleParams(overrides);
+        } else {
+            this.app.setBlackHoleParams(overrides);
+        }
+    }
+
+    /**
+     * Set one post-processing value
+     * @param {Object} track - postProcessing track
+     * @param {number} value - Value
+     */
+    applyPostProcessing(track, value) {
+        const postProcessing = this.app.postProcessingManager;
+        const setter = POST_PROCESSING_TRACKS[track.effect].setter;
+
+        if (postProcessing && typeof postProcessing[setter] === 'function') {
+            postProcessing[setter]({ [track.key]: value });
+        }
+    }
+
+    /**
+     * Open a section, or go back to the overview for null
+     * @param {string|null} section - Section id
+     */
+    applySection(section) {
+        this.app.navigate({ section });
+    }
+
+    /**
+     * Stop playing
+     */
+    dispose() {
+        this.playing = false;
+        this.applied.clear();
+    }
+}
+
+/**
+ * A timeline with nothing on it
+ * @param {string} name - Name
+ * @returns {Object} - Timeline
+ */
+export function emptyTimeline(name = 'Untitled') {
+    return { name, duration: DEFAULT_DURATION, loop: false, loopStart: 0, tracks: [] };
+}
+
+/**
+ * Length of a timeline: its duration, or its last keyframe if later
+ * @param {Object} timeline - Timeline
+ * @returns {number} - Seconds
+ */
+export function timelineDuration(timeline) {
+    return timeline.tracks.reduce((end, track) => {
+        const last = track.keyframes[track.keyframes.length - 1];
+        return last ? Math.max(end, last.time) : end;
+    }, timeline.duration || 0);
+}
+
+/**
+ * Check a timeline read from JSON
+ * @param {Object} data - Parsed JSON
+ * @returns {Object} - Timeline, with keyframes sorted and easing filled in
+ * @throws {Error} - Saying what is wrong and where
+ */
+export function parseTimeline(data) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.tracks)) {
+        throw new Error('A timeline needs a tracks array');
+    }
+    if (data.version !== undefined && !(data.version <= TIMELINE_VERSION)) {
+        throw new Error(`Timeline version ${data.version} is not supported`);
+    }
+
+    return {
+        name: typeof data.name === 'string' ? data.name : 'Untitled',
+        duration: Number.isFinite(data.duration) && data.duration >= 0 ? data.duration : 0,
+        loop: Boolean(data.loop),
+        loopStart: Number.isFinite(data.loopStart) && data.loopStart >= 0 ? data.loopStart : 0,
+        tracks: data.tracks.map((track, index) => parseTrack(track, `Track ${index + 1}`))
+    };
+}
+
+/**
+ * A timeline as JSON-ready data
+ * @param {Object} timeline - Timeline
+ * @returns {Object} - Data for JSON.stringify
+ */
+export function serializeTimeline(timeline) {
+    return JSON.parse(JSON.stringify({ version: TIMELINE_VERSION, ...timeline }));
+}
+
+/**
+ * Add a keyframe, replacing one at the same time
+ * The track is created if the timeline has none like it.
+ * @param {Object} timeline - Timeline
+ * @param {Object} spec - Track: { type, key, effect } as in the JSON
+ * @param {Object} keyframe - Keyframe, checked as when loading
+ * @returns {Object} - The track
+ */
+export function setKeyframe(timeline, spec, keyframe) {
+    let track = timeline.tracks.find(entry => entry.type === spec.type && entry.key === spec.key && entry.effect === spec.effect);
+    if (!track) {
+        track = parseTrack({ ...spec, keyframes: [] }, 'New track');
+        timeline.tracks.push(track);
+    }
+
+    const parsed = parseKeyframe(track, keyframe, `${describeTrack(track)} keyframe`);
+    track.keyframes = track.keyframes
+        .filter(entry => Math.abs(entry.time - parsed.time) >= KEYFRAME_TOLERANCE)
+        .concat(parsed)
+        .sort((a, b) => a.time - b.time);
+
+    return track;
+}
+
+/**
+ * Delete a keyframe, and its track if it was the last
+ * @param {Object} timeline - Timeline
+ * @param {Object} track - Track
+ * @param {Object} keyframe - Keyframe of the track
+ */
+export function removeKeyframe(timeline, track, keyframe) {
+    track.keyframes = track.keyframes.filter(entry => entry !== keyframe);
+    if (track.keyframes.length === 0) {
+        timeline.tracks = timeline.tracks.filter(entry => entry !== track);
+    }
+}
+
+/**
+ * What a track animates, for people
+ * @param {Object} track - Track
+ * @returns {string} - e.g. "Camera", "Inclination" or "Bloom strength"
+ */
+export function describeTrack(track) {
+    switch (track.type) {
+        case 'camera':
+            return 'Camera';
+        case 'param':
+            return getParameter(track.key).label;
+        case 'postProcessing':
+            return `${track.effect.replace(/([A-Z])/g, ' $1').replace(/^./, char => char.toUpperCase())} ${track.key.replace(/([A-Z])/g, ' $1').toLowerCase()}`;
+        default:
+            return 'Section';
+    }
+}
+
+/**
+ * A track's value at a time
+ * @param {Object} track - Track
+ * @param {number} time - Seconds into the timeline
+ * @returns {*} - Number, string, null or { position, target }; undefined for an empty track
+ */
+export function sampleTrack(track, time) {
+    const keyframes = track.keyframes;
+    if (keyframes.length === 0) return undefined;
+
+    const next = keyframes.findIndex(keyframe => keyframe.time > time);
+    if (next === 0) return valueOf(track, keyframes[0]);
+    if (next === -1) return valueOf(track, keyframes[keyframes.length - 1]);
+
+    const from = keyframes[next - 1];
+    const to = keyframes[next];
+    if (!interpolates(track)) return valueOf(track, from);
+
+    const t = ease(to.easing, (time - from.time) / (to.time - from.time));
+
+    if (track.type === 'camera') {
+        const curve = track.smooth
+            ? (key) => catmullRom(
+                (keyframes[next - 2] || from)[key], from[key], to[key], (keyframes[next + 1] || to)[key], t
+            )
+            : (key) => from[key].map((value, axis) => value + (to[key][axis] - value) * t);
+        return { position: curve('position'), target: curve('target') };
+    }
+
+    // Parameters spanning decades move evenly through them
+    const param = track.type === 'param' ? getParameter(track.key) : null;
+    if (param && param.scale === 'log' && from.value > 0 && to.value > 0) {
+        return from.value * Math.pow(to.value / from.value, t);
+    }
+
+    return from.value + (to.value - from.value) * t;
+}
+
+/**
+ * A camera track through flythrough waypoints, as a timeline
+ * Each waypoint is held for its pause, then reached over its duration. A looping flythrough
+ * flies from the last waypoint back to the first and loops from there.
+ * @param {Object} start - Pose to start from: { position, target } as arrays
+ * @param {Array} waypoints - [{ position, lookAt, duration, pause }] with Vector3s or arrays
+ * @param {boolean} loop - Keep flying round
+ * @returns {Object} - Timeline
+ */
+export function flythroughTimeline(start, waypoints, loop = false) {
+    const keyframes = [{ time: 0, position: start.position.slice(), target: start.target.slice() }];
+    let time = 0;
+    let loopStart = 0;
+
+    const visit = (waypoint) => {
+        const previous = keyframes[keyframes.length - 1];
+        if (waypoint.pause > 0) {
+            time += waypoint.pause;
+            keyframes.push({ ...previous, time });
+        }
+
+        time += waypoint.duration || 2.0;
+        keyframes.push({
+            time,
+            position: toArray(waypoint.position, [0, 0, 40]),
+            target: toArray(waypoint.lookAt, [0, 0, 0]),
+            easing: DEFAULT_EASING
+        });
+    };
+
+    waypoints.forEach((waypoint, index) => {
+        visit(waypoint);
+        if (index === 0) loopStart = time;
+    });
+    if (loop) visit(waypoints[0]);
+
+    return parseTimeline({
+        name: 'Flythrough',
+        loop,
+        loopStart,
+        tracks: [{ type: 'camera', smooth: true, keyframes }]
+    });
+}
+
+/**
+ * Check a track
+ * @param {Object} track - Track from JSON
+ * @param {string} where - Where it is, for errors
+ * @returns {Object} - Track
+ */
+function parseTrack(track, where) {
+    if (!track || !TRACK_TYPES.includes(track.type)) {
+        throw new Error(`${where}: unknown track type ${track && track.type}`);
+    }
+    if (!Array.isArray(track.keyframes)) {
+        throw new Error(`${where}: keyframes must be an array`);
+    }
+
+    const parsed = { type: track.type };
+
+    if (track.type === 'camera') {
+        parsed.smooth = track.smooth !== false;
+    } else if (track.type === 'param') {
+        if (!getParameter(track.key)) {
+            throw new Error(`${where}: unknown parameter ${track.key}`);
+        }
+        parsed.key = track.key;
+    } else if (track.type === 'postProcessing') {
+        const effect = POST_PROCESSING_TRACKS[track.effect];
+        if (!effect || !effect.keys.includes(track.key)) {
+            throw new Error(`${where}: unknown post-processing value ${track.effect}.${track.key}`);
+        }
+        parsed.effect = track.effect;
+        parsed.key = track.key;
+    }
+
+    parsed.keyframes = track.keyframes
+        .map((keyframe, index) => parseKeyframe(parsed, keyframe, `${where}, keyframe ${index + 1}`))
+        .sort((a, b) => a.time - b.time);
+
+    return parsed;
+}
+
+/**
+ * Check a keyframe
+ * @param {Object} track - Checked track it belongs to
+ * @param {Object} keyframe - Keyframe from JSON
+ * @param {string} where - Where it is, for errors
+ * @returns {Object} - Keyframe
+ */
+function parseKeyframe(track, keyframe, where) {
+    if (!keyframe || !Number.isFinite(keyframe.time) || keyframe.time < 0) {
+        throw new Error(`${where}: time must be a number of seconds`);
+    }
+    if (keyframe.easing !== undefined && !EASINGS[keyframe.easing]) {
+        throw new Error(`${where}: unknown easing ${keyframe.easing}`);
+    }
+
+    const parsed = { time: keyframe.time, easing: keyframe.easing || DEFAULT_EASING };
+
+    switch (track.type) {
+        case 'camera':
+            if (!isVector(keyframe.position) || !isVector(keyframe.target)) {
+                throw new Error(`${where}: position and target must be [x, y, z]`);
+            }
+            return { ...parsed, position: keyframe.position.slice(), target: keyframe.target.slice() };
+
+        case 'param': {
+            const value = parseParameter(track.key, keyframe.value);
+            if (value === undefined) {
+                throw new Error(`${where}: ${keyframe.value} is not a value of ${track.key}`);
+            }
+            return { ...parsed, value };
+        }
+
+        case 'postProcessing':
+            if (!Number.isFinite(keyframe.value)) {
+                throw new Error(`${where}: value must be a number`);
+            }
+            return { ...parsed, value: keyframe.value };
+
+        default:
+            if (keyframe.value !== null && typeof keyframe.value !== 'string') {
+                throw new Error(`${where}: value must be a section id or null`);
+            }
+            return { ...parsed, value: keyframe.value };
+    }
+}
+
+/**
+ * Whether a track moves between keyframes or switches at them
+ * @param {Object} track - Track
+ * @returns {boolean} - True if interpolated
+ */
+function interpolates(track) {
+    if (track.type === 'camera' || track.type === 'postProcessing') return true;
+    if (track.type !== 'param') return false;
+
+    const param = getParameter(track.key);
+    return !param.options && param.group !== 'physics';
+}
+
+/**
+ * A keyframe's value, copied so nothing applied aliases the timeline
+ * @param {Object} track - Track
+ * @param {Object} keyframe - Keyframe
+ * @returns {*} - Value
+ */
+function valueOf(track, keyframe) {
+    if (track.type === 'camera') {
+        return { position: keyframe.position.slice(), target: keyframe.target.slice() };
+    }
+    return keyframe.value;
+}
+
+/**
+ * Compare applied values
+ * @param {*} a - Value
+ * @param {*} b - Value
+ * @returns {boolean} - True if equal
+ */
+function sameValue(a, b) {
+    if (a && b && typeof a === 'object' && typeof b === 'object') {
+        return [...a.position, ...a.target].every((value, i) => value === [...b.position, ...b.target][i]);
+    }
+    return a === b;
+}
+
+/**
+ * Point on a uniform Catmull-Rom segment from p1 to p2
+ * @param {Array} p0 - Point before
+ * @param {Array} p1 - Segment start
+ * @param {Array} p2 - Segment end
+ * @param {Array} p3 - Point after
+ * @param {number} t - Progress along the segment
+ * @returns {Array} - Point
+ */
+function catmullRom(p0, p1, p2, p3, t) {
+    const t2 = t * t;
+    const t3 = t2 * t;
+
+    return p1.map((_, axis) => 0.5 * (
+        2 * p1[axis] +
+        (p2[axis] - p0[axis]) * t +
+        (2 * p0[axis] - 5 * p1[axis] + 4 * p2[axis] - p3[axis]) * t2 +
+        (3 * p1[axis] - p0[axis] - 3 * p2[axis] + p3[axis]) * t3
+    ));
+}
+
+/**
+ * Whether a value is [x, y, z]
+ * @param {*} value - Value
+ * @returns {boolean} - True for three finite numbers
+ */
+function isVector(value) {
+    return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+}
+
+/**
+ * A Vector3, { x, y, z } or array as an array
+ * @param {*} vector - Vector, or nothing
+ * @param {Array} fallback - Used when missing
+ * @returns {Array} - [x, y, z]
+ */
+function toArray(vector, fallback) {
+    if (!vector) return fallback.slice();
+    return Array.isArray(vector) ? vector.slice() : [vector.x, vector.y, vector.z];
+}
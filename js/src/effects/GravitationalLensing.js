@@ -5,8 +5,10 @@ import {
     lensedStarsVertexShader,
     lensedStarsFragmentShader,
     lensingRenderVertexShader,
-    lensingRenderFragmentShader
+    lensingRenderFragmentShader,
+    MAX_LENSES
 } from '../shaders/GravitationalLensingShader.js';
+import { sceneHorizonRadius, toSceneLength } from '../physics/Units.js';
 
 /**
  * GravitationalLensing - Creates the visual distortion of space around the black hole
@@ -17,6 +19,7 @@ import {
 export class GravitationalLensing {
     constructor(app) {
         this.app = app;
+        this.random = app.random.fork('GravitationalLensing');
         
         // Settings
         this.settings = {
@@ -24,7 +27,7 @@ export class GravitationalLensing {
             lensStrength: 2.0,
             resolution: 512, // Resolution of the distortion map
             distortionMultiplier: 1.0,
-            blackHoleRadius: this.app.config.blackHoleRadius || 10,
+            blackHoleRadius: sceneHorizonRadius(), // Horizon of the central black hole in scene units
             renderToScreen: false,
             starCount: 200, // Additional stars for gravitational lensing demonstration
             updateDistortionMap: true, // Whether to update the distortion map when camera moves
@@ -41,9 +44,21 @@ export class GravitationalLensing {
         this.lensingQuad = null;
         this.distortionQuad = null;
         
+        // Lensing bodies ({ position, radius, mass, spin }); null means one black hole at the origin
+        this.bodies = null;
+        
+        // Traced deflection lookup table (see NullGeodesics.js); the heuristic model is used until it arrives
+        this.deflectionTable = null;
+        this.deflectionTexture = null;
+        this.spin = 0;
+        this.needsDistortionUpdate = true; // Lens sizes are only known once projected
+        
         // Cached values
         this.lastCameraPosition = new THREE.Vector3();
         this.lastBlackHoleScreenPosition = new THREE.Vector2(0.5, 0.5);
+        
+        // Part of the whole view being rendered, for tiles of a poster: x, y offset and z, w size in UV
+        this.viewOffset = new THREE.Vector4(0, 0, 1, 1);
     }
     
     /**
@@ -99,9 +114,21 @@ export class GravitationalLensing {
         // Create distortion material
         this.distortionMaterial = new THREE.ShaderMaterial({
             uniforms: {
-                blackHoleRadius: { value: this.settings.blackHoleRadius / 100 }, // Normalized value (0-1)
+                blackHolePositions: { value: Array.from({ length: MAX_LENSES }, () => new THREE.Vector2(0.5, 0.5)) }, // Center of screen by default
+                blackHoleRadii: { value: new Array(MAX_LENSES).fill(0) }, // Screen-space radii (0-1), set when projected
+                blackHoleCount: { value: 1 },
                 lensStrength: { value: this.settings.lensStrength },
-                blackHolePosition: { value: new THREE.Vector2(0.5, 0.5) } // Center of screen by default
+                
+                // Traced deflection model
+                deflectionTable: { value: null },
+                useDeflectionTable: { value: false },
+                deflectionTableWidth: { value: 1 },
+                maxImpactParameter: { value: 1 },
+                lensScales: { value: new Array(MAX_LENSES).fill(1) },
+                spinDirections: { value: Array.from({ length: MAX_LENSES }, () => new THREE.Vector2()) },
+                aspect: { value: 1 },
+                fieldOfView: { value: 1 },
+                viewOffset: { value: this.viewOffset }
             },
             vertexShader: lensingMapVertexShader,
             fragmentShader: lensingMapFragmentShader
@@ -137,18 +164,18 @@ export class GravitationalLensing {
         // Create stars with random positions
         for (let i = 0; i < starCount; i++) {
             // Place stars in a plane behind the black hole
-            const angle = Math.random() * Math.PI * 2;
-            const radius = 15 + Math.random() * 35; // Between 15-50 units away
+            const angle = this.random.next() * Math.PI * 2;
+            const radius = 15 + this.random.next() * 35; // Between 15-50 units away
             
             positions[i * 3] = Math.cos(angle) * radius;
             positions[i * 3 + 1] = Math.sin(angle) * radius;
-            positions[i * 3 + 2] = -30 - Math.random() * 20; // Behind the black hole
+            positions[i * 3 + 2] = -30 - this.random.next() * 20; // Behind the black hole
             
             // Random star size
-            sizes[i] = 0.2 + Math.random() * 0.8;
+            sizes[i] = 0.2 + this.random.next() * 0.8;
             
             // Random brightness
-            brightness[i] = 0.3 + Math.random() * 0.7;
+            brightness[i] = 0.3 + this.random.next() * 0.7;
         }
         
         geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
@@ -188,8 +215,7 @@ export class GravitationalLensing {
             uniforms: {
                 distortionMap: { value: this.distortionRenderTarget.texture },
                 backgroundTexture: { value: null }, // Will be set during rendering
-                blackHolePosition: { value: new THREE.Vector2(0.5, 0.5) },
-                blackHoleRadius: { value: this.settings.blackHoleRadius / 100 } // Normalized value (0-1)
+                viewOffset: { value: this.viewOffset }
             },
             vertexShader: lensingRenderVertexShader,
             fragmentShader: lensingRenderFragmentShader,
@@ -240,19 +266,31 @@ export class GravitationalLensing {
     
     /**
      * Calculate black hole position in screen space (0-1)
+     * @param {THREE.Vector3} worldPosition - Black hole position, the origin by default
      */
-    calculateBlackHoleScreenPosition() {
-        // Create a vector at the origin (black hole position)
-        const blackHoleWorldPos = new THREE.Vector3(0, 0, 0);
-        
+    calculateBlackHoleScreenPosition(worldPosition = new THREE.Vector3(0, 0, 0)) {
         // Project to screen coordinates
-        const screenPosition = blackHoleWorldPos.clone().project(this.app.camera);
+        const screenPosition = worldPosition.clone().project(this.app.camera);
         
-        // Convert from [-1, 1] to [0, 1]
+        // Convert from [-1, 1] to [0, 1], then from the tile being rendered to the whole view
         const x = (screenPosition.x + 1) / 2;
         const y = (screenPosition.y + 1) / 2;
+        const { x: left, y: bottom, z: width, w: height } = this.viewOffset;
         
-        return new THREE.Vector2(x, y);
+        return new THREE.Vector2(left + x * width, bottom + y * height);
+    }
+    
+    /**
+     * Calculate the screen-space radius (0-1, relative to screen height) of a sphere
+     * @param {THREE.Vector3} worldPosition - Sphere center
+     * @param {number} worldRadius - Sphere radius in scene units
+     */
+    calculateScreenRadius(worldPosition, worldRadius) {
+        const camera = this.app.camera;
+        const distance = Math.max(camera.position.distanceTo(worldPosition), camera.near);
+        const visibleHeight = 2 * distance * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2);
+        
+        return worldRadius / visibleHeight;
     }
     
     /**
@@ -272,16 +310,40 @@ export class GravitationalLensing {
      * Update distortion map based on current camera view
      */
     updateDistortionMap() {
-        // Get current black hole screen position
-        const screenPosition = this.calculateBlackHoleScreenPosition();
-        
-        // Update uniform
-        this.distortionMaterial.uniforms.blackHolePosition.value.copy(screenPosition);
-        this.lensingMaterial.uniforms.blackHolePosition.value.copy(screenPosition);
+        const camera = this.app.camera;
+        const lenses = (this.bodies || [{
+            position: new THREE.Vector3(0, 0, 0),
+            radius: sceneHorizonRadius(this.spin),
+            mass: 1,
+            spin: this.spin
+        }]).slice(0, MAX_LENSES);
+        
+        const uniforms = this.distortionMaterial.uniforms;
+        uniforms.blackHoleCount.value = lenses.length;
+        uniforms.aspect.value = camera.aspect;
+        uniforms.fieldOfView.value = THREE.MathUtils.degToRad(camera.fov);
+        
+        // Screen axes, for projecting each hole's co-rotating side
+        const right = new THREE.Vector3(1, 0, 0).applyQuaternion(camera.quaternion);
+        const up = new THREE.Vector3(0, 1, 0).applyQuaternion(camera.quaternion);
+        const spinAxis = new THREE.Vector3(0, 1, 0);
+        
+        // Update uniforms with each black hole's screen position and size
+        lenses.forEach((lens, i) => {
+            uniforms.blackHolePositions.value[i].copy(this.calculateBlackHoleScreenPosition(lens.position));
+            uniforms.blackHoleRadii.value[i] = this.calculateScreenRadius(lens.position, lens.radius);
+            uniforms.lensScales.value[i] = this.calculateScreenRadius(lens.position, toSceneLength(lens.mass));
+            
+            // Photons passing on the side where the hole turns toward the camera co-rotate with it;
+            // seen down the spin axis the two sides merge and the direction shrinks to zero
+            const toCamera = camera.position.clone().sub(lens.position).normalize();
+            const coRotating = spinAxis.clone().cross(toCamera).multiplyScalar(Math.sign(lens.spin || 0));
+            uniforms.spinDirections.value[i].set(coRotating.dot(right), coRotating.dot(up));
+        });
         
         // Cache the last camera position for performance checks
-        this.lastCameraPosition.copy(this.app.camera.position);
-        this.lastBlackHoleScreenPosition.copy(screenPosition);
+        this.lastCameraPosition.copy(camera.position);
+        this.lastBlackHoleScreenPosition.copy(uniforms.blackHolePositions.value[0]);
         
         // Render the distortion map
         const renderer = this.app.renderer;
@@ -300,8 +362,9 @@ export class GravitationalLensing {
         if (!this.settings.active) return inputRenderTarget;
         
         // Update the distortion map if needed
-        if (this.settings.updateDistortionMap || this.hasCameraMovedSignificantly()) {
+        if (this.settings.updateDistortionMap || this.needsDistortionUpdate || this.hasCameraMovedSignificantly()) {
             this.updateDistortionMap();
+            this.needsDistortionUpdate = false;
         }
         
         // Set the input texture as the background texture for the lensing effect
@@ -324,8 +387,10 @@ export class GravitationalLensing {
     
     /**
      * Update the lensing effect
+     * @param {number} delta - Seconds since the last frame
+     * @param {number} time - App time in seconds
      */
-    update(time) {
+    update(delta, time) {
         if (!this.settings.active) return;
         
         // Update lensed stars effect
@@ -334,6 +399,63 @@ export class GravitationalLensing {
         }
     }
     
+    /**
+     * Set the black holes that lens the background
+     * Bodies move every frame, so the distortion map is refreshed on the next render
+     * even when the camera is still.
+     * @param {Array|null} bodies - [{ position, radius, mass, spin }] with positions and horizon radii in scene units and mass
+     *     relative to the black hole the deflection table was traced for, or null for a single black hole at the origin
+     */
+    setBodies(bodies) {
+        if (bodies && bodies.length > MAX_LENSES) {
+            console.warn(`Gravitational lensing supports ${MAX_LENSES} black holes; ignoring ${bodies.length - MAX_LENSES}`);
+        }
+        
+        this.bodies = bodies && bodies.length > 0 ? bodies : null;
+        this.needsDistortionUpdate = true;
+    }
+    
+    /**
+     * Switch to traced light bending
+     * @param {Object} table - Deflection table from PhysicsController ({ spin, width, height, maxImpactParameter, data })
+     */
+    setDeflectionTable(table) {
+        this.deflectionTable = table;
+        
+        if (this.deflectionTexture) {
+            this.deflectionTexture.dispose();
+        }
+        
+        this.deflectionTexture = new THREE.DataTexture(table.data, table.width, table.height, THREE.RGFormat, THREE.FloatType);
+        this.deflectionTexture.minFilter = THREE.LinearFilter;
+        this.deflectionTexture.magFilter = THREE.LinearFilter;
+        this.deflectionTexture.needsUpdate = true;
+        this.spin = table.spin;
+        
+        const uniforms = this.distortionMaterial.uniforms;
+        uniforms.deflectionTable.value = this.deflectionTexture;
+        uniforms.deflectionTableWidth.value = table.width;
+        uniforms.maxImpactParameter.value = table.maxImpactParameter;
+        uniforms.useDeflectionTable.value = true;
+        
+        this.needsDistortionUpdate = true;
+    }
+    
+    /**
+     * Render only part of the view, e.g. one tile of a poster
+     * The camera's view offset crops the scene; this places the lenses in the whole view, so
+     * the light bends the same way in every tile. Bending that reaches past the tile samples
+     * its edge.
+     * @param {number} x - Left edge, as a fraction of the view's width
+     * @param {number} y - Bottom edge, as a fraction of the view's height
+     * @param {number} width - Fraction of the view's width covered
+     * @param {number} height - Fraction of the view's height covered
+     */
+    setViewOffset(x, y, width, height) {
+        this.viewOffset.set(x, y, width, height);
+        this.needsDistortionUpdate = true;
+    }
+    
     /**
      * Set effect strength
      */
@@ -356,6 +478,28 @@ export class GravitationalLensing {
         }
     }
     
+    /**
+     * Free the render target, textures and meshes made for the lost context
+     */
+    onContextLost() {
+        this.dispose();
+    }
+    
+    /**
+     * Build everything again and put back the traced deflection table, if there was one
+     * The distortion map is redrawn on the next render.
+     */
+    onContextRestored() {
+        this.init();
+        
+        if (this.deflectionTable) {
+            this.setDeflectionTable(this.deflectionTable);
+        }
+        
+        this.setActive(this.settings.active);
+        this.needsDistortionUpdate = true;
+    }
+    
     /**
      * Cleanup resources
      */
@@ -365,6 +509,10 @@ export class GravitationalLensing {
             this.distortionRenderTarget.dispose();
         }
         
+        if (this.deflectionTexture) {
+            this.deflectionTexture.dispose();
+        }
+        
         // Dispose of materials
         if (this.distortionMaterial) {
             this.distortionMaterial.dispose();
@@ -19,6 +19,7 @@ import { NoiseTextureGenerator } from '../utils/NoiseTextureGenerator.js';
 export class NebulaEffect {
     constructor(app) {
         this.app = app;
+        this.random = app.random.fork('NebulaEffect');
         
         // Settings
         this.settings = {
@@ -93,7 +94,7 @@ export class NebulaEffect {
      */
     generateTextures() {
         // Generate noise texture
-        this.noiseTexture = NoiseTextureGenerator.generateNoiseTexture(this.settings.noiseTextureSize, true);
+        this.noiseTexture = NoiseTextureGenerator.generateNoiseTexture(this.settings.noiseTextureSize, true, this.random);
         
         // Generate particle texture
         this.particleTexture = NoiseTextureGenerator.generateParticleTexture(this.settings.particleTextureSize);
@@ -151,9 +152,9 @@ export class NebulaEffect {
             nebulaMesh.frustumCulled = false;
             
             // Add random rotation for varied appearance
-            nebulaMesh.rotation.x = Math.random() * Math.PI;
-            nebulaMesh.rotation.y = Math.random() * Math.PI;
-            nebulaMesh.rotation.z = Math.random() * Math.PI;
+            nebulaMesh.rotation.x = this.random.next() * Math.PI;
+            nebulaMesh.rotation.y = this.random.next() * Math.PI;
+            nebulaMesh.rotation.z = this.random.next() * Math.PI;
             
             // Add to scene
             this.app.scene.add(nebulaMesh);
@@ -182,23 +183,23 @@ export class NebulaEffect {
         // Generate random particles around the black hole
         for (let i = 0; i < particleCount; i++) {
             // Generate position in a spherical shell around black hole
-            const radius = this.settings.blackHoleRadius * 2 + Math.random() * this.settings.blackHoleRadius * 5;
-            const theta = Math.random() * Math.PI * 2;
-            const phi = Math.acos(2 * Math.random() - 1);
+            const radius = this.settings.blackHoleRadius * 2 + this.random.next() * this.settings.blackHoleRadius * 5;
+            const theta = this.random.next() * Math.PI * 2;
+            const phi = Math.acos(2 * this.random.next() - 1);
             
             positions[i * 3] = radius * Math.sin(phi) * Math.cos(theta);
             positions[i * 3 + 1] = radius * Math.sin(phi) * Math.sin(theta);
             positions[i * 3 + 2] = radius * Math.cos(phi);
             
             // Random size - follow power law distribution for more small particles
-            sizes[i] = Math.pow(Math.random(), 2) * 3 + 0.5;
+            sizes[i] = Math.pow(this.random.next(), 2) * 3 + 0.5;
             
             // Random opacity
-            opacities[i] = Math.random() * 0.5 + 0.2;
+            opacities[i] = this.random.next() * 0.5 + 0.2;
             
             // Random color from color palette
             let color;
-            const colorChoice = Math.random();
+            const colorChoice = this.random.next();
             if (colorChoice < 0.33) {
                 color = color1;
             } else if (colorChoice < 0.66) {
@@ -265,15 +266,15 @@ export class NebulaEffect {
      */
     createFilament(index) {
         // Number of points in the filament
-        const pointCount = 50 + Math.floor(Math.random() * 50);
+        const pointCount = 50 + Math.floor(this.random.next() * 50);
         
         // Create curve points
         const points = [];
         
         // Start at a random angle around black hole
-        const startAngle = Math.random() * Math.PI * 2;
-        const startRadius = this.settings.blackHoleRadius * 1.5 + Math.random() * this.settings.blackHoleRadius;
-        const startHeight = (Math.random() - 0.5) * this.settings.blackHoleRadius * 2;
+        const startAngle = this.random.next() * Math.PI * 2;
+        const startRadius = this.settings.blackHoleRadius * 1.5 + this.random.next() * this.settings.blackHoleRadius;
+        const startHeight = (this.random.next() - 0.5) * this.settings.blackHoleRadius * 2;
         
         // Create a random curved path
         let currentAngle = startAngle;
@@ -292,13 +293,13 @@ export class NebulaEffect {
             const progressFactor = i / (pointCount - 1);
             
             // Increase radius as we move away from black hole
-            currentRadius += (0.1 + Math.random() * 0.2) * this.settings.blackHoleRadius;
+            currentRadius += (0.1 + this.random.next() * 0.2) * this.settings.blackHoleRadius;
             
             // Change angle (curved path)
-            currentAngle += (Math.random() - 0.5) * 0.3;
+            currentAngle += (this.random.next() - 0.5) * 0.3;
             
             // Change height
-            currentHeight += (Math.random() - 0.5) * 0.3 * this.settings.blackHoleRadius;
+            currentHeight += (this.random.next() - 0.5) * 0.3 * this.settings.blackHoleRadius;
         }
         
         // Create curve from points
@@ -317,7 +318,7 @@ export class NebulaEffect {
         geometry.setAttribute('offset', new THREE.BufferAttribute(offsets, 1));
         
         // Choose a color based on index
-        const colorMix = Math.random();
+        const colorMix = this.random.next();
         let filamentColor;
         if (colorMix < 0.33) {
             filamentColor = this.colors.primary;
@@ -352,8 +353,10 @@ export class NebulaEffect {
     
     /**
      * Update nebula effect
+     * @param {number} delta - Seconds since the last frame
+     * @param {number} time - App time in seconds
      */
-    update(time) {
+    update(delta, time) {
         if (!this.settings.active) return;
         
         // Update nebula volumes
@@ -408,6 +411,21 @@ export class NebulaEffect {
         }
     }
     
+    /**
+     * Free the textures and layers made for the lost context
+     */
+    onContextLost() {
+        this.dispose();
+    }
+    
+    /**
+     * Generate the textures and layers again, with the current intensity and visibility
+     */
+    onContextRestored() {
+        this.init();
+        this.setActive(this.settings.active);
+    }
+    
     /**
      * Clean up resources
      */
@@ -7,6 +7,7 @@ import {
     clockVertexShader,
     clockFragmentShader
 } from '../shaders/TimeDilationShader.js';
+import { sceneHorizonRadius } from '../physics/Units.js';
 
 /**
  * TimeDilation - Visualizes how time flows differently near a black hole
@@ -18,12 +19,13 @@ import {
 export class TimeDilation {
     constructor(app) {
         this.app = app;
+        this.random = app.random.fork('TimeDilation');
         
         // Settings
         this.settings = {
             active: true,
             dilationStrength: 2.0, // Amplification factor for visual effect
-            blackHoleRadius: this.app.config.blackHoleRadius || 10,
+            blackHoleRadius: sceneHorizonRadius(), // Horizon in scene units, matching the simulation
             particleCount: 150,
             clockCount: 8, // Number of clock visualizations
             debugMode: false,
@@ -136,22 +138,22 @@ export class TimeDilation {
         // Initial particle attributes
         for (let i = 0; i < particleCount; i++) {
             // Create particles in orbital paths around black hole
-            const orbitRadius = this.settings.blackHoleRadius * 1.5 + Math.random() * this.settings.blackHoleRadius * 4;
-            const angle = Math.random() * Math.PI * 2;
-            const height = (Math.random() - 0.5) * this.settings.blackHoleRadius;
+            const orbitRadius = this.settings.blackHoleRadius * 1.5 + this.random.next() * this.settings.blackHoleRadius * 4;
+            const angle = this.random.next() * Math.PI * 2;
+            const height = (this.random.next() - 0.5) * this.settings.blackHoleRadius;
             
             positions[i * 3] = Math.cos(angle) * orbitRadius;
             positions[i * 3 + 1] = height;
             positions[i * 3 + 2] = Math.sin(angle) * orbitRadius;
             
             // Random sizes
-            sizes[i] = 0.2 + Math.random() * 0.3;
+            sizes[i] = 0.2 + this.random.next() * 0.3;
             
             // Random offsets for varied animation
-            offsets[i] = Math.random();
+            offsets[i] = this.random.next();
             
             // Alternate particle types (0 or 1)
-            particleTypes[i] = Math.random() > 0.5 ? 1.0 : 0.0;
+            particleTypes[i] = this.random.next() > 0.5 ? 1.0 : 0.0;
         }
         
         geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
@@ -246,8 +248,10 @@ export class TimeDilation {
     
     /**
      * Update time dilation visualization with current time
+     * @param {number} delta - Seconds since the last frame
+     * @param {number} time - App time in seconds
      */
-    update(time) {
+    update(delta, time) {
         if (!this.settings.active) return;
         
         // Update dilation field
@@ -334,6 +338,21 @@ export class TimeDilation {
         }
     }
     
+    /**
+     * Free the field, particles and clocks made for the lost context
+     */
+    onContextLost() {
+        this.dispose();
+    }
+    
+    /**
+     * Recreate the parts for the current visualization type, shown only if the effect is on
+     */
+    onContextRestored() {
+        this.init();
+        this.setActive(this.settings.active);
+    }
+    
     /**
      * Clean up resources
      */
@@ -343,6 +362,7 @@ export class TimeDilation {
             this.dilationField.geometry.dispose();
             this.dilationField.material.dispose();
             this.app.scene.remove(this.dilationField);
+            this.dilationField = null;
         }
         
         // Clean up particles
@@ -350,6 +370,7 @@ export class TimeDilation {
             this.dilationParticles.geometry.dispose();
             this.dilationParticles.material.dispose();
             this.app.scene.remove(this.dilationParticles);
+            this.dilationParticles = null;
         }
         
         // Clean up clocks
@@ -357,6 +378,7 @@ export class TimeDilation {
             this.clockVisualizations.geometry.dispose();
             this.clockVisualizations.material.dispose();
             this.app.scene.remove(this.clockVisualizations);
+            this.clockVisualizations = null;
         }
     }
 } 
\ No newline at end of file
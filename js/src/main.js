@@ -3,44 +3,58 @@ import { App } from './App.js';
 import { PerformanceMonitor } from './utils/PerformanceMonitor.js';
 import { TouchInteractionManager } from './utils/TouchInteractionManager.js';
 import { TutorialManager } from './ui/TutorialManager.js';
+import { defineBlackHoleView } from './ui/BlackHoleView.js';
 
-// Create a global reference to the app instance
-let app;
+// Live black holes in posts and project pages: <black-hole-view preset="m87"></black-hole-view>
+defineBlackHoleView();
 
-// Initialize the app when the DOM is fully loaded
-document.addEventListener('DOMContentLoaded', () => {
-    console.log('DOM loaded, initializing App...');
-    
-    try {
-        // Create main application instance
-        app = new App();
+// Resolves with the site's app once it has started, e.g. for scripts in the page that talk to
+// it through app.events; rejects if it could not start
+export const appReady = new Promise((resolve, reject) => {
+    // Initialize the app when the DOM is fully loaded
+    document.addEventListener('DOMContentLoaded', () => {
+        console.log('DOM loaded, initializing App...');
         
-        // Initialize app
-        app.init().then(() => {
-            console.log('App initialized successfully');
-            
-            // Initialize performance monitoring
-            const performanceMonitor = new PerformanceMonitor(app);
-            performanceMonitor.start();
-            app.performanceMonitor = performanceMonitor;
-            
-            // Initialize touch interaction for mobile devices
-            const touchInteractionManager = new TouchInteractionManager(app);
-            app.touchInteractionManager = touchInteractionManager;
-            
-            // Initialize tutorial for first-time users
-            const tutorialManager = new TutorialManager(app);
-            app.tutorialManager = tutorialManager;
-        }).catch(error => {
-            console.error('Failed to initialize app:', error);
-            showFallbackMessage('An error occurred while initializing the application.');
-        });
-    } catch (error) {
-        console.error('Critical error during App initialization:', error);
-        showFallbackMessage('An error occurred while starting the application.');
-    }
+        try {
+            startApp(new App()).then(resolve, reject);
+        } catch (error) {
+            console.error('Critical error during App initialization:', error);
+            showFallbackMessage('An error occurred while starting the application.');
+            reject(error);
+        }
+    });
 });
 
+/**
+ * Initialize the app, then the tools that need it running
+ * @param {App} app - Main application instance
+ * @returns {Promise<App>} - Resolves with the app
+ */
+function startApp(app) {
+    return app.init().then(() => {
+        console.log('App initialized successfully');
+        
+        // Initialize performance monitoring
+        const performanceMonitor = new PerformanceMonitor(app);
+        performanceMonitor.start();
+        app.performanceMonitor = performanceMonitor;
+        
+        // Initialize touch interaction for mobile devices
+        const touchInteractionManager = new TouchInteractionManager(app);
+        app.touchInteractionManager = touchInteractionManager;
+        
+        // Initialize tutorial for first-time users
+        const tutorialManager = new TutorialManager(app);
+        app.tutorialManager = tutorialManager;
+        
+        return app;
+    }).catch(error => {
+        console.error('Failed to initialize app:', error);
+        showFallbackMessage('An error occurred while initializing the application.');
+        throw error;
+    });
+}
+
 // Show a simple fallback message if initialization fails
 function showFallbackMessage(message) {
     const fallback = document.createElement('div');
@@ -71,6 +85,3 @@ function showFallbackMessage(message) {
     fallback.appendChild(text);
     document.body.appendChild(fallback);
 }
-
-// Export the app instance
-export { app }; 
\ No newline at end of file
@@ -0,0 +1,91 @@
+import { clampSpin, iscoRadius } from './KerrGeodesics.js';
+import { G, C, gravitationalRadius } from './Units.js';
+
+/**
+ * Accretion disk emission
+ * Thin-disk temperature profiles for the physical accretion disk mode.
+ *
+ * A geometrically thin, optically thick disk radiates locally as a blackbody at the effective
+ * temperature σT⁴ = F(r). Shakura & Sunyaev (1973) give the Newtonian flux, which vanishes
+ * at the inner edge; Novikov & Thorne (1973) and Page & Thorne (1974) add the Kerr corrections.
+ * Both tend to 3GMṀ/(8πR³) far from the hole. The inner edge is the ISCO in both models and
+ * radii are in units of M, as in KerrGeodesics.js.
+ */
+
+const STEFAN_BOLTZMANN = 5.670374419e-8; // W m⁻² K⁻⁴
+const PROTON_MASS = 1.67262192e-27; // kg
+const THOMSON_CROSS_SECTION = 6.6524587e-29; // m²
+
+// Spin used in place of zero, where one root of the Page-Thorne cubic is zero
+const MIN_SPIN = 1e-6;
+
+export const EMISSION_MODELS = ['novikov-thorne', 'shakura-sunyaev'];
+
+/**
+ * Fraction of rest mass radiated by gas spiralling in to the ISCO, 1 - E_isco
+ * @param {number} a - Dimensionless spin
+ * @returns {number} - Radiative efficiency
+ */
+export function radiativeEfficiency(a) {
+    return 1 - Math.sqrt(1 - 2 / (3 * iscoRadius(a)));
+}
+
+/**
+ * Accretion rate at which the disk reaches the Eddington luminosity
+ * @param {number} mass - Mass in kg
+ * @param {number} a - Dimensionless spin
+ * @returns {number} - kg/s
+ */
+export function eddingtonAccretionRate(mass, a) {
+    const luminosity = 4 * Math.PI * G * mass * PROTON_MASS * C / THOMSON_CROSS_SECTION;
+    return luminosity / (radiativeEfficiency(a) * C * C);
+}
+
+/**
+ * Dimensionless flux profile F(r) / (3GMṀ / 8πR_g³), which tends to r⁻³ at large radii
+ * @param {number} r - Radius in M (at or beyond the ISCO)
+ * @param {number} a - Dimensionless spin
+ * @param {string} model - 'novikov-thorne' or 'shakura-sunyaev'
+ * @returns {number} - Flux factor, 0 at the ISCO
+ */
+export function fluxProfile(r, a, model = 'novikov-thorne') {
+    const spin = clampSpin(a);
+    const rIn = iscoRadius(spin);
+    if (r <= rIn) return 0;
+
+    if (model === 'shakura-sunyaev') {
+        return (1 - Math.sqrt(rIn / r)) / (r * r * r);
+    }
+
+    // Page & Thorne (1974) in terms of x = √r; x1..x3 are the roots of x³ - 3x + 2a
+    const s = Math.abs(spin) < MIN_SPIN ? MIN_SPIN : spin;
+    const x = Math.sqrt(r);
+    const x0 = Math.sqrt(rIn);
+    const angle = Math.acos(s) / 3;
+    const x1 = 2 * Math.cos(angle - Math.PI / 3);
+    const x2 = 2 * Math.cos(angle + Math.PI / 3);
+    const x3 = -2 * Math.cos(angle);
+
+    const term = (xi, xj, xk) => 3 * (xi - s) * (xi - s) / (xi * (xi - xj) * (xi - xk)) *
+        Math.log((x - xi) / (x0 - xi));
+
+    const bracket = x - x0 - 1.5 * s * Math.log(x / x0) -
+        term(x1, x2, x3) - term(x2, x1, x3) - term(x3, x1, x2);
+
+    return Math.max(0, bracket / (x * x * x * x * (x * x * x - 3 * x + 2 * s)));
+}
+
+/**
+ * Effective (emitted) temperature of the disk surface
+ * @param {number} r - Radius in M
+ * @param {Object} params - { mass (kg), spin, accretionRate (Eddington fraction), model }
+ * @returns {number} - Temperature in K
+ */
+export function diskTemperature(r, { mass, spin = 0, accretionRate = 0.1, model = 'novikov-thorne' }) {
+    const massFlow = accretionRate * eddingtonAccretionRate(mass, spin);
+    const lengthScale = gravitationalRadius(mass);
+    const flux = 3 * G * mass * massFlow / (8 * Math.PI * lengthScale * lengthScale * lengthScale) *
+        fluxProfile(r, spin, model);
+
+    return Math.pow(flux / STEFAN_BOLTZMANN, 0.25);
+}
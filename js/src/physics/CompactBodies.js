@@ -0,0 +1,370 @@
+import { clampSpin, horizonRadius } from './KerrGeodesics.js';
+import { G, C, gravitationalRadius, gravitationalTime } from './Units.js';
+
+/**
+ * Compact body dynamics
+ * Motion of one or more black holes: mutual Newtonian gravity plus the leading-order
+ * gravitational-wave radiation reaction, so bound pairs inspiral at the Peters (1964) rate.
+ * When two horizons touch the pair merges into a remnant that rings down in its
+ * fundamental quasinormal mode. Shared by the physics worker and the main-thread fallback.
+ *
+ * SI units throughout: positions in meters, velocities in m/s, masses in kg.
+ * A body is { id, position, velocity, mass, spin, ringdown }.
+ */
+
+// Substep as a fraction of the shortest pair orbital period
+const ORBIT_STEP_FRACTION = 0.005;
+const MAX_SUBSTEPS = 512;
+
+// Ringdowns are dropped once they have decayed for this many damping times
+const RINGDOWN_LIFETIME = 10;
+
+/**
+ * Outer horizon radius of a body
+ * @param {Object} body - Compact body
+ * @returns {number} - Radius in meters
+ */
+export function bodyHorizonRadius(body) {
+    return horizonRadius(body.spin) * gravitationalRadius(body.mass);
+}
+
+/**
+ * Keplerian period of a circular binary
+ * @param {number} totalMass - Total mass in kg
+ * @param {number} separation - Separation in meters
+ * @returns {number} - Period in seconds
+ */
+export function orbitalPeriod(totalMass, separation) {
+    return 2 * Math.PI * Math.sqrt(separation * separation * separation / (G * totalMass));
+}
+
+/**
+ * Time for a circular binary to inspiral to coalescence (Peters 1964)
+ * @param {number} m1 - Primary mass in kg
+ * @param {number} m2 - Secondary mass in kg
+ * @param {number} separation - Separation in meters
+ * @returns {number} - Time in seconds
+ */
+export function inspiralTime(m1, m2, separation) {
+    const totalMass = m1 + m2;
+    return (5 / 256) * Math.pow(C, 5) * Math.pow(separation, 4) / (G * G * G * m1 * m2 * totalMass);
+}
+
+/**
+ * Create a compact body
+ * @param {Object} options - { id, position, velocity, mass, spin }
+ * @returns {Object} - Compact body
+ */
+export function createBody({ id, position = [0, 0, 0], velocity = [0, 0, 0], mass, spin = 0 }) {
+    return {
+        id,
+        position: [...position],
+        velocity: [...velocity],
+        mass,
+        spin: clampSpin(spin),
+        ringdown: null
+    };
+}
+
+/**
+ * Create two bodies on a circular orbit about their centre of mass
+ * The orbit lies in the xz plane and runs in the same sense as the accretion disk.
+ * @param {Object} options - Binary configuration
+ * @param {Array} options.position - Centre of mass in meters
+ * @param {number} options.totalMass - m1 + m2 in kg
+ * @param {number} options.massRatio - q = m2/m1 (values above 1 are inverted)
+ * @param {number} options.separation - Initial separation in meters
+ * @param {Array} options.spins - Dimensionless spins of the two bodies
+ * @param {number} options.firstId - Id of the primary; the secondary gets firstId + 1
+ * @returns {Array} - [primary, secondary]
+ */
+export function createBinaryBodies({ position = [0, 0, 0], totalMass, massRatio = 1, separation, spins = [0, 0], firstId = 1 }) {
+    const q = massRatio > 1 ? 1 / massRatio : massRatio;
+    const m1 = totalMass / (1 + q);
+    const m2 = totalMass - m1;
+    const relativeSpeed = Math.sqrt(G * totalMass / separation);
+
+    const offset1 = separation * m2 / totalMass;
+    const offset2 = separation * m1 / totalMass;
+    const speed1 = relativeSpeed * m2 / totalMass;
+    const speed2 = relativeSpeed * m1 / totalMass;
+
+    return [
+        createBody({
+            id: firstId,
+            position: [position[0] + offset1, position[1], position[2]],
+            velocity: [0, 0, speed1],
+            mass: m1,
+            spin: spins[0]
+        }),
+        createBody({
+            id: firstId + 1,
+            position: [position[0] - offset2, position[1], position[2]],
+            velocity: [0, 0, -speed2],
+            mass: m2,
+            spin: spins[1]
+        })
+    ];
+}
+
+/**
+ * Mass and spin of the remnant of a non-spinning binary merger
+ * Low-order fits to numerical-relativity results in the symmetric mass ratio η.
+ * @param {number} m1 - First mass in kg
+ * @param {number} m2 - Second mass in kg
+ * @returns {Object} - { mass, spin, radiatedEnergy } with energy in joules
+ */
+export function remnantProperties(m1, m2) {
+    const totalMass = m1 + m2;
+    const eta = m1 * m2 / (totalMass * totalMass);
+    const radiatedFraction = (1 - Math.sqrt(8 / 9)) * eta + 0.498 * eta * eta;
+    const spin = Math.sqrt(12) * eta - 3.871 * eta * eta + 4.028 * eta * eta * eta;
+
+    return {
+        mass: totalMass * (1 - radiatedFraction),
+        spin: clampSpin(spin),
+        radiatedEnergy: radiatedFraction * totalMass * C * C
+    };
+}
+
+/**
+ * Fundamental (l = m = 2) quasinormal mode of a Kerr black hole
+ * Fits from Berti, Cardoso & Will (2006).
+ * @param {number} mass - Mass in kg
+ * @param {number} spin - Dimensionless spin
+ * @returns {Object} - { frequency, dampingTime } in Hz and seconds
+ */
+export function quasinormalMode(mass, spin) {
+    const a = Math.abs(clampSpin(spin));
+    const omega = 1.5251 - 1.1568 * Math.pow(1 - a, 0.1292); // in units of c³/GM
+    const quality = 0.7 + 1.4187 * Math.pow(1 - a, -0.4990);
+    const timeScale = gravitationalTime(mass);
+
+    return {
+        frequency: omega / (2 * Math.PI * timeScale),
+        dampingTime: 2 * quality / omega * timeScale
+    };
+}
+
+/**
+ * Current ringdown displacement of a body, for driving visuals
+ * @param {Object} body - Compact body
+ * @returns {number} - Damped oscillation in [-amplitude, amplitude], 0 when quiet
+ */
+export function ringdownStrain(body) {
+    const ringdown = body.ringdown;
+    if (!ringdown) return 0;
+
+    return ringdown.amplitude *
+        Math.exp(-ringdown.age / ringdown.dampingTime) *
+        Math.cos(2 * Math.PI * ringdown.frequency * ringdown.age);
+}
+
+/**
+ * Accelerations of all bodies
+ * @param {Array} bodies - Compact bodies (masses)
+ * @param {Float64Array} positions - Flattened positions
+ * @param {Float64Array} velocities - Flattened velocities
+ * @param {Float64Array} out - Receives flattened accelerations
+ */
+function accelerations(bodies, positions, velocities, out) {
+    out.fill(0);
+
+    for (let i = 0; i < bodies.length; i++) {
+        for (let j = i + 1; j < bodies.length; j++) {
+            const m1 = bodies[i].mass;
+            const m2 = bodies[j].mass;
+            const totalMass = m1 + m2;
+
+            const dx = positions[i * 3] - positions[j * 3];
+            const dy = positions[i * 3 + 1] - positions[j * 3 + 1];
+            const dz = positions[i * 3 + 2] - positions[j * 3 + 2];
+            const r2 = dx * dx + dy * dy + dz * dz;
+            const r = Math.sqrt(r2);
+
+            // Newtonian attraction
+            const pull = G / (r2 * r);
+            for (let axis = 0; axis < 3; axis++) {
+                const d = axis === 0 ? dx : (axis === 1 ? dy : dz);
+                out[i * 3 + axis] -= pull * m2 * d;
+                out[j * 3 + axis] += pull * m1 * d;
+            }
+
+            // Radiation reaction: drag on the relative orbit that removes the
+            // quadrupole luminosity P = (32/5) G⁴ m1² m2² M / (c⁵ r⁵)
+            const vx = velocities[i * 3] - velocities[j * 3];
+            const vy = velocities[i * 3 + 1] - velocities[j * 3 + 1];
+            const vz = velocities[i * 3 + 2] - velocities[j * 3 + 2];
+            const v = Math.sqrt(vx * vx + vy * vy + vz * vz);
+            if (v === 0) continue;
+
+            const reducedMass = m1 * m2 / totalMass;
+            const luminosity = (32 / 5) * Math.pow(G, 4) * m1 * m1 * m2 * m2 * totalMass / (Math.pow(C, 5) * Math.pow(r, 5));
+            const drag = luminosity / (reducedMass * v * v);
+
+            for (let axis = 0; axis < 3; axis++) {
+                const relativeVelocity = axis === 0 ? vx : (axis === 1 ? vy : vz);
+                out[i * 3 + axis] -= drag * relativeVelocity * m2 / totalMass;
+                out[j * 3 + axis] += drag * relativeVelocity * m1 / totalMass;
+            }
+        }
+    }
+}
+
+/**
+ * Single RK4 step for all bodies (modifies positions and velocities in place)
+ * @param {Array} bodies - Compact bodies
+ * @param {number} h - Step in seconds
+ */
+function rk4Step(bodies, h) {
+    const n = bodies.length * 3;
+    const x0 = new Float64Array(n);
+    const v0 = new Float64Array(n);
+
+    bodies.forEach((body, i) => {
+        x0.set(body.position, i * 3);
+        v0.set(body.velocity, i * 3);
+    });
+
+    const a1 = new Float64Array(n), a2 = new Float64Array(n), a3 = new Float64Array(n), a4 = new Float64Array(n);
+    const x = new Float64Array(n), v2 = new Float64Array(n), v3 = new Float64Array(n), v4 = new Float64Array(n);
+
+    accelerations(bodies, x0, v0, a1);
+    for (let k = 0; k < n; k++) { x[k] = x0[k] + v0[k] * h / 2; v2[k] = v0[k] + a1[k] * h / 2; }
+    accelerations(bodies, x, v2, a2);
+    for (let k = 0; k < n; k++) { x[k] = x0[k] + v2[k] * h / 2; v3[k] = v0[k] + a2[k] * h / 2; }
+    accelerations(bodies, x, v3, a3);
+    for (let k = 0; k < n; k++) { x[k] = x0[k] + v3[k] * h; v4[k] = v0[k] + a3[k] * h; }
+    accelerations(bodies, x, v4, a4);
+
+    bodies.forEach((body, i) => {
+        for (let axis = 0; axis < 3; axis++) {
+            const k = i * 3 + axis;
+            body.position[axis] = x0[k] + (h / 6) * (v0[k] + 2 * v2[k] + 2 * v3[k] + v4[k]);
+            body.velocity[axis] = v0[k] + (h / 6) * (a1[k] + 2 * a2[k] + 2 * a3[k] + a4[k]);
+        }
+    });
+}
+
+/**
+ * Distance between two bodies
+ * @param {Object} a - First body
+ * @param {Object} b - Second body
+ * @returns {number} - Separation in meters
+ */
+function separation(a, b) {
+    return Math.hypot(
+        a.position[0] - b.position[0],
+        a.position[1] - b.position[1],
+        a.position[2] - b.position[2]
+    );
+}
+
+/**
+ * Merge the first pair of bodies whose horizons overlap
+ * @param {Array} bodies - Compact bodies
+ * @returns {Object|null} - { bodies, merger } or null if no pair is in contact
+ */
+function mergeContacts(bodies) {
+    for (let i = 0; i < bodies.length; i++) {
+        for (let j = i + 1; j < bodies.length; j++) {
+            const a = bodies[i];
+            const b = bodies[j];
+            if (separation(a, b) > bodyHorizonRadius(a) + bodyHorizonRadius(b)) continue;
+
+            const { mass, spin, radiatedEnergy } = remnantProperties(a.mass, b.mass);
+            const total = a.mass + b.mass;
+            const weighted = (key, axis) => (a[key][axis] * a.mass + b[key][axis] * b.mass) / total;
+
+            // The remnant keeps the heavier body's id so renderers can reuse it
+            const remnant = createBody({
+                id: a.mass >= b.mass ? a.id : b.id,
+                position: [0, 1, 2].map(axis => weighted('position', axis)),
+                velocity: [0, 1, 2].map(axis => weighted('velocity', axis)),
+                mass,
+                spin
+            });
+            remnant.ringdown = {
+                ...quasinormalMode(mass, spin),
+                amplitude: 1,
+                age: 0
+            };
+
+            return {
+                bodies: [...bodies.slice(0, i), remnant, ...bodies.slice(i + 1, j), ...bodies.slice(j + 1)],
+                merger: {
+                    ids: [a.id, b.id],
+                    remnantId: remnant.id,
+                    mass,
+                    spin,
+                    radiatedEnergy
+                }
+            };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Advance the compact bodies
+ * @param {Array} bodies - Compact bodies (modified in place; merged bodies are replaced)
+ * @param {number} dt - Time step in seconds
+ * @returns {Object} - { bodies, mergers }
+ */
+export function evolveBodies(bodies, dt) {
+    const mergers = [];
+    let current = bodies;
+    let remaining = dt;
+    let substeps = 0;
+
+    while (current.length > 1 && remaining > dt * 1e-9) {
+        // Resolve anything left from the previous frame before stepping
+        const merged = mergeContacts(current);
+        if (merged) {
+            current = merged.bodies;
+            mergers.push(merged.merger);
+            continue;
+        }
+
+        // The tightest pair sets the step
+        let shortestPeriod = Infinity;
+        for (let i = 0; i < current.length; i++) {
+            for (let j = i + 1; j < current.length; j++) {
+                shortestPeriod = Math.min(shortestPeriod, orbitalPeriod(current[i].mass + current[j].mass, separation(current[i], current[j])));
+            }
+        }
+
+        let h = Math.min(remaining, ORBIT_STEP_FRACTION * shortestPeriod);
+        h = Math.max(h, remaining / (MAX_SUBSTEPS - substeps));
+
+        rk4Step(current, h);
+        remaining -= h;
+        substeps++;
+    }
+
+    if (current.length > 1) {
+        const merged = mergeContacts(current);
+        if (merged) {
+            current = merged.bodies;
+            mergers.push(merged.merger);
+        }
+    } else if (current.length === 1 && remaining > 0) {
+        // A lone body just drifts
+        const body = current[0];
+        for (let axis = 0; axis < 3; axis++) {
+            body.position[axis] += body.velocity[axis] * remaining;
+        }
+    }
+
+    // Age ringdowns, including ones that started during this step
+    current.forEach(body => {
+        if (!body.ringdown) return;
+        body.ringdown.age += dt;
+        if (body.ringdown.age > RINGDOWN_LIFETIME * body.ringdown.dampingTime) {
+            body.ringdown = null;
+        }
+    });
+
+    return { bodies: current, mergers };
+}
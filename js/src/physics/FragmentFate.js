@@ -0,0 +1,175 @@
+import { G } from './Units.js';
+
+/**
+ * Fragment fates
+ * Follows the debris of launched fragments through simulation updates and settles what became
+ * of each one: captured (most of its debris crossed a horizon), ejected (most of it left on an
+ * unbound orbit, beyond the distance it was launched from) or lingered (most of it was still
+ * around when the watch ended). Debris is told apart by the consecutive particle ids
+ * createFragment gives it, which it keeps whether the fragment is intact or torn apart.
+ *
+ * Energies are Newtonian, about the bodies' centre of mass; far outside the launch distance
+ * that is all the accuracy "unbound" needs.
+ */
+
+export const FRAGMENT_FATES = ['captured', 'ejected', 'lingered'];
+
+// How long a fragment is followed before the debris still around counts as lingering (ms)
+const WATCH_DURATION = 60000;
+
+export class FragmentFateTracker {
+    constructor() {
+        this.watches = new Map(); // fragment id -> watch
+    }
+
+    /**
+     * Start following a fragment
+     * @param {Object} fragment - Fragment from PhysicsController.addFragment
+     * @param {Array} bodies - Compact bodies at launch
+     */
+    watch(fragment, bodies = []) {
+        const centre = centreOfMass(bodies);
+        const offset = fragment.position.map((x, axis) => x - (centre ? centre.position[axis] : 0));
+
+        this.watches.set(fragment.id, {
+            id: fragment.id,
+            firstParticleId: fragment.firstParticleId,
+            particleCount: fragment.particleCount,
+            launchDistance: Math.hypot(offset[0], offset[1], offset[2]),
+            startTime: null, // Time of the first update seen
+            captured: new Set(),
+            ejected: new Set()
+        });
+    }
+
+    /**
+     * Stop following a fragment
+     * @param {number} id - Fragment id
+     */
+    forget(id) {
+        this.watches.delete(id);
+    }
+
+    /**
+     * Count captured and ejected debris in a simulation update and settle finished fragments
+     * @param {Object} update - Simulation update (buffer, count, layout, capturedIds, bodies, time)
+     * @returns {Array} - Settled fragments: [{ id, fate, captured, ejected, lingered }]
+     */
+    observe(update) {
+        if (this.watches.size === 0) return [];
+
+        const time = update.time !== undefined ? update.time : performance.now();
+        this.watches.forEach(watch => {
+            if (watch.startTime === null) watch.startTime = time;
+        });
+
+        (update.capturedIds || []).forEach(id => {
+            const watch = this.find(id);
+            if (watch) {
+                watch.captured.add(id);
+                watch.ejected.delete(id);
+            }
+        });
+
+        this.countEjected(update);
+
+        const settled = [];
+        this.watches.forEach(watch => {
+            const accounted = watch.captured.size + watch.ejected.size;
+            if (accounted >= watch.particleCount || time - watch.startTime >= WATCH_DURATION) {
+                settled.push(settle(watch));
+                this.watches.delete(watch.id);
+            }
+        });
+
+        return settled;
+    }
+
+    /**
+     * Mark debris that is unbound and past its launch distance as ejected
+     * @param {Object} update - Simulation update
+     */
+    countEjected({ buffer, count, layout, bodies }) {
+        const centre = centreOfMass(bodies || []);
+        if (!buffer || !layout || !centre) return;
+
+        const { stride, fields } = layout;
+        const position = fields.position.offset;
+        const velocity = fields.velocity.offset;
+
+        for (let i = 0; i < count; i++) {
+            const base = i * stride;
+            const id = buffer[base + fields.id.offset];
+            const watch = this.find(id);
+            if (!watch || watch.captured.has(id) || watch.ejected.has(id)) continue;
+
+            const dx = buffer[base + position] - centre.position[0];
+            const dy = buffer[base + position + 1] - centre.position[1];
+            const dz = buffer[base + position + 2] - centre.position[2];
+            const r = Math.hypot(dx, dy, dz);
+            if (r <= watch.launchDistance) continue;
+
+            const vx = buffer[base + velocity] - centre.velocity[0];
+            const vy = buffer[base + velocity + 1] - centre.velocity[1];
+            const vz = buffer[base + velocity + 2] - centre.velocity[2];
+            const energy = 0.5 * (vx * vx + vy * vy + vz * vz) - G * centre.mass / r;
+
+            if (energy > 0) {
+                watch.ejected.add(id);
+            }
+        }
+    }
+
+    /**
+     * Watch a debris particle belongs to
+     * @param {number} id - Particle id
+     * @returns {Object|undefined} - Watch
+     */
+    find(id) {
+        for (const watch of this.watches.values()) {
+            if (id >= watch.firstParticleId && id < watch.firstParticleId + watch.particleCount) {
+                return watch;
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Stop following every fragment
+     */
+    clear() {
+        this.watches.clear();
+    }
+}
+
+/**
+ * Debris counts of a finished watch and the fate most of it met
+ * @param {Object} watch - Watch
+ * @returns {Object} - { id, fate, captured, ejected, lingered }
+ */
+function settle(watch) {
+    const captured = watch.captured.size;
+    const ejected = watch.ejected.size;
+    const counts = { captured, ejected, lingered: Math.max(0, watch.particleCount - captured - ejected) };
+
+    // Ties go to the earlier fate in FRAGMENT_FATES
+    const fate = FRAGMENT_FATES.reduce((best, name) => (counts[name] > counts[best] ? name : best));
+
+    return { id: watch.id, fate, ...counts };
+}
+
+/**
+ * Total mass, centre of mass and its velocity
+ * @param {Array} bodies - Compact bodies
+ * @returns {Object|null} - { mass, position, velocity }, or null without bodies
+ */
+function centreOfMass(bodies) {
+    const mass = bodies.reduce((total, body) => total + body.mass, 0);
+    if (!(mass > 0)) return null;
+
+    const weighted = (key) => [0, 1, 2].map(axis =>
+        bodies.reduce((sum, body) => sum + body.mass * (body[key] ? body[key][axis] : 0), 0) / mass
+    );
+
+    return { mass, position: weighted('position'), velocity: weighted('velocity') };
+}
@@ -0,0 +1,399 @@
+/**
+ * Kerr geodesic integrator
+ * Timelike geodesics around a (possibly spinning) black hole in Boyer-Lindquist coordinates.
+ * Shared by the physics worker and the main-thread fallback so both run the same model.
+ *
+ * The integrator works in geometric units (G = c = M = 1): lengths in GM/c², times in GM/c³
+ * and spin as the dimensionless a = J/(Mc). The spin axis is the scene +y axis and positive
+ * spin co-rotates with the accretion disk (φ grows from +x toward +z).
+ */
+
+// Upper limit for the spin parameter (Thorne limit); a = 1 makes the horizon degenerate
+export const MAX_SPIN = 0.998;
+
+// Particles are captured slightly outside the horizon, where coordinate time freezes them
+const CAPTURE_MARGIN = 0.02;
+
+// Integration step as a fraction of the local orbital timescale r^(3/2)
+const STEP_FRACTION = 0.02;
+const MAX_SUBSTEPS = 256;
+
+/**
+ * Clamp a spin parameter to the physical range
+ * @param {number} a - Dimensionless spin
+ * @returns {number} - Spin in [-MAX_SPIN, MAX_SPIN]
+ */
+export function clampSpin(a) {
+    return Math.max(-MAX_SPIN, Math.min(MAX_SPIN, a || 0));
+}
+
+/**
+ * Outer event horizon radius r+ = M + sqrt(M² - a²)
+ * @param {number} a - Dimensionless spin
+ * @returns {number} - Horizon radius in units of M
+ */
+export function horizonRadius(a) {
+    const spin = clampSpin(a);
+    return 1 + Math.sqrt(1 - spin * spin);
+}
+
+/**
+ * Innermost stable circular orbit (Bardeen, Press & Teukolsky 1972)
+ * @param {number} a - Dimensionless spin
+ * @param {boolean} prograde - Orbit co-rotating with the hole
+ * @returns {number} - ISCO radius in units of M
+ */
+export function iscoRadius(a, prograde = true) {
+    const spin = clampSpin(a);
+    const z1 = 1 + Math.cbrt(1 - spin * spin) * (Math.cbrt(1 + spin) + Math.cbrt(1 - spin));
+    const z2 = Math.sqrt(3 * spin * spin + z1 * z1);
+    const sign = prograde === (spin >= 0) ? -1 : 1;
+    return 3 + z2 + sign * Math.sqrt((3 - z1) * (3 + z1 + 2 * z2));
+}
+
+/**
+ * Circular photon orbit radius in the equatorial plane
+ * @param {number} a - Dimensionless spin
+ * @param {boolean} prograde - Orbit co-rotating with the hole
+ * @returns {number} - Photon sphere radius in units of M
+ */
+export function photonOrbitRadius(a, prograde = true) {
+    const spin = Math.abs(clampSpin(a));
+    const sign = prograde ? -1 : 1;
+    return 2 * (1 + Math.cos((2 / 3) * Math.acos(sign * spin)));
+}
+
+/**
+ * Covariant Boyer-Lindquist metric components
+ * @param {number} r - Radius
+ * @param {number} theta - Polar angle
+ * @param {number} a - Spin
+ * @returns {Object} - Non-zero metric components
+ */
+function metric(r, theta, a) {
+    const cosTheta = Math.cos(theta);
+    const sin2 = Math.max(1e-12, 1 - cosTheta * cosTheta);
+    const sigma = r * r + a * a * cosTheta * cosTheta;
+    const delta = r * r - 2 * r + a * a;
+
+    return {
+        tt: -(1 - 2 * r / sigma),
+        tp: -2 * a * r * sin2 / sigma,
+        pp: (r * r + a * a + 2 * a * a * r * sin2 / sigma) * sin2,
+        rr: sigma / delta,
+        thth: sigma
+    };
+}
+
+// Scratch space for the Runge-Kutta stages, reused to avoid per-step allocation
+const stage = new Float64Array(5);
+const k1 = new Float64Array(5);
+const k2 = new Float64Array(5);
+const k3 = new Float64Array(5);
+const k4 = new Float64Array(5);
+
+/**
+ * Equations of motion with respect to coordinate time
+ * Uses the separable form of the Kerr Hamiltonian, 2ΣH = Δp_r² + p_θ² + T(θ) - P(r)²/Δ with
+ * T = (L - aE sin²θ)²/sin²θ and P = (r² + a²)E - aL, divided through by dt/dλ.
+ * @param {Float64Array} y - [r, theta, phi, pr, ptheta]
+ * @param {number} E - Conserved energy
+ * @param {number} L - Conserved axial angular momentum
+ * @param {number} a - Spin
+ * @param {Float64Array} out - Receives d/dt of y
+ * @returns {number} - dτ/dt for the state
+ */
+function derivatives(y, E, L, a, out) {
+    const r = y[0];
+    const pr = y[3];
+    const ptheta = y[4];
+    const sinTheta = Math.sin(y[1]);
+    const cosTheta = Math.cos(y[1]);
+    const sin2 = Math.max(1e-12, sinTheta * sinTheta);
+
+    const sigma = r * r + a * a * cosTheta * cosTheta;
+    const delta = r * r - 2 * r + a * a;
+    const deltaPrime = 2 * r - 2;
+    const P = (r * r + a * a) * E - a * L;
+    const axial = L - a * E * sin2;
+
+    // dt/dλ times Σ; the Σ factors cancel when converting to coordinate time
+    const tDot = a * axial + (r * r + a * a) * P / delta;
+
+    // N = 2ΣH and its partial derivatives
+    const N = delta * pr * pr + ptheta * ptheta + axial * axial / sin2 - P * P / delta;
+    const dNdr = deltaPrime * pr * pr - (4 * r * E * P * delta - P * P * deltaPrime) / (delta * delta);
+    const dNdtheta = 2 * sinTheta * cosTheta * (a * a * E * E - L * L / (sin2 * sin2));
+
+    out[0] = delta * pr / tDot;
+    out[1] = ptheta / tDot;
+    out[2] = (axial / sin2 + a * P / delta) / tDot;
+    out[3] = -(0.5 * dNdr - N * r / sigma) / tDot;
+    out[4] = -(0.5 * dNdtheta + N * a * a * sinTheta * cosTheta / sigma) / tDot;
+
+    return sigma / tDot;
+}
+
+/**
+ * Single classical Runge-Kutta step
+ * @param {Object} state - Geodesic state (modified in place)
+ * @param {number} h - Step size in coordinate time
+ * @param {number} a - Spin
+ */
+function rk4Step(state, h, a) {
+    const { energy: E, angularMomentum: L } = state;
+    const y = [state.r, state.theta, state.phi, state.pr, state.ptheta];
+
+    derivatives(y, E, L, a, k1);
+    for (let i = 0; i < 5; i++) stage[i] = y[i] + k1[i] * h / 2;
+    derivatives(stage, E, L, a, k2);
+    for (let i = 0; i < 5; i++) stage[i] = y[i] + k2[i] * h / 2;
+    derivatives(stage, E, L, a, k3);
+    for (let i = 0; i < 5; i++) stage[i] = y[i] + k3[i] * h;
+    derivatives(stage, E, L, a, k4);
+
+    for (let i = 0; i < 5; i++) {
+        y[i] += (h / 6) * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]);
+    }
+
+    state.r = y[0];
+    state.theta = y[1];
+    state.phi = y[2];
+    state.pr = y[3];
+    state.ptheta = y[4];
+}
+
+/**
+ * Convert Cartesian scene coordinates to Boyer-Lindquist coordinates
+ * @param {Array} position - [x, y, z] relative to the black hole
+ * @param {number} a - Spin
+ * @returns {Object} - { r, theta, phi }
+ */
+export function cartesianToBoyerLindquist(position, a) {
+    // Scene y is the spin axis
+    const X = position[0];
+    const Y = position[2];
+    const Z = position[1];
+
+    const R2 = X * X + Y * Y + Z * Z;
+    const b = R2 - a * a;
+    const r = Math.sqrt(0.5 * (b + Math.sqrt(b * b + 4 * a * a * Z * Z)));
+    const theta = Math.acos(Math.max(-1, Math.min(1, r > 0 ? Z / r : 1)));
+    const phi = Math.atan2(Y, X);
+
+    return { r, theta, phi };
+}
+
+/**
+ * Convert Boyer-Lindquist coordinates to Cartesian scene coordinates
+ * @param {number} r - Radius
+ * @param {number} theta - Polar angle
+ * @param {number} phi - Azimuth
+ * @param {number} a - Spin
+ * @returns {Array} - [x, y, z] relative to the black hole
+ */
+export function boyerLindquistToCartesian(r, theta, phi, a) {
+    const rho = Math.sqrt(r * r + a * a);
+
+    return [
+        rho * Math.sin(theta) * Math.cos(phi),
+        r * Math.cos(theta),
+        rho * Math.sin(theta) * Math.sin(phi)
+    ];
+}
+
+/**
+ * Build a geodesic state from a Cartesian position and coordinate velocity
+ * Velocities that would be superluminal (or static inside the ergosphere) are
+ * blended toward the local zero-angular-momentum observer until timelike.
+ * @param {Array} position - [x, y, z] relative to the black hole
+ * @param {Array} velocity - [vx, vy, vz] as fractions of c
+ * @param {number} a - Spin
+ * @returns {Object} - Geodesic state
+ */
+export function createGeodesicState(position, velocity, a) {
+    const spin = clampSpin(a);
+    const { r, theta, phi } = cartesianToBoyerLindquist(position, spin);
+
+    // Coordinate rates by finite differences of the coordinate transform
+    const speed = Math.hypot(velocity[0], velocity[1], velocity[2]);
+    let rRate = 0, thetaRate = 0, phiRate = 0;
+
+    if (speed > 0) {
+        const eps = 1e-6 * Math.max(1, r) / speed;
+        const next = cartesianToBoyerLindquist([
+            position[0] + velocity[0] * eps,
+            position[1] + velocity[1] * eps,
+            position[2] + velocity[2] * eps
+        ], spin);
+
+        let dPhi = next.phi - phi;
+        if (dPhi > Math.PI) dPhi -= 2 * Math.PI;
+        if (dPhi < -Math.PI) dPhi += 2 * Math.PI;
+
+        rRate = (next.r - r) / eps;
+        thetaRate = (next.theta - theta) / eps;
+        phiRate = dPhi / eps;
+    }
+
+    const g = metric(r, theta, spin);
+    const frameDragging = -g.tp / g.pp;
+
+    // Find the largest blend factor that keeps the four-velocity timelike
+    let blend = 1;
+    let norm = 0;
+    let omega = phiRate;
+
+    for (let i = 0; i < 64; i++) {
+        omega = frameDragging + blend * (phiRate - frameDragging);
+        const vr = blend * rRate;
+        const vtheta = blend * thetaRate;
+        norm = g.tt + 2 * g.tp * omega + g.pp * omega * omega + g.rr * vr * vr + g.thth * vtheta * vtheta;
+
+        if (norm < -1e-9) break;
+        blend *= 0.9;
+    }
+
+    const tDot = 1 / Math.sqrt(Math.max(1e-18, -norm));
+
+    return {
+        r,
+        theta,
+        phi,
+        pr: g.rr * blend * rRate * tDot,
+        ptheta: g.thth * blend * thetaRate * tDot,
+        energy: -(g.tt + g.tp * omega) * tDot,
+        angularMomentum: (g.tp + g.pp * omega) * tDot,
+        properTimeRate: 1 / tDot
+    };
+}
+
+/**
+ * Cartesian position and coordinate velocity for a geodesic state
+ * @param {Object} state - Geodesic state
+ * @param {number} a - Spin
+ * @returns {Object} - { position, velocity } relative to the black hole, velocity in c
+ */
+export function geodesicToCartesian(state, a) {
+    const spin = clampSpin(a);
+    const { r, theta, phi } = state;
+    const rates = new Float64Array(5);
+    derivatives([r, theta, phi, state.pr, state.ptheta], state.energy, state.angularMomentum, spin, rates);
+    const [rRate, thetaRate, phiRate] = rates;
+
+    const rho = Math.sqrt(r * r + spin * spin);
+    const sinTheta = Math.sin(theta);
+    const cosTheta = Math.cos(theta);
+    const sinPhi = Math.sin(phi);
+    const cosPhi = Math.cos(phi);
+    const rhoRate = rho > 0 ? (r / rho) * rRate : 0;
+
+    return {
+        position: boyerLindquistToCartesian(r, theta, phi, spin),
+        velocity: [
+            rhoRate * sinTheta * cosPhi + rho * cosTheta * cosPhi * thetaRate - rho * sinTheta * sinPhi * phiRate,
+            rRate * cosTheta - r * sinTheta * thetaRate,
+            rhoRate * sinTheta * sinPhi + rho * cosTheta * sinPhi * thetaRate + rho * sinTheta * cosPhi * phiRate
+        ]
+    };
+}
+
+/**
+ * Advance a geodesic state by a span of coordinate time
+ * Substeps adapt to the local orbital timescale so close orbits stay accurate.
+ * @param {Object} state - Geodesic state (modified in place)
+ * @param {number} dt - Coordinate time in units of GM/c³
+ * @param {number} a - Spin
+ * @returns {boolean} - False once the particle has crossed the capture radius
+ */
+export function stepGeodesic(state, dt, a) {
+    const spin = clampSpin(a);
+    const captureRadius = horizonRadius(spin) * (1 + CAPTURE_MARGIN);
+    let remaining = dt;
+    let substeps = 0;
+
+    while (remaining > dt * 1e-9) {
+        if (state.r <= captureRadius) return false;
+
+        // Shrink the step with the orbital timescale and near the horizon
+        const orbital = STEP_FRACTION * Math.pow(state.r, 1.5);
+        const horizonGap = (state.r - captureRadius) * 4;
+        let h = Math.min(remaining, orbital, Math.max(horizonGap, 1e-3));
+
+        // Keep the per-frame cost bounded
+        h = Math.max(h, remaining / (MAX_SUBSTEPS - substeps));
+
+        rk4Step(state, h, spin);
+        remaining -= h;
+        substeps++;
+
+        if (!Number.isFinite(state.r) || !Number.isFinite(state.pr)) return false;
+
+        // Keep the polar angle inside (0, π) when an orbit passes over a pole
+        if (state.theta < 0) {
+            state.theta = -state.theta;
+            state.ptheta = -state.ptheta;
+            state.phi += Math.PI;
+        } else if (state.theta > Math.PI) {
+            state.theta = 2 * Math.PI - state.theta;
+            state.ptheta = -state.ptheta;
+            state.phi += Math.PI;
+        }
+    }
+
+    state.properTimeRate = derivatives(
+        [state.r, state.theta, state.phi, state.pr, state.ptheta],
+        state.energy, state.angularMomentum, spin, k1
+    );
+
+    return state.r > captureRadius;
+}
+
+/**
+ * Advance a particle with Newtonian gravity (used when relativity is disabled)
+ * @param {Array} position - [x, y, z] relative to the black hole (modified in place)
+ * @param {Array} velocity - [vx, vy, vz] in c (modified in place)
+ * @param {number} dt - Time in units of GM/c³
+ * @returns {boolean} - False once the particle has reached the Schwarzschild radius
+ */
+export function stepNewtonian(position, velocity, dt) {
+    const acceleration = (p) => {
+        const r = Math.hypot(p[0], p[1], p[2]);
+        const r3 = r * r * r;
+        return [-p[0] / r3, -p[1] / r3, -p[2] / r3];
+    };
+
+    let remaining = dt;
+    let substeps = 0;
+
+    while (remaining > dt * 1e-9) {
+        const r = Math.hypot(position[0], position[1], position[2]);
+        if (r <= 2) return false;
+
+        let h = Math.min(remaining, STEP_FRACTION * Math.pow(r, 1.5));
+        h = Math.max(h, remaining / (MAX_SUBSTEPS - substeps));
+
+        // RK4 on (position, velocity)
+        const k1v = acceleration(position);
+        const k1x = velocity;
+        const p2 = position.map((x, i) => x + k1x[i] * h / 2);
+        const v2 = velocity.map((v, i) => v + k1v[i] * h / 2);
+        const k2v = acceleration(p2);
+        const p3 = position.map((x, i) => x + v2[i] * h / 2);
+        const v3 = velocity.map((v, i) => v + k2v[i] * h / 2);
+        const k3v = acceleration(p3);
+        const p4 = position.map((x, i) => x + v3[i] * h);
+        const v4 = velocity.map((v, i) => v + k3v[i] * h);
+        const k4v = acceleration(p4);
+
+        for (let i = 0; i < 3; i++) {
+            position[i] += (h / 6) * (k1x[i] + 2 * v2[i] + 2 * v3[i] + v4[i]);
+            velocity[i] += (h / 6) * (k1v[i] + 2 * k2v[i] + 2 * k3v[i] + k4v[i]);
+        }
+
+        remaining -= h;
+        substeps++;
+    }
+
+    return Math.hypot(position[0], position[1], position[2]) > 2;
+}
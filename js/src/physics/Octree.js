@@ -0,0 +1,304 @@
+import { PARTICLE_LAYOUT } from './ParticleBuffer.js';
+
+/**
+ * Octree
+ * Barnes-Hut tree over the particles of a ParticleState, for self-gravity and neighbour
+ * searches. Nodes live in flat typed arrays and are rebuilt every step; leaves keep a linked
+ * list of up to LEAF_CAPACITY particles. Each node stores its total mass and mass-weighted
+ * position sum, so a distant node acts as a single point mass at its centre of mass.
+ */
+
+const LEAF_CAPACITY = 8;
+
+// Coincident particles would split forever; leaves this deep just hold longer lists
+const MAX_DEPTH = 32;
+
+export class Octree {
+    constructor(capacity = 1024) {
+        this.nodeCount = 0;
+        this.particles = null;
+        this.next = new Int32Array(0); // Per-particle link to the next particle in the same leaf
+        this.stack = new Int32Array(MAX_DEPTH * 8 + 1);
+        this.allocate(capacity);
+    }
+
+    /**
+     * Grow the node arrays, keeping existing nodes
+     * @param {number} capacity - Number of nodes
+     */
+    allocate(capacity) {
+        const grow = (array, Type, width = 1) => {
+            const next = new Type(capacity * width);
+            if (array) next.set(array);
+            return next;
+        };
+
+        this.center = grow(this.center, Float64Array, 3);
+        this.moment = grow(this.moment, Float64Array, 3); // Σ m·x of the particles below
+        this.half = grow(this.half, Float64Array);
+        this.mass = grow(this.mass, Float64Array);
+        this.firstChild = grow(this.firstChild, Int32Array); // Eight consecutive children, -1 for a leaf
+        this.head = grow(this.head, Int32Array); // First particle of a leaf, -1 when empty
+        this.count = grow(this.count, Int32Array);
+        this.depth = grow(this.depth, Int32Array);
+        this.parent = grow(this.parent, Int32Array);
+        this.capacity = capacity;
+    }
+
+    /**
+     * Append a node
+     * @param {number} x - Centre x
+     * @param {number} y - Centre y
+     * @param {number} z - Centre z
+     * @param {number} half - Half the box width
+     * @param {number} depth - Depth below the root
+     * @param {number} parent - Parent node, -1 for the root
+     * @returns {number} - Node index
+     */
+    addNode(x, y, z, half, depth, parent) {
+        if (this.nodeCount === this.capacity) this.allocate(this.capacity * 2);
+
+        const node = this.nodeCount++;
+        this.center[node * 3] = x;
+        this.center[node * 3 + 1] = y;
+        this.center[node * 3 + 2] = z;
+        this.moment[node * 3] = this.moment[node * 3 + 1] = this.moment[node * 3 + 2] = 0;
+        this.half[node] = half;
+        this.mass[node] = 0;
+        this.firstChild[node] = -1;
+        this.head[node] = -1;
+        this.count[node] = 0;
+        this.depth[node] = depth;
+        this.parent[node] = parent;
+        return node;
+    }
+
+    /**
+     * Build the tree over the live particles
+     * @param {ParticleState} particles - Particle store
+     */
+    build(particles) {
+        const { stride, fields } = PARTICLE_LAYOUT;
+        const data = particles.data;
+        const p = fields.position.offset;
+        this.particles = particles;
+        this.nodeCount = 0;
+        if (this.next.length < particles.count) this.next = new Int32Array(particles.data.length / stride);
+
+        // Root cube around every particle
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        for (let i = 0; i < particles.count; i++) {
+            for (let axis = 0; axis < 3; axis++) {
+                const x = data[i * stride + p + axis];
+                if (x < min[axis]) min[axis] = x;
+                if (x > max[axis]) max[axis] = x;
+            }
+        }
+        const half = Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2], 1e-9) / 2 * 1.0001;
+        this.addNode((min[0] + max[0]) / 2, (min[1] + max[1]) / 2, (min[2] + max[2]) / 2, half, 0, -1);
+
+        for (let i = 0; i < particles.count; i++) {
+            this.insert(i);
+        }
+
+        // Children are always allocated after their parents, so a reverse sweep sums bottom-up
+        const m = fields.mass.offset;
+        for (let node = this.nodeCount - 1; node >= 0; node--) {
+            if (this.firstChild[node] < 0) {
+                for (let i = this.head[node]; i >= 0; i = this.next[i]) {
+                    const base = i * stride;
+                    this.mass[node] += data[base + m];
+                    for (let axis = 0; axis < 3; axis++) {
+                        this.moment[node * 3 + axis] += data[base + m] * data[base + p + axis];
+                    }
+                }
+            }
+
+            const parent = this.parent[node];
+            if (parent >= 0) {
+                this.mass[parent] += this.mass[node];
+                for (let axis = 0; axis < 3; axis++) {
+                    this.moment[parent * 3 + axis] += this.moment[node * 3 + axis];
+                }
+            }
+        }
+    }
+
+    /**
+     * Child octant of a node containing a particle
+     * @param {number} node - Node index
+     * @param {number} i - Particle index
+     * @returns {number} - Octant 0-7
+     */
+    octant(node, i) {
+        const base = i * PARTICLE_LAYOUT.stride + PARTICLE_LAYOUT.fields.position.offset;
+        const data = this.particles.data;
+        return (data[base] > this.center[node * 3] ? 1 : 0) |
+            (data[base + 1] > this.center[node * 3 + 1] ? 2 : 0) |
+            (data[base + 2] > this.center[node * 3 + 2] ? 4 : 0);
+    }
+
+    /**
+     * Add a particle to the leaf containing it, splitting full leaves
+     * @param {number} i - Particle index
+     */
+    insert(i) {
+        let node = 0;
+        while (this.firstChild[node] >= 0) {
+            node = this.firstChild[node] + this.octant(node, i);
+        }
+
+        this.next[i] = this.head[node];
+        this.head[node] = i;
+        this.count[node]++;
+
+        if (this.count[node] > LEAF_CAPACITY && this.depth[node] < MAX_DEPTH) {
+            this.split(node);
+        }
+    }
+
+    /**
+     * Turn a leaf into eight children and hand its particles down
+     * @param {number} node - Leaf node index
+     */
+    split(node) {
+        const half = this.half[node] / 2;
+        const depth = this.depth[node] + 1;
+        const cx = this.center[node * 3];
+        const cy = this.center[node * 3 + 1];
+        const cz = this.center[node * 3 + 2];
+
+        let first = -1;
+        for (let octant = 0; octant < 8; octant++) {
+            const child = this.addNode(
+                cx + (octant & 1 ? half : -half),
+                cy + (octant & 2 ? half : -half),
+                cz + (octant & 4 ? half : -half),
+                half, depth, node
+            );
+            if (octant === 0) first = child;
+        }
+
+        let i = this.head[node];
+        this.firstChild[node] = first;
+        this.head[node] = -1;
+        this.count[node] = 0;
+
+        while (i >= 0) {
+            const following = this.next[i];
+            const child = first + this.octant(node, i);
+            this.next[i] = this.head[child];
+            this.head[child] = i;
+            this.count[child]++;
+            i = following;
+        }
+
+        for (let child = first; child < first + 8; child++) {
+            if (this.count[child] > LEAF_CAPACITY && depth < MAX_DEPTH) this.split(child);
+        }
+    }
+
+    /**
+     * Softened gravitational acceleration at a particle from all the others
+     * @param {number} i - Particle index
+     * @param {number} theta - Opening angle; nodes smaller than theta × distance are used whole
+     * @param {number} softening - Plummer softening length in meters
+     * @param {number} gravity - Gravitational constant
+     * @param {Float64Array} out - Receives the acceleration
+     * @param {number} offset - Index in `out` for the x component
+     */
+    acceleration(i, theta, softening, gravity, out, offset) {
+        const { stride, fields } = PARTICLE_LAYOUT;
+        const data = this.particles.data;
+        const base = i * stride + fields.position.offset;
+        const x = data[base], y = data[base + 1], z = data[base + 2];
+        const eps2 = softening * softening;
+        const theta2 = theta * theta;
+        const stack = this.stack;
+        let top = 0;
+        let ax = 0, ay = 0, az = 0;
+
+        const pull = (mass, dx, dy, dz) => {
+            const r2 = dx * dx + dy * dy + dz * dz + eps2;
+            const scale = gravity * mass / (r2 * Math.sqrt(r2));
+            ax += scale * dx;
+            ay += scale * dy;
+            az += scale * dz;
+        };
+
+        stack[top++] = 0;
+        while (top > 0) {
+            const node = stack[--top];
+            const mass = this.mass[node];
+            if (mass <= 0) continue;
+
+            if (this.firstChild[node] < 0) {
+                for (let j = this.head[node]; j >= 0; j = this.next[j]) {
+                    if (j === i) continue;
+                    const other = j * stride + fields.position.offset;
+                    pull(data[j * stride + fields.mass.offset], data[other] - x, data[other + 1] - y, data[other + 2] - z);
+                }
+                continue;
+            }
+
+            const dx = this.moment[node * 3] / mass - x;
+            const dy = this.moment[node * 3 + 1] / mass - y;
+            const dz = this.moment[node * 3 + 2] / mass - z;
+            const width = 2 * this.half[node];
+
+            if (width * width < theta2 * (dx * dx + dy * dy + dz * dz)) {
+                pull(mass, dx, dy, dz);
+            } else {
+                const first = this.firstChild[node];
+                for (let child = first; child < first + 8; child++) stack[top++] = child;
+            }
+        }
+
+        out[offset] = ax;
+        out[offset + 1] = ay;
+        out[offset + 2] = az;
+    }
+
+    /**
+     * Visit every particle within a radius of a point
+     * @param {number} x - Point x
+     * @param {number} y - Point y
+     * @param {number} z - Point z
+     * @param {number} radius - Search radius in meters
+     * @param {Function} callback - Called with (index, distanceSquared)
+     */
+    forEachNeighbour(x, y, z, radius, callback) {
+        const { stride, fields } = PARTICLE_LAYOUT;
+        const data = this.particles.data;
+        const radius2 = radius * radius;
+        const stack = this.stack;
+        let top = 0;
+
+        stack[top++] = 0;
+        while (top > 0) {
+            const node = stack[--top];
+            const half = this.half[node];
+
+            // Skip boxes the search sphere cannot reach
+            if (Math.abs(this.center[node * 3] - x) > half + radius ||
+                Math.abs(this.center[node * 3 + 1] - y) > half + radius ||
+                Math.abs(this.center[node * 3 + 2] - z) > half + radius) {
+                continue;
+            }
+
+            if (this.firstChild[node] < 0) {
+                for (let j = this.head[node]; j >= 0; j = this.next[j]) {
+                    const other = j * stride + fields.position.offset;
+                    const dx = data[other] - x, dy = data[other + 1] - y, dz = data[other + 2] - z;
+                    const r2 = dx * dx + dy * dy + dz * dz;
+                    if (r2 <= radius2) callback(j, r2);
+                }
+                continue;
+            }
+
+            const first = this.firstChild[node];
+            for (let child = first; child < first + 8; child++) stack[top++] = child;
+        }
+    }
+}
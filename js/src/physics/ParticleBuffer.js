@@ -0,0 +1,207 @@
+/**
+ * Particle buffer protocol
+ * Binary particle layout shared by the physics worker, PhysicsController and ParticleSystem.
+ *
+ * Each particle is one interleaved record of 32-bit floats described by PARTICLE_LAYOUT.
+ * Simulation updates carry a Float32Array of these records: transferred to the main thread,
+ * or a view on a SharedArrayBuffer when the page is cross-origin isolated. The array length
+ * is always a whole number of records (its capacity), so it can back a THREE.InterleavedBuffer
+ * directly; only the first `count` records are live.
+ *
+ * A shared buffer stays the main thread's until it sends 'release_buffer' with the update's
+ * sequence (updates with `shared` set); the worker writes only into released buffers, so a
+ * buffer is never rewritten while it is being read or uploaded.
+ */
+
+// Bump whenever the record layout or the update message shape changes
+export const PARTICLE_PROTOCOL_VERSION = 2;
+
+export const PARTICLE_LAYOUT = Object.freeze({
+    version: PARTICLE_PROTOCOL_VERSION,
+    stride: 10, // floats per particle
+    bytesPerElement: Float32Array.BYTES_PER_ELEMENT,
+    fields: Object.freeze({
+        position: Object.freeze({ offset: 0, size: 3 }), // meters
+        velocity: Object.freeze({ offset: 3, size: 3 }), // m/s
+        mass: Object.freeze({ offset: 6, size: 1 }),
+        charge: Object.freeze({ offset: 7, size: 1 }),
+        relativisticFactor: Object.freeze({ offset: 8, size: 1 }), // dτ/dt, 1 far from the hole
+        id: Object.freeze({ offset: 9, size: 1 }) // integer id, exact up to 2^24
+    })
+});
+
+const MIN_CAPACITY = 256;
+
+/**
+ * Check whether SharedArrayBuffer can be used (requires cross-origin isolation)
+ * @returns {boolean} - True if shared buffers are available
+ */
+export function supportsSharedBuffers() {
+    return typeof SharedArrayBuffer !== 'undefined' && globalThis.crossOriginIsolated === true;
+}
+
+/**
+ * Round a particle count up to a buffer capacity
+ * Capacities are powers of two so consumers only reallocate when the count doubles.
+ * @param {number} count - Number of particles
+ * @returns {number} - Capacity in particles
+ */
+export function bufferCapacity(count) {
+    let capacity = MIN_CAPACITY;
+    while (capacity < count) capacity *= 2;
+    return capacity;
+}
+
+/**
+ * Allocate a particle buffer
+ * @param {number} capacity - Capacity in particles
+ * @param {boolean} shared - Back the buffer with a SharedArrayBuffer
+ * @returns {Float32Array} - Zero-filled particle buffer
+ */
+export function createParticleBuffer(capacity, shared = false) {
+    const length = capacity * PARTICLE_LAYOUT.stride;
+
+    if (shared) {
+        return new Float32Array(new SharedArrayBuffer(length * PARTICLE_LAYOUT.bytesPerElement));
+    }
+
+    return new Float32Array(length);
+}
+
+/**
+ * Check that a layout descriptor matches the one this build understands
+ * @param {Object} layout - Layout descriptor received from the worker
+ * @returns {boolean} - True if records can be read with PARTICLE_LAYOUT
+ */
+export function isCompatibleLayout(layout) {
+    if (!layout || layout.version !== PARTICLE_PROTOCOL_VERSION || layout.stride !== PARTICLE_LAYOUT.stride) {
+        return false;
+    }
+
+    return Object.entries(PARTICLE_LAYOUT.fields).every(([name, field]) => {
+        const other = layout.fields[name];
+        return other && other.offset === field.offset && other.size === field.size;
+    });
+}
+
+/**
+ * Read one particle record into a plain object (for debugging and small consumers)
+ * @param {Float32Array} buffer - Particle buffer
+ * @param {number} index - Particle index
+ * @returns {Object} - { position, velocity, mass, charge, relativisticFactor, id }
+ */
+export function readParticle(buffer, index) {
+    const { stride, fields } = PARTICLE_LAYOUT;
+    const base = index * stride;
+    const read = (field) => field.size === 1
+        ? buffer[base + field.offset]
+        : Array.from(buffer.subarray(base + field.offset, base + field.offset + field.size));
+
+    return {
+        position: read(fields.position),
+        velocity: read(fields.velocity),
+        mass: read(fields.mass),
+        charge: read(fields.charge),
+        relativisticFactor: read(fields.relativisticFactor),
+        id: read(fields.id)
+    };
+}
+
+/**
+ * Simulation-side particle store
+ * Keeps particle records in double precision using the wire layout, plus the per-particle
+ * integrator state, so packing an update is a single typed-array copy.
+ */
+export class ParticleState {
+    constructor(capacity = MIN_CAPACITY) {
+        this.count = 0;
+        this.data = new Float64Array(bufferCapacity(capacity) * PARTICLE_LAYOUT.stride);
+        this.geodesics = [];
+    }
+
+    /**
+     * Grow the store so it can hold at least `count` particles
+     * @param {number} count - Required particle count
+     */
+    reserve(count) {
+        const length = bufferCapacity(count) * PARTICLE_LAYOUT.stride;
+        if (length <= this.data.length) return;
+
+        const data = new Float64Array(length);
+        data.set(this.data);
+        this.data = data;
+    }
+
+    /**
+     * Append particles given as plain objects
+     * @param {Array} particles - Particles with position, velocity, mass, charge and numeric id
+     */
+    add(particles) {
+        const { stride, fields } = PARTICLE_LAYOUT;
+        this.reserve(this.count + particles.length);
+
+        particles.forEach(particle => {
+            const base = this.count * stride;
+            this.data.set(particle.position, base + fields.position.offset);
+            this.data.set(particle.velocity, base + fields.velocity.offset);
+            this.data[base + fields.mass.offset] = particle.mass || 1;
+            this.data[base + fields.charge.offset] = particle.charge || 0;
+            this.data[base + fields.relativisticFactor.offset] = 1;
+            this.data[base + fields.id.offset] = particle.id || 0;
+            this.geodesics[this.count] = null;
+            this.count++;
+        });
+    }
+
+    /**
+     * Remove all particles
+     */
+    clear() {
+        this.count = 0;
+        this.geodesics = [];
+    }
+
+    /**
+     * Copy particle `from` over particle `to` (used when compacting after captures)
+     * @param {number} from - Source index
+     * @param {number} to - Destination index
+     */
+    move(from, to) {
+        const stride = PARTICLE_LAYOUT.stride;
+        this.data.copyWithin(to * stride, from * stride, (from + 1) * stride);
+        this.geodesics[to] = this.geodesics[from];
+    }
+
+    /**
+     * Shrink the live particle count after compaction
+     * @param {number} count - New particle count
+     */
+    truncate(count) {
+        this.count = count;
+        this.geodesics.length = count;
+    }
+
+    /**
+     * Remove the oldest particles (the front of the store) to stay under a ceiling
+     * @param {number} maxCount - Largest number of particles to keep
+     * @returns {number} - Number of particles removed
+     */
+    limit(maxCount) {
+        const excess = this.count - maxCount;
+        if (excess <= 0) return 0;
+
+        const stride = PARTICLE_LAYOUT.stride;
+        this.data.copyWithin(0, excess * stride, this.count * stride);
+        this.geodesics.splice(0, excess);
+        this.count = maxCount;
+        return excess;
+    }
+
+    /**
+     * Write live particles into a wire buffer
+     * @param {Float32Array} target - Buffer with room for `count` records
+     */
+    pack(target) {
+        target.set(this.data.subarray(0, this.count * PARTICLE_LAYOUT.stride));
+    }
+}
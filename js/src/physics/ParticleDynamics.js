@@ -0,0 +1,251 @@
+import { clampSpin, createGeodesicState, stepGeodesic, geodesicToCartesian, stepNewtonian } from './KerrGeodesics.js';
+import { G, C, gravitationalRadius } from './Units.js';
+import { PARTICLE_LAYOUT } from './ParticleBuffer.js';
+
+/**
+ * Particle dynamics
+ * Advances the simulation's test particles around the compact bodies.
+ * A single black hole uses exact Kerr geodesics; with several bodies there is no closed-form
+ * metric, so particles follow the sum of Paczyński-Wiita potentials, -GM/(r - 2GM/c²), which
+ * reproduce the Schwarzschild ISCO and capture radius of each body.
+ */
+
+// Multi-body integration: step as a fraction of the nearest body's dynamical time
+const STEP_FRACTION = 0.02;
+const MAX_SUBSTEPS = 64;
+
+// Captured slightly outside the Schwarzschild radius, where the pseudo-potential diverges
+const CAPTURE_MARGIN = 1.02;
+
+/**
+ * Advance simulation particles around the compact bodies
+ * Positions are in meters, velocities in m/s and masses in kg. With a single body each
+ * particle keeps its geodesic state between calls, rebuilt when the hole's mass, spin or
+ * position changes. Captured particles are removed by compacting the store in place.
+ * @param {ParticleState} particles - Particle store (modified in place)
+ * @param {Array} bodies - Compact bodies ({ position, mass, spin })
+ * @param {number} dt - Time step in seconds
+ * @param {boolean} includeRelativity - Use relativistic dynamics instead of Newtonian gravity
+ * @returns {Object} - { capturedCount, capturedIds }
+ */
+export function advanceParticles(particles, bodies, dt, includeRelativity = true) {
+    if (bodies.length === 1) {
+        return advanceAroundSingleBody(particles, bodies[0], dt, includeRelativity);
+    }
+
+    return advanceAroundBodies(particles, bodies, dt, includeRelativity);
+}
+
+/**
+ * Kerr geodesics (or Newtonian orbits) around one black hole
+ * @param {ParticleState} particles - Particle store
+ * @param {Object} blackHole - { position, mass, spin }
+ * @param {number} dt - Time step in seconds
+ * @param {boolean} includeRelativity - Integrate geodesics
+ * @returns {Object} - { capturedCount, capturedIds }
+ */
+function advanceAroundSingleBody(particles, blackHole, dt, includeRelativity) {
+    const { stride, fields } = PARTICLE_LAYOUT;
+    const spin = clampSpin(blackHole.spin);
+    const lengthScale = gravitationalRadius(blackHole.mass);
+    const timeScale = lengthScale / C;
+    const origin = blackHole.position;
+    const modelKey = `${blackHole.mass}:${spin}:${origin.join(',')}`;
+    const dtGeometric = dt / timeScale;
+
+    const data = particles.data;
+    const position = [0, 0, 0];
+    const velocity = [0, 0, 0];
+    const capturedIds = [];
+    let survivors = 0;
+
+    for (let i = 0; i < particles.count; i++) {
+        const base = i * stride;
+        const p = base + fields.position.offset;
+        const v = base + fields.velocity.offset;
+
+        for (let axis = 0; axis < 3; axis++) {
+            position[axis] = (data[p + axis] - origin[axis]) / lengthScale;
+            velocity[axis] = data[v + axis] / C;
+        }
+
+        let alive;
+
+        if (includeRelativity) {
+            let geodesic = particles.geodesics[i];
+            if (!geodesic || geodesic.modelKey !== modelKey) {
+                geodesic = { ...createGeodesicState(position, velocity, spin), modelKey };
+                particles.geodesics[i] = geodesic;
+            }
+
+            alive = stepGeodesic(geodesic, dtGeometric, spin);
+
+            if (alive) {
+                const state = geodesicToCartesian(geodesic, spin);
+                position.splice(0, 3, ...state.position);
+                velocity.splice(0, 3, ...state.velocity);
+                data[base + fields.relativisticFactor.offset] = geodesic.properTimeRate;
+            }
+        } else {
+            particles.geodesics[i] = null;
+            alive = stepNewtonian(position, velocity, dtGeometric);
+            data[base + fields.relativisticFactor.offset] = 1;
+        }
+
+        if (!alive) {
+            capturedIds.push(data[base + fields.id.offset]);
+            continue;
+        }
+
+        for (let axis = 0; axis < 3; axis++) {
+            data[p + axis] = position[axis] * lengthScale + origin[axis];
+            data[v + axis] = velocity[axis] * C;
+        }
+
+        if (survivors !== i) particles.move(i, survivors);
+        survivors++;
+    }
+
+    particles.truncate(survivors);
+
+    return {
+        capturedCount: capturedIds.length,
+        capturedIds
+    };
+}
+
+/**
+ * Acceleration from every body at a point
+ * @param {Array} bodies - Compact bodies
+ * @param {Array} point - Position in meters
+ * @param {boolean} pseudoNewtonian - Use Paczyński-Wiita instead of Newtonian potentials
+ * @param {Array} out - Receives the acceleration
+ * @returns {number} - Index of a body whose capture radius contains the point, or -1
+ */
+function bodyAcceleration(bodies, point, pseudoNewtonian, out) {
+    out[0] = out[1] = out[2] = 0;
+
+    for (let b = 0; b < bodies.length; b++) {
+        const body = bodies[b];
+        const dx = point[0] - body.position[0];
+        const dy = point[1] - body.position[1];
+        const dz = point[2] - body.position[2];
+        const r = Math.sqrt(dx * dx + dy * dy + dz * dz);
+        const rs = 2 * gravitationalRadius(body.mass);
+
+        if (r <= rs * CAPTURE_MARGIN) return b;
+
+        const softened = pseudoNewtonian ? r - rs : r;
+        const magnitude = G * body.mass / (softened * softened * r);
+        out[0] -= magnitude * dx;
+        out[1] -= magnitude * dy;
+        out[2] -= magnitude * dz;
+    }
+
+    return -1;
+}
+
+/**
+ * Pseudo-Newtonian motion around several bodies
+ * @param {ParticleState} particles - Particle store
+ * @param {Array} bodies - Compact bodies
+ * @param {number} dt - Time step in seconds
+ * @param {boolean} includeRelativity - Use Paczyński-Wiita potentials
+ * @returns {Object} - { capturedCount, capturedIds }
+ */
+function advanceAroundBodies(particles, bodies, dt, includeRelativity) {
+    const { stride, fields } = PARTICLE_LAYOUT;
+    const data = particles.data;
+    const capturedIds = [];
+    const x = [0, 0, 0], v = [0, 0, 0];
+    const a1 = [0, 0, 0], a2 = [0, 0, 0], a3 = [0, 0, 0], a4 = [0, 0, 0];
+    const probe = [0, 0, 0];
+    let survivors = 0;
+
+    for (let i = 0; i < particles.count; i++) {
+        const base = i * stride;
+        const p = base + fields.position.offset;
+        const vel = base + fields.velocity.offset;
+
+        for (let axis = 0; axis < 3; axis++) {
+            x[axis] = data[p + axis];
+            v[axis] = data[vel + axis];
+        }
+
+        let captured = false;
+        let remaining = dt;
+        let substeps = 0;
+
+        while (remaining > dt * 1e-9) {
+            // Step size from the nearest body's dynamical time
+            let dynamicalTime = Infinity;
+            bodies.forEach(body => {
+                const r = Math.hypot(x[0] - body.position[0], x[1] - body.position[1], x[2] - body.position[2]);
+                dynamicalTime = Math.min(dynamicalTime, Math.sqrt(r * r * r / (G * body.mass)));
+            });
+
+            let h = Math.min(remaining, STEP_FRACTION * dynamicalTime);
+            h = Math.max(h, remaining / (MAX_SUBSTEPS - substeps));
+
+            // RK4 on (position, velocity); any stage inside a capture radius ends the particle
+            captured = bodyAcceleration(bodies, x, includeRelativity, a1) >= 0;
+            for (let axis = 0; axis < 3; axis++) probe[axis] = x[axis] + v[axis] * h / 2;
+            captured = captured || bodyAcceleration(bodies, probe, includeRelativity, a2) >= 0;
+            for (let axis = 0; axis < 3; axis++) probe[axis] = x[axis] + (v[axis] + a1[axis] * h / 2) * h / 2;
+            captured = captured || bodyAcceleration(bodies, probe, includeRelativity, a3) >= 0;
+            for (let axis = 0; axis < 3; axis++) probe[axis] = x[axis] + (v[axis] + a2[axis] * h / 2) * h;
+            captured = captured || bodyAcceleration(bodies, probe, includeRelativity, a4) >= 0;
+            if (captured) break;
+
+            for (let axis = 0; axis < 3; axis++) {
+                const v2 = v[axis] + a1[axis] * h / 2;
+                const v3 = v[axis] + a2[axis] * h / 2;
+                const v4 = v[axis] + a3[axis] * h;
+                x[axis] += (h / 6) * (v[axis] + 2 * v2 + 2 * v3 + v4);
+                v[axis] += (h / 6) * (a1[axis] + 2 * a2[axis] + 2 * a3[axis] + a4[axis]);
+            }
+
+            remaining -= h;
+            substeps++;
+        }
+
+        if (captured) {
+            capturedIds.push(data[base + fields.id.offset]);
+            continue;
+        }
+
+        for (let axis = 0; axis < 3; axis++) {
+            data[p + axis] = x[axis];
+            data[vel + axis] = v[axis];
+        }
+        data[base + fields.relativisticFactor.offset] = includeRelativity ? properTimeRate(bodies, x) : 1;
+        particles.geodesics[i] = null;
+
+        if (survivors !== i) particles.move(i, survivors);
+        survivors++;
+    }
+
+    particles.truncate(survivors);
+
+    return {
+        capturedCount: capturedIds.length,
+        capturedIds
+    };
+}
+
+/**
+ * Weak-field clock rate at a point, from the summed potential of all bodies
+ * @param {Array} bodies - Compact bodies
+ * @param {Array} point - Position in meters
+ * @returns {number} - dτ/dt for a static clock
+ */
+function properTimeRate(bodies, point) {
+    let potential = 0;
+
+    bodies.forEach(body => {
+        const r = Math.hypot(point[0] - body.position[0], point[1] - body.position[1], point[2] - body.position[2]);
+        potential += 2 * gravitationalRadius(body.mass) / r;
+    });
+
+    return Math.sqrt(Math.max(0, 1 - potential));
+}
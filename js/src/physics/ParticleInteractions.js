@@ -0,0 +1,204 @@
+import { G, C, gravitationalRadius } from './Units.js';
+import { PARTICLE_LAYOUT } from './ParticleBuffer.js';
+import { Octree } from './Octree.js';
+
+/**
+ * Particle interactions
+ * Forces between the simulation particles themselves, applied as a velocity kick after the
+ * compact bodies have moved them: Barnes-Hut self-gravity plus either inelastic collisions or
+ * SPH pressure with artificial viscosity. The dissipation in both lets injected matter lose
+ * energy and settle into (and spread through) a disk instead of streaming past forever.
+ *
+ * Lengths in the options are in M of the heaviest body and speeds in c; positions and
+ * velocities are SI like the rest of the particle store.
+ */
+
+export const COLLISION_MODELS = ['none', 'inelastic', 'sph'];
+
+export const DEFAULT_INTERACTIONS = Object.freeze({
+    enabled: false,
+    selfGravity: true,
+    collisions: 'inelastic', // One of COLLISION_MODELS
+    theta: 0.6, // Barnes-Hut opening angle
+    smoothingLength: 0.4, // Particle size and gravitational softening, in M
+    restitution: 0.2, // Inelastic collisions: fraction of the approach speed kept
+    soundSpeed: 0.02, // SPH: isothermal sound speed as a fraction of c
+    viscosity: 1.0 // SPH: Monaghan artificial viscosity α (β = 2α)
+});
+
+// Reused between steps; the tree grows to the largest particle count seen
+const tree = new Octree();
+let accelerations = new Float64Array(0);
+let densities = new Float64Array(0);
+
+/**
+ * Apply particle-particle forces for one step
+ * Kicked particles drop their cached geodesic state so the integrator restarts from the new velocity.
+ * @param {ParticleState} particles - Particle store (modified in place)
+ * @param {Array} bodies - Compact bodies; the heaviest sets the length unit
+ * @param {number} dt - Time step in seconds
+ * @param {Object} options - Interaction settings (see DEFAULT_INTERACTIONS)
+ */
+export function applyParticleInteractions(particles, bodies, dt, options = {}) {
+    const settings = { ...DEFAULT_INTERACTIONS, ...options };
+    if (!settings.enabled || particles.count < 2 || dt <= 0) return;
+
+    const heaviest = bodies.reduce((mass, body) => Math.max(mass, body.mass), 0);
+    const h = settings.smoothingLength * gravitationalRadius(heaviest);
+
+    if (accelerations.length < particles.count * 3) {
+        accelerations = new Float64Array(particles.data.length / PARTICLE_LAYOUT.stride * 3);
+        densities = new Float64Array(particles.data.length / PARTICLE_LAYOUT.stride);
+    }
+    accelerations.fill(0, 0, particles.count * 3);
+
+    tree.build(particles);
+
+    if (settings.selfGravity) {
+        for (let i = 0; i < particles.count; i++) {
+            tree.acceleration(i, settings.theta, h, G, accelerations, i * 3);
+        }
+    }
+
+    if (settings.collisions === 'sph') {
+        addPressure(particles, h, settings);
+    }
+
+    kick(particles, dt);
+
+    if (settings.collisions === 'inelastic') {
+        collide(particles, h, settings.restitution);
+    }
+}
+
+/**
+ * Add the accumulated accelerations to the particle velocities
+ * @param {ParticleState} particles - Particle store
+ * @param {number} dt - Time step in seconds
+ */
+function kick(particles, dt) {
+    const { stride, fields } = PARTICLE_LAYOUT;
+    const data = particles.data;
+
+    for (let i = 0; i < particles.count; i++) {
+        const v = i * stride + fields.velocity.offset;
+        data[v] += accelerations[i * 3] * dt;
+        data[v + 1] += accelerations[i * 3 + 1] * dt;
+        data[v + 2] += accelerations[i * 3 + 2] * dt;
+        particles.geodesics[i] = null;
+    }
+}
+
+/**
+ * Resolve overlapping, approaching pairs with a partially inelastic impulse along the line of centres
+ * Each particle is a sphere of diameter h, so pairs closer than h touch.
+ * @param {ParticleState} particles - Particle store
+ * @param {number} h - Particle diameter in meters
+ * @param {number} restitution - Coefficient of restitution
+ */
+function collide(particles, h, restitution) {
+    const { stride, fields } = PARTICLE_LAYOUT;
+    const data = particles.data;
+    const p = fields.position.offset;
+    const v = fields.velocity.offset;
+    const m = fields.mass.offset;
+
+    for (let i = 0; i < particles.count; i++) {
+        const a = i * stride;
+
+        tree.forEachNeighbour(data[a + p], data[a + p + 1], data[a + p + 2], h, (j, r2) => {
+            if (j <= i || r2 === 0) return;
+            const b = j * stride;
+            const r = Math.sqrt(r2);
+            const nx = (data[a + p] - data[b + p]) / r;
+            const ny = (data[a + p + 1] - data[b + p + 1]) / r;
+            const nz = (data[a + p + 2] - data[b + p + 2]) / r;
+            const approach = (data[a + v] - data[b + v]) * nx +
+                (data[a + v + 1] - data[b + v + 1]) * ny +
+                (data[a + v + 2] - data[b + v + 2]) * nz;
+            if (approach >= 0) return;
+
+            const ma = data[a + m], mb = data[b + m];
+            const impulse = -(1 + restitution) * approach / (1 / ma + 1 / mb);
+            data[a + v] += impulse / ma * nx;
+            data[a + v + 1] += impulse / ma * ny;
+            data[a + v + 2] += impulse / ma * nz;
+            data[b + v] -= impulse / mb * nx;
+            data[b + v + 1] -= impulse / mb * ny;
+            data[b + v + 2] -= impulse / mb * nz;
+            particles.geodesics[j] = null;
+        });
+    }
+}
+
+/**
+ * Cubic spline kernel (Monaghan & Lattanzio 1985) and its radial derivative
+ * @param {number} r - Distance
+ * @param {number} h - Smoothing length (support 2h)
+ * @returns {Array} - [W, dW/dr]
+ */
+function kernel(r, h) {
+    const q = r / h;
+    const sigma = 1 / (Math.PI * h * h * h);
+
+    if (q < 1) return [sigma * (1 - 1.5 * q * q + 0.75 * q * q * q), sigma / h * (-3 * q + 2.25 * q * q)];
+    if (q < 2) return [sigma * 0.25 * (2 - q) ** 3, -sigma / h * 0.75 * (2 - q) ** 2];
+    return [0, 0];
+}
+
+/**
+ * Add isothermal SPH pressure forces, P = c_s²ρ, with Monaghan artificial viscosity
+ * @param {ParticleState} particles - Particle store
+ * @param {number} h - Smoothing length in meters
+ * @param {Object} settings - soundSpeed and viscosity
+ */
+function addPressure(particles, h, settings) {
+    const { stride, fields } = PARTICLE_LAYOUT;
+    const data = particles.data;
+    const p = fields.position.offset;
+    const v = fields.velocity.offset;
+    const m = fields.mass.offset;
+    const cs = settings.soundSpeed * C;
+    const alpha = settings.viscosity;
+    const beta = 2 * alpha;
+
+    // Densities first: every pair force needs both ends' density
+    for (let i = 0; i < particles.count; i++) {
+        const a = i * stride;
+        let density = 0;
+        tree.forEachNeighbour(data[a + p], data[a + p + 1], data[a + p + 2], 2 * h, (j, r2) => {
+            density += data[j * stride + m] * kernel(Math.sqrt(r2), h)[0];
+        });
+        densities[i] = density;
+    }
+
+    for (let i = 0; i < particles.count; i++) {
+        const a = i * stride;
+        const pressureTerm = cs * cs / densities[i];
+
+        tree.forEachNeighbour(data[a + p], data[a + p + 1], data[a + p + 2], 2 * h, (j, r2) => {
+            if (j === i || r2 === 0) return;
+            const b = j * stride;
+            const r = Math.sqrt(r2);
+            const dx = data[a + p] - data[b + p];
+            const dy = data[a + p + 1] - data[b + p + 1];
+            const dz = data[a + p + 2] - data[b + p + 2];
+            const vr = (data[a + v] - data[b + v]) * dx +
+                (data[a + v + 1] - data[b + v + 1]) * dy +
+                (data[a + v + 2] - data[b + v + 2]) * dz;
+
+            // Viscosity only acts between approaching particles
+            let viscous = 0;
+            if (vr < 0) {
+                const mu = h * vr / (r2 + 0.01 * h * h);
+                viscous = (-alpha * cs * mu + beta * mu * mu) / (0.5 * (densities[i] + densities[j]));
+            }
+
+            const gradient = kernel(r, h)[1];
+            const scale = -data[b + m] * (pressureTerm + cs * cs / densities[j] + viscous) * gradient / r;
+            accelerations[i * 3] += scale * dx;
+            accelerations[i * 3 + 1] += scale * dy;
+            accelerations[i * 3 + 2] += scale * dz;
+        });
+    }
+}
@@ -0,0 +1,277 @@
+import { C, gravitationalRadius } from './Units.js';
+import { PARTICLE_LAYOUT, ParticleState } from './ParticleBuffer.js';
+import { advanceParticles } from './ParticleDynamics.js';
+import { Random } from '../utils/Random.js';
+
+/**
+ * Tidal disruption
+ * Extended bodies ("fragments") falling toward the compact bodies. A fragment holds together
+ * under its own gravity until it passes inside a body's tidal radius r_t = R (M/m)^(1/3), where
+ * the hole's tidal field beats the fragment's self-gravity. Inside r_t its debris is released as
+ * ordinary simulation particles moving with the fragment's velocity. Debris on the near side sits
+ * deeper in the potential than the far side, and that spread in orbital energy (about GMR/r_t²)
+ * makes roughly half of it bound, falling back toward the disk, while the rest is flung out;
+ * the geodesic integrator stretches and shears the released cloud into those two streams.
+ *
+ * SI units throughout, as in CompactBodies.js. Shared by the physics worker and the fallback.
+ */
+
+// Intact fragments are drawn stretched along the radial direction by 1 + STRETCH·(r_t/r)³
+const STRETCH = 0.5;
+
+/**
+ * Tidal radius of a fragment around a body
+ * @param {Object} fragment - Fragment ({ radius, mass })
+ * @param {Object} body - Compact body ({ mass })
+ * @returns {number} - Radius in meters
+ */
+export function tidalRadius(fragment, body) {
+    return fragment.radius * Math.cbrt(body.mass / fragment.mass);
+}
+
+/**
+ * Velocity for a marginally bound (E = 1) Schwarzschild orbit with the given pericentre,
+ * running in the disk's sense; far from the hole this is the Newtonian parabola
+ * @param {Array} position - Position relative to the body in meters
+ * @param {number} mass - Body mass in kg
+ * @param {number} pericentre - Pericentre distance in meters (beyond 4 GM/c², or the orbit plunges)
+ * @returns {Array} - Coordinate velocity in m/s
+ */
+export function marginallyBoundVelocity(position, mass, pericentre) {
+    const lengthScale = gravitationalRadius(mass);
+    const distance = Math.hypot(position[0], position[1], position[2]);
+    const radial = position.map(x => x / distance);
+
+    // Tangential direction r̂ × ŷ carries positive angular momentum about the spin axis
+    let tangent = [-radial[2], 0, radial[0]];
+    const tangentLength = Math.hypot(tangent[0], tangent[2]);
+    tangent = tangentLength > 1e-6 ? tangent.map(x => x / tangentLength) : [1, 0, 0];
+
+    // Geometric units: L² = 2r_p²/(r_p - 2) puts the turning point at r_p for E = 1
+    const r = distance / lengthScale;
+    const rp = Math.min(pericentre / lengthScale, r);
+    const L = Math.sqrt(2 * rp * rp / (rp - 2));
+    const lapse = 1 - 2 / r;
+    const tDot = 1 / lapse;
+    const rDot = Math.sqrt(Math.max(0, 1 - lapse * (1 + L * L / (r * r))));
+
+    const vr = -C * rDot / tDot;
+    const vt = C * (L / r) / tDot;
+
+    return [0, 1, 2].map(axis => radial[axis] * vr + tangent[axis] * vt);
+}
+
+/**
+ * Create a fragment with its debris spread uniformly through a sphere, or laid out as given
+ * The seed fixes the spread, so the worker and the fallback build the same fragment; a shape
+ * (e.g. the letters of a text) is used as it is.
+ * @param {Object} options - { id, position, velocity, radius, mass, particleCount, firstParticleId, seed },
+ *     and optionally shape: debris offsets from the centre [x, y, z, ...] in meters, one per particle
+ * @returns {Object} - Fragment
+ */
+export function createFragment({ id, position, velocity, radius, mass, particleCount, firstParticleId, seed = id, shape = null }) {
+    const offsets = new Float64Array(particleCount * 3);
+    const ids = new Float64Array(particleCount);
+    const random = new Random(seed);
+
+    for (let i = 0; i < particleCount; i++) {
+        ids[i] = firstParticleId + i;
+
+        if (shape) {
+            offsets.set(shape.slice(i * 3, i * 3 + 3), i * 3);
+            continue;
+        }
+
+        // Rejection-sample the unit ball
+        let x, y, z;
+        do {
+            x = random.range(-1, 1);
+            y = random.range(-1, 1);
+            z = random.range(-1, 1);
+        } while (x * x + y * y + z * z > 1);
+
+        offsets[i * 3] = x * radius;
+        offsets[i * 3 + 1] = y * radius;
+        offsets[i * 3 + 2] = z * radius;
+    }
+
+    return {
+        id,
+        position: [...position],
+        velocity: [...velocity],
+        radius,
+        mass,
+        offsets,
+        ids,
+        stretch: 1,
+        radial: [1, 0, 0]
+    };
+}
+
+/**
+ * Simulation-side store of intact fragments
+ * Fragment centres move as test particles in their own ParticleState, so they follow the
+ * same dynamics as the debris they turn into.
+ */
+export class FragmentState {
+    constructor() {
+        this.fragments = [];
+        this.centers = new ParticleState();
+    }
+
+    /**
+     * Number of debris particles still held in intact fragments
+     * @returns {number} - Particle count
+     */
+    get particleCount() {
+        return this.fragments.reduce((total, fragment) => total + fragment.ids.length, 0);
+    }
+
+    /**
+     * Add a fragment
+     * @param {Object} fragment - Fragment from createFragment
+     */
+    add(fragment) {
+        this.fragments.push(fragment);
+        this.centers.add([{
+            position: fragment.position,
+            velocity: fragment.velocity,
+            mass: fragment.mass,
+            id: fragment.id
+        }]);
+    }
+
+    /**
+     * Remove all fragments
+     */
+    clear() {
+        this.fragments = [];
+        this.centers.clear();
+    }
+
+    /**
+     * Advance fragments and release the debris of those inside a tidal radius
+     * @param {ParticleState} particles - Particle store that receives released debris
+     * @param {Array} bodies - Compact bodies
+     * @param {number} dt - Time step in seconds
+     * @param {boolean} includeRelativity - Use relativistic dynamics
+     * @returns {Object} - { disruptions, capturedIds } where capturedIds lists the debris of fragments swallowed whole
+     */
+    advance(particles, bodies, dt, includeRelativity = true) {
+        if (this.fragments.length === 0) {
+            return { disruptions: [], capturedIds: [] };
+        }
+
+        const { stride, fields } = PARTICLE_LAYOUT;
+        const swallowed = new Set(advanceParticles(this.centers, bodies, dt, includeRelativity).capturedIds);
+        const capturedIds = [];
+        const disruptions = [];
+        const survivors = [];
+
+        // Captured centres were compacted out of the store; the rest kept their order
+        this.fragments = this.fragments.filter(fragment => {
+            if (!swallowed.has(fragment.id)) return true;
+            capturedIds.push(...fragment.ids);
+            return false;
+        });
+
+        this.fragments.forEach((fragment, index) => {
+            const base = index * stride;
+            fragment.position = Array.from(this.centers.data.subarray(base + fields.position.offset, base + fields.position.offset + 3));
+            fragment.velocity = Array.from(this.centers.data.subarray(base + fields.velocity.offset, base + fields.velocity.offset + 3));
+
+            // The body whose tides are strongest, relative to this fragment's tidal radius
+            let depth = 0;
+            bodies.forEach(body => {
+                const offset = [0, 1, 2].map(axis => fragment.position[axis] - body.position[axis]);
+                const distance = Math.hypot(offset[0], offset[1], offset[2]);
+                const penetration = tidalRadius(fragment, body) / distance;
+
+                if (penetration > depth) {
+                    depth = penetration;
+                    fragment.radial = offset.map(x => x / distance);
+                }
+            });
+            fragment.stretch = 1 + STRETCH * depth * depth * depth;
+
+            if (depth >= 1) {
+                particles.add(this.debris(fragment));
+                disruptions.push({
+                    id: fragment.id,
+                    position: fragment.position,
+                    particleCount: fragment.ids.length,
+                    penetration: depth
+                });
+            } else {
+                survivors.push(index);
+            }
+        });
+
+        // Drop disrupted fragments and their centres
+        survivors.forEach((from, to) => this.centers.move(from, to));
+        this.centers.truncate(survivors.length);
+        this.fragments = survivors.map(index => this.fragments[index]);
+
+        return { disruptions, capturedIds };
+    }
+
+    /**
+     * Debris particle positions, squeezed across and stretched along the radial direction
+     * with the volume kept constant
+     * @param {Object} fragment - Fragment
+     * @param {number} index - Debris index
+     * @param {Array} out - Receives the position in meters
+     */
+    debrisPosition(fragment, index, out) {
+        const { offsets, radial, stretch } = fragment;
+        const squeeze = 1 / Math.sqrt(stretch);
+        const o = index * 3;
+        const along = offsets[o] * radial[0] + offsets[o + 1] * radial[1] + offsets[o + 2] * radial[2];
+
+        for (let axis = 0; axis < 3; axis++) {
+            const parallel = along * radial[axis];
+            out[axis] = fragment.position[axis] + parallel * stretch + (offsets[o + axis] - parallel) * squeeze;
+        }
+    }
+
+    /**
+     * Release a fragment's debris as plain particles sharing its velocity
+     * @param {Object} fragment - Fragment
+     * @returns {Array} - Particles for ParticleState.add
+     */
+    debris(fragment) {
+        const particleMass = fragment.mass / fragment.ids.length;
+
+        return Array.from(fragment.ids, (id, i) => {
+            const position = [0, 0, 0];
+            this.debrisPosition(fragment, i, position);
+            return { position, velocity: fragment.velocity, mass: particleMass, id };
+        });
+    }
+
+    /**
+     * Write the debris of intact fragments into a wire buffer
+     * @param {Float32Array} target - Particle buffer
+     * @param {number} start - Index of the first record to write
+     */
+    pack(target, start) {
+        const { stride, fields } = PARTICLE_LAYOUT;
+        const position = [0, 0, 0];
+        let index = start;
+
+        this.fragments.forEach(fragment => {
+            const particleMass = fragment.mass / fragment.ids.length;
+
+            for (let i = 0; i < fragment.ids.length; i++, index++) {
+                const base = index * stride;
+                this.debrisPosition(fragment, i, position);
+                target.set(position, base + fields.position.offset);
+                target.set(fragment.velocity, base + fields.velocity.offset);
+                target[base + fields.mass.offset] = particleMass;
+                target[base + fields.charge.offset] = 0;
+                target[base + fields.relativisticFactor.offset] = 1;
+                target[base + fields.id.offset] = fragment.ids[i];
+            }
+        });
+    }
+}
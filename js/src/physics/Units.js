@@ -0,0 +1,165 @@
+import { horizonRadius } from './KerrGeodesics.js';
+
+/**
+ * Physical units
+ * One place that relates the simulation's SI quantities, the geometric units (G = c = 1)
+ * the integrators work in, and the scene units everything is drawn in.
+ *
+ * In geometric units every length and time is a multiple of the black hole mass M:
+ * one M of length is GM/c² meters and one M of time is GM/c³ seconds. The scene is drawn
+ * at a fixed number of scene units per M, so horizons, orbits and simulation particles
+ * line up whatever the mass is; only the real-world quantities they stand for change.
+ */
+
+// SI constants
+export const G = 6.67430e-11; // Gravitational constant (m³ kg⁻¹ s⁻²)
+export const C = 299792458; // Speed of light (m/s)
+export const SOLAR_MASS = 1.98847e30; // kg
+
+// Scene units per M: a Schwarzschild ISCO (6M) lands at 15 units, the original disk size,
+// and a binary at 20M separation fits inside the camera's 100-unit range
+export const SCENE_UNITS_PER_M = 2.5;
+
+// Simulated M of time per real second at a playback time scale of 1
+export const M_PER_SECOND = 20;
+
+/**
+ * Gravitational radius GM/c², the length of one M
+ * @param {number} mass - Mass in kg
+ * @returns {number} - Meters
+ */
+export function gravitationalRadius(mass) {
+    return G * mass / (C * C);
+}
+
+/**
+ * Gravitational time GM/c³, the duration of one M
+ * @param {number} mass - Mass in kg
+ * @returns {number} - Seconds
+ */
+export function gravitationalTime(mass) {
+    return G * mass / (C * C * C);
+}
+
+/**
+ * Convert a length in M to scene units
+ * @param {number} length - Length in M
+ * @returns {number} - Scene units
+ */
+export function toSceneLength(length) {
+    return length * SCENE_UNITS_PER_M;
+}
+
+/**
+ * Convert a length in scene units to M
+ * @param {number} length - Scene units
+ * @returns {number} - Length in M
+ */
+export function fromSceneLength(length) {
+    return length / SCENE_UNITS_PER_M;
+}
+
+/**
+ * Scene units per meter for a black hole of the given mass
+ * @param {number} mass - Mass in kg that sets the scale
+ * @returns {number} - Scene units per meter
+ */
+export function sceneUnitsPerMeter(mass) {
+    return SCENE_UNITS_PER_M / gravitationalRadius(mass);
+}
+
+/**
+ * Convert meters to scene units
+ * @param {number} meters - Length in meters
+ * @param {number} mass - Mass in kg that sets the scale
+ * @returns {number} - Scene units
+ */
+export function metersToScene(meters, mass) {
+    return meters * sceneUnitsPerMeter(mass);
+}
+
+/**
+ * Convert scene units to meters
+ * @param {number} length - Length in scene units
+ * @param {number} mass - Mass in kg that sets the scale
+ * @returns {number} - Meters
+ */
+export function sceneToMeters(length, mass) {
+    return length / sceneUnitsPerMeter(mass);
+}
+
+/**
+ * Event horizon radius of a unit-mass black hole in scene units
+ * @param {number} spin - Dimensionless spin a/M
+ * @returns {number} - Scene units
+ */
+export function sceneHorizonRadius(spin = 0) {
+    return toSceneLength(horizonRadius(spin));
+}
+
+/**
+ * Simulated seconds per real second so M_PER_SECOND of geometric time pass each second
+ * @param {number} mass - Mass in kg that sets the scale
+ * @param {number} playbackRate - Multiplier on the default pace
+ * @returns {number} - Time scale for PhysicsController
+ */
+export function playbackTimeScale(mass, playbackRate = 1) {
+    return M_PER_SECOND * gravitationalTime(mass) * playbackRate;
+}
+
+/**
+ * Format a length for display
+ * @param {number} meters - Length in meters
+ * @returns {string} - e.g. "8.86 km"
+ */
+export function formatLength(meters) {
+    const au = 1.495978707e11;
+
+    if (meters >= 0.1 * au) return `${formatNumber(meters / au)} AU`;
+    if (meters >= 1000) return `${formatNumber(meters / 1000)} km`;
+    return `${formatNumber(meters)} m`;
+}
+
+/**
+ * Format a mass for display in solar masses
+ * @param {number} kg - Mass in kg
+ * @returns {string} - e.g. "4.3 × 10⁶ M☉"
+ */
+export function formatMass(kg) {
+    return `${formatNumber(kg / SOLAR_MASS)} M☉`;
+}
+
+/**
+ * Format a duration for display
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} - e.g. "49.3 µs"
+ */
+export function formatDuration(seconds) {
+    const units = [
+        [86400, 'days'],
+        [3600, 'h'],
+        [60, 'min'],
+        [1, 's'],
+        [1e-3, 'ms'],
+        [1e-6, 'µs'],
+        [1e-9, 'ns']
+    ];
+    const [scale, label] = units.find(([unit]) => Math.abs(seconds) >= unit) || units[units.length - 1];
+
+    return `${formatNumber(seconds / scale)} ${label}`;
+}
+
+/**
+ * Three significant figures, switching to powers of ten for very large or small values
+ * @param {number} value - Number to format
+ * @returns {string} - Formatted number
+ */
+function formatNumber(value) {
+    if (value !== 0 && (Math.abs(value) >= 1e5 || Math.abs(value) < 1e-2)) {
+        const [mantissa, exponent] = value.toExponential(2).split('e');
+        const superscript = String(Number(exponent)).replace(/[-0-9]/g, d => '⁻⁰¹²³⁴⁵⁶⁷⁸⁹'['-0123456789'.indexOf(d)]);
+        return `${Number(mantissa)} × 10${superscript}`;
+    }
+
+    return String(Number(value.toPrecision(3)));
+}
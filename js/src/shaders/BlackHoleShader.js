@@ -41,18 +41,45 @@ export const blackHoleFragmentShader = `
 `;
 
 // Vertex shader for the accretion disk
+// In the physical mode each particle carries its emitted blackbody temperature. The observed
+// temperature is g·T, where g = 1 / (u^t (1 - Ωλ)) combines gravitational redshift (u^t for a
+// circular Kerr orbit) with the Doppler shift of a photon carrying angular momentum λ toward
+// the camera. Straight-line photons are assumed; bending is left to the lensing pass.
 export const accretionDiskVertexShader = `
     attribute float size;
     attribute vec3 color;
     attribute float offset;
+    attribute float temperature;
     
     uniform float time;
     uniform float pixelRatio;
     uniform float intensity;
+    uniform float truncationRadius;
+    uniform float orbitDirection; // 1 when the disk orbits +x toward +z, -1 the other way
+    
+    // Physical emission model
+    uniform bool physicalEmission;
+    uniform float spin; // |a|, the disk co-rotates with the hole
+    uniform float unitsPerM; // Local units per M
+    uniform vec3 observerPosition; // Camera in local units
+    uniform float peakTemperature; // Hottest emitted temperature in K
+    uniform float displayPeakTemperature; // Colour temperature shown for the peak, 0 for true colours
     
     varying vec3 vColor;
     varying float vDiscard;
     
+    // Blackbody colour (Tanner Helland's fit to the CIE 1964 blackbody locus), 1000-40000 K
+    vec3 blackbody(float kelvin) {
+        float t = clamp(kelvin, 1000.0, 40000.0) / 100.0;
+        vec3 rgb;
+        
+        rgb.r = t <= 66.0 ? 255.0 : 329.698727446 * pow(t - 60.0, -0.1332047592);
+        rgb.g = t <= 66.0 ? 99.4708025861 * log(t) - 161.1195681661 : 288.1221695283 * pow(t - 60.0, -0.0755148492);
+        rgb.b = t >= 66.0 ? 255.0 : (t <= 19.0 ? 0.0 : 138.5177312231 * log(t - 10.0) - 305.0447927307);
+        
+        return clamp(rgb / 255.0, 0.0, 1.0);
+    }
+    
     void main() {
         vColor = color;
         vDiscard = 0.0;
@@ -60,11 +87,14 @@ export const accretionDiskVertexShader = `
         // Get particle distance from center
         float radius = length(position.xz);
         
+        // A companion strips the disk beyond its tidal truncation radius
+        if (radius > truncationRadius) vDiscard = 1.0;
+        
         // Orbital speed decreases with distance (Keplerian motion)
         float speed = 0.2 * pow(10.0 / radius, 0.5);
         
         // Apply rotation based on radius
-        float angle = time * speed + offset;
+        float angle = time * speed * orbitDirection + offset;
         vec3 pos = position;
         
         pos.x = radius * cos(angle);
@@ -73,6 +103,27 @@ export const accretionDiskVertexShader = `
         // Perturb particles slightly for more chaotic look
         pos.y += sin(time * 2.0 + offset) * 0.05;
         
+        if (physicalEmission) {
+            vec3 x = pos / unitsPerM;
+            float r = max(length(x.xz), 1.0);
+            vec3 toObserver = normalize(observerPosition - pos);
+            
+            // Photon angular momentum about the spin axis, positive along the orbit
+            float lambda = (x.x * toObserver.z - x.z * toObserver.x) * orbitDirection;
+            
+            float r32 = r * sqrt(r);
+            float omega = 1.0 / (r32 + spin);
+            float ut = (r32 + spin) / (sqrt(r32) * sqrt(max(r32 - 3.0 * sqrt(r) + 2.0 * spin, 1e-4)));
+            float g = 1.0 / (ut * (1.0 - omega * lambda));
+            
+            float observed = g * temperature;
+            float shown = displayPeakTemperature > 0.0 ? observed * displayPeakTemperature / peakTemperature : observed;
+            
+            // Bolometric brightness goes as (gT)⁴, relative to the hottest ring, softly saturated
+            float flux = pow(observed / peakTemperature, 4.0);
+            vColor = blackbody(shown) * (1.0 - exp(-2.0 * flux));
+        }
+        
         // Convert to screen space
         vec4 mvPosition = modelViewMatrix * vec4(pos, 1.0);
         
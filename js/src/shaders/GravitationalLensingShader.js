@@ -12,50 +12,120 @@ export const lensingMapVertexShader = `
     }
 `;
 
+// Maximum number of black holes the lensing shaders sum over
+export const MAX_LENSES = 4;
+
 // Fragment shader for distortion map
+// Two models: a heuristic falloff, and (once the physics worker has traced it) a lookup table of
+// null-geodesic deflection angles by impact parameter, which gives the true shadow size, the
+// Einstein ring and the secondary images from rays that wind around the photon sphere.
 export const lensingMapFragmentShader = `
-    uniform float blackHoleRadius;
-    uniform float lensStrength;
-    uniform vec2 blackHolePosition;
+    #define MAX_LENSES ${MAX_LENSES}
+    #define PI 3.14159265359
+    #define TWO_PI 6.28318530718
+
+    uniform float blackHoleRadii[MAX_LENSES];
+    uniform vec2 blackHolePositions[MAX_LENSES];
+    uniform int blackHoleCount;
+    uniform float lensStrength; // Heuristic model only; traced deflections are used as they are
+    
+    // Deflection lookup table: x = impact parameter (0 to maxImpactParameter, in M),
+    // row 0 for rays passing with the hole's rotation, row 1 against it;
+    // texels hold (deflection angle in radians, captured fraction)
+    uniform sampler2D deflectionTable;
+    uniform bool useDeflectionTable;
+    uniform float deflectionTableWidth;
+    uniform float maxImpactParameter;
+    uniform float lensScales[MAX_LENSES]; // Screen heights per M for each black hole
+    uniform vec2 spinDirections[MAX_LENSES]; // Screen direction of the co-rotating side, scaled by sin(inclination)
+    uniform float aspect;
+    uniform float fieldOfView; // Vertical, in radians
+    uniform vec4 viewOffset; // Part of the whole view the map covers, in its UV: xy offset, zw size
     
     varying vec2 vUv;
     
-    void main() {
-        // Calculate normalized coordinates centered on black hole
-        vec2 position = vUv - blackHolePosition;
-        
-        // Calculate distance from center of black hole
-        float dist = length(position);
-        
-        // Calculate distortion amount based on distance from black hole
-        // We're using a physically-inspired model based on Einstein's relativity
-        // r' = r / (1 - rs/r) where rs is the Schwarzschild radius
-        float schwarzschildRadius = blackHoleRadius * 0.8; // Visual adjustment
-        
-        // This prevents infinity at r = rs by adding a small offset
-        float distortion = 0.0;
-        float safeDistance = max(dist, schwarzschildRadius * 1.01);
-        
-        if (dist <= schwarzschildRadius) {
-            // Inside the event horizon - maximum distortion
-            distortion = 1.0;
-        } else {
-            // Gravitational lensing formula, simplified for real-time visualization
-            float ratio = schwarzschildRadius / safeDistance;
-            distortion = ratio * ratio * lensStrength; // Squared for stronger visual effect
+    // Deflection and capture for an impact parameter in M; weak-field 4M/b beyond the table
+    vec2 sampleDeflection(float impactParameter, float row) {
+        if (impactParameter >= maxImpactParameter) {
+            return vec2(4.0 / impactParameter, 0.0);
         }
         
-        // Normalized direction vector from black hole center
-        vec2 direction = normalize(position);
+        float x = (impactParameter / maxImpactParameter * (deflectionTableWidth - 1.0) + 0.5) / deflectionTableWidth;
+        return texture2D(deflectionTable, vec2(x, row)).rg;
+    }
+    
+    void main() {
+        // Deflections from separate lenses add in the thin-lens approximation,
+        // so sum the displacement toward each black hole
+        vec2 displacement = vec2(0.0);
+        float shadow = 0.0;
+        
+        // Lenses are placed in the whole view, so the tiles of a poster line up
+        vec2 screenUv = viewOffset.xy + vUv * viewOffset.zw;
+        
+        for (int i = 0; i < MAX_LENSES; i++) {
+            if (i >= blackHoleCount) break;
+            
+            // Calculate normalized coordinates centered on this black hole
+            vec2 position = screenUv - blackHolePositions[i];
+            
+            if (useDeflectionTable) {
+                // Work in screen heights so the lens stays round on wide screens
+                vec2 offset = position * vec2(aspect, 1.0);
+                float dist = max(length(offset), 1e-6);
+                vec2 direction = offset / dist;
+                float impactParameter = dist / lensScales[i];
+                
+                // Blend the co- and counter-rotating tables by which side of the spin axis we are on
+                float rotation = dot(direction, spinDirections[i]);
+                vec2 bending = mix(
+                    sampleDeflection(impactParameter, 0.75),
+                    sampleDeflection(impactParameter, 0.25),
+                    0.5 + 0.5 * rotation
+                );
+                
+                // Rays bent by more than π come from behind the camera; wrapping the angle
+                // turns each extra half-turn around the hole into another mirrored image
+                float deflection = bending.x;
+                deflection -= TWO_PI * floor((deflection + PI) / TWO_PI);
+                
+                // The pixel sees the sky shifted toward (and past) the lens by the deflection angle
+                displacement += direction * (deflection / fieldOfView) / vec2(aspect, 1.0);
+                shadow = max(shadow, bending.y);
+            } else {
+                float dist = length(position);
+                
+                // Calculate distortion amount based on distance from black hole
+                // We're using a physically-inspired model based on Einstein's relativity
+                // r' = r / (1 - rs/r) where rs is the Schwarzschild radius
+                float schwarzschildRadius = blackHoleRadii[i] * 0.8; // Visual adjustment
+                
+                // This prevents infinity at r = rs by adding a small offset
+                float safeDistance = max(dist, schwarzschildRadius * 1.01);
+                float lensDistortion;
+                
+                if (dist <= schwarzschildRadius) {
+                    // Inside the event horizon - maximum distortion
+                    lensDistortion = 1.0;
+                    shadow = 1.0;
+                } else {
+                    // Gravitational lensing formula, simplified for real-time visualization
+                    float ratio = schwarzschildRadius / safeDistance;
+                    lensDistortion = ratio * ratio * lensStrength; // Squared for stronger visual effect
+                }
+                
+                // The direction points from the black hole, but distortion pulls inward
+                displacement += normalize(position) * lensDistortion;
+            }
+        }
         
         // Calculate distorted UV coordinates
-        // The direction points from the black hole, but distortion pulls inward
-        vec2 distortedUv = vUv - direction * distortion;
+        vec2 distortedUv = screenUv - displacement;
         
         // Output distortion as color
-        // R,G channels store the distorted UV coordinates
-        // B channel stores the distortion intensity for visual effects
-        gl_FragColor = vec4(distortedUv, distortion, 1.0);
+        // R,G channels store the distorted UV coordinates in the whole view
+        // B channel stores how much of the pixel lies in a black hole's shadow
+        gl_FragColor = vec4(distortedUv, shadow, 1.0);
     }
 `;
 
@@ -131,8 +201,7 @@ export const lensingRenderVertexShader = `
 export const lensingRenderFragmentShader = `
     uniform sampler2D distortionMap;
     uniform sampler2D backgroundTexture;
-    uniform vec2 blackHolePosition;
-    uniform float blackHoleRadius;
+    uniform vec4 viewOffset; // Part of the whole view the background covers, in its UV: xy offset, zw size
     
     varying vec2 vUv;
     
@@ -140,30 +209,18 @@ export const lensingRenderFragmentShader = `
         // Sample the distortion map
         vec4 distortionSample = texture2D(distortionMap, vUv);
         
-        // Distorted UV coordinates from the R and G channels
-        vec2 distortedUv = distortionSample.rg;
+        // Distorted UV coordinates from the R and G channels, mirrored back onto the
+        // screen when strong bending points them past its edge
+        vec2 distortedUv = 1.0 - abs(1.0 - mod(distortionSample.rg, 2.0));
+        distortedUv = (distortedUv - viewOffset.xy) / viewOffset.zw;
         
-        // Distortion intensity from the B channel
-        float distortionIntensity = distortionSample.b;
+        // Shadow coverage from the B channel
+        float shadow = distortionSample.b;
         
-        // Calculate distance from black hole center
-        float dist = length(vUv - blackHolePosition);
-        
-        // Sample the background with the distorted UVs
-        vec4 color;
-        
-        if (dist <= blackHoleRadius * 0.8) {
-            // Inside the event horizon - pure black
-            color = vec4(0.0, 0.0, 0.0, 1.0);
-        } else {
-            // Apply distortion to background
-            color = texture2D(backgroundTexture, distortedUv);
-            
-            // Optional: add visual clue to show distortion strength
-            // This can be commented out for a more realistic effect
-            //color.rgb += vec3(0.1, 0.0, 0.2) * distortionIntensity * 2.0;
-        }
+        // Apply distortion to background, then black out the shadow
+        vec4 color = texture2D(backgroundTexture, distortedUv);
+        color = mix(color, vec4(0.0, 0.0, 0.0, 1.0), shadow);
         
         gl_FragColor = color;
     }
-`; 
\ No newline at end of file
+`;
\ No newline at end of file
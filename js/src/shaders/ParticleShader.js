@@ -184,6 +184,76 @@ export const dataStreamFragmentShader = `
     }
 `;
 
+// Text particle vertex shader
+// Particles fly in from scattered origins to points on the letters, hold the word, then either
+// fade as the simulation takes over (infall = 0) or spiral into the black hole (infall = 1)
+export const textParticleVertexShader = `
+    attribute vec3 origin;
+    attribute float size;
+    attribute float delay;
+    attribute vec3 color;
+    
+    uniform float time;
+    uniform float startTime;
+    uniform float pixelRatio;
+    uniform float assembleTime;
+    uniform float holdTime;
+    uniform float releaseTime;
+    uniform float infall;
+    uniform vec3 blackHolePosition;
+    
+    varying vec3 vColor;
+    varying float vAlpha;
+    
+    void main() {
+        vColor = color;
+        float age = time - startTime;
+        
+        // Staggered arrival, easing out as each particle finds its place
+        float assemble = clamp((age - delay * 0.3 * assembleTime) / (0.7 * assembleTime), 0.0, 1.0);
+        assemble = 1.0 - pow(1.0 - assemble, 3.0);
+        vec3 pos = mix(origin, position, assemble);
+        
+        // Shimmer in place while the word holds
+        pos += vec3(sin(time * 3.0 + delay * 40.0), cos(time * 2.3 + delay * 31.0), 0.0) * 0.015;
+        
+        // Staggered release
+        float release = clamp((age - assembleTime - holdTime - delay * 0.4 * releaseTime) / (0.6 * releaseTime), 0.0, 1.0);
+        
+        // Pulled in faster and faster, swirling about the vertical axis through the hole
+        float pull = release * release * infall;
+        vec3 offset = pos - blackHolePosition;
+        float angle = pull * 4.0;
+        offset.xz = mat2(cos(angle), -sin(angle), sin(angle), cos(angle)) * offset.xz;
+        pos = blackHolePosition + offset * (1.0 - pull);
+        
+        vAlpha = assemble * (1.0 - release * release);
+        
+        vec4 mvPosition = modelViewMatrix * vec4(pos, 1.0);
+        
+        // Scale size by distance, shrinking on the way in
+        gl_PointSize = size * pixelRatio * (30.0 / -mvPosition.z) * (1.0 - 0.7 * pull);
+        
+        gl_Position = projectionMatrix * mvPosition;
+    }
+`;
+
+// Text particle fragment shader
+export const textParticleFragmentShader = `
+    varying vec3 vColor;
+    varying float vAlpha;
+    
+    void main() {
+        // Create soft circular particle
+        vec2 center = gl_PointCoord - 0.5;
+        float dist = length(center * 2.0);
+        if (dist > 1.0 || vAlpha <= 0.0) discard;
+        float alpha = (1.0 - smoothstep(0.4, 1.0, dist)) * vAlpha;
+        
+        gl_FragColor = vec4(vColor, alpha);
+    }
+`;
+
 // Nebula cloud vertex shader
 export const nebulaVertexShader = `
     attribute float size;
@@ -244,4 +314,47 @@ export const nebulaFragmentShader = `
         // Set final color with alpha
         gl_FragColor = vec4(color, alpha);
     }
-`; 
\ No newline at end of file
+`; 
+
+// Simulated (physics worker) particle vertex shader
+export const simulatedParticleVertexShader = `
+    attribute float relativisticFactor;
+    
+    uniform float pixelRatio;
+    uniform float size;
+    
+    varying float vRelativisticFactor;
+    
+    void main() {
+        vRelativisticFactor = relativisticFactor;
+        
+        vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+        
+        // Scale size by distance
+        gl_PointSize = size * pixelRatio * (20.0 / -mvPosition.z);
+        
+        gl_Position = projectionMatrix * mvPosition;
+    }
+`;
+
+// Simulated particle fragment shader
+export const simulatedParticleFragmentShader = `
+    uniform vec3 color;
+    uniform vec3 redshiftColor;
+    
+    varying float vRelativisticFactor;
+    
+    void main() {
+        // Create soft circular particle
+        vec2 center = gl_PointCoord - 0.5;
+        float dist = length(center * 2.0);
+        if (dist > 1.0) discard;
+        float alpha = 1.0 - smoothstep(0.5, 1.0, dist);
+        
+        // Shift toward red and dim as proper time slows near the horizon
+        float dilation = clamp(vRelativisticFactor, 0.0, 1.0);
+        vec3 finalColor = mix(redshiftColor, color, dilation);
+        
+        gl_FragColor = vec4(finalColor, alpha * (0.3 + 0.7 * dilation));
+    }
+`;
@@ -24,6 +24,7 @@ export const colorCorrectionFragmentShader = `
     uniform float time;
     uniform float noiseIntensity;
     uniform float chromaticAberration;
+    uniform vec4 viewOffset; // Part of the whole view this render covers, in its UV: xy offset, zw size
     
     varying vec2 vUv;
     
@@ -91,11 +92,15 @@ export const colorCorrectionFragmentShader = `
     }
     
     void main() {
+        // Position in the whole view, so tiles of a poster line up
+        vec2 screenUv = viewOffset.xy + vUv * viewOffset.zw;
+        
         // Apply chromatic aberration
         float caStrength = chromaticAberration;
-        vec2 dir = normalize(vec2(0.5) - vUv) * caStrength;
+        vec2 dir = normalize(vec2(0.5) - screenUv) * caStrength / viewOffset.zw;
+        vec4 originalColor = texture2D(tDiffuse, vUv);
         float r = texture2D(tDiffuse, vUv + dir * 1.0).r;
-        float g = texture2D(tDiffuse, vUv).g;
+        float g = originalColor.g;
         float b = texture2D(tDiffuse, vUv - dir * 1.0).b;
         vec3 color = vec3(r, g, b);
         
@@ -112,17 +117,16 @@ export const colorCorrectionFragmentShader = `
         color = hsl2rgb(hsl);
         
         // Apply vignette effect
-        vec2 uv = vUv;
-        float dist = distance(uv, vec2(0.5));
+        float dist = distance(screenUv, vec2(0.5));
         float vignette = smoothstep(vignetteSize, vignetteSize - 0.15, dist);
         color = mix(color * 0.2, color, vignette);
         
         // Add subtle noise grain (quantum fluctuations)
-        float noise = random(vUv + time * 0.01) * noiseIntensity;
+        float noise = random(screenUv + time * 0.01) * noiseIntensity;
         color += noise;
         
-        // Finalize color
-        gl_FragColor = vec4(color, 1.0);
+        // Finalize color; alpha passes through for a transparent background
+        gl_FragColor = vec4(color, originalColor.a);
     }
 `;
 
@@ -165,6 +169,7 @@ export const filmGrainFragmentShader = `
     uniform float time;
     uniform float grainIntensity;
     uniform float grainSize;
+    uniform vec4 viewOffset; // Part of the whole view this render covers, in its UV: xy offset, zw size
     
     varying vec2 vUv;
     
@@ -177,8 +182,8 @@ export const filmGrainFragmentShader = `
         // Get original color
         vec4 originalColor = texture2D(tDiffuse, vUv);
         
-        // Generate noise
-        vec2 grainUv = vUv * grainSize;
+        // Generate noise, seeded by the position in the whole view
+        vec2 grainUv = (viewOffset.xy + vUv * viewOffset.zw) * grainSize;
         grainUv.y *= rand(vec2(grainUv.x, time * 0.01));
         float grain = rand(grainUv + time * 0.01);
         
@@ -222,6 +227,7 @@ export const spaceDistortionFragmentShader = `
     uniform float time;
     uniform float distortionStrength;
     uniform vec2 mousePosition;
+    uniform vec4 viewOffset; // Part of the whole view this render covers, in its UV: xy offset, zw size
     
     varying vec2 vUv;
     
@@ -232,18 +238,36 @@ export const spaceDistortionFragmentShader = `
             center = vec2(0.5, 0.5);
         }
         
-        // Calculate distortion
-        vec2 dir = center - vUv;
+        // Calculate distortion in the whole view
+        vec2 dir = center - (viewOffset.xy + vUv * viewOffset.zw);
         float dist = length(dir);
         float distortionFactor = 1.0 / (1.0 + 25.0 * dist * dist);
         
         // Apply distortion with subtle animation
         vec2 offset = normalize(dir) * distortionFactor * distortionStrength * sin(time * 0.5) * 0.01;
-        vec2 distortedUv = vUv + offset;
+        vec2 distortedUv = vUv + offset / viewOffset.zw;
         
         // Sample color
         vec4 color = texture2D(tDiffuse, distortedUv);
         
         gl_FragColor = color;
     }
-`; 
\ No newline at end of file
+`; 
+
+// Bloom for one tile of a poster: the glow comes from a render of the whole view, so light
+// spreads across tile edges as it does on screen (see PostProcessingManager.beginTiles)
+export const tiledBloomFragmentShader = `
+    uniform sampler2D tDiffuse;
+    uniform sampler2D bloomTexture;
+    uniform vec4 viewOffset; // Part of the whole view this render covers, in its UV: xy offset, zw size
+    
+    varying vec2 vUv;
+    
+    void main() {
+        vec4 color = texture2D(tDiffuse, vUv);
+        vec4 bloom = texture2D(bloomTexture, viewOffset.xy + vUv * viewOffset.zw);
+        
+        // Added on top, as UnrealBloomPass blends it
+        gl_FragColor = color + bloom;
+    }
+`;
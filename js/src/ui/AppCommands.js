@@ -0,0 +1,221 @@
+/**
+ * App commands
+ * The actions registered with app.commands (see CommandRegistry.js): everything that had a
+ * keyboard shortcut, plus actions that are only reachable from the command palette. Handlers
+ * look modules up on the app when they run, so a module that failed to start only disables
+ * its own commands.
+ */
+
+const QUALITY_LEVELS = ['low', 'medium', 'high'];
+
+const EFFECTS = [
+    { name: 'bloom', title: 'Toggle bloom' },
+    { name: 'filmGrain', title: 'Toggle film grain' },
+    { name: 'colorCorrection', title: 'Toggle color correction' },
+    { name: 'nebula', title: 'Toggle nebula' },
+    { name: 'timeDilation', title: 'Toggle time dilation' }
+];
+
+/**
+ * Register the app's commands
+ * @param {App} app - Application
+ */
+export function registerAppCommands(app) {
+    const commands = app.commands;
+
+    // General
+    commands.register({
+        id: 'palette.open',
+        title: 'Show all commands',
+        category: 'General',
+        keys: ['P', 'F1'],
+        handler: () => app.commandPalette && app.commandPalette.open()
+    });
+
+    commands.register({
+        id: 'search.open',
+        title: 'Search',
+        category: 'General',
+        keys: ['/', 'Ctrl+K', 'Meta+K'],
+        handler: () => app.search && app.search.open()
+    });
+
+    commands.register({
+        id: 'log.toggle',
+        title: 'Show event horizon log',
+        category: 'General',
+        keys: ['L'],
+        handler: () => app.eventHorizonLog && app.eventHorizonLog.toggle()
+    });
+
+    commands.register({
+        id: 'docs.show',
+        title: 'Show documentation',
+        category: 'General',
+        keys: ['?'],
+        handler: () => app.showDocumentation()
+    });
+
+    // Navigation: content sections by number, then the other pages
+    const sections = app.content ? app.content.sections : [];
+    sections.forEach((section, index) => {
+        commands.register({
+            id: `section.${section.id}`,
+            title: `Open ${titleCase(section.label)}`,
+            category: 'Navigate',
+            keys: index < 9 ? [String(index + 1)] : [],
+            handler: () => app.uiController && app.uiController.navigateToSection(section.id)
+        });
+    });
+
+    document.querySelectorAll('.content-section').forEach(page => {
+        if (sections.some(section => section.id === page.id)) return;
+
+        const heading = page.querySelector('h2');
+        commands.register({
+            id: `section.${page.id}`,
+            title: `Open ${heading ? heading.textContent.trim() : titleCase(page.id)}`,
+            category: 'Navigate',
+            handler: () => app.navigate({ section: page.id })
+        });
+    });
+
+    commands.register({
+        id: 'view.close',
+        title: 'Close / back to overview',
+        category: 'Navigate',
+        keys: ['Escape'],
+        handler: () => {
+            // An open page closes first, back to the section behind it
+            const page = document.querySelector('.content-section.active .close-btn');
+            if (page) {
+                page.click();
+            } else if (app.uiManager) {
+                app.uiManager.deactivateAllSections();
+            }
+        }
+    });
+
+    commands.register({
+        id: 'camera.reset',
+        title: 'Reset camera',
+        category: 'Navigate',
+        keys: ['Home'],
+        handler: () => app.uiManager && app.uiManager.resetCamera()
+    });
+
+    // View
+    commands.register({
+        id: 'theme.toggle',
+        title: 'Toggle theme',
+        category: 'View',
+        keys: ['T'],
+        handler: () => app.uiController && app.uiController.toggleTheme()
+    });
+
+    commands.register({
+        id: 'ui.toggle',
+        title: 'Toggle interface',
+        category: 'View',
+        keys: ['H'],
+        handler: () => app.uiController && app.uiController.toggleUIVisibility()
+    });
+
+    commands.register({
+        id: 'controls.toggle',
+        title: 'Show black hole controls',
+        category: 'View',
+        keys: ['C'],
+        handler: () => app.controlPanel && app.controlPanel.toggle()
+    });
+
+    commands.register({
+        id: 'timeline.toggle',
+        title: 'Show timeline',
+        category: 'Timeline',
+        keys: ['K'],
+        handler: () => app.timelinePanel && app.timelinePanel.toggle()
+    });
+
+    commands.register({
+        id: 'timeline.play',
+        title: 'Play or pause timeline',
+        category: 'Timeline',
+        handler: () => app.timeline && app.timeline.togglePlayback()
+    });
+
+    commands.register({
+        id: 'audio.toggle',
+        title: 'Toggle sound',
+        category: 'View',
+        handler: () => app.audioManager && app.audioManager.toggleAudio()
+    });
+
+    commands.register({
+        id: 'screenshot',
+        title: 'Take screenshot',
+        category: 'View',
+        keys: ['Shift+S'],
+        handler: () => app.takeScreenshot()
+    });
+
+    commands.register({
+        id: 'export.open',
+        title: 'Export video or image sequence',
+        category: 'View',
+        keys: ['Shift+E'],
+        handler: () => app.exportPanel && app.exportPanel.open()
+    });
+
+    commands.register({
+        id: 'poster.open',
+        title: 'Render high-resolution poster',
+        category: 'View',
+        handler: () => app.exportPanel && app.exportPanel.open('poster')
+    });
+
+    // Rendering
+    EFFECTS.forEach(({ name, title }) => {
+        commands.register({
+            id: `effects.${name}`,
+            title,
+            category: 'Rendering',
+            handler: () => app.toggleEffect(name)
+        });
+    });
+
+    QUALITY_LEVELS.forEach(level => {
+        commands.register({
+            id: `quality.${level}`,
+            title: `Set quality: ${level}`,
+            category: 'Rendering',
+            handler: () => app.setQualityLevel(level)
+        });
+    });
+
+    // Sessions
+    commands.register({
+        id: 'session.record',
+        title: 'Start or stop recording',
+        category: 'Session',
+        keys: ['Shift+R'],
+        handler: () => app.toggleRecording()
+    });
+
+    commands.register({
+        id: 'session.replay',
+        title: 'Replay a recording',
+        category: 'Session',
+        keys: ['Shift+P'],
+        handler: () => app.uiController && app.uiController.chooseRecording()
+    });
+}
+
+/**
+ * "PHYSICS" -> "Physics"
+ * @param {string} text - Label
+ * @returns {string} - Title-cased label
+ */
+function titleCase(text) {
+    return text.toLowerCase().replace(/\b\w/g, char => char.toUpperCase());
+}
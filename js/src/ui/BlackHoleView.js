@@ -0,0 +1,305 @@
+import { App } from '../App.js';
+import { PARAMETER_PRESETS, defaultParams, overridesOf, parseParameter } from '../core/ParameterSchema.js';
+
+/**
+ * <black-hole-view>
+ * A live black hole that can go anywhere on a page, e.g. in a blog post or on a project page:
+ *
+ *     <black-hole-view preset="m87" quality="low" interactive transparent></black-hole-view>
+ *
+ * Each element runs its own App in embedded mode on a canvas in its shadow root: it fills the
+ * element rather than the window, and leaves out the site's interface, URL state and keyboard
+ * shortcuts. Taking the element off the page disposes the app; putting it back starts a new one.
+ *
+ * Attributes, all of which can change at any time except the seed:
+ * - preset: a built-in preset id (see PARAMETER_PRESETS), e.g. "sgr-a" or "m87"
+ * - quality: 'low', 'medium' (the default) or 'high'
+ * - interactive: drag to orbit and scroll to zoom; without it the page scrolls over the view
+ * - audio: play the ambient sound after the first click on the view
+ * - transparent: leave out the space background, so the page shows through
+ * - seed: fixes every random choice, as ?seed= does for the site
+ *
+ * Events: ready, error (detail.error), paramschange (detail.params) and qualitychange
+ * (detail.level, and detail.reduced when the view lowered it after slow frames), dispatched on
+ * the element.
+ */
+
+const QUALITY_LEVELS = ['low', 'medium', 'high'];
+
+const STYLE = `
+    :host {
+        display: block;
+        position: relative;
+        aspect-ratio: 16 / 9;
+        overflow: hidden;
+        background: #000510;
+    }
+    :host([hidden]) {
+        display: none;
+    }
+    :host([transparent]) {
+        background: none;
+    }
+    .view {
+        position: absolute;
+        inset: 0;
+    }
+    canvas {
+        display: block;
+    }
+    :host(:not([interactive])) canvas {
+        pointer-events: none;
+    }
+    .audio-controls {
+        position: absolute;
+        right: 8px;
+        bottom: 8px;
+    }
+    .audio-toggle {
+        width: 32px;
+        height: 32px;
+        border: 1px solid rgba(255, 255, 255, 0.3);
+        border-radius: 50%;
+        background: rgba(0, 0, 0, 0.5);
+        color: #fff;
+        cursor: pointer;
+    }
+    .audio-toggle.muted {
+        opacity: 0.5;
+    }
+`;
+
+export class BlackHoleView extends HTMLElement {
+    static get observedAttributes() {
+        return ['preset', 'quality', 'interactive', 'audio', 'transparent'];
+    }
+
+    constructor() {
+        super();
+        this.app = null; // Running while the element is on the page
+        this.ready = false; // True once the app has started
+        this.overrides = null; // Parameter overrides; the preset's until setParams is called
+        this.qualitySubscription = null;
+
+        this.attachShadow({ mode: 'open' }).innerHTML = `<style>${STYLE}</style><div class="view" part="view"></div>`;
+        this.container = this.shadowRoot.querySelector('.view');
+    }
+
+    connectedCallback() {
+        if (this.app) return;
+
+        const canvas = document.createElement('canvas');
+        this.container.appendChild(canvas);
+
+        if (!this.overrides) {
+            this.overrides = presetParams(this.getAttribute('preset'));
+        }
+
+        const app = new App({
+            canvas,
+            container: this.container,
+            embedded: true,
+            seed: this.getAttribute('seed'),
+            quality: this.quality,
+            audio: this.hasAttribute('audio'),
+            transparent: this.hasAttribute('transparent'),
+            interactive: this.hasAttribute('interactive')
+        });
+        this.app = app;
+        this.qualitySubscription = app.events.on('quality:change', detail => this.emit('qualitychange', detail));
+
+        app.init()
+            .then(() => {
+                // Taken off the page while starting
+                if (this.app !== app) return;
+
+                // Effects only exist now, so parameters set while loading are applied again
+                app.setBlackHoleParams(this.overrides);
+                this.ready = true;
+                this.emit('ready', { app });
+            })
+            .catch(error => {
+                if (this.app !== app) return;
+
+                console.error('Failed to start <black-hole-view>:', error);
+                this.emit('error', { error });
+            });
+    }
+
+    disconnectedCallback() {
+        if (!this.app) return;
+
+        this.qualitySubscription.dispose();
+        this.qualitySubscription = null;
+        this.app.dispose();
+        this.app = null;
+        this.ready = false;
+
+        // Anything the app left behind, e.g. its fallback message
+        this.container.replaceChildren();
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+        // Attributes set before the element is on the page are read when it starts
+        if (!this.app || oldValue === value) return;
+
+        const app = this.app;
+        switch (name) {
+            case 'preset':
+                this.setParams(presetParams(value));
+                break;
+            case 'quality':
+                app.setQualityLevel(this.quality);
+                break;
+            case 'interactive':
+                app.setInteractive(value !== null);
+                break;
+            case 'transparent':
+                app.setTransparent(value !== null);
+                break;
+            case 'audio':
+                if (value !== null && !app.audioManager) {
+                    app.options.audio = true;
+                    app.initAudioManager();
+                } else if (value === null && app.audioManager) {
+                    app.options.audio = false;
+                    app.audioManager.dispose();
+                    app.audioManager = null;
+                }
+                break;
+        }
+    }
+
+    /**
+     * Every black hole parameter, with the defaults for those not set
+     * @returns {Object} - key -> value (see ParameterSchema.js)
+     */
+    get params() {
+        return { ...defaultParams(), ...(this.overrides || presetParams(this.getAttribute('preset'))) };
+    }
+
+    /**
+     * Set the black hole parameters
+     * Values are checked against the schema; bad ones are skipped, and parameters not given
+     * return to their defaults, so `{ ...view.params, spin: 0.5 }` changes just the spin.
+     * @param {Object} params - key -> value, numbers or strings
+     */
+    setParams(params) {
+        const values = {};
+        Object.entries(params || {}).forEach(([key, value]) => {
+            const parsed = parseParameter(key, value);
+            if (parsed === undefined) {
+                console.warn(`<black-hole-view>: ignoring ${key} = ${value}`);
+            } else {
+                values[key] = parsed;
+            }
+        });
+
+        this.overrides = overridesOf({ ...defaultParams(), ...values });
+        if (this.app) {
+            this.app.setBlackHoleParams(this.overrides);
+        }
+
+        this.emit('paramschange', { params: this.params });
+    }
+
+    /**
+     * @returns {string|null} - Built-in preset id, as set in the preset attribute
+     */
+    get preset() {
+        return this.getAttribute('preset');
+    }
+
+    /**
+     * Switch to a built-in preset
+     * @param {string} id - Preset id, e.g. 'sgr-a'
+     */
+    set preset(id) {
+        this.setAttribute('preset', id);
+    }
+
+    /**
+     * @returns {string} - Quality level; anything unknown in the attribute reads as 'medium'
+     */
+    get quality() {
+        const level = this.getAttribute('quality');
+        return QUALITY_LEVELS.includes(level) ? level : 'medium';
+    }
+
+    /**
+     * @param {string} level - 'low', 'medium' or 'high'
+     */
+    set quality(level) {
+        this.setAttribute('quality', level);
+    }
+
+    get interactive() {
+        return this.hasAttribute('interactive');
+    }
+
+    set interactive(interactive) {
+        this.toggleAttribute('interactive', Boolean(interactive));
+    }
+
+    get audio() {
+        return this.hasAttribute('audio');
+    }
+
+    set audio(audio) {
+        this.toggleAttribute('audio', Boolean(audio));
+    }
+
+    get transparent() {
+        return this.hasAttribute('transparent');
+    }
+
+    set transparent(transparent) {
+        this.toggleAttribute('transparent', Boolean(transparent));
+    }
+
+    /**
+     * Capture the current view
+     * @returns {Promise<Blob>} - PNG, transparent around the black hole with the transparent attribute
+     */
+    capture() {
+        if (!this.ready) {
+            return Promise.reject(new Error('The black hole view has not started'));
+        }
+        return this.app.captureFrame();
+    }
+
+    /**
+     * Dispatch an event on the element
+     * @param {string} type - Event type
+     * @param {Object} detail - Event detail
+     */
+    emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+}
+
+/**
+ * Register the element, once
+ * @param {string} name - Tag name
+ */
+export function defineBlackHoleView(name = 'black-hole-view') {
+    if (!customElements.get(name)) {
+        customElements.define(name, BlackHoleView);
+    }
+}
+
+/**
+ * Parameters of a built-in preset
+ * @param {string|null} id - Preset id
+ * @returns {Object} - Its parameters; none for no preset or an unknown one
+ */
+function presetParams(id) {
+    if (!id) return {};
+
+    const preset = PARAMETER_PRESETS.find(candidate => candidate.id === id);
+    if (!preset) {
+        console.warn(`<black-hole-view>: unknown preset "${id}"`);
+        return {};
+    }
+    return { ...preset.params };
+}
@@ -0,0 +1,313 @@
+import { escapeHTML } from '../content/Markdown.js';
+import { keyCombo, formatCombo } from './CommandRegistry.js';
+
+/**
+ * Command palette
+ * Lists every command in app.commands, filtered by a fuzzy match on the title and category, and
+ * runs the chosen one. Each row's key button records a new key combination for that command
+ * (Backspace clears it, Esc cancels); "Reset keys" restores the defaults.
+ */
+
+const MAX_RESULTS = 50;
+
+export class CommandPalette {
+    constructor(app) {
+        this.app = app;
+        this.results = [];
+        this.selected = 0;
+        this.rebinding = null; // Id of the command waiting for new keys
+        this.previousFocus = null;
+
+        this.overlay = null;
+        this.input = null;
+        this.list = null;
+
+        this.handleInput = this.onInput.bind(this);
+        this.handleInputKeyDown = this.onInputKeyDown.bind(this);
+        this.handleClick = this.onClick.bind(this);
+        this.handleBindingsChange = this.onBindingsChange.bind(this);
+        this.bindingsSubscription = null;
+    }
+
+    /**
+     * Find the palette markup
+     */
+    init() {
+        this.overlay = document.getElementById('command-palette');
+        this.input = document.getElementById('command-input');
+        this.list = document.getElementById('command-results');
+
+        if (!this.overlay || !this.input || !this.list) {
+            console.warn('Command palette not found; palette disabled');
+            return;
+        }
+
+        this.input.addEventListener('input', this.handleInput);
+        this.input.addEventListener('keydown', this.handleInputKeyDown);
+        this.overlay.addEventListener('click', this.handleClick);
+        this.bindingsSubscription = this.app.events.on('keybindings:change', this.handleBindingsChange);
+    }
+
+    /**
+     * Whether the palette is showing
+     * @returns {boolean} - True when open
+     */
+    get isOpen() {
+        return Boolean(this.overlay) && !this.overlay.hidden;
+    }
+
+    /**
+     * Show the palette with every command listed
+     */
+    open() {
+        if (!this.overlay || this.isOpen) return;
+
+        this.previousFocus = document.activeElement;
+        this.overlay.hidden = false;
+        this.input.value = '';
+        this.selected = 0;
+        this.rebinding = null;
+        this.input.focus();
+        this.update();
+    }
+
+    /**
+     * Hide the palette
+     */
+    close() {
+        this.overlay.hidden = true;
+        this.rebinding = null;
+
+        if (this.previousFocus && typeof this.previousFocus.focus === 'function') {
+            this.previousFocus.focus();
+        }
+        this.previousFocus = null;
+    }
+
+    /**
+     * Filter as the query changes
+     */
+    onInput() {
+        this.selected = 0;
+        this.update();
+    }
+
+    /**
+     * Filter the commands and show them
+     */
+    update() {
+        const query = this.input.value.trim();
+        const commands = this.app.commands ? this.app.commands.list() : [];
+
+        this.results = commands
+            .map(command => {
+                const match = fuzzyMatch(query, command.title);
+                const categoryMatch = match ? null : fuzzyMatch(query, `${command.category} ${command.title}`);
+                const best = match || (categoryMatch && { score: categoryMatch.score / 2, positions: [] });
+                return best ? { command, ...best } : null;
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, MAX_RESULTS);
+
+        this.selected = Math.min(this.selected, Math.max(0, this.results.length - 1));
+        this.render();
+    }
+
+    /**
+     * Render the command list
+     */
+    render() {
+        if (this.results.length === 0) {
+            this.list.innerHTML = '<li class="command-status">No matching commands.</li>';
+            return;
+        }
+
+        this.list.innerHTML = this.results.map(({ command, positions }, i) => {
+            const keys = this.rebinding === command.id
+                ? '<span class="command-recording">Press keys&hellip;</span>'
+                : (command.keys.length > 0
+                    ? command.keys.map(combo => `<kbd>${escapeHTML(formatCombo(combo))}</kbd>`).join('')
+                    : '<span class="command-unbound">Set key</span>');
+
+            return `
+                <li id="command-${i}" class="command-item${i === this.selected ? ' selected' : ''}" role="option" aria-selected="${i === this.selected}" data-command-index="${i}">
+                    <span class="command-category">${escapeHTML(command.category)}</span>
+                    <span class="command-title">${markPositions(command.title, positions)}</span>
+                    <button class="command-keys" data-command-rebind="${escapeHTML(command.id)}" title="Change the keys for this command">${keys}</button>
+                </li>
+            `;
+        }).join('');
+
+        this.input.setAttribute('aria-activedescendant', `command-${this.selected}`);
+    }
+
+    /**
+     * Move through, run and rebind commands; keys typed here stay out of the page shortcuts
+     * @param {KeyboardEvent} event - Key press in the palette field
+     */
+    onInputKeyDown(event) {
+        event.stopPropagation();
+
+        if (this.rebinding) {
+            event.preventDefault();
+            this.recordBinding(event);
+            return;
+        }
+
+        switch (event.key) {
+            case 'ArrowDown':
+            case 'ArrowUp':
+                event.preventDefault();
+                if (this.results.length > 0) {
+                    const step = event.key === 'ArrowDown' ? 1 : -1;
+                    this.selected = (this.selected + step + this.results.length) % this.results.length;
+                    this.render();
+                    this.list.children[this.selected].scrollIntoView({ block: 'nearest' });
+                }
+                break;
+
+            case 'Enter':
+                event.preventDefault();
+                this.run(this.selected);
+                break;
+
+            case 'Escape':
+                event.preventDefault();
+                this.close();
+                break;
+        }
+    }
+
+    /**
+     * Take the next key combination as the new binding of the command being rebound
+     * @param {KeyboardEvent} event - Key press while recording
+     */
+    recordBinding(event) {
+        const id = this.rebinding;
+
+        if (event.key === 'Escape') {
+            this.rebinding = null;
+        } else if (event.key === 'Backspace' || event.key === 'Delete') {
+            this.rebinding = null;
+            this.app.commands.rebind(id, []);
+        } else {
+            const combo = keyCombo(event);
+            if (!combo) return; // Wait for the key that goes with the modifiers
+
+            this.rebinding = null;
+            this.app.commands.rebind(id, [combo]);
+        }
+
+        this.update();
+    }
+
+    /**
+     * Run a command by pointer, start rebinding, reset keys, or close by clicking outside
+     * Clicks stop here so they do not also pick orbs behind the palette.
+     * @param {MouseEvent} event - Click in the palette
+     */
+    onClick(event) {
+        event.stopPropagation();
+
+        const rebind = event.target.closest('[data-command-rebind]');
+        if (rebind) {
+            this.rebinding = rebind.dataset.commandRebind;
+            this.render();
+            this.input.focus();
+            return;
+        }
+
+        if (event.target.closest('[data-command-reset]')) {
+            this.app.commands.resetBindings();
+            this.input.focus();
+            return;
+        }
+
+        const item = event.target.closest('[data-command-index]');
+        if (item) {
+            this.run(parseInt(item.dataset.commandIndex, 10));
+        } else if (event.target === this.overlay) {
+            this.close();
+        }
+    }
+
+    /**
+     * Close and run a listed command
+     * @param {number} index - Result index
+     */
+    run(index) {
+        const result = this.results[index];
+        if (!result) return;
+
+        this.close();
+        this.app.commands.execute(result.command.id);
+    }
+
+    /**
+     * Show bindings changed here or elsewhere
+     */
+    onBindingsChange() {
+        if (this.isOpen) this.update();
+    }
+
+    /**
+     * Stop listening
+     */
+    dispose() {
+        if (this.bindingsSubscription) {
+            this.bindingsSubscription.dispose();
+            this.bindingsSubscription = null;
+        }
+
+        if (this.overlay) {
+            this.input.removeEventListener('input', this.handleInput);
+            this.input.removeEventListener('keydown', this.handleInputKeyDown);
+            this.overlay.removeEventListener('click', this.handleClick);
+        }
+    }
+}
+
+/**
+ * Match a query's characters, in order, anywhere in a text
+ * Matches at word starts and runs of consecutive characters score higher, so "tt" ranks
+ * "Toggle theme" above "Take screenshot".
+ * @param {string} query - Typed text
+ * @param {string} text - Text to match
+ * @returns {Object|null} - { score, positions } or null if some character is missing
+ */
+function fuzzyMatch(query, text) {
+    const needle = query.toLowerCase().replace(/\s+/g, '');
+    if (!needle) return { score: 0, positions: [] };
+
+    const haystack = text.toLowerCase();
+    const positions = [];
+    let score = 0;
+    let from = 0;
+
+    for (const char of needle) {
+        const index = haystack.indexOf(char, from);
+        if (index === -1) return null;
+
+        const wordStart = index === 0 || /[\s:\-/]/.test(haystack[index - 1]);
+        const consecutive = positions.length > 0 && positions[positions.length - 1] === index - 1;
+        score += 1 + (wordStart ? 3 : 0) + (consecutive ? 2 : 0);
+
+        positions.push(index);
+        from = index + 1;
+    }
+
+    // Prefer shorter titles among equal matches
+    return { score: score - haystack.length * 0.01, positions };
+}
+
+/**
+ * Escaped text with matched characters in <mark>
+ * @param {string} text - Text
+ * @param {Array} positions - Matched character indices
+ * @returns {string} - HTML
+ */
+function markPositions(text, positions) {
+    const marked = new Set(positions);
+    return text.split('').map((char, i) => (marked.has(i) ? `<mark>${escapeHTML(char)}</mark>` : escapeHTML(char))).join('');
+}
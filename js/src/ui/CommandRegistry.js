@@ -0,0 +1,250 @@
+/**
+ * Command registry
+ * Every app action that has a shortcut or belongs in the command palette is registered here
+ * with an id, a title and its default keys, and one keydown listener runs them. Keys the user
+ * rebinds in the palette are saved to localStorage and win over the defaults.
+ *
+ * A command:
+ *   id       - Unique id, e.g. 'theme.toggle'
+ *   title    - What the palette shows, e.g. 'Toggle theme'
+ *   category - Palette group, e.g. 'View'
+ *   keys     - Default key combinations (see keyCombo), e.g. ['T'] or ['Ctrl+K', 'Meta+K']
+ *   handler  - Runs the command
+ *
+ * Emits keybindings:change on the app's events when bindings change.
+ */
+
+export const KEYBINDINGS_STORAGE_KEY = 'keybindings';
+
+// Keys that only modify others never make a combination on their own
+const MODIFIER_KEYS = ['Control', 'Shift', 'Alt', 'Meta', 'CapsLock', 'Dead', 'Unidentified'];
+
+export class CommandRegistry {
+    /**
+     * @param {EventBus} events - The app's events (see EventBus.js)
+     */
+    constructor(events) {
+        this.events = events;
+        this.commands = new Map();
+        this.overrides = loadOverrides(); // command id -> keys chosen by the user
+
+        this.handleKeyDown = this.onKeyDown.bind(this);
+    }
+
+    /**
+     * Start running commands from the keyboard
+     */
+    init() {
+        window.addEventListener('keydown', this.handleKeyDown);
+    }
+
+    /**
+     * Add a command, replacing any with the same id
+     * @param {Object} command - { id, title, category, keys, handler }
+     */
+    register(command) {
+        if (this.commands.has(command.id)) {
+            console.warn(`Replacing command ${command.id}`);
+        }
+
+        this.commands.set(command.id, {
+            category: 'General',
+            keys: [],
+            ...command
+        });
+    }
+
+    /**
+     * Remove a command
+     * @param {string} id - Command id
+     */
+    unregister(id) {
+        this.commands.delete(id);
+    }
+
+    /**
+     * Every command with its current keys, grouped by category
+     * @returns {Array} - [{ id, title, category, keys }]
+     */
+    list() {
+        return Array.from(this.commands.values(), command => ({ ...command, keys: this.getKeys(command.id) }))
+            .sort((a, b) => a.category.localeCompare(b.category) || a.title.localeCompare(b.title));
+    }
+
+    /**
+     * Current keys of a command
+     * @param {string} id - Command id
+     * @returns {Array} - Key combinations
+     */
+    getKeys(id) {
+        if (this.overrides[id]) return this.overrides[id];
+
+        const command = this.commands.get(id);
+        return command ? command.keys : [];
+    }
+
+    /**
+     * Command bound to a key combination
+     * @param {string} combo - Key combination
+     * @returns {Object|null} - Command
+     */
+    findByKey(combo) {
+        for (const command of this.commands.values()) {
+            if (this.getKeys(command.id).includes(combo)) return command;
+        }
+        return null;
+    }
+
+    /**
+     * Run a command
+     * @param {string} id - Command id
+     * @returns {boolean} - Whether the command exists and ran without throwing
+     */
+    execute(id) {
+        const command = this.commands.get(id);
+        if (!command) {
+            console.warn(`Unknown command: ${id}`);
+            return false;
+        }
+
+        try {
+            command.handler();
+            return true;
+        } catch (error) {
+            console.error(`Command ${id} failed:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Give a command new keys; a combination taken by another command moves to this one
+     * @param {string} id - Command id
+     * @param {Array} keys - Key combinations, empty for none
+     */
+    rebind(id, keys) {
+        if (!this.commands.has(id)) return;
+
+        keys.forEach(combo => {
+            const owner = this.findByKey(combo);
+            if (owner && owner.id !== id) {
+                this.overrides[owner.id] = this.getKeys(owner.id).filter(key => key !== combo);
+            }
+        });
+
+        this.overrides[id] = keys.slice();
+        this.saveOverrides();
+    }
+
+    /**
+     * Go back to the default keys
+     * @param {string|null} id - Command id, or null for every command
+     */
+    resetBindings(id = null) {
+        if (id) {
+            delete this.overrides[id];
+        } else {
+            this.overrides = {};
+        }
+        this.saveOverrides();
+    }
+
+    /**
+     * Store the user's bindings and tell the palette
+     */
+    saveOverrides() {
+        try {
+            if (Object.keys(this.overrides).length > 0) {
+                localStorage.setItem(KEYBINDINGS_STORAGE_KEY, JSON.stringify(this.overrides));
+            } else {
+                localStorage.removeItem(KEYBINDINGS_STORAGE_KEY);
+            }
+        } catch (error) {
+            console.warn('Could not save key bindings:', error);
+        }
+
+        this.events.emit('keybindings:change');
+    }
+
+    /**
+     * Run the command bound to a key press
+     * While typing in a field, only combinations with Ctrl, Alt or Meta, and function keys, count.
+     * @param {KeyboardEvent} event - Key press anywhere on the page
+     */
+    onKeyDown(event) {
+        if (event.defaultPrevented) return;
+
+        const combo = keyCombo(event);
+        if (!combo) return;
+
+        const target = event.target;
+        const typing = target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' ||
+            target.tagName === 'SELECT' || target.isContentEditable);
+        if (typing && !/^(Ctrl|Alt|Meta)\+|^F\d+$/.test(combo)) return;
+
+        const command = this.findByKey(combo);
+        if (!command) return;
+
+        event.preventDefault();
+        this.execute(command.id);
+    }
+
+    /**
+     * Stop listening for keys
+     */
+    dispose() {
+        window.removeEventListener('keydown', this.handleKeyDown);
+    }
+}
+
+/**
+ * Key combination of a key press: modifiers in a fixed order, then the key
+ * Letters are upper case ('T', 'Shift+R'); for other printable keys Shift is already part of
+ * the character, so '?' rather than 'Shift+/'.
+ * @param {KeyboardEvent} event - Key press
+ * @returns {string|null} - e.g. 'Ctrl+K', or null for a modifier on its own
+ */
+export function keyCombo(event) {
+    const key = event.key;
+    if (!key || MODIFIER_KEYS.includes(key)) return null;
+
+    const printable = key.length === 1;
+    const letter = printable && key.toLowerCase() !== key.toUpperCase();
+
+    const parts = [];
+    if (event.ctrlKey) parts.push('Ctrl');
+    if (event.altKey) parts.push('Alt');
+    if (event.shiftKey && (letter || !printable || key === ' ')) parts.push('Shift');
+    if (event.metaKey) parts.push('Meta');
+
+    parts.push(key === ' ' ? 'Space' : (letter ? key.toUpperCase() : key));
+    return parts.join('+');
+}
+
+/**
+ * Key combination as shown to people
+ * @param {string} combo - Key combination
+ * @returns {string} - e.g. 'Cmd+K' or '↑'
+ */
+export function formatCombo(combo) {
+    return combo
+        .replace(/^Meta\+|\+Meta\+/, match => match.replace('Meta', 'Cmd'))
+        .replace(/ArrowUp$/, '↑')
+        .replace(/ArrowDown$/, '↓')
+        .replace(/ArrowLeft$/, '←')
+        .replace(/ArrowRight$/, '→')
+        .replace(/Escape$/, 'Esc');
+}
+
+/**
+ * Read the user's bindings
+ * @returns {Object} - Command id -> keys
+ */
+function loadOverrides() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(KEYBINDINGS_STORAGE_KEY) || '{}');
+        return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+    } catch (error) {
+        console.warn('Ignoring unreadable key bindings:', error);
+        return {};
+    }
+}
@@ -0,0 +1,499 @@
+import { escapeHTML } from '../content/Markdown.js';
+import {
+    PARAMETER_GROUPS,
+    PARAMETER_PRESETS,
+    PARAMETER_SCHEMA,
+    defaultParams,
+    formatParameter,
+    getParameter,
+    overridesOf,
+    parseParameter,
+    roundParameter,
+    sameParams
+} from '../core/ParameterSchema.js';
+
+/**
+ * Black hole control panel
+ * Sliders for every parameter in ParameterSchema.js, opened with the gear button or C. Changes
+ * go through the router, so the URL always holds the current parameters and can be copied as a
+ * link. Ships the presets from the schema; presets the user saves are kept in localStorage.
+ *
+ * Follows params:change on app.events, so links, history navigation and the panel agree.
+ */
+
+export const PRESETS_STORAGE_KEY = 'black-hole-presets';
+
+// How long a status message such as "Link copied" stays up (ms)
+const STATUS_DURATION = 2500;
+
+export class ControlPanel {
+    constructor(app) {
+        this.app = app;
+        this.values = defaultParams(); // Every parameter, overridden or not
+        this.userPresets = loadPresets(); // [{ name, params }]
+        this.statusTimer = null;
+
+        this.panel = null;
+        this.toggleButton = null;
+        this.content = null;
+        this.presetSelect = null;
+        this.deleteButton = null;
+        this.status = null;
+
+        this.handleToggleClick = this.onToggleClick.bind(this);
+        this.handleInput = this.onInput.bind(this);
+        this.handleClick = this.onClick.bind(this);
+        this.handleKeyDown = this.onKeyDown.bind(this);
+        this.handleParamsChange = this.onParamsChange.bind(this);
+        this.paramsSubscription = null;
+    }
+
+    /**
+     * Find the panel markup and build the controls
+     */
+    init() {
+        this.panel = document.getElementById('control-panel');
+        this.toggleButton = document.getElementById('control-toggle');
+        this.content = document.getElementById('control-content');
+        this.presetSelect = document.getElementById('control-preset');
+        this.deleteButton = this.panel && this.panel.querySelector('[data-control-delete]');
+        this.status = document.getElementById('control-status');
+
+        if (!this.panel || !this.content || !this.presetSelect) {
+            console.warn('Control panel not found; black hole controls disabled');
+            return;
+        }
+
+        this.render();
+        this.renderPresets();
+        this.setValues(this.app.blackHoleParams);
+
+        this.panel.addEventListener('input', this.handleInput);
+        this.panel.addEventListener('click', this.handleClick);
+        this.panel.addEventListener('keydown', this.handleKeyDown);
+        if (this.toggleButton) {
+            this.toggleButton.addEventListener('click', this.handleToggleClick);
+        }
+        this.paramsSubscription = this.app.events.on('params:change', this.handleParamsChange);
+    }
+
+    /**
+     * Whether the panel is showing
+     * @returns {boolean} - True when open
+     */
+    get isOpen() {
+        return Boolean(this.panel) && !this.panel.classList.contains('hidden');
+    }
+
+    /**
+     * Show the panel
+     */
+    open() {
+        if (!this.panel || this.isOpen) return;
+
+        this.setOpen(true);
+        const first = this.content.querySelector('input, select');
+        if (first) first.focus();
+    }
+
+    /**
+     * Hide the panel, handing focus back to the toggle button if it was inside
+     */
+    close() {
+        if (!this.isOpen) return;
+
+        const hadFocus = this.panel.contains(document.activeElement);
+        this.setOpen(false);
+        if (hadFocus && this.toggleButton) this.toggleButton.focus();
+    }
+
+    /**
+     * Show the panel, or hide it if it is showing
+     */
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Show or hide the panel and keep the toggle button in step
+     * A hidden panel is inert, so Tab does not wander into it.
+     * @param {boolean} open - Show the panel
+     */
+    setOpen(open) {
+        this.panel.classList.toggle('hidden', !open);
+        this.panel.inert = !open;
+
+        if (this.toggleButton) {
+            this.toggleButton.classList.toggle('active', open);
+            this.toggleButton.setAttribute('aria-expanded', String(open));
+        }
+    }
+
+    /**
+     * Build a control for every parameter, grouped as in the schema
+     */
+    render() {
+        this.content.innerHTML = PARAMETER_GROUPS.map(group => `
+            <fieldset class="control-section">
+                <legend>${escapeHTML(group.label)}</legend>
+                <p class="control-description">${escapeHTML(group.description)}</p>
+                ${PARAMETER_SCHEMA.filter(param => param.group === group.id).map(renderControl).join('')}
+            </fieldset>
+        `).join('');
+    }
+
+    /**
+     * Fill the preset menu: built-in presets, then the user's
+     */
+    renderPresets() {
+        const option = (value, name) => `<option value="${escapeHTML(value)}">${escapeHTML(name)}</option>`;
+
+        this.presetSelect.innerHTML = [
+            option('', 'Custom'),
+            `<optgroup label="Presets">${PARAMETER_PRESETS.map(preset => option(`builtin:${preset.id}`, preset.name)).join('')}</optgroup>`,
+            this.userPresets.length > 0
+                ? `<optgroup label="Saved">${this.userPresets.map(preset => option(`user:${preset.name}`, preset.name)).join('')}</optgroup>`
+                : ''
+        ].join('');
+
+        this.updatePresetSelect();
+    }
+
+    /**
+     * Show parameter values in the controls
+     * @param {Object} params - Overrides; parameters not given show their defaults
+     */
+    setValues(params) {
+        this.values = { ...defaultParams(), ...params };
+
+        PARAMETER_SCHEMA.forEach(param => {
+            const input = this.content.querySelector(`[data-control="${param.key}"]`);
+            if (input) input.value = toSlider(param, this.values[param.key]);
+            this.showValue(param);
+        });
+
+        this.updatePresetSelect();
+    }
+
+    /**
+     * Write a parameter's value next to its control
+     * @param {Object} param - Parameter
+     */
+    showValue(param) {
+        const output = this.content.querySelector(`[data-control-value="${param.key}"]`);
+        if (output) output.textContent = formatParameter(param, this.values[param.key]);
+    }
+
+    /**
+     * Select the preset the current values match, or Custom
+     */
+    updatePresetSelect() {
+        const overrides = overridesOf(this.values);
+        const matches = preset => sameParams(overridesOf({ ...defaultParams(), ...preset.params }), overrides);
+
+        const builtIn = PARAMETER_PRESETS.find(matches);
+        const saved = this.userPresets.find(matches);
+        this.presetSelect.value = saved ? `user:${saved.name}` : (builtIn ? `builtin:${builtIn.id}` : '');
+
+        if (this.deleteButton) {
+            this.deleteButton.disabled = !saved;
+        }
+    }
+
+    /**
+     * A slider or menu moved
+     * @param {Event} event - input from a control in the panel
+     */
+    onInput(event) {
+        const target = event.target;
+
+        if (target === this.presetSelect) {
+            this.applyPreset(target.value);
+            return;
+        }
+
+        const param = target.dataset && getParameter(target.dataset.control);
+        if (!param) return;
+
+        this.values[param.key] = param.options ? target.value : fromSlider(param, Number(target.value));
+        this.showValue(param);
+        this.apply();
+    }
+
+    /**
+     * Send the current values to the app, through the router when there is one
+     */
+    apply() {
+        const overrides = overridesOf(this.values);
+
+        if (this.app.router) {
+            this.app.router.setBlackHoleParams(overrides);
+        } else {
+            this.app.setBlackHoleParams(overrides);
+        }
+
+        this.updatePresetSelect();
+    }
+
+    /**
+     * Load a preset into the controls
+     * @param {string} value - Preset menu value, e.g. 'builtin:m87' or 'user:My hole'
+     */
+    applyPreset(value) {
+        const preset = this.findPreset(value);
+        if (!preset) return;
+
+        this.setValues(preset.params);
+        this.apply();
+    }
+
+    /**
+     * Preset for a preset menu value
+     * @param {string} value - Menu value
+     * @returns {Object|undefined} - { name, params }
+     */
+    findPreset(value) {
+        if (value.startsWith('builtin:')) {
+            return PARAMETER_PRESETS.find(preset => `builtin:${preset.id}` === value);
+        }
+        if (value.startsWith('user:')) {
+            return this.userPresets.find(preset => `user:${preset.name}` === value);
+        }
+        return undefined;
+    }
+
+    /**
+     * Buttons: save, delete, reset, copy link and close
+     * Clicks stop here so they do not also pick orbs behind the panel.
+     * @param {MouseEvent} event - Click in the panel
+     */
+    onClick(event) {
+        event.stopPropagation();
+
+        if (event.target.closest('[data-control-save]')) {
+            this.savePreset();
+        } else if (event.target.closest('[data-control-delete]')) {
+            this.deletePreset();
+        } else if (event.target.closest('[data-control-reset]')) {
+            this.reset();
+        } else if (event.target.closest('[data-control-share]')) {
+            this.copyLink();
+        } else if (event.target.closest('[data-control-close]')) {
+            this.close();
+        }
+    }
+
+    /**
+     * Close on Escape; keys pressed here, like arrows on a slider, stay out of the page shortcuts
+     * @param {KeyboardEvent} event - Key press in the panel
+     */
+    onKeyDown(event) {
+        event.stopPropagation();
+
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            this.close();
+        }
+    }
+
+    /**
+     * The gear button
+     */
+    onToggleClick() {
+        this.toggle();
+    }
+
+    /**
+     * Save the current values as a preset, replacing one with the same name
+     */
+    savePreset() {
+        const selected = this.findPreset(this.presetSelect.value);
+        const suggestion = selected && this.presetSelect.value.startsWith('user:') ? selected.name : '';
+        const input = window.prompt('Name this preset', suggestion);
+        const name = input ? input.trim() : '';
+        if (!name) return;
+
+        const preset = { name, params: overridesOf(this.values) };
+        const index = this.userPresets.findIndex(entry => entry.name === name);
+        if (index >= 0) {
+            this.userPresets[index] = preset;
+        } else {
+            this.userPresets.push(preset);
+        }
+
+        this.storePresets();
+        this.renderPresets();
+        this.presetSelect.value = `user:${name}`;
+        this.showStatus(`Saved "${name}"`);
+    }
+
+    /**
+     * Delete the selected saved preset
+     */
+    deletePreset() {
+        const value = this.presetSelect.value;
+        const preset = value.startsWith('user:') ? this.findPreset(value) : null;
+        if (!preset || !window.confirm(`Delete the preset "${preset.name}"?`)) return;
+
+        this.userPresets = this.userPresets.filter(entry => entry !== preset);
+        this.storePresets();
+        this.renderPresets();
+        this.showStatus(`Deleted "${preset.name}"`);
+    }
+
+    /**
+     * Return every parameter to its default
+     */
+    reset() {
+        this.setValues({});
+        this.apply();
+    }
+
+    /**
+     * Copy a link to this view with the current parameters
+     */
+    copyLink() {
+        if (!this.app.router) {
+            this.showStatus('Links are unavailable');
+            return;
+        }
+
+        const url = this.app.router.getURL();
+        const copying = navigator.clipboard && navigator.clipboard.writeText
+            ? navigator.clipboard.writeText(url)
+            : Promise.reject(new Error('Clipboard unavailable'));
+
+        copying
+            .then(() => this.showStatus('Link copied'))
+            .catch(error => {
+                console.warn('Could not copy link:', error);
+                window.prompt('Copy this link', url);
+            });
+    }
+
+    /**
+     * Store the user's presets
+     */
+    storePresets() {
+        try {
+            if (this.userPresets.length > 0) {
+                localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(this.userPresets));
+            } else {
+                localStorage.removeItem(PRESETS_STORAGE_KEY);
+            }
+        } catch (error) {
+            console.warn('Could not save presets:', error);
+        }
+    }
+
+    /**
+     * Show a short message under the buttons
+     * @param {string} message - Message
+     */
+    showStatus(message) {
+        if (!this.status) return;
+
+        this.status.textContent = message;
+        clearTimeout(this.statusTimer);
+        this.statusTimer = setTimeout(() => {
+            this.status.textContent = '';
+        }, STATUS_DURATION);
+    }
+
+    /**
+     * Follow parameters set by a link, history navigation or this panel
+     * @param {Object} detail - params:change detail from the router, { params }
+     */
+    onParamsChange({ params }) {
+        this.setValues(params);
+    }
+
+    /**
+     * Stop listening
+     */
+    dispose() {
+        clearTimeout(this.statusTimer);
+        if (this.paramsSubscription) {
+            this.paramsSubscription.dispose();
+            this.paramsSubscription = null;
+        }
+
+        if (this.panel) {
+            this.panel.removeEventListener('input', this.handleInput);
+            this.panel.removeEventListener('click', this.handleClick);
+            this.panel.removeEventListener('keydown', this.handleKeyDown);
+        }
+        if (this.toggleButton) {
+            this.toggleButton.removeEventListener('click', this.handleToggleClick);
+        }
+    }
+}
+
+/**
+ * Markup for one parameter's control
+ * @param {Object} param - Parameter
+ * @returns {string} - A .control-group with a label, a slider or menu, the value and a description
+ */
+function renderControl(param) {
+    const id = `control-${param.key}`;
+    const input = param.options
+        ? `<select id="${id}" data-control="${param.key}">${param.options.map(option =>
+            `<option value="${escapeHTML(option.value)}">${escapeHTML(option.label)}</option>`).join('')}</select>`
+        : `<input type="range" id="${id}" data-control="${param.key}" min="${toSlider(param, param.min)}" max="${toSlider(param, param.max)}" step="${param.step}">`;
+
+    return `
+        <div class="control-group">
+            <label for="${id}">${escapeHTML(param.label)}</label>
+            ${input}
+            <span class="control-value" data-control-value="${param.key}"></span>
+            <p class="control-description">${escapeHTML(param.description)}</p>
+        </div>
+    `;
+}
+
+/**
+ * Slider position for a value; log-scale sliders move in powers of ten
+ * @param {Object} param - Parameter
+ * @param {number|string} value - Value
+ * @returns {number|string} - Slider value
+ */
+function toSlider(param, value) {
+    return param.scale === 'log' ? Math.log10(value) : value;
+}
+
+/**
+ * Value for a slider position
+ * @param {Object} param - Parameter
+ * @param {number} position - Slider value
+ * @returns {number} - Value, rounded as links store it
+ */
+function fromSlider(param, position) {
+    return roundParameter(param, param.scale === 'log' ? Math.pow(10, position) : position);
+}
+
+/**
+ * Read the user's presets, dropping anything unusable
+ * @returns {Array} - [{ name, params }]
+ */
+function loadPresets() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(PRESETS_STORAGE_KEY) || '[]');
+        if (!Array.isArray(stored)) return [];
+
+        return stored
+            .filter(preset => preset && typeof preset.name === 'string' && preset.params && typeof preset.params === 'object')
+            .map(preset => ({
+                name: preset.name,
+                params: Object.fromEntries(Object.entries(preset.params)
+                    .map(([key, value]) => [key, parseParameter(key, value)])
+                    .filter(([, value]) => value !== undefined))
+            }));
+    } catch (error) {
+        console.warn('Ignoring unreadable presets:', error);
+        return [];
+    }
+}
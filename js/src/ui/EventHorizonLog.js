@@ -0,0 +1,283 @@
+import { escapeHTML } from '../content/Markdown.js';
+import { highlightTerms, tokenize } from '../content/SearchIndex.js';
+import { toCSV } from '../utils/FragmentArchive.js';
+import { downloadBlob } from '../utils/Download.js';
+
+/**
+ * Event horizon log
+ * Panel listing everything fed to the Data Singularity, from app.fragmentArchive: newest first,
+ * searchable, with each fragment's fate. The history can be exported as JSON or CSV or cleared,
+ * and any fragment can be replayed into the current black hole.
+ */
+
+export class EventHorizonLog {
+    constructor(app) {
+        this.app = app;
+        this.records = [];
+        this.previousFocus = null;
+
+        this.overlay = null;
+        this.input = null;
+        this.list = null;
+        this.summary = null;
+
+        this.handleInput = this.onInput.bind(this);
+        this.handleKeyDown = this.onKeyDown.bind(this);
+        this.handleClick = this.onClick.bind(this);
+        this.handleArchiveChange = this.onArchiveChange.bind(this);
+        this.archiveSubscription = null;
+    }
+
+    /**
+     * Find the panel markup
+     */
+    init() {
+        this.overlay = document.getElementById('fragment-log');
+        this.input = document.getElementById('fragment-log-search');
+        this.list = document.getElementById('fragment-log-list');
+        this.summary = document.getElementById('fragment-log-summary');
+
+        if (!this.overlay || !this.input || !this.list) {
+            console.warn('Event horizon log not found; log disabled');
+            return;
+        }
+
+        this.input.addEventListener('input', this.handleInput);
+        this.overlay.addEventListener('keydown', this.handleKeyDown);
+        this.overlay.addEventListener('click', this.handleClick);
+        this.archiveSubscription = this.app.events.on('archive:change', this.handleArchiveChange);
+    }
+
+    /**
+     * Whether the panel is showing
+     * @returns {boolean} - True when open
+     */
+    get isOpen() {
+        return Boolean(this.overlay) && !this.overlay.hidden;
+    }
+
+    /**
+     * Show the panel with the latest records
+     */
+    open() {
+        if (!this.overlay || this.isOpen) return;
+
+        this.previousFocus = document.activeElement;
+        this.overlay.hidden = false;
+        this.input.focus();
+        this.refresh();
+    }
+
+    /**
+     * Hide the panel
+     */
+    close() {
+        this.overlay.hidden = true;
+
+        if (this.previousFocus && typeof this.previousFocus.focus === 'function') {
+            this.previousFocus.focus();
+        }
+        this.previousFocus = null;
+    }
+
+    /**
+     * Show the panel, or hide it if it is showing
+     */
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Reload the records from the archive
+     */
+    refresh() {
+        if (!this.app.fragmentArchive) {
+            this.list.innerHTML = '<li class="search-status">The archive is unavailable.</li>';
+            return;
+        }
+
+        this.app.fragmentArchive.getAll()
+            .then(records => {
+                this.records = records;
+                this.render();
+            })
+            .catch(error => {
+                console.error('Failed to read the fragment archive:', error);
+                this.list.innerHTML = '<li class="search-status">The archive could not be read.</li>';
+            });
+    }
+
+    /**
+     * Filter as the query changes
+     */
+    onInput() {
+        this.render();
+    }
+
+    /**
+     * Render the records matching the query
+     */
+    render() {
+        const words = tokenize(this.input.value);
+        const shown = [];
+
+        this.records.forEach(record => {
+            const terms = matchTerms(record.text, words);
+            if (terms) shown.push({ record, terms });
+        });
+
+        if (this.summary) {
+            this.summary.textContent = words.length > 0
+                ? `${shown.length} of ${this.records.length} fragments`
+                : `${this.records.length} fragment${this.records.length === 1 ? '' : 's'}`;
+        }
+
+        if (shown.length === 0) {
+            this.list.innerHTML = `<li class="search-status">${this.records.length === 0
+                ? 'Nothing has crossed the event horizon yet. Type into the field at the bottom of the page and press Enter.'
+                : 'No fragments match.'}</li>`;
+            return;
+        }
+
+        this.list.innerHTML = shown.map(({ record, terms }) => `
+            <li class="fragment-record">
+                <span class="fragment-fate fragment-fate-${escapeHTML(record.fate)}">${escapeHTML(record.fate)}</span>
+                <span class="fragment-text">${highlightTerms(record.text, terms)}</span>
+                <span class="fragment-meta">${escapeHTML(describe(record))}</span>
+                <button class="fragment-replay" data-log-replay="${record.id}" title="Send this fragment in again">Replay</button>
+            </li>
+        `).join('');
+    }
+
+    /**
+     * Close on Escape; keys typed here stay out of the page shortcuts
+     * @param {KeyboardEvent} event - Key press in the panel
+     */
+    onKeyDown(event) {
+        event.stopPropagation();
+
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            this.close();
+        }
+    }
+
+    /**
+     * Export, clear, replay, or close by clicking outside or on the close button
+     * Clicks stop here so they do not also pick orbs behind the panel.
+     * @param {MouseEvent} event - Click in the panel
+     */
+    onClick(event) {
+        event.stopPropagation();
+
+        const exportButton = event.target.closest('[data-log-export]');
+        if (exportButton) {
+            this.export(exportButton.dataset.logExport);
+            return;
+        }
+
+        if (event.target.closest('[data-log-clear]')) {
+            if (window.confirm('Delete every fragment in the event horizon log?')) {
+                this.app.fragmentArchive.clear()
+                    .catch(error => console.error('Failed to clear the fragment archive:', error));
+            }
+            return;
+        }
+
+        const replay = event.target.closest('[data-log-replay]');
+        if (replay) {
+            const record = this.records.find(entry => entry.id === Number(replay.dataset.logReplay));
+            if (record) {
+                this.close();
+                this.app.replayFragment(record);
+            }
+            return;
+        }
+
+        if (event.target === this.overlay || event.target.closest('[data-log-close]')) {
+            this.close();
+        }
+    }
+
+    /**
+     * Download the whole archive
+     * @param {string} format - 'json' or 'csv'
+     */
+    export(format) {
+        this.app.fragmentArchive.getAll()
+            .then(records => {
+                const blob = format === 'csv'
+                    ? new Blob([toCSV(records)], { type: 'text/csv' })
+                    : new Blob([JSON.stringify(records, null, 2)], { type: 'application/json' });
+                downloadBlob(blob, `event-horizon-log.${format === 'csv' ? 'csv' : 'json'}`);
+            })
+            .catch(error => console.error('Failed to export the fragment archive:', error));
+    }
+
+    /**
+     * Show records added, settled or cleared while open
+     */
+    onArchiveChange() {
+        if (this.isOpen) this.refresh();
+    }
+
+    /**
+     * Stop listening
+     */
+    dispose() {
+        if (this.archiveSubscription) {
+            this.archiveSubscription.dispose();
+            this.archiveSubscription = null;
+        }
+
+        if (this.overlay) {
+            this.input.removeEventListener('input', this.handleInput);
+            this.overlay.removeEventListener('keydown', this.handleKeyDown);
+            this.overlay.removeEventListener('click', this.handleClick);
+        }
+    }
+}
+
+/**
+ * Words of a text that the query matches, each query word as a prefix of one of them
+ * @param {string} text - Record text
+ * @param {Array} words - Normalised query words
+ * @returns {Array|null} - Matched words to highlight, or null if some query word is missing
+ */
+function matchTerms(text, words) {
+    if (words.length === 0) return [];
+
+    const textWords = tokenize(text);
+    const terms = [];
+
+    for (const word of words) {
+        const matches = textWords.filter(textWord => textWord.startsWith(word));
+        if (matches.length === 0) return null;
+        terms.push(...matches);
+    }
+
+    return terms;
+}
+
+/**
+ * One line about when a fragment was sent and what happened to its debris
+ * @param {Object} record - Archive record
+ * @returns {string} - e.g. "12 Mar 2025, 14:02 · 18 characters · 120 of 144 particles captured"
+ */
+function describe(record) {
+    const parts = [
+        new Date(record.timestamp).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' }),
+        `${record.length} character${record.length === 1 ? '' : 's'}`
+    ];
+
+    if (record.debris) {
+        const total = record.debris.captured + record.debris.ejected + record.debris.lingered;
+        parts.push(`${record.debris[record.fate]} of ${total} particles ${record.fate}`);
+    }
+
+    return parts.join(' · ');
+}
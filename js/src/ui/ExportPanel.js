@@ -0,0 +1,310 @@
+import { EXPORT_FORMATS, FrameExporter, MAX_EXPORT_SIZE } from '../utils/FrameExporter.js';
+import { MAX_POSTER_SIZE, POSTER_FORMAT } from '../utils/PosterRenderer.js';
+import { downloadBlob } from '../utils/Download.js';
+
+/**
+ * Export dialog
+ * Settings for app.exporter (see FrameExporter.js): format, resolution, frame rate, length and
+ * whether to play the timeline; or, for a poster, just the resolution (see PosterRenderer.js).
+ * Shows progress while frames or tiles render and downloads the result.
+ */
+
+const FORMATS = { ...EXPORT_FORMATS, poster: POSTER_FORMAT };
+
+export class ExportPanel {
+    constructor(app) {
+        this.app = app;
+        this.previousFocus = null;
+
+        this.overlay = null;
+        this.form = null;
+        this.progress = null;
+        this.status = null;
+        this.cancelButton = null;
+
+        this.handleSubmit = this.onSubmit.bind(this);
+        this.handleChange = this.onChange.bind(this);
+        this.handleClick = this.onClick.bind(this);
+        this.handleKeyDown = this.onKeyDown.bind(this);
+    }
+
+    /**
+     * Find the dialog markup and fill in the format choices
+     */
+    init() {
+        this.overlay = document.getElementById('export-dialog');
+        this.form = document.getElementById('export-form');
+        this.progress = document.getElementById('export-progress');
+        this.status = document.getElementById('export-status');
+        this.cancelButton = this.overlay && this.overlay.querySelector('[data-export-cancel]');
+
+        if (!this.overlay || !this.form || !this.app.exporter) {
+            console.warn('Export dialog not found; export disabled');
+            this.overlay = null;
+            return;
+        }
+
+        this.form.elements.format.innerHTML = Object.entries(FORMATS).map(([format, { label }]) =>
+            `<option value="${format}"${format === 'webm' && !FrameExporter.supportsVideo ? ' disabled' : ''}>${label}</option>`).join('');
+        if (!FrameExporter.supportsVideo) {
+            this.form.elements.format.value = 'png';
+        }
+        this.updateFormat();
+
+        this.form.addEventListener('submit', this.handleSubmit);
+        this.form.addEventListener('change', this.handleChange);
+        this.overlay.addEventListener('click', this.handleClick);
+        this.overlay.addEventListener('keydown', this.handleKeyDown);
+    }
+
+    /**
+     * Whether the dialog is showing
+     * @returns {boolean} - True when open
+     */
+    get isOpen() {
+        return Boolean(this.overlay) && !this.overlay.hidden;
+    }
+
+    /**
+     * Whichever of the exporter and the poster renderer is running
+     * @returns {FrameExporter|PosterRenderer|null} - Running job, or null
+     */
+    get job() {
+        return [this.app.exporter, this.app.posterRenderer].find(job => job && job.active) || null;
+    }
+
+    /**
+     * Show the dialog
+     * @param {string} format - Format to select, e.g. 'poster'; the last one chosen by default
+     */
+    open(format) {
+        if (!this.overlay || this.isOpen) return;
+
+        if (FORMATS[format] && !this.job) {
+            this.form.elements.format.value = format;
+            this.updateFormat();
+        }
+        this.updateTimelineOption();
+
+        this.previousFocus = document.activeElement;
+        this.overlay.hidden = false;
+        this.form.elements.format.focus();
+    }
+
+    /**
+     * Hide the dialog; a running export has to be cancelled first
+     */
+    close() {
+        if (!this.isOpen || this.job) return;
+
+        this.overlay.hidden = true;
+        if (this.previousFocus && typeof this.previousFocus.focus === 'function') {
+            this.previousFocus.focus();
+        }
+        this.previousFocus = null;
+    }
+
+    /**
+     * Show the dialog, or hide it if it is showing
+     */
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * The timeline can only be followed if it has keyframes
+     */
+    updateTimelineOption() {
+        const option = this.form.elements.timeline;
+        option.disabled = !this.app.timeline || this.app.timeline.timeline.tracks.length === 0;
+        if (option.disabled) option.checked = false;
+    }
+
+    /**
+     * A poster is a single frame, so the motion settings hide (and are not checked); it can
+     * also be much bigger
+     */
+    updateFormat() {
+        const poster = this.form.elements.format.value === 'poster';
+
+        this.form.querySelectorAll('[data-export-motion]').forEach(field => {
+            field.hidden = poster;
+            field.querySelectorAll('input, select').forEach(input => {
+                input.disabled = poster;
+            });
+        });
+        ['width', 'height'].forEach(name => {
+            const input = this.form.elements[name];
+            input.max = poster ? MAX_POSTER_SIZE : MAX_EXPORT_SIZE;
+            input.step = poster ? 1 : 2;
+        });
+    }
+
+    /**
+     * Following the timeline sets the length to the timeline's
+     * @param {Event} event - change from a field
+     */
+    onChange(event) {
+        if (event.target.name === 'format') {
+            this.updateFormat();
+        } else if (event.target.name === 'timeline' && event.target.checked) {
+            this.form.elements.duration.value = Number(this.app.timeline.duration.toFixed(2));
+        }
+    }
+
+    /**
+     * Start the export
+     * @param {SubmitEvent} event - Form submission
+     */
+    onSubmit(event) {
+        event.preventDefault();
+
+        const fields = this.form.elements;
+        const format = fields.format.value;
+        if (format === 'poster') {
+            this.renderPoster();
+            return;
+        }
+
+        const exporter = this.app.exporter;
+        const options = {
+            format,
+            width: Number(fields.width.value),
+            height: Number(fields.height.value),
+            fps: Number(fields.fps.value),
+            duration: Number(fields.duration.value),
+            timeline: fields.timeline.checked,
+            onProgress: (done, total) => {
+                this.progress.value = done / total;
+                this.status.textContent = `Frame ${done} of ${total}`;
+            }
+        };
+
+        this.run(exporter, exporter.export(options), format);
+    }
+
+    /**
+     * Start a poster
+     */
+    renderPoster() {
+        if (!this.app.posterRenderer) return;
+
+        const fields = this.form.elements;
+        const options = {
+            width: Number(fields.width.value),
+            height: Number(fields.height.value),
+            onProgress: (done, total) => {
+                this.progress.value = done / total;
+                this.status.textContent = `Tile ${done} of ${total}`;
+            }
+        };
+
+        this.run(this.app.posterRenderer, this.app.posterRenderer.render(options), 'poster');
+    }
+
+    /**
+     * Show progress until a job finishes, then download what it made
+     * @param {FrameExporter|PosterRenderer} job - Exporter or poster renderer
+     * @param {Promise<Blob>} result - The job's result
+     * @param {string} format - Format, for the file name
+     */
+    run(job, result, format) {
+        this.setRunning(true);
+        this.status.textContent = 'Preparing...';
+
+        result
+            .then(blob => {
+                downloadBlob(blob, `black-hole-${this.app.seed}-${Date.now()}.${FORMATS[format].extension}`);
+                this.status.textContent = `Saved ${formatSize(blob.size)}`;
+            })
+            .catch(error => {
+                if (job.cancelled) {
+                    this.status.textContent = 'Cancelled';
+                    return;
+                }
+                console.error('Export failed:', error);
+                this.status.textContent = `Export failed: ${error.message}`;
+            })
+            .finally(() => this.setRunning(false));
+    }
+
+    /**
+     * Lock the settings and show progress while exporting, or the reverse
+     * @param {boolean} running - Whether an export is running
+     */
+    setRunning(running) {
+        Array.from(this.form.elements).forEach(element => {
+            element.disabled = running;
+        });
+        if (!running) {
+            this.updateFormat();
+            this.updateTimelineOption();
+        }
+
+        this.progress.hidden = !running;
+        this.progress.value = 0;
+        if (this.cancelButton) this.cancelButton.hidden = !running;
+    }
+
+    /**
+     * Close and Cancel buttons
+     * Clicks stop here so they do not also pick orbs behind the dialog.
+     * @param {MouseEvent} event - Click in the dialog
+     */
+    onClick(event) {
+        event.stopPropagation();
+
+        if (event.target === this.overlay || event.target.closest('[data-export-close]')) {
+            this.close();
+        } else if (event.target.closest('[data-export-cancel]') && this.job) {
+            this.job.cancel();
+        }
+    }
+
+    /**
+     * Escape cancels a running export, or closes the dialog
+     * Keys typed here stay out of the page shortcuts.
+     * @param {KeyboardEvent} event - Key press in the dialog
+     */
+    onKeyDown(event) {
+        event.stopPropagation();
+        if (event.key !== 'Escape') return;
+
+        event.preventDefault();
+        if (this.job) {
+            this.job.cancel();
+        } else {
+            this.close();
+        }
+    }
+
+    /**
+     * Stop listening
+     */
+    dispose() {
+        if (this.job) {
+            this.job.cancel();
+        }
+
+        if (this.overlay) {
+            this.form.removeEventListener('submit', this.handleSubmit);
+            this.form.removeEventListener('change', this.handleChange);
+            this.overlay.removeEventListener('click', this.handleClick);
+            this.overlay.removeEventListener('keydown', this.handleKeyDown);
+        }
+    }
+}
+
+/**
+ * A file size for people
+ * @param {number} bytes - Size
+ * @returns {string} - e.g. "12.4 MB"
+ */
+function formatSize(bytes) {
+    if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
@@ -0,0 +1,458 @@
+import * as THREE from 'three';
+import { parseParameter } from '../core/ParameterSchema.js';
+
+/**
+ * Router
+ * Keeps the URL in step with what is on screen, so any view can be linked and the browser's
+ * back and forward buttons move between views:
+ *
+ *   #/physics                          - A content section (3D orb and panel)
+ *   #/blog/exploring-webgpu            - A content-section overlay and an item in it
+ *   ?cam=0,5,40,0,0,0#/physics          - Camera position and orbit target
+ *   ?bh.inclination=60&bh.diskEmission=novikov-thorne - Black hole parameter overrides, any
+ *                                      parameter in ParameterSchema.js
+ *
+ * Older links (#about, #blog/<slug>, ?section=physics&item=...) are accepted and rewritten.
+ * Other query parameters, like the seed, are left alone. History navigation animates the camera;
+ * the route a page opens on is applied without animation.
+ *
+ * Views that own items follow route:change ({ section, item }) on app.events, and the control
+ * panel params:change ({ params }).
+ */
+
+// Matches UIManager.resetCamera
+const DEFAULT_CAMERA = {
+    position: [0, 0, 40],
+    target: [0, 0, 0]
+};
+
+// Camera poses are stored to this many decimals
+const CAMERA_PRECISION = 2;
+
+// Wait for orbit damping to settle before storing the pose
+const CAMERA_SETTLE_DELAY = 1000;
+
+// Wait for a slider to stop moving before storing black hole parameters
+const PARAMS_SETTLE_DELAY = 300;
+
+export class Router {
+    constructor(app) {
+        this.app = app;
+        this.route = emptyRoute();
+        this.sceneSection = null; // Section the 3D UI is showing, which an overlay can sit over
+        this.cameraTimer = null;
+        this.paramsTimer = null;
+
+        this.handlePopState = this.onPopState.bind(this);
+        this.handleSectionChange = this.onSectionChange.bind(this);
+        this.sectionSubscription = null;
+        this.handleDocumentClick = this.onDocumentClick.bind(this);
+        this.handleControlsStart = this.onControlsStart.bind(this);
+        this.handleControlsEnd = this.onControlsEnd.bind(this);
+    }
+
+    /**
+     * Start following the URL and show the route the page was opened on
+     */
+    init() {
+        window.addEventListener('popstate', this.handlePopState);
+        this.sectionSubscription = this.app.events.on('section:change', this.handleSectionChange);
+        document.addEventListener('click', this.handleDocumentClick);
+
+        // The camera can only be read where it is rendered
+        const controls = this.getControls();
+        if (controls) {
+            controls.addEventListener('start', this.handleControlsStart);
+            controls.addEventListener('end', this.handleControlsEnd);
+        }
+
+        const route = this.validate(parseRoute(window.location.href));
+        history.replaceState(null, '', formatRoute(route));
+        this.apply(route, false);
+    }
+
+    /**
+     * Orbit controls on this thread, if any
+     * @returns {OrbitControls|null} - Controls
+     */
+    getControls() {
+        const controls = this.app.sceneManager && this.app.sceneManager.controls;
+        return controls && typeof controls.addEventListener === 'function' ? controls : null;
+    }
+
+    /**
+     * Go to a route, adding a history entry
+     * @param {Object} route - { section, item, camera, blackHoleParams }; missing fields are empty
+     * @param {boolean} replace - Replace the current entry instead
+     */
+    navigate(route, replace = false) {
+        const next = this.validate({ ...emptyRoute(), ...route });
+        const url = formatRoute(next);
+
+        if (url !== window.location.href) {
+            if (replace) {
+                history.replaceState(null, '', url);
+            } else {
+                history.pushState(null, '', url);
+            }
+        }
+
+        this.apply(next, true);
+    }
+
+    /**
+     * Drop parts of a route this site does not have
+     * @param {Object} route - Parsed route
+     * @returns {Object} - Route
+     */
+    validate(route) {
+        if (route.section && !this.isSceneSection(route.section) && !getOverlay(route.section)) {
+            console.warn(`Unknown section in URL: ${route.section}`);
+            return { ...route, section: null, item: null };
+        }
+        return route;
+    }
+
+    /**
+     * Whether a section is one of the manifest's 3D sections
+     * @param {string} sectionId - Section id
+     * @returns {boolean} - True for a manifest section
+     */
+    isSceneSection(sectionId) {
+        return Boolean(this.app.content && this.app.content.getSection(sectionId));
+    }
+
+    /**
+     * Show a route: overlay, 3D section, camera and black hole parameters
+     * @param {Object} route - Route to show
+     * @param {boolean} animate - Animate the camera rather than jump
+     */
+    apply(route, animate) {
+        const previous = this.route;
+        this.route = route;
+
+        // Content-section overlays
+        const overlay = route.section ? getOverlay(route.section) : null;
+        document.querySelectorAll('.content-section').forEach(section => {
+            section.classList.toggle('active', section === overlay);
+        });
+
+        // 3D section; an overlay leaves whatever is behind it, unless it has an orb of its own
+        const uiManager = this.app.uiManager;
+        const sceneSection = overlay && !this.isSceneSection(route.section) ? this.sceneSection : route.section;
+        let sceneChanged = false;
+        if (sceneSection !== this.sceneSection && uiManager) {
+            sceneChanged = true;
+            this.sceneSection = sceneSection;
+
+            // Both move the camera themselves
+            if (sceneSection) {
+                uiManager.activateSection(sceneSection);
+            } else {
+                uiManager.deactivateAllSections();
+            }
+        }
+
+        // Camera: a stored pose wins; without one, return to the section's own view
+        if (route.camera) {
+            if (!sameCamera(route.camera, previous.camera)) {
+                this.moveCamera(route.camera, animate);
+            }
+        } else if (previous.camera && !sceneChanged && !overlay) {
+            if (this.sceneSection && uiManager) {
+                uiManager.moveToSection(this.sceneSection);
+            } else {
+                this.moveCamera(DEFAULT_CAMERA, animate);
+            }
+        }
+
+        if (!sameParams(route.blackHoleParams, previous.blackHoleParams)) {
+            this.app.setBlackHoleParams(route.blackHoleParams);
+            this.app.events.emit('params:change', { params: route.blackHoleParams });
+        }
+
+        if (route.section !== previous.section || route.item !== previous.item) {
+            this.app.events.emit('route:change', { section: route.section, item: route.item });
+        }
+    }
+
+    /**
+     * Put the camera at a stored pose
+     * @param {Object} camera - { position, target } as arrays
+     * @param {boolean} animate - Animate rather than jump
+     */
+    moveCamera(camera, animate) {
+        const sceneManager = this.app.sceneManager;
+        if (!sceneManager) return;
+
+        if (animate) {
+            sceneManager.animateCameraTo(
+                new THREE.Vector3().fromArray(camera.position),
+                new THREE.Vector3().fromArray(camera.target),
+                2.0
+            );
+        } else {
+            sceneManager.setCameraPosition(...camera.position, ...camera.target);
+        }
+    }
+
+    /**
+     * Back and forward, and links to #/... on the page
+     */
+    onPopState() {
+        this.apply(this.validate(parseRoute(window.location.href)), true);
+    }
+
+    /**
+     * Record sections opened from the 3D UI, the nav bar or the keyboard
+     * @param {Object} detail - section:change detail from UIManager, { sectionId }
+     */
+    onSectionChange({ sectionId }) {
+        this.sceneSection = sectionId;
+
+        // Closing an overlay is handled by its close button
+        if (this.route.section && getOverlay(this.route.section)) return;
+
+        // A section with an overlay opens it
+        if (sectionId && getOverlay(sectionId)) {
+            this.navigate({ ...this.route, section: sectionId, item: null, camera: null });
+            return;
+        }
+
+        if (sectionId !== this.route.section) {
+            history.pushState(null, '', formatRoute({ ...this.route, section: sectionId, item: null, camera: null }));
+            this.route = { ...this.route, section: sectionId, item: null, camera: null };
+            this.app.events.emit('route:change', { section: sectionId, item: null });
+        }
+    }
+
+    /**
+     * Close buttons on the content-section overlays go back to the 3D section behind them
+     * An overlay with its own orb closes to the overview, or it would open again.
+     * @param {MouseEvent} event - Click anywhere on the page
+     */
+    onDocumentClick(event) {
+        const closeButton = event.target.closest && event.target.closest('.content-section .close-btn');
+        if (!closeButton) return;
+
+        event.preventDefault();
+        const behind = this.sceneSection === this.route.section ? null : this.sceneSection;
+        this.navigate({ ...this.route, section: behind, item: null });
+    }
+
+    /**
+     * The user started orbiting; a pending pose is out of date
+     */
+    onControlsStart() {
+        clearTimeout(this.cameraTimer);
+    }
+
+    /**
+     * Store the camera pose once the user has finished orbiting
+     * Replaces the current entry, so orbiting does not fill the history.
+     */
+    onControlsEnd() {
+        clearTimeout(this.cameraTimer);
+        this.cameraTimer = setTimeout(() => {
+            const { camera, controls } = this.app.sceneManager;
+            this.route = {
+                ...this.route,
+                camera: {
+                    position: roundVector(camera.position.toArray()),
+                    target: roundVector(controls.target.toArray())
+                }
+            };
+            history.replaceState(null, '', formatRoute(this.route));
+        }, CAMERA_SETTLE_DELAY);
+    }
+
+    /**
+     * Change the black hole parameters in place, e.g. from the control panel
+     * They apply at once; the URL follows once they stop changing, so dragging a slider neither
+     * fills the history nor trips the browser's limit on history updates.
+     * @param {Object} params - blackHoleParams overrides
+     */
+    setBlackHoleParams(params) {
+        this.route = { ...this.route, blackHoleParams: { ...params } };
+        this.app.setBlackHoleParams(this.route.blackHoleParams);
+        this.app.events.emit('params:change', { params: this.route.blackHoleParams });
+
+        clearTimeout(this.paramsTimer);
+        this.paramsTimer = setTimeout(() => {
+            history.replaceState(null, '', formatRoute(this.route));
+        }, PARAMS_SETTLE_DELAY);
+    }
+
+    /**
+     * Current page URL, for sharing
+     * @returns {string} - URL
+     */
+    getURL() {
+        return formatRoute(this.route);
+    }
+
+    /**
+     * Stop following the URL
+     */
+    dispose() {
+        clearTimeout(this.cameraTimer);
+        clearTimeout(this.paramsTimer);
+        window.removeEventListener('popstate', this.handlePopState);
+        if (this.sectionSubscription) {
+            this.sectionSubscription.dispose();
+            this.sectionSubscription = null;
+        }
+        document.removeEventListener('click', this.handleDocumentClick);
+
+        const controls = this.getControls();
+        if (controls) {
+            controls.removeEventListener('start', this.handleControlsStart);
+            controls.removeEventListener('end', this.handleControlsEnd);
+        }
+    }
+}
+
+/**
+ * Route with nothing open
+ * @returns {Object} - { section, item, camera, blackHoleParams }
+ */
+function emptyRoute() {
+    return { section: null, item: null, camera: null, blackHoleParams: {} };
+}
+
+/**
+ * Read a route from a URL
+ * @param {string} url - Page URL
+ * @returns {Object} - { section, item, camera, blackHoleParams }; section is not checked
+ */
+export function parseRoute(url) {
+    const parsed = new URL(url);
+    const params = parsed.searchParams;
+
+    let path = parsed.hash.replace(/^#\/?/, '');
+    if (!path && params.has('section')) {
+        path = [params.get('section'), params.get('item')].filter(Boolean).map(encodeURIComponent).join('/');
+    }
+
+    const [section, ...item] = path.split('/').filter(Boolean).map(part => decodeURIComponent(part));
+
+    return {
+        section: section || null,
+        item: item.length > 0 ? item.join('/') : null,
+        camera: parseCamera(params.get('cam')),
+        blackHoleParams: parseBlackHoleParams(params)
+    };
+}
+
+/**
+ * Write a route into a URL, keeping unrelated query parameters
+ * @param {Object} route - Route
+ * @param {string} base - URL to start from (defaults to the current location)
+ * @returns {string} - URL
+ */
+export function formatRoute(route, base = window.location.href) {
+    const url = new URL(base);
+    const params = url.searchParams;
+
+    ['section', 'item', 'cam'].forEach(name => params.delete(name));
+    Array.from(params.keys())
+        .filter(name => name.startsWith('bh.'))
+        .forEach(name => params.delete(name));
+
+    if (route.camera) {
+        params.set('cam', [...route.camera.position, ...route.camera.target].join(','));
+    }
+    Object.entries(route.blackHoleParams || {}).forEach(([name, value]) => {
+        params.set(`bh.${name}`, value);
+    });
+
+    // Commas are fine in a query and keep the pose readable
+    url.search = params.toString().replace(/%2C/g, ',');
+    url.hash = route.section
+        ? '/' + [route.section, route.item].filter(Boolean).map(encodeURIComponent).join('/')
+        : '';
+
+    return url.toString();
+}
+
+/**
+ * Parse a cam parameter
+ * @param {string|null} value - "px,py,pz,tx,ty,tz"
+ * @returns {Object|null} - { position, target }, or null if absent or malformed
+ */
+function parseCamera(value) {
+    if (!value) return null;
+
+    const numbers = value.split(',').map(Number);
+    if (numbers.length !== 6 || !numbers.every(Number.isFinite)) {
+        console.warn(`Ignoring camera in URL: ${value}`);
+        return null;
+    }
+
+    return { position: numbers.slice(0, 3), target: numbers.slice(3) };
+}
+
+/**
+ * Read bh.* parameters, keeping only the ones links may set
+ * @param {URLSearchParams} params - Query parameters
+ * @returns {Object} - blackHoleParams overrides
+ */
+function parseBlackHoleParams(params) {
+    const overrides = {};
+
+    params.forEach((value, name) => {
+        if (!name.startsWith('bh.')) return;
+
+        const key = name.substring(3);
+        const parsed = parseParameter(key, value);
+
+        if (parsed !== undefined) {
+            overrides[key] = parsed;
+        } else {
+            console.warn(`Ignoring black hole parameter in URL: ${name}=${value}`);
+        }
+    });
+
+    return overrides;
+}
+
+/**
+ * Content-section overlay element for a section id
+ * @param {string} sectionId - Section id
+ * @returns {HTMLElement|null} - Overlay
+ */
+function getOverlay(sectionId) {
+    const element = document.getElementById(sectionId);
+    return element && element.classList.contains('content-section') ? element : null;
+}
+
+/**
+ * Round a vector for the URL
+ * @param {Array} vector - Components
+ * @returns {Array} - Rounded components
+ */
+function roundVector(vector) {
+    return vector.map(component => Number(component.toFixed(CAMERA_PRECISION)));
+}
+
+/**
+ * Compare camera poses
+ * @param {Object|null} a - Pose
+ * @param {Object|null} b - Pose
+ * @returns {boolean} - True if both are absent or equal
+ */
+function sameCamera(a, b) {
+    if (!a || !b) return a === b;
+    return [...a.position, ...a.target].every((value, i) => value === [...b.position, ...b.target][i]);
+}
+
+/**
+ * Compare blackHoleParams overrides
+ * @param {Object} a - Overrides
+ * @param {Object} b - Overrides
+ * @returns {boolean} - True if they set the same values
+ */
+function sameParams(a, b) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+}
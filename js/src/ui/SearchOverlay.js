@@ -0,0 +1,423 @@
+import { SearchIndex, htmlToText, highlightTerms, snippet, tokenize } from '../content/SearchIndex.js';
+import { renderMarkdown } from '../content/Markdown.js';
+import { PROJECTS_SECTION } from '../content/ProjectCatalog.js';
+
+/**
+ * Search overlay
+ * Full-text search across the content sections, the About and Contact pages, the projects and
+ * the blog posts, opened by the search command (/ or Ctrl+K by default, see AppCommands.js). The
+ * index is built the first time the overlay opens, from the same sources the site renders. While
+ * results are listed, the orbs of the sections they belong to light up; picking one routes there
+ * and scrolls to the match.
+ */
+
+const MAX_RESULTS = 20;
+
+// Overlays whose items come from data, and are indexed from that data instead of the page
+const DATA_OVERLAYS = ['blog', PROJECTS_SECTION];
+
+// How long to wait for a routed-to view to render before giving up on scrolling to the match
+const REVEAL_TIMEOUT = 3000;
+const REVEAL_INTERVAL = 100;
+
+// How long the match stays marked
+const HIT_DURATION = 4000;
+
+export class SearchOverlay {
+    constructor(app) {
+        this.app = app;
+        this.index = null;
+        this.indexing = null; // Promise of the index while it builds
+        this.results = [];
+        this.selected = 0;
+        this.previousFocus = null;
+        this.revealTimer = null;
+
+        this.overlay = null;
+        this.input = null;
+        this.list = null;
+
+        this.handleInput = this.onInput.bind(this);
+        this.handleInputKeyDown = this.onInputKeyDown.bind(this);
+        this.handleClick = this.onClick.bind(this);
+    }
+
+    /**
+     * Find the overlay markup
+     */
+    init() {
+        this.overlay = document.getElementById('search-overlay');
+        this.input = document.getElementById('search-input');
+        this.list = document.getElementById('search-results');
+
+        if (!this.overlay || !this.input || !this.list) {
+            console.warn('Search overlay not found; search disabled');
+            return;
+        }
+
+        this.input.addEventListener('input', this.handleInput);
+        this.input.addEventListener('keydown', this.handleInputKeyDown);
+        this.overlay.addEventListener('click', this.handleClick);
+    }
+
+    /**
+     * Whether the overlay is showing
+     * @returns {boolean} - True when open
+     */
+    get isOpen() {
+        return Boolean(this.overlay) && !this.overlay.hidden;
+    }
+
+    /**
+     * Show the overlay and start building the index if needed
+     */
+    open() {
+        if (!this.overlay || this.isOpen) return;
+
+        this.previousFocus = document.activeElement;
+        this.overlay.hidden = false;
+        this.input.focus();
+        this.input.select();
+
+        if (!this.index) {
+            this.list.innerHTML = '<li class="search-status">Indexing&hellip;</li>';
+        }
+
+        this.buildIndex().then(() => {
+            if (this.isOpen) this.update();
+        });
+    }
+
+    /**
+     * Hide the overlay
+     */
+    close() {
+        this.overlay.hidden = true;
+        this.highlightSections([]);
+
+        if (this.previousFocus && typeof this.previousFocus.focus === 'function') {
+            this.previousFocus.focus();
+        }
+        this.previousFocus = null;
+    }
+
+    /**
+     * Build the index once
+     * @returns {Promise} - Resolves once this.index is set
+     */
+    buildIndex() {
+        if (!this.indexing) {
+            this.indexing = this.collectDocuments()
+                .then(documents => {
+                    const index = new SearchIndex();
+                    documents.forEach(document => index.add(document));
+                    this.index = index;
+                    console.log(`Search index built: ${documents.length} documents, ${index.terms.size} words`);
+                })
+                .catch(error => {
+                    console.error('Failed to build search index:', error);
+                    this.index = new SearchIndex();
+                });
+        }
+
+        return this.indexing;
+    }
+
+    /**
+     * Gather every searchable document; any source that fails to load is left out
+     * @returns {Promise<Array>} - Documents (see SearchIndex.js)
+     */
+    collectDocuments() {
+        const sources = [];
+
+        // Content sections: the 3D orbs and their panels
+        const content = this.app.content;
+        if (content) {
+            content.sections.forEach(section => {
+                sources.push(content.loadBody(section.id).then(html => {
+                    const heading = html.match(/<h[1-3][^>]*>([\s\S]*?)<\/h[1-3]>/);
+                    return {
+                        title: heading ? htmlToText(heading[1]) : section.label,
+                        text: htmlToText(html),
+                        kind: 'Section',
+                        section: section.id,
+                        item: null
+                    };
+                }));
+            });
+        }
+
+        // Pages written into index.html
+        document.querySelectorAll('.content-section').forEach(page => {
+            if (DATA_OVERLAYS.includes(page.id)) return;
+
+            const heading = page.querySelector('h2');
+            const body = page.querySelector('.content-container');
+            sources.push(Promise.resolve({
+                title: heading ? heading.textContent.trim() : page.id,
+                text: body ? body.textContent.replace(/\s+/g, ' ').trim() : '',
+                kind: 'Page',
+                section: page.id,
+                item: null
+            }));
+        });
+
+        // Projects
+        const projects = this.app.projects;
+        if (projects) {
+            projects.projects.forEach(project => {
+                sources.push(Promise.resolve({
+                    title: project.title,
+                    text: [
+                        project.summary,
+                        htmlToText(renderMarkdown(project.description)),
+                        project.tech.join(', ')
+                    ].join(' '),
+                    kind: 'Project',
+                    section: PROJECTS_SECTION,
+                    item: project.id
+                }));
+            });
+        }
+
+        // Blog posts, once the post index is in
+        const blog = this.app.blog;
+        if (blog) {
+            sources.push(blog.ready.then(() => Promise.all(blog.posts.map(post =>
+                blog.loadPost(post.slug)
+                    .catch(() => `<p>${post.summary || ''}</p>`)
+                    .then(html => ({
+                        title: post.title,
+                        text: [htmlToText(html), (post.tags || []).join(', ')].join(' '),
+                        kind: 'Blog',
+                        section: 'blog',
+                        item: post.slug
+                    }))
+            ))));
+        }
+
+        return Promise.all(sources.map(source => source.catch(error => {
+            console.warn('Search skipped a source that failed to load:', error);
+            return null;
+        }))).then(documents => documents.flat().filter(Boolean));
+    }
+
+    /**
+     * Search as the query changes
+     */
+    onInput() {
+        this.selected = 0;
+        this.update();
+    }
+
+    /**
+     * Run the query and show the results
+     */
+    update() {
+        if (!this.index) return;
+
+        const query = this.input.value.trim();
+        this.results = query ? this.index.search(query, MAX_RESULTS) : [];
+        this.selected = Math.min(this.selected, Math.max(0, this.results.length - 1));
+
+        this.render(query);
+        this.highlightSections(this.results.map(result => result.document.section));
+    }
+
+    /**
+     * Render the result list
+     * @param {string} query - Current query
+     */
+    render(query) {
+        if (!query) {
+            this.list.innerHTML = '';
+            return;
+        }
+
+        if (this.results.length === 0) {
+            this.list.innerHTML = '<li class="search-status">No matches.</li>';
+            return;
+        }
+
+        this.list.innerHTML = this.results.map((result, i) => `
+            <li id="search-result-${i}" class="search-result${i === this.selected ? ' selected' : ''}" role="option" aria-selected="${i === this.selected}" data-search-result="${i}">
+                <span class="search-result-kind">${result.document.kind}</span>
+                <span class="search-result-title">${highlightTerms(result.document.title, result.terms)}</span>
+                <span class="search-result-snippet">${snippet(result.document.text, result.terms)}</span>
+            </li>
+        `).join('');
+
+        this.input.setAttribute('aria-activedescendant', `search-result-${this.selected}`);
+    }
+
+    /**
+     * Move through and pick results; keys typed here stay out of the page shortcuts
+     * @param {KeyboardEvent} event - Key press in the search field
+     */
+    onInputKeyDown(event) {
+        event.stopPropagation();
+
+        switch (event.key) {
+            case 'ArrowDown':
+            case 'ArrowUp':
+                event.preventDefault();
+                if (this.results.length > 0) {
+                    const step = event.key === 'ArrowDown' ? 1 : -1;
+                    this.selected = (this.selected + step + this.results.length) % this.results.length;
+                    this.render(this.input.value.trim());
+                    this.list.children[this.selected].scrollIntoView({ block: 'nearest' });
+                }
+                break;
+
+            case 'Enter':
+                event.preventDefault();
+                this.choose(this.selected);
+                break;
+
+            case 'Escape':
+                event.preventDefault();
+                this.close();
+                break;
+        }
+    }
+
+    /**
+     * Pick a result with the pointer, or close by clicking outside the box
+     * Clicks stop here so they do not also pick orbs behind the overlay.
+     * @param {MouseEvent} event - Click in the overlay
+     */
+    onClick(event) {
+        event.stopPropagation();
+
+        const result = event.target.closest('[data-search-result]');
+        if (result) {
+            this.choose(parseInt(result.dataset.searchResult, 10));
+        } else if (event.target === this.overlay) {
+            this.close();
+        }
+    }
+
+    /**
+     * Go to a result and scroll to where it matched
+     * @param {number} index - Result index
+     */
+    choose(index) {
+        const result = this.results[index];
+        if (!result) return;
+
+        const { section, item } = result.document;
+        this.close();
+        this.app.navigate({ section, item });
+        this.revealMatch(section, result.terms);
+    }
+
+    /**
+     * Light up the orbs of the given sections
+     * @param {Array} sectionIds - Section ids; those without an orb are ignored
+     */
+    highlightSections(sectionIds) {
+        const uiManager = this.app.uiManager;
+        if (uiManager && uiManager.highlightSections) {
+            uiManager.highlightSections(Array.from(new Set(sectionIds)));
+        }
+    }
+
+    /**
+     * Once the routed-to view has rendered, mark the first match in it and scroll to it
+     * @param {string} section - Section the result opened
+     * @param {Array} terms - Indexed words that matched
+     */
+    revealMatch(section, terms) {
+        clearTimeout(this.revealTimer);
+        const started = performance.now();
+
+        const attempt = () => {
+            const container = this.getContainer(section);
+            const mark = container ? markFirstMatch(container, terms) : null;
+
+            if (mark) {
+                mark.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                this.revealTimer = setTimeout(() => unwrap(mark), HIT_DURATION);
+            } else if (performance.now() - started < REVEAL_TIMEOUT) {
+                this.revealTimer = setTimeout(attempt, REVEAL_INTERVAL);
+            }
+        };
+
+        this.revealTimer = setTimeout(attempt, REVEAL_INTERVAL);
+    }
+
+    /**
+     * Element a section's content renders into, once it is showing that section
+     * @param {string} section - Section id
+     * @returns {HTMLElement|null} - Container, or null while it is still loading
+     */
+    getContainer(section) {
+        const overlay = document.getElementById(section);
+        if (overlay && overlay.classList.contains('content-section')) {
+            const container = overlay.querySelector('.content-container');
+            return container && !container.querySelector('.loading-indicator') ? container : null;
+        }
+
+        // Content sections show in the UIController panel once their body has loaded
+        const uiController = this.app.uiController;
+        if (uiController && uiController.currentSection === section) {
+            return uiController.contentPanel;
+        }
+
+        return null;
+    }
+
+    /**
+     * Stop listening
+     */
+    dispose() {
+        clearTimeout(this.revealTimer);
+
+        if (this.overlay) {
+            this.input.removeEventListener('input', this.handleInput);
+            this.input.removeEventListener('keydown', this.handleInputKeyDown);
+            this.overlay.removeEventListener('click', this.handleClick);
+        }
+    }
+}
+
+/**
+ * Wrap the first word in a container that matches one of the terms in <mark class="search-hit">
+ * @param {HTMLElement} container - Element to search
+ * @param {Array} terms - Normalised words
+ * @returns {HTMLElement|null} - The mark, or null if nothing matched
+ */
+function markFirstMatch(container, terms) {
+    const matched = new Set(terms);
+    const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        for (const match of node.nodeValue.matchAll(/[\p{L}\p{N}]+/gu)) {
+            const words = tokenize(match[0]);
+            if (words.length === 0 || !words.every(word => matched.has(word))) continue;
+
+            const range = document.createRange();
+            range.setStart(node, match.index);
+            range.setEnd(node, match.index + match[0].length);
+
+            const mark = document.createElement('mark');
+            mark.className = 'search-hit';
+            range.surroundContents(mark);
+            return mark;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Remove a mark, keeping its text
+ * @param {HTMLElement} mark - Mark element
+ */
+function unwrap(mark) {
+    const parent = mark.parentNode;
+    if (!parent) return;
+
+    mark.replaceWith(...mark.childNodes);
+    parent.normalize();
+}
@@ -0,0 +1,420 @@
+import { escapeHTML } from '../content/Markdown.js';
+import { defaultParams, overridesOf } from '../core/ParameterSchema.js';
+import {
+    describeTrack,
+    emptyTimeline,
+    removeKeyframe,
+    serializeTimeline,
+    setKeyframe
+} from '../core/Timeline.js';
+import { DEFAULT_EASING, EASINGS } from '../utils/Easing.js';
+import { downloadBlob } from '../utils/Download.js';
+
+/**
+ * Timeline editor
+ * Panel for app.timeline (see Timeline.js), opened with K: play, scrub and loop, and build a
+ * timeline by keyframing what is on screen at the playhead - the camera, the parameters set in
+ * the control panel, the open section. Timelines save and load as JSON files.
+ */
+
+// How long a status message stays up (ms)
+const STATUS_DURATION = 2500;
+
+// Keyframe times and camera coordinates are stored to this many decimals
+const PRECISION = 2;
+
+export class TimelinePanel {
+    constructor(app) {
+        this.app = app;
+        this.statusTimer = null;
+
+        this.panel = null;
+        this.nameInput = null;
+        this.scrubber = null;
+        this.timeLabel = null;
+        this.playButton = null;
+        this.durationInput = null;
+        this.loopInput = null;
+        this.loopStartInput = null;
+        this.easingSelect = null;
+        this.trackList = null;
+        this.fileInput = null;
+        this.status = null;
+
+        this.handleInput = this.onInput.bind(this);
+        this.handleClick = this.onClick.bind(this);
+        this.handleKeyDown = this.onKeyDown.bind(this);
+        this.handleFileChange = this.onFileChange.bind(this);
+    }
+
+    /**
+     * Find the panel markup
+     */
+    init() {
+        this.panel = document.getElementById('timeline-panel');
+        this.nameInput = document.getElementById('timeline-name');
+        this.scrubber = document.getElementById('timeline-scrubber');
+        this.timeLabel = document.getElementById('timeline-time');
+        this.playButton = this.panel && this.panel.querySelector('[data-timeline-play]');
+        this.durationInput = document.getElementById('timeline-duration');
+        this.loopInput = document.getElementById('timeline-loop');
+        this.loopStartInput = document.getElementById('timeline-loop-start');
+        this.easingSelect = document.getElementById('timeline-easing');
+        this.trackList = document.getElementById('timeline-tracks');
+        this.fileInput = document.getElementById('timeline-file');
+        this.status = document.getElementById('timeline-status');
+
+        if (!this.panel || !this.scrubber || !this.trackList || !this.app.timeline) {
+            console.warn('Timeline panel not found; timeline editor disabled');
+            this.panel = null;
+            return;
+        }
+
+        if (this.easingSelect) {
+            this.easingSelect.innerHTML = Object.keys(EASINGS).map(name =>
+                `<option value="${name}"${name === DEFAULT_EASING ? ' selected' : ''}>${name}</option>`).join('');
+        }
+
+        this.panel.addEventListener('input', this.handleInput);
+        this.panel.addEventListener('click', this.handleClick);
+        this.panel.addEventListener('keydown', this.handleKeyDown);
+        if (this.fileInput) {
+            this.fileInput.addEventListener('change', this.handleFileChange);
+        }
+    }
+
+    /**
+     * The app's timeline player
+     * @returns {TimelinePlayer} - Player
+     */
+    get player() {
+        return this.app.timeline;
+    }
+
+    /**
+     * Whether the panel is showing
+     * @returns {boolean} - True when open
+     */
+    get isOpen() {
+        return Boolean(this.panel) && !this.panel.hidden;
+    }
+
+    /**
+     * Show the panel
+     */
+    open() {
+        if (!this.panel || this.isOpen) return;
+
+        this.panel.hidden = false;
+        this.render();
+        if (this.playButton) this.playButton.focus();
+    }
+
+    /**
+     * Hide the panel; a playing timeline keeps playing
+     */
+    close() {
+        if (this.isOpen) this.panel.hidden = true;
+    }
+
+    /**
+     * Show the panel, or hide it if it is showing
+     */
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Show the loaded timeline: settings, tracks and playhead
+     */
+    render() {
+        const timeline = this.player.timeline;
+
+        if (this.nameInput) this.nameInput.value = timeline.name;
+        if (this.durationInput) this.durationInput.value = timeline.duration;
+        if (this.loopInput) this.loopInput.checked = timeline.loop;
+        if (this.loopStartInput) this.loopStartInput.value = timeline.loopStart;
+
+        this.trackList.innerHTML = timeline.tracks.length === 0
+            ? '<li class="search-status">No keyframes yet. Set up the view, move the playhead and key the camera, parameters or section.</li>'
+            : timeline.tracks.map((track, trackIndex) => `
+                <li class="timeline-track">
+                    <span class="timeline-track-name">${escapeHTML(describeTrack(track))}</span>
+                    <span class="timeline-keyframes">${track.keyframes.map((keyframe, index) => `
+                        <span class="timeline-keyframe" title="${escapeHTML(describeKeyframe(track, keyframe))}">
+                            <button data-timeline-seek="${keyframe.time}">${formatTime(keyframe.time)}</button>
+                            <button data-timeline-remove="${trackIndex}:${index}" aria-label="Delete keyframe at ${formatTime(keyframe.time)}">&times;</button>
+                        </span>`).join('')}
+                    </span>
+                </li>
+            `).join('');
+
+        this.updateTransport();
+    }
+
+    /**
+     * Keep the playhead and play button in step with the player, every frame while open
+     */
+    update() {
+        if (this.isOpen) this.updateTransport();
+    }
+
+    /**
+     * Show the playhead position and whether the timeline is playing
+     */
+    updateTransport() {
+        const { position, duration, playing } = this.player;
+
+        this.scrubber.max = duration;
+        this.scrubber.value = position;
+        if (this.timeLabel) {
+            this.timeLabel.textContent = `${formatTime(position)} / ${formatTime(duration)}`;
+        }
+        if (this.playButton) {
+            this.playButton.innerHTML = playing ? '&#10074;&#10074;' : '&#9654;';
+            this.playButton.setAttribute('aria-label', playing ? 'Pause' : 'Play');
+        }
+    }
+
+    /**
+     * Scrubbing, and changes to the timeline's settings
+     * Scrubbing pauses playback.
+     * @param {Event} event - input from a field in the panel
+     */
+    onInput(event) {
+        const timeline = this.player.timeline;
+        const target = event.target;
+
+        if (target === this.scrubber) {
+            this.player.pause();
+            this.player.seek(Number(target.value));
+            this.updateTransport();
+        } else if (target === this.nameInput) {
+            timeline.name = target.value;
+        } else if (target === this.durationInput) {
+            timeline.duration = Math.max(0, Number(target.value) || 0);
+            this.updateTransport();
+        } else if (target === this.loopInput) {
+            timeline.loop = target.checked;
+        } else if (target === this.loopStartInput) {
+            timeline.loopStart = Math.max(0, Number(target.value) || 0);
+        }
+    }
+
+    /**
+     * Transport, keyframe and file buttons
+     * Clicks stop here so they do not also pick orbs behind the panel.
+     * @param {MouseEvent} event - Click in the panel
+     */
+    onClick(event) {
+        event.stopPropagation();
+
+        const button = event.target.closest('button');
+        if (!button) return;
+        const data = button.dataset;
+
+        if ('timelinePlay' in data) {
+            this.player.togglePlayback();
+            this.updateTransport();
+        } else if ('timelineStop' in data) {
+            this.player.stop();
+            this.updateTransport();
+        } else if (data.timelineKey) {
+            this.addKeyframe(data.timelineKey);
+        } else if (data.timelineSeek !== undefined) {
+            this.player.pause();
+            this.player.seek(Number(data.timelineSeek));
+            this.updateTransport();
+        } else if (data.timelineRemove) {
+            const [trackIndex, index] = data.timelineRemove.split(':').map(Number);
+            const track = this.player.timeline.tracks[trackIndex];
+            if (track && track.keyframes[index]) {
+                removeKeyframe(this.player.timeline, track, track.keyframes[index]);
+                this.render();
+            }
+        } else if ('timelineLoad' in data) {
+            if (this.fileInput) this.fileInput.click();
+        } else if ('timelineSave' in data) {
+            this.save();
+        } else if ('timelineClear' in data) {
+            if (window.confirm('Remove every keyframe from this timeline?')) {
+                this.player.load(emptyTimeline());
+                this.render();
+            }
+        } else if ('timelineClose' in data) {
+            this.close();
+        }
+    }
+
+    /**
+     * Close on Escape; keys typed here stay out of the page shortcuts
+     * @param {KeyboardEvent} event - Key press in the panel
+     */
+    onKeyDown(event) {
+        event.stopPropagation();
+
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            this.close();
+        }
+    }
+
+    /**
+     * Keyframe what is on screen at the playhead
+     * @param {string} kind - 'camera', 'params' or 'section'
+     */
+    addKeyframe(kind) {
+        const timeline = this.player.timeline;
+        const time = round(this.player.position);
+        const easing = this.easingSelect ? this.easingSelect.value : DEFAULT_EASING;
+
+        if (kind === 'camera') {
+            const pose = this.cameraPose();
+            if (!pose) {
+                this.showStatus('Move the camera first');
+                return;
+            }
+            setKeyframe(timeline, { type: 'camera' }, { time, easing, ...pose });
+        } else if (kind === 'params') {
+            // Every parameter that differs from its default, and any already on the timeline
+            const values = { ...defaultParams(), ...this.app.blackHoleParams };
+            const keys = new Set([
+                ...Object.keys(overridesOf(values)),
+                ...timeline.tracks.filter(track => track.type === 'param').map(track => track.key)
+            ]);
+            if (keys.size === 0) {
+                this.showStatus('Change a parameter in the control panel first');
+                return;
+            }
+            keys.forEach(key => setKeyframe(timeline, { type: 'param', key }, { time, easing, value: values[key] }));
+        } else {
+            const section = this.app.router ? this.app.router.route.section : null;
+            setKeyframe(timeline, { type: 'section' }, { time, value: section });
+        }
+
+        this.render();
+        this.showStatus(`Keyed at ${formatTime(time)}`);
+    }
+
+    /**
+     * Where the camera is and what it looks at
+     * With the scene in a worker the camera cannot be read here, so the pose the router
+     * stored after the last orbit is used.
+     * @returns {Object|null} - { position, target } as arrays, or null if unknown
+     */
+    cameraPose() {
+        const sceneManager = this.app.sceneManager;
+        if (!this.app.renderWorker && sceneManager && sceneManager.camera && sceneManager.controls) {
+            return {
+                position: sceneManager.camera.position.toArray().map(round),
+                target: sceneManager.controls.target.toArray().map(round)
+            };
+        }
+
+        const camera = this.app.router && this.app.router.route.camera;
+        return camera ? { position: camera.position.slice(), target: camera.target.slice() } : null;
+    }
+
+    /**
+     * Download the timeline as JSON
+     */
+    save() {
+        const timeline = this.player.timeline;
+        const blob = new Blob([JSON.stringify(serializeTimeline(timeline), null, 2)], { type: 'application/json' });
+        const name = timeline.name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+        downloadBlob(blob, `${name || 'timeline'}.json`);
+    }
+
+    /**
+     * Load a timeline file picked with the Load button
+     */
+    onFileChange() {
+        const file = this.fileInput.files[0];
+        if (!file) return;
+
+        file.text()
+            .then(text => this.app.loadTimeline(JSON.parse(text)))
+            .then(timeline => {
+                this.render();
+                this.showStatus(`Loaded "${timeline.name}"`);
+            })
+            .catch(error => {
+                console.error('Failed to load timeline:', error);
+                this.showStatus(`Could not load: ${error.message}`);
+            })
+            .finally(() => {
+                this.fileInput.value = '';
+            });
+    }
+
+    /**
+     * Show a short message next to the buttons
+     * @param {string} message - Message
+     */
+    showStatus(message) {
+        if (!this.status) return;
+
+        this.status.textContent = message;
+        clearTimeout(this.statusTimer);
+        this.statusTimer = setTimeout(() => {
+            this.status.textContent = '';
+        }, STATUS_DURATION);
+    }
+
+    /**
+     * Stop listening
+     */
+    dispose() {
+        clearTimeout(this.statusTimer);
+
+        if (this.panel) {
+            this.panel.removeEventListener('input', this.handleInput);
+            this.panel.removeEventListener('click', this.handleClick);
+            this.panel.removeEventListener('keydown', this.handleKeyDown);
+        }
+        if (this.fileInput) {
+            this.fileInput.removeEventListener('change', this.handleFileChange);
+        }
+    }
+}
+
+/**
+ * Round a time or coordinate for storing
+ * @param {number} value - Value
+ * @returns {number} - Rounded value
+ */
+function round(value) {
+    return Number(value.toFixed(PRECISION));
+}
+
+/**
+ * Seconds for the panel
+ * @param {number} seconds - Time
+ * @returns {string} - e.g. "12.5 s"
+ */
+function formatTime(seconds) {
+    return `${seconds.toFixed(1)} s`;
+}
+
+/**
+ * A keyframe's value and easing, for its tooltip
+ * @param {Object} track - Track
+ * @param {Object} keyframe - Keyframe
+ * @returns {string} - e.g. "60 (easeOutCubic)"
+ */
+function describeKeyframe(track, keyframe) {
+    let value;
+    if (track.type === 'camera') {
+        value = `from ${keyframe.position.join(', ')} at ${keyframe.target.join(', ')}`;
+    } else if (track.type === 'section') {
+        value = keyframe.value || 'overview';
+    } else {
+        value = String(keyframe.value);
+    }
+    return `${value} (${keyframe.easing})`;
+}
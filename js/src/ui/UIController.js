@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { formatDuration, formatLength, formatMass } from '../physics/Units.js';
 
 /**
  * UIController - Handles client-side UI elements and interaction with the 3D UI Manager
@@ -13,14 +14,11 @@ export class UIController {
         this.contentPanel = null;
         this.loadingIndicator = null;
         this.infoPanel = null;
+        this.physicsReadout = null;
+        this.capturedTotal = 0;
         
-        // Section content cache
-        this.sectionContent = {
-            intro: null,
-            physics: null,
-            visualize: null,
-            explore: null
-        };
+        // Rendered section bodies by section id
+        this.sectionContent = {};
         
         // Current state
         this.currentSection = null;
@@ -29,9 +27,10 @@ export class UIController {
         
         // Bind event handlers
         this.handleSectionChange = this.onSectionChange.bind(this);
-        this.handleKeyPress = this.onKeyPress.bind(this);
+        this.sectionSubscription = null;
         this.handleMouseIdle = this.onMouseIdle.bind(this);
         this.handleInfoButtonClick = this.onInfoButtonClick.bind(this);
+        this.handleContentPanelClick = this.onContentPanelClick.bind(this);
         
         // Mouse activity tracking
         this.mouseIdleTimer = null;
@@ -75,6 +74,7 @@ export class UIController {
         this.dataInput = document.getElementById('data-input');
         this.themeToggle = document.getElementById('theme-toggle');
         this.orbsContainer = document.getElementById('orbs');
+        this.createOrbLinks();
         
         // Apply initial theme
         this.applyTheme(this.currentTheme);
@@ -100,15 +100,8 @@ export class UIController {
         this.navbar.className = 'nav-bar';
         this.container.appendChild(this.navbar);
         
-        // Create navigation items
-        const navItems = [
-            { id: 'intro', label: 'INTRO' },
-            { id: 'physics', label: 'PHYSICS' },
-            { id: 'visualize', label: 'VISUALIZE' },
-            { id: 'explore', label: 'EXPLORE' }
-        ];
-        
-        navItems.forEach(item => {
+        // Create navigation items, one per content section
+        this.getSections().forEach(item => {
             const navButton = document.createElement('button');
             navButton.className = 'nav-button';
             navButton.dataset.section = item.id;
@@ -148,13 +141,34 @@ export class UIController {
                 <ul>
                     <li><strong>Mouse:</strong> Look around</li>
                     <li><strong>Click orbs:</strong> Navigate to sections</li>
+                    <li><strong>Number keys:</strong> Jump to a section</li>
                     <li><strong>H key:</strong> Toggle UI visibility</li>
                     <li><strong>ESC key:</strong> Return to overview</li>
+                    <li><strong>Shift+R:</strong> Record this session / save the recording</li>
+                    <li><strong>Shift+P:</strong> Replay a saved recording</li>
                 </ul>
+                <h3>Simulation:</h3>
+                <dl class="physics-readout">
+                    <dt>Mass</dt><dd data-quantity="mass">–</dd>
+                    <dt>Spin a/M</dt><dd data-quantity="spin">–</dd>
+                    <dt>Event horizon</dt><dd data-quantity="horizonRadius">–</dd>
+                    <dt>ISCO</dt><dd data-quantity="iscoRadius">–</dd>
+                    <dt>GM/c³</dt><dd data-quantity="gravitationalTime">–</dd>
+                    <dt>Per second</dt><dd data-quantity="timeScale">–</dd>
+                    <dt>Particles</dt><dd data-quantity="particleCount">–</dd>
+                    <dt>Captured</dt><dd data-quantity="capturedCount">–</dd>
+                    <dt>Seed</dt><dd><a class="seed-link"></a></dd>
+                </dl>
                 <button class="close-button">Close</button>
             </div>
         `;
         this.container.appendChild(this.infoPanel);
+        this.physicsReadout = this.infoPanel.querySelector('.physics-readout');
+        
+        // Link that reproduces this session's randomness
+        const seedLink = this.physicsReadout.querySelector('.seed-link');
+        seedLink.textContent = this.app.seed;
+        seedLink.href = this.app.getSeedURL();
         
         // Close button for info panel
         const closeButton = this.infoPanel.querySelector('.close-button');
@@ -166,6 +180,36 @@ export class UIController {
         this.applyStyles();
     }
     
+    /**
+     * Sections from the content manifest
+     * @returns {Array} - Sections in nav order
+     */
+    getSections() {
+        return this.app.content ? this.app.content.sections : [];
+    }
+    
+    /**
+     * Fill the #orbs navigation with a link per content section
+     */
+    createOrbLinks() {
+        if (!this.orbsContainer) return;
+        
+        this.orbsContainer.innerHTML = '';
+        this.getSections().forEach(section => {
+            const link = document.createElement('a');
+            link.href = `#/${section.id}`;
+            link.className = 'orb';
+            link.dataset.label = section.label;
+            link.setAttribute('aria-label', `${section.label} section`);
+            link.textContent = section.label;
+            link.addEventListener('click', (event) => {
+                event.preventDefault();
+                this.navigateToSection(section.id);
+            });
+            this.orbsContainer.appendChild(link);
+        });
+    }
+    
     /**
      * Apply CSS styles to UI elements
      */
@@ -391,6 +435,23 @@ export class UIController {
                 margin-bottom: 8px;
             }
             
+            .physics-readout {
+                display: grid;
+                grid-template-columns: auto 1fr;
+                gap: 4px 12px;
+                margin-bottom: 15px;
+                font-size: 13px;
+            }
+            
+            .physics-readout dt {
+                opacity: 0.7;
+            }
+            
+            .physics-readout dd {
+                margin: 0;
+                font-variant-numeric: tabular-nums;
+            }
+            
             .close-button {
                 background: rgba(255, 255, 255, 0.2);
                 color: white;
@@ -407,6 +468,28 @@ export class UIController {
                 background: rgba(255, 255, 255, 0.3);
             }
             
+            .system-buttons {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 8px;
+                margin-bottom: 15px;
+            }
+            
+            .system-button {
+                background: rgba(255, 255, 255, 0.1);
+                color: white;
+                border: 1px solid rgba(255, 255, 255, 0.2);
+                padding: 6px 12px;
+                border-radius: 20px;
+                cursor: pointer;
+                transition: background 0.3s ease;
+            }
+            
+            .system-button:hover,
+            .system-button.active {
+                background: rgba(255, 255, 255, 0.3);
+            }
+            
             .ui-hidden {
                 opacity: 0;
             }
@@ -459,10 +542,7 @@ export class UIController {
      */
     setupEventListeners() {
         // Listen for section changes from UI Manager
-        window.addEventListener('sectionchange', this.handleSectionChange);
-        
-        // Keyboard shortcuts
-        window.addEventListener('keydown', this.handleKeyPress);
+        this.sectionSubscription = this.app.events.on('section:change', this.handleSectionChange);
         
         // Mouse activity for UI hiding
         document.addEventListener('mousemove', this.resetMouseIdleTimer.bind(this));
@@ -472,6 +552,9 @@ export class UIController {
         // Info button
         this.infoButton.addEventListener('click', this.handleInfoButtonClick);
         
+        // Buttons inside section content (replaced on every navigation, so delegate)
+        this.contentPanel.addEventListener('click', this.handleContentPanelClick);
+        
         // Theme toggle
         if (this.themeToggle) {
             this.themeToggle.addEventListener('click', () => this.toggleTheme());
@@ -493,120 +576,45 @@ export class UIController {
         if (this.isMobile) {
             document.addEventListener('click', this.handleClick.bind(this));
         }
-        
-        // Listen for keyboard shortcuts
-        window.addEventListener('keydown', this.handleKeyboardShortcuts.bind(this));
     }
     
     /**
      * Load initial content for sections
      */
     loadInitialContent() {
-        // Preload content for each section
-        this.loadSectionContent('intro');
-        
-        // The other sections will be loaded on demand
+        // Preload the first section; the others are loaded on demand
+        const [first] = this.getSections();
+        if (first) {
+            this.loadSectionContent(first.id);
+        }
     }
     
     /**
      * Load content for a specific section
+     * @param {string} sectionId - Section id from the content manifest
+     * @returns {Promise<string>} - Section HTML; a failed load resolves to a notice
      */
     loadSectionContent(sectionId) {
         if (this.sectionContent[sectionId]) {
             return Promise.resolve(this.sectionContent[sectionId]);
         }
         
+        if (!this.app.content) {
+            return Promise.resolve('<p>Content not available</p>');
+        }
+        
         this.showLoading(true);
         
-        // Mock loading content from server
-        return new Promise(resolve => {
-            setTimeout(() => {
-                const content = this.generateSectionContent(sectionId);
+        return this.app.content.loadBody(sectionId)
+            .then(content => {
                 this.sectionContent[sectionId] = content;
-                this.showLoading(false);
-                resolve(content);
-            }, 800); // Simulate network delay
-        });
-    }
-    
-    /**
-     * Generate content for a section (placeholder)
-     */
-    generateSectionContent(sectionId) {
-        // In a real app, this would load content from a server or JSON file
-        // This is a placeholder implementation
-        const sections = {
-            intro: `
-                <h2>Introduction to Black Holes</h2>
-                <p>Welcome to this interactive visualization of black holes and their effects on spacetime. Black holes are regions of spacetime where gravity is so strong that nothing—no particles or even electromagnetic radiation such as light—can escape from it.</p>
-                <p>This application demonstrates several key phenomena associated with black holes:</p>
-                <ul>
-                    <li>Gravitational lensing</li>
-                    <li>Event horizon</li>
-                    <li>Time dilation</li>
-                    <li>Accretion disk formation</li>
-                </ul>
-                <p>Navigate through the different sections using the quantum navigation orbs. Each section explores different aspects of black hole physics and visualization techniques.</p>
-                <p>The visualization is built using Three.js and WebGL, allowing real-time simulation of complex gravitational effects.</p>
-            `,
-            physics: `
-                <h2>Black Hole Physics</h2>
-                <p>Black holes are described by Einstein's theory of general relativity. A black hole is characterized by its mass, charge, and angular momentum, which determine its effects on surrounding spacetime.</p>
-                <p>The boundary of a black hole is called the event horizon, beyond which events cannot affect an outside observer. Light emitted from inside the event horizon can never reach the observer.</p>
-                <h3>Key Equations</h3>
-                <p>The Schwarzschild radius (Rs) determines the size of a non-rotating black hole:</p>
-                <pre><code>Rs = 2GM/c²</code></pre>
-                <p>Where G is the gravitational constant, M is the mass, and c is the speed of light.</p>
-                <p>The gravitational time dilation near a black hole is given by:</p>
-                <pre><code>t' = t × √(1 - Rs/r)</code></pre>
-                <p>Where t' is the dilated time, t is the time measured by a distant observer, and r is the distance from the black hole center.</p>
-                <p>The simulation implements these equations to create physically accurate visualizations.</p>
-            `,
-            visualize: `
-                <h2>Visualization Techniques</h2>
-                <p>This simulation employs several advanced visualization techniques to render the complex physics of black holes:</p>
-                <h3>Shader Implementation</h3>
-                <p>Custom GLSL shaders are used to calculate gravitational lensing and time dilation effects in real-time on the GPU. This allows for smooth performance even with complex calculations.</p>
-                <p>The gravitational lensing shader computes light ray deflection based on the Schwarzschild metric:</p>
-                <pre><code>// Simplified lensing calculation
-vec3 calculateLensing(vec3 rayDir, vec3 blackHolePos, float mass) {
-    float distance = length(blackHolePos);
-    float deflection = 2.0 * mass / distance;
-    // Apply deflection to ray direction
-    // ...
-}</code></pre>
-                <h3>Rendering Pipeline</h3>
-                <p>The rendering pipeline includes several post-processing effects:</p>
-                <ul>
-                    <li>Gravitational lensing (ray bending)</li>
-                    <li>Doppler and gravitational redshift</li>
-                    <li>Relativistic beaming</li>
-                    <li>Accretion disk simulation</li>
-                </ul>
-                <p>These effects are composited together to create the final visualization.</p>
-            `,
-            explore: `
-                <h2>Interactive Exploration</h2>
-                <p>This interactive simulation allows you to explore different aspects of black hole physics through direct manipulation and parameter adjustments.</p>
-                <p>Key interactions include:</p>
-                <ul>
-                    <li>Changing the black hole mass</li>
-                    <li>Adjusting observer distance</li>
-                    <li>Modifying accretion disk properties</li>
-                    <li>Toggling visualization components</li>
-                </ul>
-                <p>Future updates will include:</p>
-                <ul>
-                    <li>Multiple black hole systems</li>
-                    <li>Wormhole visualization</li>
-                    <li>Interactive particle trajectories</li>
-                    <li>VR/AR support for immersive exploration</li>
-                </ul>
-                <p>Stay tuned for more features as we continue to expand this visualization tool.</p>
-            `
-        };
-        
-        return sections[sectionId] || '<p>Content not available</p>';
+                return content;
+            })
+            .catch(error => {
+                console.error(`Failed to load section ${sectionId}:`, error);
+                return '<p>Content not available</p>';
+            })
+            .finally(() => this.showLoading(false));
     }
     
     /**
@@ -629,10 +637,7 @@ vec3 calculateLensing(vec3 rayDir, vec3 blackHolePos, float mass) {
             <p>Click on the quantum navigation orbs to explore different aspects of black hole physics and visualization.</p>
             <p>Each orb represents a section of the experience:</p>
             <ul>
-                <li><strong>INTRO</strong> - Introduction to black holes</li>
-                <li><strong>PHYSICS</strong> - The physics behind black holes</li>
-                <li><strong>VISUALIZE</strong> - Visualization techniques used</li>
-                <li><strong>EXPLORE</strong> - Interactive exploration</li>
+                ${this.getSections().map(section => `<li><strong>${section.label}</strong> - ${section.summary}</li>`).join('')}
             </ul>
             <p>You can navigate using the orbs in 3D space or the navigation bar above.</p>
         `;
@@ -698,10 +703,9 @@ vec3 calculateLensing(vec3 rayDir, vec3 blackHolePos, float mass) {
     
     /**
      * Section change event handler
+     * @param {Object} detail - section:change detail, { sectionId }
      */
-    onSectionChange(event) {
-        const sectionId = event.detail.sectionId;
-        
+    onSectionChange({ sectionId }) {
         // If null, we're returning to overview
         if (sectionId === null) {
             this.contentPanel.classList.remove('visible');
@@ -716,26 +720,6 @@ vec3 calculateLensing(vec3 rayDir, vec3 blackHolePos, float mass) {
         }
     }
     
-    /**
-     * Key press event handler
-     */
-    onKeyPress(event) {
-        switch (event.key) {
-            case 'Escape':
-                // Return to overview
-                if (this.app.uiManager) {
-                    this.app.uiManager.deactivateAllSections();
-                }
-                break;
-                
-            case 'h':
-            case 'H':
-                // Toggle UI visibility
-                this.toggleUIVisibility();
-                break;
-        }
-    }
-    
     /**
      * Toggle UI visibility
      */
@@ -784,6 +768,54 @@ vec3 calculateLensing(vec3 rayDir, vec3 blackHolePos, float mass) {
         this.infoPanel.classList.toggle('active');
     }
     
+    /**
+     * Content panel click handler for black hole system buttons
+     */
+    onContentPanelClick(event) {
+        const button = event.target.closest('.system-button');
+        if (!button || !this.app.setBlackHoleSystem) return;
+        
+        this.app.setBlackHoleSystem(button.dataset.system);
+        
+        // Highlight the selected system
+        this.contentPanel.querySelectorAll('.system-button').forEach(other => {
+            other.classList.toggle('active', other === button);
+        });
+    }
+    
+    /**
+     * Show the simulation's physical scale and particle counts in the info panel
+     * @param {Object} data - { particleCount, capturedCount } from the latest physics update
+     */
+    updatePhysicsData(data) {
+        if (!this.physicsReadout) return;
+        
+        this.capturedTotal += data.capturedCount || 0;
+        
+        const values = {
+            particleCount: String(data.particleCount),
+            capturedCount: String(this.capturedTotal)
+        };
+        
+        const controller = this.app.physicsController;
+        if (controller && controller.getPhysicalQuantities) {
+            const quantities = controller.getPhysicalQuantities();
+            values.mass = formatMass(quantities.mass);
+            values.spin = quantities.spin.toFixed(3);
+            values.horizonRadius = formatLength(quantities.horizonRadius);
+            values.iscoRadius = formatLength(quantities.iscoRadius);
+            values.gravitationalTime = formatDuration(quantities.gravitationalTime);
+            values.timeScale = `${formatDuration(quantities.timeScale)} simulated`;
+        }
+        
+        Object.entries(values).forEach(([quantity, text]) => {
+            const element = this.physicsReadout.querySelector(`[data-quantity="${quantity}"]`);
+            if (element && element.textContent !== text) {
+                element.textContent = text;
+            }
+        });
+    }
+    
     /**
      * Update method called on each frame
      */
@@ -796,8 +828,13 @@ vec3 calculateLensing(vec3 rayDir, vec3 blackHolePos, float mass) {
      */
     dispose() {
         // Remove event listeners
-        window.removeEventListener('sectionchange', this.handleSectionChange);
-        window.removeEventListener('keydown', this.handleKeyPress);
+        if (this.sectionSubscription) {
+            this.sectionSubscription.dispose();
+            this.sectionSubscription = null;
+        }
+        if (this.contentPanel) {
+            this.contentPanel.removeEventListener('click', this.handleContentPanelClick);
+        }
         document.removeEventListener('mousemove', this.resetMouseIdleTimer);
         document.removeEventListener('click', this.resetMouseIdleTimer);
         document.removeEventListener('touchstart', this.resetMouseIdleTimer);
@@ -827,11 +864,8 @@ vec3 calculateLensing(vec3 rayDir, vec3 blackHolePos, float mass) {
             
             // Add event listener
             menuToggle.addEventListener('click', () => {
-                document.body.classList.toggle('menu-open');
-                // Create section open sound if available
-                if (this.app.audioManager && this.app.audioManager.createSectionOpenSound) {
-                    this.app.audioManager.createSectionOpenSound();
-                }
+                const open = document.body.classList.toggle('menu-open');
+                this.app.events.emit('menu:toggle', { open });
             });
         }
         
@@ -1074,40 +1108,18 @@ vec3 calculateLensing(vec3 rayDir, vec3 blackHolePos, float mass) {
     }
     
     /**
-     * Handle keyboard shortcuts
-     * @param {KeyboardEvent} e - Keyboard event
+     * Ask for a recording file and replay it
      */
-    handleKeyboardShortcuts(e) {
-        // Ignore if in an input field
-        if (document.activeElement.tagName === 'INPUT' || 
-            document.activeElement.tagName === 'TEXTAREA') {
-            return;
-        }
-        
-        // Theme toggle with 'T' key
-        if (e.key === 't' || e.key === 'T') {
-            this.toggleTheme();
-        }
-        
-        // ESC key to close active sections
-        if (e.key === 'Escape') {
-            const activeSection = document.querySelector('.content-section.active');
-            if (activeSection) {
-                const closeBtn = activeSection.querySelector('.close-btn');
-                if (closeBtn) {
-                    closeBtn.click();
-                }
-            }
-        }
-        
-        // Number keys 1-4 for navigation
-        if (e.key >= '1' && e.key <= '4' && this.orbsContainer) {
-            const orbs = this.orbsContainer.querySelectorAll('.orb');
-            const index = parseInt(e.key) - 1;
-            if (orbs[index]) {
-                orbs[index].click();
+    chooseRecording() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'application/json,.json';
+        input.addEventListener('change', () => {
+            if (input.files[0]) {
+                this.app.replayRecording(input.files[0]);
             }
-        }
+        });
+        input.click();
     }
     
     /**
@@ -1179,16 +1191,17 @@ vec3 calculateLensing(vec3 rayDir, vec3 blackHolePos, float mass) {
     
     /**
      * Process user input from the data field
+     * The text is spelled out in particles, then goes into the simulation as a fragment and
+     * into the fragment archive (see App.launchDataFragment).
      */
     processUserInput(input) {
+        const launched = this.app.launchDataFragment ? this.app.launchDataFragment(input) : false;
+        
         // Create interactive particle effect if available
-        if (this.app.particleSystem && this.app.particleSystem.createDataParticles) {
+        if (!launched && this.app.particleSystem && this.app.particleSystem.createDataParticles) {
             this.app.particleSystem.createDataParticles(input);
         }
         
-        // Create data input sound if available
-        if (this.app.audioManager && this.app.audioManager.createDataInputSound) {
-            this.app.audioManager.createDataInputSound(input.length);
-        }
+        this.app.events.emit('fragment:launched', { text: input });
     }
 } 
\ No newline at end of file
@@ -10,6 +10,7 @@ import {
     sectionBackgroundFragmentShader
 } from '../shaders/UIShader.js';
 import { UITextureGenerator } from '../utils/UITextureGenerator.js';
+import { PROJECTS_SECTION } from '../content/ProjectCatalog.js';
 
 /**
  * UIManager - Handles the user interface components including navigation orbs and data visualizations
@@ -17,12 +18,12 @@ import { UITextureGenerator } from '../utils/UITextureGenerator.js';
 export class UIManager {
     constructor(app) {
         this.app = app;
+        this.random = app.random.fork('UIManager');
         
         // Settings
         this.settings = {
             orbRadius: 2.5,
             orbSegments: 32,
-            orbCount: 4,
             connectionParticles: 100,
             fragmentCount: 30,
             navOrbDistance: 30, // Distance from center
@@ -34,51 +35,16 @@ export class UIManager {
         this.connections = [];
         this.dataFragments = [];
         this.sections = [];
+        this.projectSatellites = []; // One per project, circling the projects orb
         
-        // Navigation data
-        this.navData = [
-            {
-                id: 'intro',
-                label: 'INTRO',
-                position: new THREE.Vector3(0, 0, this.settings.navOrbDistance),
-                color: this.app.getThemeColor('primary') || '#8844ff',
-                glowColor: new THREE.Color(0xaaaaff),
-                fragments: 3,
-                fragmentTypes: ['text', 'code', 'data']
-            },
-            {
-                id: 'physics',
-                label: 'PHYSICS',
-                position: new THREE.Vector3(this.settings.navOrbDistance, 0, 0),
-                color: this.app.getThemeColor('secondary') || '#44aaff',
-                glowColor: new THREE.Color(0x44ffff),
-                fragments: 4,
-                fragmentTypes: ['text', 'code', 'data', 'image']
-            },
-            {
-                id: 'visualize',
-                label: 'VISUALIZE',
-                position: new THREE.Vector3(0, 0, -this.settings.navOrbDistance),
-                color: this.app.getThemeColor('tertiary') || '#ff44aa',
-                glowColor: new THREE.Color(0xffaa77),
-                fragments: 3,
-                fragmentTypes: ['code', 'image', 'data']
-            },
-            {
-                id: 'explore',
-                label: 'EXPLORE',
-                position: new THREE.Vector3(-this.settings.navOrbDistance, 0, 0),
-                color: '#55dd99',
-                glowColor: new THREE.Color(0xaaffaa),
-                fragments: 2,
-                fragmentTypes: ['text', 'data']
-            }
-        ];
+        // Navigation data, one orb per section of the content manifest
+        this.navData = this.createNavData(this.app.content ? this.app.content.sections : []);
         
         // Raycaster for interaction
         this.raycaster = new THREE.Raycaster();
         this.mouse = new THREE.Vector2();
         this.hoveredOrb = null;
+        this.hoveredSatellite = null;
         this.interactionEnabled = true;
         
         // Group to hold all UI elements
@@ -98,6 +64,37 @@ export class UIManager {
         this.handleTouchStart = this.onTouchStart.bind(this);
     }
     
+    /**
+     * Orb layout and styling for the content sections
+     * Orbs sit evenly around a ring, the first one facing the camera.
+     * @param {Array} sections - Sections from ContentManifest
+     * @returns {Array} - Navigation items
+     */
+    createNavData(sections) {
+        const themeColors = ['primary', 'secondary', 'tertiary'];
+        
+        return sections.map((section, index) => {
+            const angle = (index / sections.length) * Math.PI * 2;
+            const color = themeColors.includes(section.color)
+                ? this.app.getThemeColor(section.color)
+                : section.color;
+            
+            return {
+                id: section.id,
+                label: section.label,
+                position: new THREE.Vector3(
+                    Math.sin(angle) * this.settings.navOrbDistance,
+                    0,
+                    Math.cos(angle) * this.settings.navOrbDistance
+                ),
+                color,
+                glowColor: new THREE.Color(section.glowColor),
+                fragments: section.fragmentTypes.length,
+                fragmentTypes: section.fragmentTypes
+            };
+        });
+    }
+    
     /**
      * Initialize the UI system
      */
@@ -107,6 +104,7 @@ export class UIManager {
         
         // Create UI elements
         this.createNavigationOrbs();
+        this.createProjectSatellites();
         this.createConnections();
         
         // Add UI group to scene
@@ -124,10 +122,10 @@ export class UIManager {
     generateTextures() {
         // Generate fragment textures
         this.fragmentTextures = {
-            code: UITextureGenerator.generateFragmentTexture('code'),
-            data: UITextureGenerator.generateFragmentTexture('data'),
-            image: UITextureGenerator.generateFragmentTexture('image'),
-            text: UITextureGenerator.generateFragmentTexture('text')
+            code: UITextureGenerator.generateFragmentTexture('code', 64, this.random),
+            data: UITextureGenerator.generateFragmentTexture('data', 64, this.random),
+            image: UITextureGenerator.generateFragmentTexture('image', 64, this.random),
+            text: UITextureGenerator.generateFragmentTexture('text', 64, this.random)
         };
     }
     
@@ -214,7 +212,7 @@ export class UIManager {
      */
     createDataFragments(navItem) {
         const fragments = [];
-        const fragmentCount = navItem.fragments || Math.floor(Math.random() * 5) + 3;
+        const fragmentCount = navItem.fragments || Math.floor(this.random.next() * 5) + 3;
         
         for (let i = 0; i < fragmentCount; i++) {
             // Determine fragment type
@@ -241,6 +239,60 @@ export class UIManager {
         return fragments;
     }
     
+    /**
+     * Put a satellite around the projects orb for each project in app.projects
+     * Satellites are data fragments whose position is set every frame, so they can be picked.
+     */
+    createProjectSatellites() {
+        const catalog = this.app.projects;
+        const orb = this.navigationOrbs.find(orb => orb.id === PROJECTS_SECTION);
+        if (!catalog || !orb) return;
+        
+        const count = catalog.projects.length;
+        catalog.projects.forEach((project, index) => {
+            const fragment = this.createFragment(orb.position, orb.color, 'image', this.fragmentTextures.image);
+            const geometry = fragment.mesh.geometry;
+            
+            // The orbit moves the mesh, not the vertex
+            geometry.attributes.position.setXYZ(0, 0, 0, 0);
+            geometry.attributes.size.setX(0, project.featured ? 7 : 5);
+            geometry.computeBoundingSphere();
+            
+            fragment.mesh.userData.type = 'projectSatellite';
+            fragment.mesh.userData.projectId = project.id;
+            fragment.mesh.userData.label = project.title;
+            
+            const satellite = {
+                id: project.id,
+                fragment,
+                radius: 5 + (index % 3) * 1.5,
+                speed: 0.15 + this.random.next() * 0.1,
+                phase: (index / count) * Math.PI * 2,
+                tilt: (this.random.next() - 0.5) * 0.8
+            };
+            this.positionSatellite(satellite, orb.position, 0);
+            
+            orb.fragments.push(fragment);
+            this.dataFragments.push(fragment);
+            this.projectSatellites.push(satellite);
+        });
+    }
+    
+    /**
+     * Move a project satellite along its orbit
+     * @param {Object} satellite - Entry of this.projectSatellites
+     * @param {THREE.Vector3} center - Orb position
+     * @param {number} time - Elapsed time in seconds
+     */
+    positionSatellite(satellite, center, time) {
+        const angle = satellite.phase + time * satellite.speed;
+        satellite.fragment.mesh.position.set(
+            center.x + Math.cos(angle) * satellite.radius,
+            center.y + Math.sin(angle) * satellite.radius * satellite.tilt,
+            center.z + Math.sin(angle) * satellite.radius
+        );
+    }
+    
     /**
      * Create a single data fragment
      */
@@ -249,16 +301,16 @@ export class UIManager {
         const geometry = new THREE.BufferGeometry();
         
         // Create position - randomly distributed around center
-        const angle = Math.random() * Math.PI * 2;
-        const radius = 5 + Math.random() * 5;
-        const height = (Math.random() - 0.5) * 6;
+        const angle = this.random.next() * Math.PI * 2;
+        const radius = 5 + this.random.next() * 5;
+        const height = (this.random.next() - 0.5) * 6;
         
         const x = centerPosition.x + Math.cos(angle) * radius;
         const y = centerPosition.y + height;
         const z = centerPosition.z + Math.sin(angle) * radius;
         
         const positions = new Float32Array([x, y, z]);
-        const sizes = new Float32Array([2 + Math.random() * 3]);
+        const sizes = new Float32Array([2 + this.random.next() * 3]);
         const colors = new Float32Array([
             new THREE.Color(color).r,
             new THREE.Color(color).g,
@@ -455,12 +507,27 @@ export class UIManager {
      * Mouse click handler for selecting orbs
      */
     onClick(event) {
-        if (!this.interactionEnabled || !this.hoveredOrb) return;
+        if (!this.interactionEnabled) return;
+        
+        if (this.hoveredSatellite) {
+            this.openProject(this.hoveredSatellite.userData.projectId);
+            return;
+        }
+        
+        if (!this.hoveredOrb) return;
         
         // Activate the hovered orb
         this.activateSection(this.hoveredOrb.userData.id);
     }
     
+    /**
+     * Show a project's detail view
+     * @param {string} projectId - Project id
+     */
+    openProject(projectId) {
+        this.app.navigate({ section: PROJECTS_SECTION, item: projectId });
+    }
+    
     /**
      * Touch start handler for mobile
      */
@@ -475,8 +542,10 @@ export class UIManager {
         
         this.checkIntersections();
         
-        // If we're over an orb, activate it
-        if (this.hoveredOrb) {
+        // If we're over a satellite or an orb, open it
+        if (this.hoveredSatellite) {
+            this.openProject(this.hoveredSatellite.userData.projectId);
+        } else if (this.hoveredOrb) {
             this.activateSection(this.hoveredOrb.userData.id);
         }
     }
@@ -490,11 +559,18 @@ export class UIManager {
         // Update raycaster with mouse position
         this.raycaster.setFromCamera(this.mouse, this.app.camera);
         
-        // Get all orb meshes
+        // Get all orb meshes and project satellites
         const orbMeshes = this.navigationOrbs.map(orb => orb.mesh);
+        const satelliteMeshes = this.projectSatellites.map(satellite => satellite.fragment.mesh);
         
-        // Check for intersections
-        const intersects = this.raycaster.intersectObjects(orbMeshes);
+        // Check for intersections; satellites are single points, so give them some reach
+        this.raycaster.params.Points.threshold = 1.5;
+        const intersects = this.raycaster.intersectObjects([...orbMeshes, ...satelliteMeshes]);
+        
+        // The nearest hit wins, so a satellite in front of an orb is picked
+        const hit = intersects.length > 0 ? intersects[0].object : null;
+        const satelliteHit = Boolean(hit) && hit.userData.type === 'projectSatellite';
+        this.hoveredSatellite = satelliteHit ? hit : null;
         
         // Reset hover state on all orbs
         this.navigationOrbs.forEach(orb => {
@@ -504,14 +580,14 @@ export class UIManager {
         });
         
         // Set hover state on intersected orb
-        if (intersects.length > 0) {
-            const intersectedOrb = intersects[0].object;
+        if (hit && !satelliteHit) {
+            const intersectedOrb = hit;
             this.hoveredOrb = intersectedOrb;
             this.setOrbHoverState(intersectedOrb, true);
-            document.body.style.cursor = 'pointer';
+            this.app.setCursor('pointer');
         } else {
             this.hoveredOrb = null;
-            document.body.style.cursor = 'default';
+            this.app.setCursor(this.hoveredSatellite ? 'pointer' : 'default');
         }
     }
     
@@ -521,17 +597,25 @@ export class UIManager {
     setOrbHoverState(orbMesh, hovered) {
         if (!orbMesh || !orbMesh.material || !orbMesh.material.uniforms) return;
         
-        // Smoothly transition hover state
-        const targetValue = hovered ? 1.0 : 0.0;
-        const currentValue = orbMesh.material.uniforms.hoverState.value;
-        
         // Find the orb data
         const orbData = this.navigationOrbs.find(orb => orb.mesh === orbMesh);
         if (orbData) {
-            orbData.hoverTarget = targetValue;
+            // Smoothly transition hover state; highlighted orbs stay lit
+            orbData.hoverTarget = hovered || orbData.highlighted ? 1.0 : 0.0;
         }
     }
     
+    /**
+     * Light up the orbs of some sections, e.g. those with search results
+     * @param {Array} sectionIds - Section ids; an empty list clears the highlight
+     */
+    highlightSections(sectionIds) {
+        this.navigationOrbs.forEach(orb => {
+            orb.highlighted = sectionIds.includes(orb.id);
+            this.setOrbHoverState(orb.mesh, orb.mesh === this.hoveredOrb);
+        });
+    }
+    
     /**
      * Activate a section by ID
      */
@@ -580,9 +664,8 @@ export class UIManager {
         // Move camera to focus on this section
         this.moveToSection(sectionId);
         
-        // Dispatch custom event for section change
-        const event = new CustomEvent('sectionchange', { detail: { sectionId } });
-        window.dispatchEvent(event);
+        // Tell the rest of the app which section is open
+        this.app.events.emit('section:change', { sectionId });
     }
     
     /**
@@ -624,9 +707,8 @@ export class UIManager {
         // Move camera back to default position
         this.resetCamera();
         
-        // Dispatch custom event for section change
-        const event = new CustomEvent('sectionchange', { detail: { sectionId: null } });
-        window.dispatchEvent(event);
+        // Tell the rest of the app we are back at the overview
+        this.app.events.emit('section:change', { sectionId: null });
     }
     
     /**
@@ -716,6 +798,14 @@ export class UIManager {
             fragment.mesh.material.uniforms.time.value = time;
         });
         
+        // Orbit project satellites
+        const projectsOrb = this.navigationOrbs.find(orb => orb.id === PROJECTS_SECTION);
+        if (projectsOrb) {
+            this.projectSatellites.forEach(satellite => {
+                this.positionSatellite(satellite, projectsOrb.position, time);
+            });
+        }
+        
         // Update section backgrounds
         this.sections.forEach(section => {
             if (!section.mesh) return;
@@ -785,5 +875,6 @@ export class UIManager {
         this.connections = [];
         this.dataFragments = [];
         this.sections = [];
+        this.projectSatellites = [];
     }
 } 
\ No newline at end of file
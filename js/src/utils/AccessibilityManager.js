@@ -1,8 +1,11 @@
 /**
  * AccessibilityManager
  * Enhances application accessibility with keyboard navigation and screen reader support
+ * The camera keys are registered as commands with app.commands when there is one, so they can be
+ * rebound in the command palette; Home (reset view) is the app's camera.reset command.
  */
 import * as THREE from 'three';
+import { keyCombo } from '../ui/CommandRegistry.js';
 
 export class AccessibilityManager {
     constructor(app) {
@@ -13,7 +16,7 @@ export class AccessibilityManager {
         this.keyboardControlsEnabled = true;
         this.focusedElementBeforeCanvas = null;
         
-        // Key bindings configuration
+        // Key bindings configuration, in keyCombo form (see CommandRegistry.js)
         this.keyBindings = {
             // Camera controls
             ArrowUp: { action: 'rotate-up', description: 'Rotate camera up' },
@@ -26,8 +29,7 @@ export class AccessibilityManager {
             '_': { action: 'zoom-out', description: 'Zoom out' },
             
             // Special commands
-            Home: { action: 'reset-camera', description: 'Reset camera position' },
-            r: { action: 'toggle-rotation', description: 'Toggle auto-rotation' },
+            R: { action: 'toggle-rotation', description: 'Toggle auto-rotation' },
             
             // With modifier keys
             'Shift+ArrowUp': { action: 'move-up', description: 'Move camera up' },
@@ -36,6 +38,8 @@ export class AccessibilityManager {
             'Shift+ArrowRight': { action: 'move-right', description: 'Move camera right' }
         };
         
+        this.handleKeyDown = this.onKeyDown.bind(this);
+        
         // Initialize
         this.init();
     }
@@ -48,7 +52,11 @@ export class AccessibilityManager {
         this.createAnnouncer();
         
         // Add keyboard controls
-        document.addEventListener('keydown', this.handleKeyDown.bind(this));
+        if (this.app.commands) {
+            this.registerCommands();
+        } else {
+            document.addEventListener('keydown', this.handleKeyDown);
+        }
         
         // Make canvas focusable and add accessibility attributes
         this.enhanceCanvasAccessibility();
@@ -204,10 +212,37 @@ export class AccessibilityManager {
     }
     
     /**
-     * Handle keydown events
+     * Register the key bindings as camera commands, one per action
+     */
+    registerCommands() {
+        const actions = new Map();
+        
+        Object.entries(this.keyBindings).forEach(([keyId, binding]) => {
+            const entry = actions.get(binding.action) || { description: binding.description, keys: [] };
+            entry.keys.push(keyId);
+            actions.set(binding.action, entry);
+        });
+        
+        actions.forEach(({ description, keys }, action) => {
+            this.app.commands.register({
+                id: `camera.${action}`,
+                title: description,
+                category: 'Camera',
+                keys,
+                handler: () => {
+                    if (this.keyboardControlsEnabled) {
+                        this.processKeyAction(action, description);
+                    }
+                }
+            });
+        });
+    }
+    
+    /**
+     * Handle keydown events when there is no command registry
      * @param {KeyboardEvent} event 
      */
-    handleKeyDown(event) {
+    onKeyDown(event) {
         // Skip if keyboard controls are disabled
         if (!this.keyboardControlsEnabled) return;
         
@@ -227,27 +262,26 @@ export class AccessibilityManager {
         if (modalOpen) return;
         
         // Get key identifier with any modifiers
-        let keyId = event.key;
-        if (event.shiftKey) keyId = `Shift+${keyId}`;
-        if (event.ctrlKey) keyId = `Ctrl+${keyId}`;
-        if (event.altKey) keyId = `Alt+${keyId}`;
+        const keyId = keyCombo(event);
         
         // Find matching key binding
         const binding = this.keyBindings[keyId];
         if (!binding) return;
         
-        // Process the action
-        this.processKeyAction(binding.action, event, binding.description);
+        // Process the action, preventing default behavior like scrolling
+        if (this.processKeyAction(binding.action, binding.description)) {
+            event.preventDefault();
+        }
     }
     
     /**
      * Process a key action
      * @param {string} action - Action identifier
-     * @param {KeyboardEvent} event - Original key event
      * @param {string} description - Action description for screen reader
+     * @returns {boolean} - Whether the action was performed
      */
-    processKeyAction(action, event, description) {
-        if (!this.app.controls || !this.app.camera) return;
+    processKeyAction(action, description) {
+        if (!this.app.controls || !this.app.camera) return false;
         
         const controls = this.app.controls;
         const camera = this.app.camera;
@@ -338,18 +372,6 @@ export class AccessibilityManager {
                 controls.update();
                 break;
                 
-            case 'reset-camera':
-                // Use the controls.reset() method if available, otherwise set default camera position
-                if (controls.reset) {
-                    controls.reset();
-                } else {
-                    // Set default camera position and target
-                    camera.position.set(0, 0, 40);
-                    controls.target.set(0, 0, 0);
-                    controls.update();
-                }
-                break;
-                
             case 'toggle-rotation':
                 // Safely toggle autoRotate if supported by the controls
                 if (this.app.config && controls) {
@@ -377,9 +399,6 @@ export class AccessibilityManager {
         }
         
         if (actionPerformed) {
-            // Prevent default behavior like scrolling
-            event.preventDefault();
-            
             // Announce action to screen readers
             this.announce(description);
             
@@ -388,6 +407,8 @@ export class AccessibilityManager {
                 this.app.audioManager.playUISound('navigation');
             }
         }
+        
+        return actionPerformed;
     }
     
     /**
@@ -120,8 +120,8 @@ export class AssetManager {
             loadingContent.appendChild(this.progressText);
             this.loadingOverlay.appendChild(loadingContent);
             
-            // Add to DOM but keep hidden
-            document.body.appendChild(this.loadingOverlay);
+            // Add to DOM but keep hidden, over the page or the app's container
+            this.app.attachOverlay(this.loadingOverlay);
         }
     }
     
@@ -339,6 +339,7 @@ export class DebugPanel {
             <div class="debug-buttons">
                 <button id="debug-reset-camera">Reset Camera</button>
                 <button id="debug-screenshot">Screenshot</button>
+                <button id="debug-export">Export Video</button>
             </div>
         `;
         parent.appendChild(section);
@@ -353,6 +354,12 @@ export class DebugPanel {
         section.querySelector('#debug-screenshot').addEventListener('click', () => {
             this.captureScreenshot();
         });
+        
+        section.querySelector('#debug-export').addEventListener('click', () => {
+            if (this.app.exportPanel) {
+                this.app.exportPanel.open();
+            }
+        });
     }
     
     /**
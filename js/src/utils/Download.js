@@ -0,0 +1,14 @@
+/**
+ * Save a blob as a file through a temporary link
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+export function downloadBlob(blob, filename) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
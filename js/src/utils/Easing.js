@@ -0,0 +1,30 @@
+/**
+ * Easing curves
+ * Map progress through a transition (0 to 1) to how far along the value is, for camera moves
+ * (SceneManager.animateCameraTo) and timeline keyframes (Timeline.js).
+ */
+
+export const EASINGS = {
+    linear: t => t,
+    step: t => (t < 1 ? 0 : 1), // Holds the old value until the transition ends
+    easeInQuad: t => t * t,
+    easeOutQuad: t => t * (2 - t),
+    easeInOutQuad: t => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2),
+    easeInCubic: t => t * t * t,
+    easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+    easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+    easeInOutSine: t => -(Math.cos(Math.PI * t) - 1) / 2
+};
+
+export const DEFAULT_EASING = 'easeInOutCubic';
+
+/**
+ * Ease progress through a transition
+ * @param {string} name - Curve in EASINGS; unknown names use the default
+ * @param {number} t - Progress, clamped to 0..1
+ * @returns {number} - Eased progress
+ */
+export function ease(name, t) {
+    const curve = EASINGS[name] || EASINGS[DEFAULT_EASING];
+    return curve(Math.max(0, Math.min(1, t)));
+}
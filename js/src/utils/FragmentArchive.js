@@ -0,0 +1,304 @@
+import { FragmentFateTracker } from '../physics/FragmentFate.js';
+
+/**
+ * Fragment archive
+ * Every text fed to the Data Singularity, kept in IndexedDB with when it was sent, its length,
+ * how it was launched and what the simulation did with it (see FragmentFate.js). Without
+ * IndexedDB (some private windows) the archive lives in memory for the visit instead.
+ *
+ * A record:
+ *   id        - Archive key
+ *   text      - The text
+ *   length    - Number of characters
+ *   timestamp - When it was sent, in ms since the epoch
+ *   fate      - 'pending' while the simulation follows it, then 'captured', 'ejected' or
+ *               'lingered'; 'unsettled' if the page closed first
+ *   debris    - { captured, ejected, lingered } particle counts once settled
+ *   launch    - { position, velocity, radius, mass, particleCount, seed, shape } as given to
+ *               PhysicsController.addFragment, in SI units
+ *   blackHoleMass - Mass of the hole it was launched at, for scaling replays
+ *
+ * Emits archive:change on the app's events when records are added, settled or cleared, and
+ * fragment:consumed when the black hole captures one.
+ */
+
+const DB_NAME = 'data-singularity';
+const DB_VERSION = 1;
+const STORE = 'fragments';
+
+const CSV_COLUMNS = ['id', 'timestamp', 'length', 'fate', 'captured', 'ejected', 'lingered', 'text'];
+
+export class FragmentArchive {
+    constructor(app) {
+        this.app = app;
+        this.db = null;
+        this.memory = null; // Records when IndexedDB is unavailable
+        this.nextMemoryId = 1;
+        this.ready = null;
+
+        this.tracker = new FragmentFateTracker();
+        this.recordIds = new Map(); // Fragment id -> Promise of its record id
+    }
+
+    /**
+     * Open the database
+     * @returns {Promise} - Settles once records can be read and written
+     */
+    init() {
+        this.ready = openDatabase()
+            .then(db => {
+                this.db = db;
+                return this.settleStale();
+            })
+            .catch(error => {
+                console.warn('Fragment archive unavailable, keeping this visit in memory:', error);
+                this.db = null;
+                this.memory = [];
+            });
+
+        return this.ready;
+    }
+
+    /**
+     * Archive a launched fragment and follow it until the simulation settles its fate
+     * @param {string} text - Text the fragment was made from
+     * @param {Object} fragment - Fragment from PhysicsController.addFragment
+     * @param {Object} context - { bodies, blackHoleMass } at launch
+     * @returns {Promise<Object>} - The stored record
+     */
+    record(text, fragment, { bodies = [], blackHoleMass }) {
+        this.tracker.watch(fragment, bodies);
+
+        const record = {
+            text,
+            length: text.length,
+            timestamp: Date.now(),
+            fate: 'pending',
+            debris: null,
+            launch: {
+                position: fragment.position,
+                velocity: fragment.velocity,
+                radius: fragment.radius,
+                mass: fragment.mass,
+                particleCount: fragment.particleCount,
+                seed: fragment.seed,
+                shape: fragment.shape || null
+            },
+            blackHoleMass
+        };
+
+        const stored = this.ready
+            .then(() => this.write(record))
+            .then(id => {
+                this.notify();
+                return { ...record, id };
+            });
+
+        this.recordIds.set(fragment.id, stored.then(saved => saved.id));
+        return stored;
+    }
+
+    /**
+     * Follow archived fragments through a simulation update
+     * @param {Object} update - Simulation update (see PhysicsController)
+     */
+    observe(update) {
+        this.tracker.observe(update).forEach(({ id, fate, captured, ejected, lingered }) => {
+            if (fate === 'captured') {
+                this.app.events.emit('fragment:consumed', { id, captured, ejected, lingered });
+            }
+
+            const recordId = this.recordIds.get(id);
+            this.recordIds.delete(id);
+            if (!recordId) return;
+
+            recordId
+                .then(key => this.update(key, { fate, debris: { captured, ejected, lingered } }))
+                .then(() => this.notify())
+                .catch(error => console.error('Failed to store fragment fate:', error));
+        });
+    }
+
+    /**
+     * Every record, newest first
+     * @returns {Promise<Array>} - Records
+     */
+    getAll() {
+        return this.ready.then(() => {
+            if (!this.db) return this.memory.slice().reverse();
+
+            return request(this.store('readonly').getAll()).then(records => records.reverse());
+        });
+    }
+
+    /**
+     * One record
+     * @param {number} id - Record id
+     * @returns {Promise<Object|undefined>} - Record
+     */
+    get(id) {
+        return this.ready.then(() => {
+            if (!this.db) return this.memory.find(record => record.id === id);
+
+            return request(this.store('readonly').get(id));
+        });
+    }
+
+    /**
+     * Delete every record
+     * @returns {Promise} - Settles once cleared
+     */
+    clear() {
+        this.tracker.clear();
+        this.recordIds.clear();
+
+        return this.ready
+            .then(() => {
+                if (!this.db) {
+                    this.memory = [];
+                    return undefined;
+                }
+                return request(this.store('readwrite').clear());
+            })
+            .then(() => this.notify());
+    }
+
+    /**
+     * Add a record
+     * @param {Object} record - Record without an id
+     * @returns {Promise<number>} - Its id
+     */
+    write(record) {
+        if (!this.db) {
+            const id = this.nextMemoryId++;
+            this.memory.push({ ...record, id });
+            return Promise.resolve(id);
+        }
+
+        return request(this.store('readwrite').add(record));
+    }
+
+    /**
+     * Change fields of a record
+     * @param {number} id - Record id
+     * @param {Object} changes - Fields to set
+     * @returns {Promise} - Settles once stored
+     */
+    update(id, changes) {
+        if (!this.db) {
+            const record = this.memory.find(entry => entry.id === id);
+            if (record) Object.assign(record, changes);
+            return Promise.resolve();
+        }
+
+        const store = this.store('readwrite');
+        return request(store.get(id)).then(record => {
+            if (record) {
+                return request(store.put({ ...record, ...changes }));
+            }
+            return undefined;
+        });
+    }
+
+    /**
+     * Records still pending from an earlier visit can no longer be followed
+     * @returns {Promise} - Settles once they are marked
+     */
+    settleStale() {
+        return request(this.store('readonly').getAll()).then(records => {
+            const stale = records.filter(record => record.fate === 'pending');
+            return Promise.all(stale.map(record => this.update(record.id, { fate: 'unsettled' })));
+        });
+    }
+
+    /**
+     * Tell listeners the archive changed
+     */
+    notify() {
+        this.app.events.emit('archive:change');
+    }
+
+    /**
+     * Object store in a new transaction
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @returns {IDBObjectStore} - Store
+     */
+    store(mode) {
+        return this.db.transaction(STORE, mode).objectStore(STORE);
+    }
+
+    /**
+     * Close the database
+     */
+    dispose() {
+        this.tracker.clear();
+        this.recordIds.clear();
+
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+/**
+ * Records as CSV, one row per fragment
+ * @param {Array} records - Archive records
+ * @returns {string} - CSV with a header row
+ */
+export function toCSV(records) {
+    const rows = records.map(record => {
+        const debris = record.debris || {};
+        const values = {
+            ...record,
+            timestamp: new Date(record.timestamp).toISOString(),
+            captured: debris.captured,
+            ejected: debris.ejected,
+            lingered: debris.lingered
+        };
+        return CSV_COLUMNS.map(column => csvField(values[column])).join(',');
+    });
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+}
+
+/**
+ * Quote a CSV field when it needs it
+ * @param {*} value - Field value
+ * @returns {string} - CSV field
+ */
+function csvField(value) {
+    if (value === undefined || value === null) return '';
+
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Open (and on first use create) the archive database
+ * @returns {Promise<IDBDatabase>} - Database
+ */
+function openDatabase() {
+    if (typeof indexedDB === 'undefined') {
+        return Promise.reject(new Error('IndexedDB is not supported'));
+    }
+
+    const opening = indexedDB.open(DB_NAME, DB_VERSION);
+    opening.onupgradeneeded = () => {
+        opening.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+    };
+
+    return request(opening);
+}
+
+/**
+ * Promise of an IndexedDB request's result
+ * @param {IDBRequest} req - Request
+ * @returns {Promise} - Resolves with the result, rejects with the request's error
+ */
+function request(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
@@ -0,0 +1,323 @@
+import { ZipWriter } from './Zip.js';
+import { WebMWriter } from './WebMWriter.js';
+
+/**
+ * Frame exporter
+ * Renders a video or an image sequence on a fixed time step instead of the clock, so every frame
+ * is drawn in full however fast the machine is, and the same seed, settings and timeline give
+ * the same frames. For each frame the physics simulation is stepped by 1/fps and waited for,
+ * app time advances by the same step, and the frame is rendered and captured
+ * (App.captureFrame). The animation loop stands still meanwhile and the 3D navigation is hidden.
+ *
+ * Formats:
+ *   webm - VP9, or VP8 where VP9 cannot be encoded, through WebCodecs with each frame stamped
+ *          by its number. MediaRecorder is not used since it stamps frames as they arrive.
+ *   png  - A ZIP of numbered PNGs
+ *
+ * With `timeline` set the loaded timeline (see Timeline.js) plays from its start, so the camera
+ * can follow a saved flythrough; otherwise the view stays as it is.
+ */
+
+export const EXPORT_FORMATS = {
+    webm: { label: 'WebM video', extension: 'webm' },
+    png: { label: 'PNG sequence (zip)', extension: 'zip' }
+};
+
+// Largest width or height; bigger frames exceed what encoders and many GPUs take
+export const MAX_EXPORT_SIZE = 4096;
+
+// Longest export, in frames (ten minutes at 60 fps)
+const MAX_FRAMES = 36000;
+
+// Length without a timeline to follow (seconds)
+const DEFAULT_DURATION = 10;
+
+// Seconds between video keyframes, which is how far apart seeking lands
+const KEYFRAME_INTERVAL = 2;
+
+// Frames waiting in the encoder before capturing pauses for it
+const ENCODE_QUEUE_LIMIT = 4;
+
+// How long a physics step may take before the export gives up (ms)
+const PHYSICS_TIMEOUT = 10000;
+
+export class FrameExporter {
+    constructor(app) {
+        this.app = app;
+        this.active = false;
+        this.cancelled = false;
+    }
+
+    /**
+     * Whether this browser can encode WebM
+     * @returns {boolean} - True if WebCodecs is available
+     */
+    static get supportsVideo() {
+        return typeof VideoEncoder !== 'undefined' && typeof VideoFrame !== 'undefined';
+    }
+
+    /**
+     * Render and capture frames on a fixed step
+     * The view, size and physics loop are restored afterwards, whether the export finished,
+     * failed or was cancelled.
+     * @param {Object} options - format ('webm' or 'png'), width, height, fps, and frames or
+     *     duration (seconds); timeline to play the loaded timeline; bitrate for video;
+     *     onProgress(done, total) after each frame
+     * @returns {Promise<Blob>} - The video or ZIP
+     */
+    export(options) {
+        if (this.active || (this.app.posterRenderer && this.app.posterRenderer.active)) {
+            return Promise.reject(new Error('An export is already running'));
+        }
+        if (this.app.recorder && this.app.recorder.state !== 'idle') {
+            return Promise.reject(new Error('Stop recording or replaying the session first'));
+        }
+
+        let settings;
+        try {
+            settings = normalizeOptions(options, this.app);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        const app = this.app;
+        const physics = app.physicsController;
+        const physicsWasRunning = Boolean(physics && physics.isRunning);
+        const pixelRatio = app.renderer ? app.renderer.getPixelRatio() : 1;
+        let output = null;
+
+        this.active = true;
+        this.cancelled = false;
+
+        return this.createOutput(settings)
+            .then(created => {
+                output = created;
+
+                app.setExporting(true);
+                if (physics) physics.stop();
+                app.setRenderSize(settings.width, settings.height, 1);
+
+                if (settings.timeline) {
+                    app.timeline.seek(0);
+                    app.timeline.play();
+                }
+
+                return this.renderFrames(settings, output);
+            })
+            .then(() => output.finish())
+            .finally(() => {
+                this.active = false;
+                if (!output) return;
+
+                output.close();
+                if (settings.timeline) app.timeline.pause();
+
+                const viewport = app.getViewportSize();
+                app.setRenderSize(viewport.width, viewport.height, pixelRatio);
+                app.setExporting(false);
+                if (physics && physicsWasRunning) physics.start();
+            });
+    }
+
+    /**
+     * Stop the running export after the frame in progress
+     */
+    cancel() {
+        if (this.active) this.cancelled = true;
+    }
+
+    /**
+     * Step, render and capture every frame in turn
+     * @param {Object} settings - Checked options
+     * @param {Object} output - From createOutput
+     * @returns {Promise} - Resolves after the last frame
+     */
+    renderFrames(settings, output) {
+        const step = 1 / settings.fps;
+
+        const next = (index) => {
+            if (this.cancelled) {
+                return Promise.reject(new Error('Export cancelled'));
+            }
+            if (index >= settings.frames) {
+                return Promise.resolve();
+            }
+
+            return this.stepPhysics(step)
+                .then(() => this.app.captureFrame(step))
+                .then(blob => output.add(blob, index))
+                .then(() => {
+                    if (settings.onProgress) settings.onProgress(index + 1, settings.frames);
+                    return next(index + 1);
+                });
+        };
+
+        return next(0);
+    }
+
+    /**
+     * Advance the simulation one frame and wait for the result to reach the scene
+     * @param {number} step - Seconds
+     * @returns {Promise} - Resolves once the update has been applied
+     */
+    stepPhysics(step) {
+        const physics = this.app.physicsController;
+        if (!physics || !physics.isInitialized) {
+            return Promise.resolve();
+        }
+
+        let timer = null;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error('The physics simulation stopped responding')), PHYSICS_TIMEOUT);
+        });
+
+        return Promise.race([physics.step(step), timeout]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * Where captured frames go
+     * @param {Object} settings - Checked options
+     * @returns {Promise<Object>} - { add(blob, index), finish(), close() }; add and finish return Promises
+     */
+    createOutput(settings) {
+        if (settings.format === 'png') {
+            const zip = new ZipWriter();
+            const digits = Math.max(4, String(settings.frames).length);
+
+            return Promise.resolve({
+                add: (blob, index) => zip.add(`frames/${String(index + 1).padStart(digits, '0')}.png`, blob),
+                finish: () => zip.finish(),
+                close: () => {}
+            });
+        }
+
+        if (!FrameExporter.supportsVideo) {
+            return Promise.reject(new Error('This browser cannot encode video; export a PNG sequence instead'));
+        }
+
+        return findVideoConfig(settings).then(config => {
+            const writer = new WebMWriter({ codec: config.codec, width: settings.width, height: settings.height, fps: settings.fps });
+            const frameDuration = 1e6 / settings.fps; // µs
+            const keyframeInterval = Math.max(1, Math.round(settings.fps * KEYFRAME_INTERVAL));
+            let failure = null;
+
+            const encoder = new VideoEncoder({
+                output: chunk => writer.addChunk(chunk),
+                error: error => {
+                    failure = error;
+                }
+            });
+            encoder.configure(config);
+
+            return {
+                add: (blob, index) => createImageBitmap(blob).then(bitmap => {
+                    if (failure) throw failure;
+
+                    const frame = new VideoFrame(bitmap, {
+                        timestamp: Math.round(index * frameDuration),
+                        duration: Math.round(frameDuration)
+                    });
+                    encoder.encode(frame, { keyFrame: index % keyframeInterval === 0 });
+                    frame.close();
+                    bitmap.close();
+
+                    return drain(encoder);
+                }),
+                finish: () => encoder.flush().then(() => {
+                    if (failure) throw failure;
+                    return writer.finish();
+                }),
+                close: () => {
+                    if (encoder.state !== 'closed') encoder.close();
+                }
+            };
+        });
+    }
+}
+
+/**
+ * Check export options and fill in the defaults
+ * Sizes are rounded to even numbers, which video encoders need.
+ * @param {Object} options - Options given to FrameExporter.export
+ * @param {App} app - App, for its timeline
+ * @returns {Object} - format, width, height, fps, frames, timeline, bitrate, onProgress
+ * @throws {Error} - If an option is out of range
+ */
+function normalizeOptions(options, app) {
+    const format = options.format || 'webm';
+    if (!EXPORT_FORMATS[format]) {
+        throw new Error(`Unknown export format ${format}`);
+    }
+
+    const fps = Number(options.fps) || 30;
+    if (fps <= 0 || fps > 120) {
+        throw new Error('The frame rate must be between 1 and 120');
+    }
+
+    const [width, height] = [options.width, options.height].map(value => Math.round(Number(value) / 2) * 2);
+    if (!(width >= 16 && height >= 16 && width <= MAX_EXPORT_SIZE && height <= MAX_EXPORT_SIZE)) {
+        throw new Error(`Width and height must be between 16 and ${MAX_EXPORT_SIZE}`);
+    }
+
+    const timeline = Boolean(options.timeline && app.timeline);
+    const duration = options.duration !== undefined
+        ? Number(options.duration)
+        : timeline ? app.timeline.duration : DEFAULT_DURATION;
+    const frames = options.frames !== undefined ? Math.round(options.frames) : Math.round(duration * fps);
+    if (!(frames >= 1 && frames <= MAX_FRAMES)) {
+        throw new Error(`An export must have between 1 and ${MAX_FRAMES} frames`);
+    }
+
+    return {
+        format,
+        width,
+        height,
+        fps,
+        frames,
+        timeline,
+        bitrate: Number(options.bitrate) || Math.round(width * height * fps * 0.15),
+        onProgress: options.onProgress || null
+    };
+}
+
+/**
+ * The first WebM codec the browser can encode at this size
+ * @param {Object} settings - Checked options
+ * @returns {Promise<Object>} - VideoEncoder configuration
+ */
+function findVideoConfig({ width, height, fps, bitrate }) {
+    // VP9 profile 0, 8-bit, at a level that covers the frame size
+    const level = width * height > 2048 * 1088 ? '51' : '41';
+    const codecs = [`vp09.00.${level}.08`, 'vp8'];
+
+    const tryCodec = (index) => {
+        if (index >= codecs.length) {
+            return Promise.reject(new Error(`This browser cannot encode WebM at ${width}×${height}`));
+        }
+
+        const config = { codec: codecs[index], width, height, bitrate, framerate: fps, latencyMode: 'quality' };
+        return VideoEncoder.isConfigSupported(config)
+            .then(support => (support.supported ? config : tryCodec(index + 1)))
+            .catch(() => tryCodec(index + 1));
+    };
+
+    return tryCodec(0);
+}
+
+/**
+ * Wait while the encoder has too many frames queued, so captures do not pile up in memory
+ * @param {VideoEncoder} encoder - Encoder
+ * @returns {Promise} - Resolves once the queue is short enough
+ */
+function drain(encoder) {
+    return new Promise(resolve => {
+        const check = () => {
+            if (encoder.state === 'configured' && encoder.encodeQueueSize > ENCODE_QUEUE_LIMIT) {
+                setTimeout(check, 10);
+            } else {
+                resolve();
+            }
+        };
+        check();
+    });
+}
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { Random } from './Random.js';
 
 /**
  * Utility class to generate noise textures for various effects
@@ -8,12 +9,16 @@ export class NoiseTextureGenerator {
      * Generate a 3D noise texture
      * @param {number} size - Texture size (size x size)
      * @param {boolean} smooth - Whether to use smooth gradients
+     * @param {Random} random - Seeded generator (see Random.js)
      * @returns {THREE.DataTexture} The generated noise texture
      */
-    static generateNoiseTexture(size = 256, smooth = true) {
+    static generateNoiseTexture(size = 256, smooth = true, random = new Random()) {
         // Create data array for the texture
         const data = new Uint8Array(size * size * 4);
         
+        // Offsets the hash lattice so each seed gets its own gradient pattern
+        const salt = random.next() * 1000;
+        
         // Fill with noise
         for (let i = 0; i < size; i++) {
             for (let j = 0; j < size; j++) {
@@ -24,10 +29,10 @@ export class NoiseTextureGenerator {
                 
                 if (smooth) {
                     // Smooth gradient noise
-                    noiseValue = this.smoothNoise(i / size, j / size);
+                    noiseValue = this.smoothNoise(i / size, j / size, salt);
                 } else {
                     // Random noise
-                    noiseValue = Math.random();
+                    noiseValue = random.next();
                 }
                 
                 // Convert to 0-255 range
@@ -65,9 +70,10 @@ export class NoiseTextureGenerator {
     /**
      * Generate a cloud-like noise texture
      * @param {number} size - Texture size (size x size)
+     * @param {Random} random - Seeded generator (see Random.js)
      * @returns {THREE.DataTexture} The generated cloud texture
      */
-    static generateCloudTexture(size = 256) {
+    static generateCloudTexture(size = 256, random = new Random()) {
         // Create data array for the texture
         const data = new Uint8Array(size * size * 4);
         
@@ -76,7 +82,7 @@ export class NoiseTextureGenerator {
         for (let i = 0; i < size; i++) {
             baseNoise[i] = [];
             for (let j = 0; j < size; j++) {
-                baseNoise[i][j] = Math.random();
+                baseNoise[i][j] = random.next();
             }
         }
         
@@ -213,7 +219,7 @@ export class NoiseTextureGenerator {
      * Helper method to generate smooth gradient noise
      * @private
      */
-    static smoothNoise(x, y) {
+    static smoothNoise(x, y, salt = 0) {
         // Get integer and fractional parts
         const x0 = Math.floor(x);
         const y0 = Math.floor(y);
@@ -229,10 +235,10 @@ export class NoiseTextureGenerator {
         const smoothY = sy * sy * (3 - 2 * sy);
         
         // Generate random values at corners
-        const n00 = this.hash(x0, y0);
-        const n01 = this.hash(x0, y1);
-        const n10 = this.hash(x1, y0);
-        const n11 = this.hash(x1, y1);
+        const n00 = this.hash(x0, y0, salt);
+        const n01 = this.hash(x0, y1, salt);
+        const n10 = this.hash(x1, y0, salt);
+        const n11 = this.hash(x1, y1, salt);
         
         // Bilinear interpolation
         const nx0 = this.lerp(n00, n10, smoothX);
@@ -245,8 +251,8 @@ export class NoiseTextureGenerator {
      * Helper method to hash coordinates to a random value
      * @private
      */
-    static hash(x, y) {
-        return this.fract(Math.sin(x * 12.9898 + y * 78.233) * 43758.5453);
+    static hash(x, y, salt = 0) {
+        return this.fract(Math.sin((x + salt) * 12.9898 + y * 78.233) * 43758.5453);
     }
     
     /**
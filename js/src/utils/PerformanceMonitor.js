@@ -516,6 +516,10 @@ export class PerformanceMonitor {
             this.app.nebulaEffect.setQualityLevel(this.currentQualityLevel);
         }
         
+        if (this.app.physicsController) {
+            this.app.physicsController.setQualityLevel(this.currentQualityLevel);
+        }
+        
         if (this.app.particleSystem) {
             this.app.particleSystem.setQualityLevel(this.currentQualityLevel);
         }
@@ -1,3 +1,45 @@
+import { clampSpin, horizonRadius, iscoRadius } from '../physics/KerrGeodesics.js';
+import { createBody, evolveBodies } from '../physics/CompactBodies.js';
+import { advanceParticles } from '../physics/ParticleDynamics.js';
+import { buildDeflectionTable } from '../physics/NullGeodesics.js';
+import { FragmentState, createFragment, marginallyBoundVelocity } from '../physics/TidalDisruption.js';
+import { DEFAULT_INTERACTIONS, applyParticleInteractions } from '../physics/ParticleInteractions.js';
+import {
+    PARTICLE_PROTOCOL_VERSION,
+    PARTICLE_LAYOUT,
+    ParticleState,
+    bufferCapacity,
+    createParticleBuffer,
+    isCompatibleLayout,
+    supportsSharedBuffers
+} from '../physics/ParticleBuffer.js';
+import {
+    SOLAR_MASS,
+    formatLength,
+    gravitationalRadius,
+    gravitationalTime,
+    playbackTimeScale,
+    sceneToMeters,
+    sceneUnitsPerMeter
+} from '../physics/Units.js';
+import { Random } from './Random.js';
+
+// Most simulation particles kept at each quality level; particle interactions cost O(N log N) per step
+const PARTICLE_LIMITS = {
+    low: 1000,
+    medium: 2500,
+    high: 5000
+};
+
+// Fragments made from typed text (lengths in M of the target hole)
+const DATA_FRAGMENT = {
+    tidalRadius: 10, // Sets the fragments' density
+    pericentre: 9, // Just inside the tidal radius, outside the capture radius
+    radiusPerCharacter: 0.4, // Radius grows with the cube root of the text length, unless the debris is shaped
+    particlesPerCharacter: 8,
+    maxParticles: 600
+};
+
 /**
  * Physics Controller
  * Manages interactions with the physics web worker, providing a clean API
@@ -9,31 +51,59 @@ export class PhysicsController {
         this.worker = null;
         this.isInitialized = false;
         this.isRunning = false;
+        this.animationFrameId = null;
+        this.random = app && app.random ? app.random.fork('PhysicsController') : new Random();
+        
+        // Records the command stream, or feeds a recorded one back in (see SessionRecorder.js)
+        this.recorder = app ? app.recorder : null;
         
         // Callbacks for worker messages
         this.callbacks = {
             simulationUpdate: null,
-            lensingResult: null
+            lensingResult: null,
+            lensingTable: null
         };
         
         // Default simulation parameters
         this.params = {
             blackHoleData: {
                 position: [0, 0, 0],
-                mass: 1e30
+                mass: SOLAR_MASS,
+                spin: 0 // Dimensionless Kerr parameter a/M
             },
+            bodies: null, // Multi-body system (see CompactBodies.js); null for the single blackHoleData hole
             particleData: [],
             dt: 1/60,
-            includeRelativity: true
+            timeScale: null, // Simulated seconds per real second; null for the default pace (see Units.js)
+            includeRelativity: true,
+            interactions: { ...DEFAULT_INTERACTIONS }, // Self-gravity and collisions between particles (off by default)
+            maxParticles: PARTICLE_LIMITS[app && app.config ? app.config.devicePerformance : 'high'] || PARTICLE_LIMITS.high
         };
         
-        // Particle counter for unique IDs
-        this.particleIdCounter = 0;
+        // Particle counter for unique IDs (numeric, they travel in the particle buffer)
+        this.particleIdCounter = 1;
+        this.fragmentIdCounter = 1;
+        this.particleCount = 0;
+        
+        // Buffer layout reported by the worker; fallback mode uses the local one
+        this.layout = PARTICLE_LAYOUT;
+        this.fallbackState = null;
+        this.fallbackFragments = null;
+        this.fallbackBodies = null;
+        
+        // Latest compact body states reported by the simulation
+        this.bodies = [];
+        
+        // Deflection lookup table for the lensing shader, rebuilt when mass or spin change
+        this.lensingTable = null;
+        this.lensingTableKey = null;
         
         // Performance tracking
         this.lastUpdateTime = 0;
         this.updateInterval = 16; // ms (approximately 60fps)
         this.updateCount = 0;
+        this.stepCallbacks = []; // Resolvers of step() promises waiting for the next update
+        this.heldSequence = null; // Shared update the scene may still read, until the next arrives
     }
     
     /**
@@ -46,17 +116,22 @@ export class PhysicsController {
         }
         
         try {
-            // Create web worker
-            this.worker = new Worker('js/src/workers/PhysicsWorker.js');
+            // Create web worker (module worker, it imports the shared integrator)
+            this.worker = new Worker(new URL('../workers/PhysicsWorker.js', import.meta.url), { type: 'module' });
             
             // Set up message handler
             this.worker.onmessage = this.handleWorkerMessage.bind(this);
             
-            // Initialize the worker with default params
-            this.worker.postMessage({
-                type: 'init',
-                data: this.params
-            });
+            // Initialize the worker with default params, or the ones a replayed session started from
+            const recordedInit = this.recorder && this.recorder.takeRecordedInit();
+            const initData = {
+                ...(recordedInit ? recordedInit.data : this.params),
+                useSharedBuffers: supportsSharedBuffers()
+            };
+            if (this.recorder) {
+                this.recorder.recordPhysics({ type: 'init', data: initData });
+            }
+            this.worker.postMessage({ type: 'init', data: initData });
             
             // Set error handler
             this.worker.onerror = (error) => {
@@ -65,6 +140,7 @@ export class PhysicsController {
             };
             
             this.isInitialized = true;
+            this.requestLensingTable();
             console.log('Physics controller initialized');
         } catch (error) {
             console.error('Failed to initialize physics worker:', error);
@@ -81,23 +157,42 @@ export class PhysicsController {
         
         switch (type) {
             case 'init_complete':
-                console.log(`Physics simulation initialized with ${data.particleCount} particles`);
-                console.log(`Black hole Schwarzschild radius: ${data.schwarzschildRadius}`);
+                if (!isCompatibleLayout(data.layout)) {
+                    console.error(`Physics worker uses particle protocol v${data.version}, expected v${PARTICLE_PROTOCOL_VERSION}`);
+                    this.handleWorkerInitFailure();
+                    break;
+                }
+                this.layout = data.layout;
+                console.log(`Physics simulation initialized with ${data.particleCount} particles${data.sharedBuffers ? ' (shared buffers)' : ''}`);
+                console.log(`Black hole Schwarzschild radius: ${formatLength(data.schwarzschildRadius)}`);
+                console.log(`Horizon radius: ${formatLength(data.horizonRadius)}, ISCO radius: ${formatLength(data.iscoRadius)}`);
                 this.isRunning = true;
                 break;
                 
             case 'simulation_update':
-                // Update particle positions in the main thread
-                if (this.callbacks.simulationUpdate) {
-                    this.callbacks.simulationUpdate(data);
+                if (data.version !== PARTICLE_PROTOCOL_VERSION) {
+                    console.warn(`Ignoring physics update with protocol v${data.version}`);
+                    break;
                 }
+                
+                // Update particle positions in the main thread
+                this.particleCount = data.count;
+                this.bodies = data.bodies;
+                this.logMergers(data.mergers);
+                this.logDisruptions(data.disruptions);
+                this.publishUpdate({ ...data, layout: this.layout, sceneScale: this.getSceneScale() });
                 this.updateCount++;
+                this.releaseSharedBuffer(data);
                 break;
                 
             case 'particles_added':
                 console.log(`Added ${data.count} particles. Total: ${data.totalCount}`);
                 break;
                 
+            case 'fragment_added':
+                console.log(`Added fragment ${data.id} with ${data.particleCount} particles`);
+                break;
+                
             case 'particles_cleared':
                 console.log(`Cleared ${data.previousCount} particles`);
                 break;
@@ -108,20 +203,52 @@ export class PhysicsController {
                 }
                 break;
                 
+            case 'lensing_table':
+                this.receiveLensingTable(data);
+                break;
+                
             default:
                 console.warn(`Unknown message type from physics worker: ${type}`);
         }
     }
     
+    /**
+     * Give the worker back the shared buffer of the update before this one
+     * The particle system reads this update's buffer from now on, and the render worker has
+     * copied it already, so nothing on this side reads the previous one again.
+     * @param {Object} update - Simulation update just published
+     */
+    releaseSharedBuffer(update) {
+        if (this.heldSequence !== null && this.worker) {
+            this.worker.postMessage({ type: 'release_buffer', data: { sequence: this.heldSequence } });
+        }
+        this.heldSequence = update.shared ? update.sequence : null;
+    }
+    
     /**
      * Handle worker initialization failure
      */
     handleWorkerInitFailure() {
         console.log('Falling back to main thread physics simulation...');
         
-        // Create a dummy simulation object that will run on main thread
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        
+        // Keep the particle state on the main thread instead
+        this.isInitialized = true;
         this.isRunning = true;
         this.useFallback = true;
+        this.layout = PARTICLE_LAYOUT;
+        this.fallbackState = new ParticleState();
+        this.fallbackState.add(this.params.particleData);
+        this.fallbackFragments = new FragmentState();
+        this.fallbackBodies = this.createFallbackBodies();
+        
+        // A table requested from the failed worker will never arrive
+        this.lensingTableKey = null;
+        this.requestLensingTable();
         
         // We'll still provide the same API but implement it in the main thread
     }
@@ -155,6 +282,9 @@ export class PhysicsController {
             return;
         }
         
+        // Already looping (e.g. switching black hole systems restarts the simulation)
+        if (this.animationFrameId !== null) return;
+        
         this.isRunning = true;
         this.lastUpdateTime = performance.now();
         
@@ -167,12 +297,18 @@ export class PhysicsController {
      */
     stop() {
         this.isRunning = false;
+        
+        if (this.animationFrameId !== null) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
     }
     
     /**
      * Update the physics simulation
      */
     update() {
+        this.animationFrameId = null;
         if (!this.isRunning) return;
         
         const currentTime = performance.now();
@@ -182,127 +318,249 @@ export class PhysicsController {
         if (elapsed >= this.updateInterval) {
             this.lastUpdateTime = currentTime;
             
-            // Update the worker
-            if (this.worker && !this.useFallback) {
-                this.worker.postMessage({
-                    type: 'update',
-                    data: {
-                        dt: elapsed / 1000, // Convert to seconds
-                        blackHoleData: this.params.blackHoleData,
-                        includeRelativity: this.params.includeRelativity
-                    }
-                });
-            } else if (this.useFallback) {
-                // Call the fallback physics implementation
-                this.updateFallbackPhysics(elapsed / 1000);
+            if (this.recorder && this.recorder.isReplayingPhysics) {
+                // Replayed sessions step with the recorded time steps and inputs
+                this.recorder.nextPhysicsTick().forEach(command => this.applyCommand(command.type, command.data));
+            } else {
+                this.sendCommand('update', this.createUpdate(elapsed / 1000));
             }
         }
         
         // Schedule next update if running
         if (this.isRunning) {
-            requestAnimationFrame(() => this.update());
+            this.animationFrameId = requestAnimationFrame(() => this.update());
+        }
+    }
+    
+    /**
+     * Advance the simulation by a fixed amount of time, e.g. one exported frame
+     * Stop the update loop first, or it keeps stepping on its own clock as well.
+     * @param {number} seconds - Playback seconds, scaled like the loop's frame times
+     * @returns {Promise<Object>} - Resolves with the resulting update once it has been published
+     */
+    step(seconds) {
+        return new Promise(resolve => {
+            this.stepCallbacks.push(resolve);
+            this.sendCommand('update', this.createUpdate(seconds));
+        });
+    }
+    
+    /**
+     * The update command for a step
+     * @param {number} seconds - Playback seconds to step
+     * @returns {Object} - 'update' command data
+     */
+    createUpdate(seconds) {
+        return {
+            dt: seconds * this.getTimeScale(), // Convert to simulated seconds
+            // Multi-body systems evolve in the simulation and are only sent when replaced
+            blackHoleData: this.params.bodies ? undefined : this.params.blackHoleData,
+            includeRelativity: this.params.includeRelativity,
+            interactions: this.params.interactions,
+            maxParticles: this.params.maxParticles
+        };
+    }
+    
+    /**
+     * Send a command that changes the simulated state
+     * Every such change goes through here in order, so the stream can be recorded; while a
+     * recording replays, live commands are dropped and the recorded ones are applied instead.
+     * @param {string} type - Worker message type ('update', 'add_particles', 'add_fragment' or 'clear_particles')
+     * @param {Object} data - Message data
+     */
+    sendCommand(type, data) {
+        if (this.recorder && this.recorder.isReplayingPhysics) return;
+        
+        this.applyCommand(type, data);
+    }
+    
+    /**
+     * Apply a command in the worker, or on the main thread in fallback mode
+     * @param {string} type - Worker message type
+     * @param {Object} data - Message data
+     */
+    applyCommand(type, data) {
+        if (this.recorder) {
+            this.recorder.recordPhysics({ type, data });
+        }
+        
+        if (this.useFallback) {
+            this.applyFallbackCommand(type, data);
+        } else if (this.worker) {
+            this.worker.postMessage({ type, data });
+        }
+    }
+    
+    /**
+     * Apply a command to the main-thread simulation, as the worker's message handler would
+     * @param {string} type - Worker message type
+     * @param {Object} data - Message data
+     */
+    applyFallbackCommand(type, data) {
+        switch (type) {
+            case 'update':
+                if (data.bodies || data.blackHoleData) {
+                    this.fallbackBodies = this.createFallbackBodies(data);
+                }
+                if (data.dt > 0) {
+                    this.updateFallbackPhysics(data.dt, data);
+                }
+                break;
+                
+            case 'add_particles':
+                this.fallbackState.add(data.particles);
+                break;
+                
+            case 'add_fragment':
+                this.fallbackFragments.add(createFragment(data));
+                break;
+                
+            case 'clear_particles':
+                this.fallbackState.clear();
+                this.fallbackFragments.clear();
+                break;
         }
     }
     
     /**
      * Update physics on main thread (fallback mode)
      * @param {number} dt - Time step in seconds
+     * @param {Object} settings - includeRelativity, interactions and maxParticles (defaults to the current parameters)
      */
-    updateFallbackPhysics(dt) {
-        // Simplified physics for fallback mode
-        // This will run on the main thread and is much less sophisticated
+    updateFallbackPhysics(dt, settings = this.params) {
+        // Same model as the worker, just run on the main thread
+        const { bodies, mergers } = evolveBodies(this.fallbackBodies, dt);
+        this.fallbackBodies = bodies;
         
-        // Grab a local copy to avoid modifying the array while iterating
-        const particles = [...this.params.particleData];
-        const blackHole = this.params.blackHoleData;
+        const particles = this.fallbackState;
+        const fragments = this.fallbackFragments;
+        const includeRelativity = settings.includeRelativity !== false;
+        const { capturedIds } = advanceParticles(particles, bodies, dt, includeRelativity);
+        const tidal = fragments.advance(particles, bodies, dt, includeRelativity);
+        capturedIds.push(...tidal.capturedIds);
+        particles.limit(settings.maxParticles || Infinity);
+        applyParticleInteractions(particles, bodies, dt, settings.interactions);
         
-        // Update each particle
-        const updatedParticles = particles.map(particle => {
-            // Simplified gravitational effect
-            const dx = blackHole.position[0] - particle.position[0];
-            const dy = blackHole.position[1] - particle.position[1];
-            const dz = blackHole.position[2] - particle.position[2];
-            
-            const distSquared = dx*dx + dy*dy + dz*dz;
-            const distance = Math.sqrt(distSquared);
-            
-            // Skip very distant particles for performance
-            if (distance > 100) {
-                return particle;
-            }
-            
-            // Normalize
-            const dirX = dx / distance;
-            const dirY = dy / distance;
-            const dirZ = dz / distance;
-            
-            // Very simplified gravity
-            const force = 10 / distSquared;
-            
-            // Clone particle to avoid mutations
-            const updatedParticle = {
-                ...particle,
-                position: [...particle.position],
-                velocity: [...particle.velocity]
-            };
-            
-            // Update velocity
-            updatedParticle.velocity[0] += dirX * force * dt;
-            updatedParticle.velocity[1] += dirY * force * dt;
-            updatedParticle.velocity[2] += dirZ * force * dt;
-            
-            // Update position
-            updatedParticle.position[0] += updatedParticle.velocity[0] * dt;
-            updatedParticle.position[1] += updatedParticle.velocity[1] * dt;
-            updatedParticle.position[2] += updatedParticle.velocity[2] * dt;
-            
-            return updatedParticle;
-        });
+        const count = particles.count + fragments.particleCount;
+        this.particleCount = count;
+        this.bodies = bodies;
+        this.logMergers(mergers);
+        this.logDisruptions(tidal.disruptions);
         
-        // Remove particles that get too close to black hole
-        const remainingParticles = updatedParticles.filter(particle => {
-            const dx = blackHole.position[0] - particle.position[0];
-            const dy = blackHole.position[1] - particle.position[1];
-            const dz = blackHole.position[2] - particle.position[2];
-            const distance = Math.sqrt(dx*dx + dy*dy + dz*dz);
-            
-            // Approximate event horizon
-            return distance > 2.0;
-        });
+        // Same payload the worker sends
+        const buffer = createParticleBuffer(bufferCapacity(count));
+        particles.pack(buffer);
+        fragments.pack(buffer, particles.count);
         
-        // Update internal state
-        this.params.particleData = remainingParticles;
+        this.publishUpdate({
+            version: PARTICLE_PROTOCOL_VERSION,
+            layout: this.layout,
+            sceneScale: this.getSceneScale(),
+            buffer,
+            count,
+            sequence: this.updateCount++,
+            capturedCount: capturedIds.length,
+            capturedIds,
+            bodies,
+            mergers,
+            disruptions: tidal.disruptions,
+            time: performance.now()
+        });
+    }
+    
+    /**
+     * Hand a simulation update to the recorder and the update callback
+     * @param {Object} update - Simulation update with its layout and scene scale
+     */
+    publishUpdate(update) {
+        if (this.recorder) {
+            this.recorder.recordPhysicsState(update);
+        }
         
-        // Call update callback
         if (this.callbacks.simulationUpdate) {
-            this.callbacks.simulationUpdate({
-                particles: remainingParticles,
-                capturedCount: updatedParticles.length - remainingParticles.length,
-                time: performance.now()
-            });
+            this.callbacks.simulationUpdate(update);
+        }
+        
+        this.stepCallbacks.splice(0).forEach(resolve => resolve(update));
+    }
+    
+    /**
+     * Build the main-thread copy of the compact bodies
+     * @param {Object} settings - bodies or blackHoleData (defaults to the current parameters)
+     * @returns {Array} - Compact bodies
+     */
+    createFallbackBodies(settings = this.params) {
+        if (settings.bodies) {
+            return settings.bodies.map(createBody);
         }
+        
+        const { position, mass, spin } = settings.blackHoleData;
+        return [createBody({ id: 1, position, mass, spin })];
+    }
+    
+    /**
+     * Report black hole mergers
+     * @param {Array} mergers - Mergers from the last step
+     */
+    logMergers(mergers) {
+        if (!mergers) return;
+        
+        mergers.forEach(merger => {
+            console.log(`Black holes ${merger.ids.join(' + ')} merged: remnant spin ${merger.spin.toFixed(2)}, ${merger.radiatedEnergy.toExponential(2)} J radiated`);
+        });
+    }
+    
+    /**
+     * Report tidal disruptions
+     * @param {Array} disruptions - Fragments torn apart in the last step
+     */
+    logDisruptions(disruptions) {
+        if (!disruptions) return;
+        
+        disruptions.forEach(disruption => {
+            console.log(`Fragment ${disruption.id} tidally disrupted into ${disruption.particleCount} particles (penetration ${disruption.penetration.toFixed(2)})`);
+        });
     }
     
     /**
      * Set the simulation parameters
+     * Black hole data accepts `spin` (a/M, clamped to ±0.998) alongside position and mass.
+     * `bodies` replaces the single hole with a multi-body system (see createBinaryBodies).
+     * `interactions` is merged into the current settings (see ParticleInteractions.js), so
+     * `{ interactions: { enabled: true } }` turns on self-gravity and collisions.
      * @param {Object} params - Simulation parameters
      */
     setParameters(params) {
-        // Update local parameters
+        // Merge black hole data so partial updates (e.g. only spin) keep the rest
+        const blackHoleData = params.blackHoleData ? {
+            ...this.params.blackHoleData,
+            ...params.blackHoleData
+        } : this.params.blackHoleData;
+        blackHoleData.spin = clampSpin(blackHoleData.spin);
+        
+        // Update local parameters; setting blackHoleData alone returns to a single hole
         this.params = {
             ...this.params,
-            ...params
+            ...params,
+            blackHoleData,
+            interactions: { ...this.params.interactions, ...params.interactions },
+            bodies: params.bodies !== undefined ? params.bodies : (params.blackHoleData ? null : this.params.bodies)
         };
         
-        // If black hole parameters changed, update the worker
-        if (params.blackHoleData && this.worker && this.isInitialized) {
-            this.worker.postMessage({
-                type: 'update',
-                data: {
-                    blackHoleData: params.blackHoleData
-                }
-            });
+        if (params.blackHoleData) {
+            this.requestLensingTable();
         }
+        
+        const systemChanged = params.blackHoleData || params.bodies !== undefined;
+        if (!systemChanged || !this.isInitialized) return;
+        
+        // Apply without advancing the simulation (dt of 0)
+        this.sendCommand('update', {
+            dt: 0,
+            blackHoleData,
+            bodies: this.params.bodies,
+            includeRelativity: this.params.includeRelativity
+        });
     }
     
     /**
@@ -316,40 +574,118 @@ export class PhysicsController {
         // Assign IDs to particles
         const particlesWithIds = particleArray.map(p => ({
             ...p,
-            id: p.id || `p${this.particleIdCounter++}`
+            id: p.id || this.particleIdCounter++
         }));
         
-        // Add to local state
-        this.params.particleData = [
-            ...this.params.particleData,
-            ...particlesWithIds
-        ];
+        // Particles added before the worker exists are sent with the init message
+        if (!this.isInitialized) {
+            this.params.particleData = [
+                ...this.params.particleData,
+                ...particlesWithIds
+            ];
+        }
         
-        // Send to worker
-        if (this.worker && this.isInitialized && !this.useFallback) {
-            this.worker.postMessage({
-                type: 'add_particles',
-                data: {
-                    particles: particlesWithIds
-                }
+        if (this.isInitialized) {
+            this.sendCommand('add_particles', {
+                particles: particlesWithIds
             });
         }
         
         return particlesWithIds;
     }
     
+    /**
+     * Add an extended body that the black hole tears apart once it passes the tidal radius
+     * Its debris gets consecutive particle IDs and appears in the particle buffer straight away.
+     * @param {Object} fragment - { position (m), velocity (m/s), radius (m), mass (kg), particleCount },
+     *     and optionally the seed of an earlier fragment's debris layout to repeat it, or the
+     *     layout itself as shape (see createFragment)
+     * @returns {Object|null} - The fragment with its id, firstParticleId and seed, or null before initialization
+     */
+    addFragment(fragment) {
+        if (!this.isInitialized) {
+            console.warn('Physics controller not initialized. Call init() first.');
+            return null;
+        }
+        
+        // Drawn either way, so replaying a fragment leaves later layouts unchanged
+        const seed = this.random.int(0x100000000);
+        
+        const fragmentWithIds = {
+            ...fragment,
+            id: this.fragmentIdCounter++,
+            firstParticleId: this.particleIdCounter,
+            seed: fragment.seed !== undefined ? fragment.seed : seed // Debris layout
+        };
+        this.particleIdCounter += fragment.particleCount;
+        
+        this.sendCommand('add_fragment', fragmentWithIds);
+        
+        return fragmentWithIds;
+    }
+    
+    /**
+     * Launch text as a fragment falling toward the black hole
+     * The fragment is sent on a marginally bound orbit whose pericentre lies just inside its tidal
+     * radius, so it is stretched into debris streams; longer text makes a bigger, more massive fragment.
+     * Given the positions of particles spelling the text out, the debris starts in those letters.
+     * @param {string} text - Text the fragment is made from
+     * @param {Array} startPosition - Launch point in scene units
+     * @param {Array} letters - Optional debris positions [x, y, z, ...] in scene units
+     * @returns {Object|null} - The fragment (see addFragment), or null before initialization
+     */
+    addDataFragment(text, startPosition, letters = null) {
+        if (!this.isInitialized) return null;
+        
+        // Aim for the most massive body (the only one, unless a multi-body system is running)
+        const sceneMass = this.params.blackHoleData.mass;
+        const target = this.bodies.reduce(
+            (heaviest, body) => (!heaviest || body.mass > heaviest.mass ? body : heaviest),
+            null
+        ) || { position: this.params.blackHoleData.position, velocity: [0, 0, 0], mass: sceneMass };
+        
+        const lengthUnit = gravitationalRadius(target.mass);
+        const position = startPosition.map(x => sceneToMeters(x, sceneMass));
+        const relative = position.map((x, axis) => x - target.position[axis]);
+        const orbit = marginallyBoundVelocity(relative, target.mass, DATA_FRAGMENT.pericentre * lengthUnit);
+        
+        // Debris laid out in the letters reaches as far as the furthest letter
+        const shape = letters
+            ? letters.map((x, i) => sceneToMeters(x, sceneMass) - position[i % 3])
+            : null;
+        let radius = DATA_FRAGMENT.radiusPerCharacter * Math.cbrt(text.length) * lengthUnit;
+        if (shape) {
+            radius = 0;
+            for (let i = 0; i < shape.length; i += 3) {
+                radius = Math.max(radius, Math.hypot(shape[i], shape[i + 1], shape[i + 2]));
+            }
+        }
+        
+        // r_t = R (M/m)^(1/3), so the mass follows from the radius and the chosen tidal radius
+        const mass = target.mass * Math.pow(radius / (DATA_FRAGMENT.tidalRadius * lengthUnit), 3);
+        
+        return this.addFragment({
+            position,
+            velocity: orbit.map((v, axis) => v + (target.velocity ? target.velocity[axis] : 0)),
+            radius,
+            mass,
+            particleCount: shape
+                ? shape.length / 3
+                : Math.min(DATA_FRAGMENT.maxParticles, text.length * DATA_FRAGMENT.particlesPerCharacter),
+            shape
+        });
+    }
+    
     /**
      * Clear all particles from the simulation
      */
     clearParticles() {
         // Clear local state
         this.params.particleData = [];
+        this.particleCount = 0;
         
-        // Send to worker
-        if (this.worker && this.isInitialized && !this.useFallback) {
-            this.worker.postMessage({
-                type: 'clear_particles'
-            });
+        if (this.isInitialized) {
+            this.sendCommand('clear_particles');
         }
     }
     
@@ -434,6 +770,104 @@ export class PhysicsController {
         this.callbacks.simulationUpdate = callback;
     }
     
+    /**
+     * Set callback for deflection lookup tables
+     * The callback receives the current table straight away if there is one, and every
+     * rebuilt table after a mass or spin change.
+     * @param {Function} callback - Called with { spin, mass, width, height, maxImpactParameter, data, shadowRadius }
+     */
+    onLensingTable(callback) {
+        this.callbacks.lensingTable = callback;
+        
+        if (this.lensingTable) {
+            callback(this.lensingTable);
+        }
+        this.requestLensingTable();
+    }
+    
+    /**
+     * Build the deflection lookup table for the current black hole, if it is out of date
+     * Tables are traced in the worker; fallback mode traces a coarser one on the main thread.
+     */
+    requestLensingTable() {
+        if (!this.callbacks.lensingTable || !this.isInitialized) return;
+        
+        const { mass, spin } = this.params.blackHoleData;
+        const key = `${mass}:${spin}`;
+        if (key === this.lensingTableKey) return;
+        this.lensingTableKey = key;
+        
+        if (this.useFallback) {
+            this.receiveLensingTable({
+                ...buildDeflectionTable(spin, { samples: 256 }),
+                mass
+            });
+        } else if (this.worker) {
+            this.worker.postMessage({
+                type: 'build_lensing_table',
+                data: { mass, spin }
+            });
+        }
+    }
+    
+    /**
+     * Store a finished deflection table and pass it on, dropping tables for superseded parameters
+     * @param {Object} table - Deflection table with the mass it was requested for
+     */
+    receiveLensingTable(table) {
+        if (`${table.mass}:${table.spin}` !== this.lensingTableKey) return;
+        
+        this.lensingTable = table;
+        if (this.callbacks.lensingTable) {
+            this.callbacks.lensingTable(table);
+        }
+    }
+    
+    /**
+     * Match the particle ceiling to a rendering quality level
+     * @param {string} level - 'low', 'medium' or 'high'
+     */
+    setQualityLevel(level) {
+        if (PARTICLE_LIMITS[level]) {
+            this.params.maxParticles = PARTICLE_LIMITS[level];
+        }
+    }
+    
+    /**
+     * Simulated seconds per real second
+     * @returns {number} - The configured time scale, or the default pace for the black hole's mass
+     */
+    getTimeScale() {
+        return this.params.timeScale || playbackTimeScale(this.params.blackHoleData.mass);
+    }
+    
+    /**
+     * Scene units per simulation meter; the black hole mass sets the length scale
+     * @returns {number} - Scale factor from simulation positions to scene positions
+     */
+    getSceneScale() {
+        return sceneUnitsPerMeter(this.params.blackHoleData.mass);
+    }
+    
+    /**
+     * Physical quantities of the simulated black hole in SI units
+     * @returns {Object} - Mass (kg), spin, radii (m), time unit (s) and time scale
+     */
+    getPhysicalQuantities() {
+        const { mass, spin } = this.params.blackHoleData;
+        const lengthUnit = gravitationalRadius(mass);
+        
+        return {
+            mass,
+            spin,
+            gravitationalRadius: lengthUnit,
+            horizonRadius: horizonRadius(spin) * lengthUnit,
+            iscoRadius: iscoRadius(spin) * lengthUnit,
+            gravitationalTime: gravitationalTime(mass),
+            timeScale: this.getTimeScale()
+        };
+    }
+    
     /**
      * Get performance metrics
      * @returns {Object} - Performance metrics object
@@ -441,7 +875,7 @@ export class PhysicsController {
     getPerformanceMetrics() {
         return {
             updateCount: this.updateCount,
-            particleCount: this.params.particleData.length,
+            particleCount: this.particleCount,
             usingWorker: !this.useFallback,
             isRunning: this.isRunning
         };
@@ -463,7 +897,8 @@ export class PhysicsController {
         // Clear all callbacks
         this.callbacks = {
             simulationUpdate: null,
-            lensingResult: null
+            lensingResult: null,
+            lensingTable: null
         };
         
         // Reset state
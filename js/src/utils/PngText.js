@@ -0,0 +1,96 @@
+import { crc32 } from './Zip.js';
+
+/**
+ * PNG text
+ * Adds text entries to a PNG without decoding it: the chunks go in right after the IHDR header,
+ * so the image data is not copied and readers that stop early still find them. Values that fit
+ * Latin-1 are written as tEXt, anything else (or anything long, such as JSON) as uncompressed
+ * UTF-8 iTXt.
+ */
+
+const SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+// Signature, then the IHDR chunk: length, type, 13 bytes of data and CRC
+const HEADER_END = 8 + 4 + 4 + 13 + 4;
+
+// Longest tEXt value; longer ones go in iTXt, which tools show more reliably
+const MAX_LATIN1_LENGTH = 1024;
+
+/**
+ * Add text entries to a PNG
+ * @param {Blob} png - PNG image
+ * @param {Object} entries - Keyword -> text; keywords are 1-79 Latin-1 characters, e.g.
+ *     'Title', 'Software', 'Creation Time', 'Source' or 'Comment'
+ * @returns {Promise<Blob>} - The same image with the text
+ */
+export function addPngText(png, entries) {
+    return png.slice(0, HEADER_END).arrayBuffer().then(buffer => {
+        const header = new Uint8Array(buffer);
+        const type = String.fromCharCode(...header.subarray(12, 16));
+        if (SIGNATURE.some((byte, i) => header[i] !== byte) || type !== 'IHDR') {
+            throw new Error('Not a PNG image');
+        }
+
+        const chunks = Object.entries(entries)
+            .filter(([, text]) => text !== undefined && text !== null)
+            .map(([keyword, text]) => textChunk(keyword, String(text)));
+
+        return new Blob([png.slice(0, HEADER_END), ...chunks, png.slice(HEADER_END)], { type: 'image/png' });
+    });
+}
+
+/**
+ * One tEXt or iTXt chunk
+ * @param {string} keyword - Keyword
+ * @param {string} text - Value
+ * @returns {Uint8Array} - Length, type, data and CRC
+ * @throws {Error} - If the keyword is not allowed
+ */
+function textChunk(keyword, text) {
+    if (!/^[\x20-\x7E\xA1-\xFF]{1,79}$/.test(keyword) || /^ | $| {2}/.test(keyword)) {
+        throw new Error(`Invalid PNG text keyword "${keyword}"`);
+    }
+
+    const latin1 = text.length <= MAX_LATIN1_LENGTH && /^[\x0A\x20-\x7E\xA1-\xFF]*$/.test(text);
+    const data = latin1
+        // Keyword, null separator, text
+        ? [latin1Bytes(keyword), [0], latin1Bytes(text)]
+        // Keyword, null, not compressed, compression method, empty language tag and translated keyword, text
+        : [latin1Bytes(keyword), [0, 0, 0, 0, 0], new TextEncoder().encode(text)];
+
+    return chunk(latin1 ? 'tEXt' : 'iTXt', data);
+}
+
+/**
+ * Frame data as a PNG chunk
+ * @param {string} type - Four-letter chunk type
+ * @param {Array} parts - Byte arrays making up the data
+ * @returns {Uint8Array} - Length, type, data and CRC
+ */
+function chunk(type, parts) {
+    const length = parts.reduce((sum, part) => sum + part.length, 0);
+    const bytes = new Uint8Array(12 + length);
+    const view = new DataView(bytes.buffer);
+
+    view.setUint32(0, length);
+    bytes.set(latin1Bytes(type), 4);
+
+    let offset = 8;
+    parts.forEach(part => {
+        bytes.set(part, offset);
+        offset += part.length;
+    });
+
+    // The CRC covers the type and the data
+    view.setUint32(offset, crc32(bytes.subarray(4, offset)));
+
+    return bytes;
+}
+
+/**
+ * @param {string} text - Latin-1 text
+ * @returns {Uint8Array} - One byte per character
+ */
+function latin1Bytes(text) {
+    return Uint8Array.from(text, char => char.charCodeAt(0));
+}
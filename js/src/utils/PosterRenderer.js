@@ -0,0 +1,304 @@
+import { addPngText } from './PngText.js';
+import { formatRoute } from '../ui/Router.js';
+
+/**
+ * Poster renderer
+ * Renders a still far bigger than the canvas, up to 16K, in tiles: the camera's view offset
+ * (PerspectiveCamera.setViewOffset) narrows the view to one tile at a time, and the captured
+ * tiles are stitched together on a 2D canvas. Each tile is rendered with a margin that is cut
+ * off again, so effects that sample nearby pixels (chromatic aberration, space distortion) find
+ * real ones at the seams. Bloom comes from one render of the whole view, and vignette, grain and
+ * lensing are placed in the whole poster rather than the tile (see App.beginPoster).
+ *
+ * The scene holds still while the tiles render: the animation loop stops as for an export and
+ * the physics simulation is paused. The PNG carries the seed, camera and parameters as text
+ * (see PngText.js), with a link that reopens the same view.
+ */
+
+export const POSTER_FORMAT = { label: 'PNG poster (single image)', extension: 'png' };
+
+// Largest width or height
+export const MAX_POSTER_SIZE = 16384;
+
+// Largest area, 16K by 9K; browsers refuse canvases much bigger than this
+const MAX_POSTER_PIXELS = 16384 * 9216;
+
+// Largest tile, not counting its margin
+const TILE_SIZE = 2048;
+
+// Pixels rendered around each tile and cut off; more than chromatic aberration reaches at 16K
+const TILE_MARGIN = 64;
+
+// How long the paused physics simulation may take to settle (ms)
+const PHYSICS_TIMEOUT = 10000;
+
+export class PosterRenderer {
+    constructor(app) {
+        this.app = app;
+        this.active = false;
+        this.cancelled = false;
+    }
+
+    /**
+     * Render the current view as a poster
+     * The view, size and physics loop are restored afterwards, whether the poster finished,
+     * failed or was cancelled.
+     * @param {Object} options - width and height in pixels; onProgress(done, total) after each tile
+     * @returns {Promise<Blob>} - PNG with the parameters as text
+     */
+    render(options) {
+        if (this.active || (this.app.exporter && this.app.exporter.active)) {
+            return Promise.reject(new Error('An export is already running'));
+        }
+        if (this.app.recorder && this.app.recorder.state !== 'idle') {
+            return Promise.reject(new Error('Stop recording or replaying the session first'));
+        }
+
+        let settings;
+        try {
+            settings = normalizeOptions(options);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        const app = this.app;
+        const physics = app.physicsController;
+        const physicsWasRunning = Boolean(physics && physics.isRunning);
+        const pixelRatio = app.renderer ? app.renderer.getPixelRatio() : 1;
+        let text = null;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = settings.width;
+        canvas.height = settings.height;
+
+        this.active = true;
+        this.cancelled = false;
+
+        app.setExporting(true);
+        if (physics) physics.stop();
+
+        return this.settlePhysics()
+            .then(() => {
+                // Described before rendering, while nothing moves
+                text = this.describe(settings);
+
+                app.beginPoster(settings);
+                return this.renderTiles(settings, canvas.getContext('2d'));
+            })
+            .then(() => toBlob(canvas))
+            .then(blob => addPngText(blob, text))
+            .finally(() => {
+                this.active = false;
+
+                // Let go of the stitched image, which can be hundreds of megabytes
+                canvas.width = 0;
+                canvas.height = 0;
+
+                app.endPoster();
+                const viewport = app.getViewportSize();
+                app.setRenderSize(viewport.width, viewport.height, pixelRatio);
+                app.setExporting(false);
+                if (physics && physicsWasRunning) physics.start();
+            });
+    }
+
+    /**
+     * Stop the running poster after the tile in progress
+     */
+    cancel() {
+        if (this.active) this.cancelled = true;
+    }
+
+    /**
+     * Wait for physics updates already on their way, so the scene does not change between tiles
+     * An empty step is answered after every update before it.
+     * @returns {Promise} - Resolves once the simulation is quiet
+     */
+    settlePhysics() {
+        const physics = this.app.physicsController;
+        if (!physics || !physics.isInitialized) {
+            return Promise.resolve();
+        }
+
+        let timer = null;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error('The physics simulation stopped responding')), PHYSICS_TIMEOUT);
+        });
+
+        return Promise.race([physics.step(0), timeout]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * Render and stitch every tile in turn
+     * @param {Object} settings - Checked options
+     * @param {CanvasRenderingContext2D} context - Poster canvas
+     * @returns {Promise} - Resolves after the last tile
+     */
+    renderTiles(settings, context) {
+        const tiles = tileGrid(settings.width, settings.height);
+
+        const next = (index) => {
+            if (this.cancelled) {
+                return Promise.reject(new Error('Poster cancelled'));
+            }
+            if (index >= tiles.length) {
+                return Promise.resolve();
+            }
+
+            const { x, y, width, height } = tiles[index];
+            this.app.setPosterTile({
+                x: x - TILE_MARGIN,
+                y: y - TILE_MARGIN,
+                width: width + TILE_MARGIN * 2,
+                height: height + TILE_MARGIN * 2
+            });
+
+            return this.app.captureFrame()
+                .then(blob => createImageBitmap(blob, { premultiplyAlpha: 'none', colorSpaceConversion: 'none' }))
+                .then(bitmap => {
+                    context.drawImage(bitmap, TILE_MARGIN, TILE_MARGIN, width, height, x, y, width, height);
+                    bitmap.close();
+
+                    if (settings.onProgress) settings.onProgress(index + 1, tiles.length);
+                    return next(index + 1);
+                });
+        };
+
+        return next(0);
+    }
+
+    /**
+     * Text for the PNG: what was rendered, and a link back to it
+     * @param {Object} settings - Checked options
+     * @returns {Object} - PNG text keyword -> value
+     */
+    describe(settings) {
+        const app = this.app;
+        const camera = cameraPose(app);
+        const postProcessing = app.postProcessingManager;
+
+        const parameters = {
+            seed: app.seed,
+            width: settings.width,
+            height: settings.height,
+            time: Number(app.elapsedTime.toFixed(3)),
+            quality: app.config.devicePerformance,
+            camera,
+            blackHoleParams: app.blackHoleParams,
+            // Only known here when rendering on the main thread
+            effects: postProcessing && postProcessing.effectsEnabled
+                ? { enabled: postProcessing.effectsEnabled, params: postProcessing.effectParams }
+                : undefined
+        };
+
+        const source = app.router
+            ? formatRoute({ ...app.router.route, camera: camera || app.router.route.camera }, app.getSeedURL())
+            : app.getSeedURL();
+
+        return {
+            Title: 'Black hole',
+            Software: 'MicahOates.com',
+            'Creation Time': new Date().toUTCString(),
+            Source: source,
+            Parameters: JSON.stringify(parameters)
+        };
+    }
+}
+
+/**
+ * Check poster options
+ * The preview size is the poster shrunk to fit the window, the scale bloom is taken at.
+ * @param {Object} options - Options given to PosterRenderer.render
+ * @returns {Object} - width, height, previewWidth, previewHeight, onProgress
+ * @throws {Error} - If the size is out of range
+ */
+function normalizeOptions(options) {
+    const [width, height] = [options.width, options.height].map(value => Math.round(Number(value)));
+    if (!(width >= 16 && height >= 16 && width <= MAX_POSTER_SIZE && height <= MAX_POSTER_SIZE)) {
+        throw new Error(`Width and height must be between 16 and ${MAX_POSTER_SIZE}`);
+    }
+    if (width * height > MAX_POSTER_PIXELS) {
+        throw new Error(`A poster can have at most ${Math.round(MAX_POSTER_PIXELS / 1e6)} megapixels`);
+    }
+
+    const screenRatio = Math.min(window.devicePixelRatio || 1, 2);
+    const scale = Math.min(1, (window.innerWidth * screenRatio) / width, (window.innerHeight * screenRatio) / height);
+
+    return {
+        width,
+        height,
+        previewWidth: Math.max(1, Math.round(width * scale)),
+        previewHeight: Math.max(1, Math.round(height * scale)),
+        onProgress: options.onProgress || null
+    };
+}
+
+/**
+ * Split a poster into tiles of about equal size
+ * @param {number} width - Poster width
+ * @param {number} height - Poster height
+ * @returns {Array} - [{ x, y, width, height }] from the top left, row by row
+ */
+function tileGrid(width, height) {
+    const columns = Math.ceil(width / TILE_SIZE);
+    const rows = Math.ceil(height / TILE_SIZE);
+    const tiles = [];
+
+    for (let row = 0; row < rows; row++) {
+        const top = Math.round(row * height / rows);
+        const bottom = Math.round((row + 1) * height / rows);
+
+        for (let column = 0; column < columns; column++) {
+            const left = Math.round(column * width / columns);
+            const right = Math.round((column + 1) * width / columns);
+            tiles.push({ x: left, y: top, width: right - left, height: bottom - top });
+        }
+    }
+
+    return tiles;
+}
+
+/**
+ * Where the camera is and what it looks at
+ * With rendering in a worker only the router knows, from the last time the camera settled.
+ * @param {App} app - App
+ * @returns {Object|null} - { position, target, fov }, without fov from the router
+ */
+function cameraPose(app) {
+    const sceneManager = app.sceneManager;
+    if (!app.renderWorker && sceneManager && sceneManager.camera && sceneManager.controls) {
+        return {
+            position: sceneManager.camera.position.toArray().map(round),
+            target: sceneManager.controls.target.toArray().map(round),
+            fov: sceneManager.camera.fov
+        };
+    }
+
+    const camera = app.router && app.router.route.camera;
+    return camera ? { position: camera.position.slice(), target: camera.target.slice() } : null;
+}
+
+/**
+ * @param {number} value - Coordinate
+ * @returns {number} - Rounded to a thousandth
+ */
+function round(value) {
+    return Number(value.toFixed(3));
+}
+
+/**
+ * Encode a canvas as PNG
+ * @param {HTMLCanvasElement} canvas - Canvas
+ * @returns {Promise<Blob>} - PNG
+ */
+function toBlob(canvas) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error('The poster is too big for this browser to save'));
+            }
+        }, 'image/png');
+    });
+}
@@ -0,0 +1,132 @@
+/**
+ * Random
+ * Seeded pseudo-random numbers for everything that would otherwise call Math.random().
+ * The app owns one generator, seeded from the page URL (?seed=...) or a fresh seed, and each
+ * module draws from its own fork. A fork's sequence depends only on the seed, its label and
+ * how many forks of that label came before it, so adding randomness to one module does not
+ * shift the numbers every other module sees.
+ *
+ * The generator is mulberry32: 32 bits of state, fast, and good enough for visuals and
+ * initial conditions (not for anything security related).
+ */
+
+const SEED_PARAMETER = 'seed';
+
+export class Random {
+    /**
+     * @param {string|number} seed - Any string or number; the same seed gives the same sequence
+     */
+    constructor(seed = generateSeed()) {
+        this.seed = String(seed);
+        this.state = hashString(this.seed);
+        this.forkCounts = new Map();
+    }
+
+    /**
+     * Next number in the sequence
+     * @returns {number} - Uniform in [0, 1), a drop-in for Math.random()
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) | 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Uniform number in a range
+     * @param {number} min - Lower bound
+     * @param {number} max - Upper bound (exclusive)
+     * @returns {number} - Number in [min, max)
+     */
+    range(min, max) {
+        return min + (max - min) * this.next();
+    }
+
+    /**
+     * Uniform integer below a bound
+     * @param {number} count - Number of possible values
+     * @returns {number} - Integer in [0, count)
+     */
+    int(count) {
+        return Math.floor(this.next() * count);
+    }
+
+    /**
+     * Random element of an array
+     * @param {Array} array - Candidates
+     * @returns {*} - One of the elements, or undefined for an empty array
+     */
+    pick(array) {
+        return array[this.int(array.length)];
+    }
+
+    /**
+     * Independent generator for one consumer
+     * Forks with the same label are numbered in creation order, so two BlackHole instances
+     * get different, but still reproducible, sequences.
+     * @param {string} label - Consumer name, e.g. the module's class name
+     * @returns {Random} - Generator seeded from this seed and the label
+     */
+    fork(label) {
+        const count = this.forkCounts.get(label) || 0;
+        this.forkCounts.set(label, count + 1);
+        return new Random(`${this.seed}/${label}/${count}`);
+    }
+}
+
+/**
+ * 32-bit FNV-1a hash of a string, used to turn seeds into generator state
+ * @param {string} text - Input
+ * @returns {number} - Unsigned 32-bit hash
+ */
+export function hashString(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Fresh seed for a session that did not ask for one
+ * @returns {string} - Eight base-36 characters, short enough to read out in a bug report
+ */
+export function generateSeed() {
+    const values = new Uint32Array(2);
+    if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+        crypto.getRandomValues(values);
+    } else {
+        values[0] = Date.now();
+        values[1] = Math.random() * 4294967296;
+    }
+    return (values[0].toString(36) + values[1].toString(36)).slice(0, 8).padStart(8, '0');
+}
+
+/**
+ * Seed requested by the page URL
+ * @param {string} url - Page URL (defaults to the current location)
+ * @returns {string|null} - The ?seed= value, or null when there is none
+ */
+export function seedFromURL(url = window.location.href) {
+    try {
+        return new URL(url).searchParams.get(SEED_PARAMETER) || null;
+    } catch (error) {
+        console.warn('Could not read seed from URL:', error);
+        return null;
+    }
+}
+
+/**
+ * Link that reopens the page with a given seed
+ * @param {string} seed - Seed to share
+ * @param {string} url - Page URL (defaults to the current location)
+ * @returns {string} - URL with ?seed= set
+ */
+export function seedURL(seed, url = window.location.href) {
+    const link = new URL(url);
+    link.searchParams.set(SEED_PARAMETER, seed);
+    return link.toString();
+}
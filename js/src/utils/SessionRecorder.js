@@ -0,0 +1,559 @@
+import { seedURL } from './Random.js';
+import { downloadBlob } from './Download.js';
+
+/**
+ * Session Recorder
+ * Records a session so it can be replayed frame for frame, for bug reports and for
+ * regression-testing the physics. A recording holds:
+ * - the seed, so every seeded generator (see Random.js) starts where it did,
+ * - the delta of every rendered frame, which drives the app clock on replay,
+ * - trusted DOM input events, each tagged with the frame it arrived before,
+ * - the command stream sent to the physics simulation (see PhysicsController), and
+ * - a checksum of every physics update, so a replay can report where it diverged.
+ *
+ * Recording starts from a fresh page load (?record=1) because replay has to start from the
+ * same state. Replays are handed across the reload in sessionStorage and started with
+ * ?replay=1; live input is swallowed until the recording runs out. Touch input is not
+ * recorded since synthetic touch events cannot be constructed everywhere.
+ */
+
+export const RECORDING_VERSION = 1;
+
+const RECORD_PARAMETER = 'record';
+const REPLAY_PARAMETER = 'replay';
+const STORAGE_KEY = 'blackhole-session-replay';
+
+// DOM events worth replaying; pointer and mouse moves are kept to the last one per frame
+const INPUT_EVENTS = [
+    'pointerdown', 'pointermove', 'pointerup',
+    'mousedown', 'mousemove', 'mouseup', 'click', 'wheel',
+    'keydown', 'keyup', 'input', 'focusin', 'focusout'
+];
+const COALESCED_EVENTS = new Set(['pointermove', 'mousemove']);
+
+export class SessionRecorder {
+    constructor(app) {
+        this.app = app;
+        this.state = 'idle'; // 'idle', 'recording' or 'replaying'
+        this.recording = null;
+        this.frame = 0;
+        this.recordedSettings = null; // JSON of the last step settings written
+
+        // Replay cursors
+        this.eventIndex = 0;
+        this.physicsIndex = 0;
+        this.checksumIndex = 0;
+        this.replaySettings = {};
+        this.divergence = null;
+
+        this.handleInput = this.onInput.bind(this);
+    }
+
+    /**
+     * Start recording or replaying if the page URL asks for it
+     * @param {string} seed - Seed of this session
+     */
+    init(seed) {
+        const params = new URLSearchParams(window.location.search);
+
+        if (params.has(REPLAY_PARAMETER)) {
+            const recording = this.loadPendingReplay();
+            if (recording && recording.seed === seed) {
+                this.startReplay(recording);
+            } else {
+                console.warn('No stored recording matches this seed; running live');
+            }
+        } else if (params.has(RECORD_PARAMETER)) {
+            this.startRecording(seed);
+        }
+    }
+
+    /**
+     * Begin a new recording
+     * @param {string} seed - Seed of this session
+     */
+    startRecording(seed) {
+        this.recording = {
+            version: RECORDING_VERSION,
+            seed,
+            createdAt: new Date().toISOString(),
+            viewport: { width: window.innerWidth, height: window.innerHeight },
+            frames: [],
+            events: [],
+            physics: [],
+            checksums: []
+        };
+        this.frame = 0;
+        this.recordedSettings = null;
+        this.state = 'recording';
+        INPUT_EVENTS.forEach(type => window.addEventListener(type, this.handleInput, { capture: true, passive: true }));
+        console.log(`Recording session with seed ${seed}`);
+    }
+
+    /**
+     * Stop recording
+     * @returns {Object|null} - The finished recording
+     */
+    stopRecording() {
+        if (this.state !== 'recording') return null;
+
+        this.removeInputListeners();
+        this.state = 'idle';
+        console.log(`Recorded ${this.recording.frames.length} frames, ${this.recording.events.length} input events and ${this.recording.checksums.length} physics updates`);
+        return this.recording;
+    }
+
+    /**
+     * Begin replaying a recording in this (freshly loaded) session
+     * @param {Object} recording - Recording from a previous session
+     */
+    startReplay(recording) {
+        this.recording = recording;
+        this.frame = 0;
+        this.eventIndex = 0;
+        this.physicsIndex = 0;
+        this.checksumIndex = 0;
+        this.replaySettings = {};
+        this.divergence = null;
+        this.state = 'replaying';
+
+        // Live input would steer the replay off course; Escape ends the replay instead
+        INPUT_EVENTS.forEach(type => window.addEventListener(type, this.handleInput, { capture: true }));
+
+        const { width, height } = recording.viewport;
+        if (width !== window.innerWidth || height !== window.innerHeight) {
+            console.warn(`Recording was made at ${width}×${height}; pointer input may land differently at ${window.innerWidth}×${window.innerHeight}`);
+        }
+        console.log(`Replaying ${recording.frames.length} frames with seed ${recording.seed}`);
+    }
+
+    /**
+     * End a replay and hand control back to the user
+     */
+    stopReplay() {
+        if (this.state !== 'replaying') return;
+
+        this.removeInputListeners();
+        this.state = 'idle';
+
+        if (this.divergence) {
+            console.warn(`Replay finished; physics diverged at update ${this.divergence.sequence}`);
+        } else {
+            console.log(`Replay finished after ${this.frame} frames; physics matched the recording`);
+        }
+    }
+
+    /**
+     * Remove the capture listeners used while recording or replaying
+     */
+    removeInputListeners() {
+        INPUT_EVENTS.forEach(type => window.removeEventListener(type, this.handleInput, true));
+    }
+
+    /**
+     * @returns {boolean} - True while a recording is being made
+     */
+    get isRecording() {
+        return this.state === 'recording';
+    }
+
+    /**
+     * @returns {boolean} - True while a recording is being played back
+     */
+    get isReplaying() {
+        return this.state === 'replaying';
+    }
+
+    /**
+     * Start a frame: record its delta, or replay the input and delta recorded for it
+     * @param {number} delta - Live frame delta in seconds
+     * @returns {number} - Delta the app clock should advance by
+     */
+    beginFrame(delta) {
+        if (this.state === 'recording') {
+            this.recording.frames.push(delta);
+            this.frame++;
+            return delta;
+        }
+
+        if (this.state === 'replaying') {
+            if (this.frame >= this.recording.frames.length) {
+                this.stopReplay();
+                return delta;
+            }
+
+            this.dispatchRecordedEvents(this.frame);
+            return this.recording.frames[this.frame++];
+        }
+
+        this.frame++;
+        return delta;
+    }
+
+    /**
+     * Capture-phase handler for input events
+     * @param {Event} event - DOM event
+     */
+    onInput(event) {
+        if (!event.isTrusted) return;
+
+        if (this.state === 'replaying') {
+            if (event.type === 'keydown' && event.key === 'Escape') {
+                this.stopReplay();
+            }
+            event.stopImmediatePropagation();
+            return;
+        }
+
+        if (this.state === 'recording') {
+            this.recordEvent(event);
+        }
+    }
+
+    /**
+     * Append an input event to the recording
+     * @param {Event} event - Trusted DOM event
+     */
+    recordEvent(event) {
+        const entry = {
+            frame: this.frame,
+            type: event.type,
+            target: describeTarget(event.target),
+            data: eventData(event)
+        };
+
+        // Only the last move before a frame matters to anything that reads it on update
+        const events = this.recording.events;
+        const last = events[events.length - 1];
+        if (last && COALESCED_EVENTS.has(entry.type) && last.type === entry.type && last.frame === entry.frame) {
+            events[events.length - 1] = entry;
+            return;
+        }
+        events.push(entry);
+    }
+
+    /**
+     * Re-dispatch the input recorded before a frame
+     * @param {number} frame - Frame index
+     */
+    dispatchRecordedEvents(frame) {
+        const events = this.recording.events;
+
+        while (this.eventIndex < events.length && events[this.eventIndex].frame <= frame) {
+            const entry = events[this.eventIndex++];
+            const target = resolveTarget(entry.target);
+            if (!target) {
+                console.warn(`Replay: no element matches ${entry.target} for ${entry.type}`);
+                continue;
+            }
+
+            try {
+                dispatchEvent(target, entry);
+            } catch (error) {
+                console.error(`Replay: failed to dispatch ${entry.type}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Record a command sent to the physics simulation
+     * Time steps are stored as { type: 'step', dt }, preceded by a 'settings' entry whenever
+     * the settings sent along with them change, which keeps long recordings small.
+     * @param {Object} command - { type, data } worker message (see PhysicsController.sendCommand)
+     */
+    recordPhysics({ type, data }) {
+        if (this.state !== 'recording') return;
+
+        const physics = this.recording.physics;
+        if (type !== 'update' || !(data.dt > 0)) {
+            physics.push(data === undefined ? { type } : { type, data });
+            return;
+        }
+
+        const { dt, ...settings } = data;
+        const key = JSON.stringify(settings);
+        if (key !== this.recordedSettings) {
+            this.recordedSettings = key;
+            physics.push({ type: 'settings', data: settings });
+        }
+        physics.push({ type: 'step', dt });
+    }
+
+    /**
+     * @returns {boolean} - True while recorded physics commands remain to be replayed
+     */
+    get isReplayingPhysics() {
+        return this.state === 'replaying' && this.physicsIndex < this.recording.physics.length;
+    }
+
+    /**
+     * Recorded physics commands up to and including the next time step
+     * @returns {Array} - Worker messages ({ type, data }) for one simulation tick; empty when none are left
+     */
+    nextPhysicsTick() {
+        const commands = [];
+        if (!this.isReplayingPhysics) return commands;
+
+        const physics = this.recording.physics;
+        while (this.physicsIndex < physics.length) {
+            const command = physics[this.physicsIndex++];
+
+            if (command.type === 'settings') {
+                this.replaySettings = command.data;
+            } else if (command.type === 'step') {
+                commands.push({ type: 'update', data: { ...this.replaySettings, dt: command.dt } });
+                break;
+            } else {
+                commands.push(command);
+            }
+        }
+        return commands;
+    }
+
+    /**
+     * Recorded command that started the simulation, if replaying one
+     * @returns {Object|null} - The recorded init command ({ type, data })
+     */
+    takeRecordedInit() {
+        if (!this.isReplayingPhysics) return null;
+
+        const command = this.recording.physics[this.physicsIndex];
+        if (command.type !== 'init') return null;
+        this.physicsIndex++;
+        return command;
+    }
+
+    /**
+     * Record or check the particle state after a physics update
+     * @param {Object} update - Simulation update ({ sequence, buffer, count, layout })
+     */
+    recordPhysicsState(update) {
+        if (this.state === 'idle') return;
+
+        const checksum = checksumParticles(update.buffer, update.count, update.layout.stride);
+
+        if (this.state === 'recording') {
+            this.recording.checksums.push([update.sequence, update.count, checksum]);
+            return;
+        }
+
+        const expected = this.recording.checksums[this.checksumIndex++];
+        if (!expected || this.divergence) return;
+
+        if (expected[0] !== update.sequence || expected[1] !== update.count || expected[2] !== checksum) {
+            this.divergence = { sequence: update.sequence, frame: this.frame, expected, actual: [update.sequence, update.count, checksum] };
+            console.warn(`Replay diverged at physics update ${update.sequence} (frame ${this.frame}): expected ${expected[1]} particles #${expected[2]}, got ${update.count} #${checksum}`);
+        }
+    }
+
+    /**
+     * Save the recording as a JSON file
+     * @param {Object} recording - Recording (defaults to the current one)
+     */
+    download(recording = this.recording) {
+        if (!recording) {
+            console.warn('No recording to download');
+            return;
+        }
+
+        const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+        downloadBlob(blob, `session-${recording.seed}.json`);
+    }
+
+    /**
+     * Replay a recording: store it for the next page load and reload with its seed
+     * @param {Object|string} recording - Recording object or its JSON
+     * @returns {boolean} - False if the recording could not be used
+     */
+    replay(recording) {
+        try {
+            const parsed = typeof recording === 'string' ? JSON.parse(recording) : recording;
+            if (!parsed || parsed.version !== RECORDING_VERSION) {
+                console.error(`Unsupported recording version ${parsed && parsed.version}, expected ${RECORDING_VERSION}`);
+                return false;
+            }
+
+            sessionStorage.setItem(STORAGE_KEY, JSON.stringify(parsed));
+
+            const url = new URL(seedURL(parsed.seed));
+            url.searchParams.delete(RECORD_PARAMETER);
+            url.searchParams.set(REPLAY_PARAMETER, '1');
+            window.location.assign(url.toString());
+            return true;
+        } catch (error) {
+            console.error('Failed to start replay:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Reload this page as a fresh recording with the current seed
+     * @param {string} seed - Seed to record with
+     */
+    recordFromStart(seed) {
+        const url = new URL(seedURL(seed));
+        url.searchParams.delete(REPLAY_PARAMETER);
+        url.searchParams.set(RECORD_PARAMETER, '1');
+        window.location.assign(url.toString());
+    }
+
+    /**
+     * Take the recording stored by replay()
+     * @returns {Object|null} - Recording, or null if there is none
+     */
+    loadPendingReplay() {
+        try {
+            const stored = sessionStorage.getItem(STORAGE_KEY);
+            sessionStorage.removeItem(STORAGE_KEY);
+            return stored ? JSON.parse(stored) : null;
+        } catch (error) {
+            console.error('Failed to load recording:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Clean up resources and event listeners
+     */
+    dispose() {
+        this.removeInputListeners();
+        this.state = 'idle';
+        this.recording = null;
+    }
+}
+
+/**
+ * FNV-1a checksum over the raw bits of the particle records
+ * @param {Float32Array} buffer - Particle buffer
+ * @param {number} count - Number of particles
+ * @param {number} stride - Floats per particle
+ * @returns {number} - Unsigned 32-bit checksum
+ */
+export function checksumParticles(buffer, count, stride) {
+    const words = new Uint32Array(buffer.buffer, buffer.byteOffset, count * stride);
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < words.length; i++) {
+        hash ^= words[i];
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Selector that finds an event target again on replay
+ * Elements with an id are found by id; the rest by their child path from the nearest one.
+ * @param {EventTarget} target - Event target
+ * @returns {string} - 'window', 'document' or a CSS selector
+ */
+function describeTarget(target) {
+    if (target === window) return 'window';
+    if (target === document || !(target instanceof Element)) return 'document';
+
+    const path = [];
+    let element = target;
+    while (element && element !== document.documentElement) {
+        if (element.id) {
+            path.unshift(`#${CSS.escape(element.id)}`);
+            return path.join(' > ');
+        }
+
+        const parent = element.parentElement;
+        const index = parent ? Array.prototype.indexOf.call(parent.children, element) + 1 : 1;
+        path.unshift(`${element.tagName.toLowerCase()}:nth-child(${index})`);
+        element = parent;
+    }
+    path.unshift('html');
+    return path.join(' > ');
+}
+
+/**
+ * Find a recorded event target
+ * @param {string} selector - Selector from describeTarget
+ * @returns {EventTarget|null} - The target, or null if it no longer exists
+ */
+function resolveTarget(selector) {
+    if (selector === 'window') return window;
+    if (selector === 'document') return document;
+    return document.querySelector(selector);
+}
+
+/**
+ * The parts of an event that listeners in this app read
+ * @param {Event} event - DOM event
+ * @returns {Object} - Serializable event properties
+ */
+function eventData(event) {
+    const data = {};
+
+    if (event instanceof MouseEvent) {
+        Object.assign(data, {
+            clientX: event.clientX,
+            clientY: event.clientY,
+            button: event.button,
+            buttons: event.buttons
+        });
+    }
+    if (typeof PointerEvent !== 'undefined' && event instanceof PointerEvent) {
+        Object.assign(data, {
+            pointerId: event.pointerId,
+            pointerType: event.pointerType,
+            isPrimary: event.isPrimary
+        });
+    }
+    if (event instanceof WheelEvent) {
+        Object.assign(data, { deltaX: event.deltaX, deltaY: event.deltaY, deltaMode: event.deltaMode });
+    }
+    if (event instanceof KeyboardEvent) {
+        Object.assign(data, { key: event.key, code: event.code, repeat: event.repeat });
+    }
+    if (event instanceof KeyboardEvent || event instanceof MouseEvent) {
+        Object.assign(data, {
+            shiftKey: event.shiftKey,
+            ctrlKey: event.ctrlKey,
+            altKey: event.altKey,
+            metaKey: event.metaKey
+        });
+    }
+    if (event.type === 'input' && 'value' in event.target) {
+        data.value = event.target.value;
+    }
+
+    return data;
+}
+
+/**
+ * Dispatch a recorded event on its target
+ * Focus changes and typed values cannot be replayed by events alone, so they are applied directly.
+ * @param {EventTarget} target - Event target
+ * @param {Object} entry - Recorded event
+ */
+function dispatchEvent(target, entry) {
+    const { type, data } = entry;
+    const init = { ...data, bubbles: true, cancelable: true, composed: true, view: window };
+
+    switch (type) {
+        case 'focusin':
+            if (target.focus) target.focus();
+            return;
+        case 'focusout':
+            if (target.blur) target.blur();
+            return;
+        case 'input':
+            target.value = data.value;
+            target.dispatchEvent(new Event('input', { bubbles: true }));
+            return;
+        case 'keydown':
+        case 'keyup':
+            target.dispatchEvent(new KeyboardEvent(type, init));
+            return;
+        case 'wheel':
+            target.dispatchEvent(new WheelEvent(type, init));
+            return;
+        default:
+            if (type.startsWith('pointer') && typeof PointerEvent !== 'undefined') {
+                target.dispatchEvent(new PointerEvent(type, init));
+            } else {
+                target.dispatchEvent(new MouseEvent(type, init));
+            }
+    }
+}
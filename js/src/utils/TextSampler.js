@@ -0,0 +1,172 @@
+/**
+ * Text sampler
+ * Rasterises text on a scratch canvas in the system fonts (nothing is fetched) and picks points
+ * inside the glyphs, so particles can spell the text out. Works on the page and in the render
+ * worker, where document.createElement('canvas') gives an OffscreenCanvas.
+ */
+
+const FONT_SIZE = 48; // px per em; the sampling resolution
+const FONT = `bold ${FONT_SIZE}px system-ui, -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif`;
+const LINE_HEIGHT = 1.2; // ems
+const PADDING = 4; // px around the text, so antialiased edges are not cut off
+const MAX_LINE_LENGTH = 24; // Characters before wrapping at a space
+const MAX_LINES = 4; // Longer text is cut off with an ellipsis
+const COVERAGE_THRESHOLD = 128; // Alpha at which a pixel counts as inside a glyph
+
+/**
+ * Points inside the glyphs of a text
+ * Every filled pixel is used once, in random order, before any is used again, so the points
+ * cover the letters evenly however many are asked for.
+ * @param {string} text - Text to draw
+ * @param {number} count - Number of points
+ * @param {Random} random - Random source (see Random.js)
+ * @returns {Object|null} - { points: [x, y, x, y, ...], width, height } in ems, centred on the
+ *     text with y up; null if the text draws nothing or there is no 2D canvas
+ */
+export function sampleText(text, count, random) {
+    const lines = wrapLines(text, MAX_LINE_LENGTH, MAX_LINES);
+    if (lines.length === 0 || count <= 0) return null;
+
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    if (!context) return null;
+
+    context.font = FONT;
+    const textWidth = Math.max(...lines.map(line => context.measureText(line).width));
+    const lineHeight = FONT_SIZE * LINE_HEIGHT;
+    const width = Math.ceil(textWidth) + 2 * PADDING;
+    const height = Math.ceil(lines.length * lineHeight) + 2 * PADDING;
+
+    // Resizing resets the context, so the font is set again
+    canvas.width = width;
+    canvas.height = height;
+    context.font = FONT;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillStyle = '#fff';
+    lines.forEach((line, i) => context.fillText(line, width / 2, PADDING + (i + 0.5) * lineHeight));
+
+    const filled = filledPixels(context.getImageData(0, 0, width, height));
+    const pixelCount = filled.length / 2;
+    if (pixelCount === 0) return null;
+
+    const order = shuffledIndices(Math.min(count, pixelCount), pixelCount, random);
+    const points = new Array(count * 2);
+
+    for (let i = 0; i < count; i++) {
+        // The pixel centre the first time round, anywhere inside it after that
+        const pixel = order[i % order.length];
+        const x = filled[pixel * 2] + (i < order.length ? 0.5 : random.next());
+        const y = filled[pixel * 2 + 1] + (i < order.length ? 0.5 : random.next());
+
+        points[i * 2] = (x - width / 2) / FONT_SIZE;
+        points[i * 2 + 1] = (height / 2 - y) / FONT_SIZE;
+    }
+
+    return {
+        points,
+        width: textWidth / FONT_SIZE,
+        height: lines.length * LINE_HEIGHT
+    };
+}
+
+/**
+ * Place sampled text in the scene
+ * @param {Object} sample - Result of sampleText
+ * @param {Object} frame - { center, right, up } as arrays; right and up are unit vectors
+ * @param {Object} size - { width, em }: the widest the text may be and the largest an em may be
+ * @returns {Array} - Positions [x, y, z, ...], one per point
+ */
+export function layoutText({ points, width }, { center, right, up }, size) {
+    const scale = Math.min(size.em, size.width / Math.max(width, 1e-6));
+    const positions = new Array((points.length / 2) * 3);
+
+    for (let i = 0; i < points.length / 2; i++) {
+        const x = points[i * 2] * scale;
+        const y = points[i * 2 + 1] * scale;
+
+        for (let axis = 0; axis < 3; axis++) {
+            positions[i * 3 + axis] = center[axis] + right[axis] * x + up[axis] * y;
+        }
+    }
+
+    return positions;
+}
+
+/**
+ * Break text into lines at spaces
+ * Words longer than a line are split; lines past the limit are dropped and the last one kept
+ * ends in an ellipsis.
+ * @param {string} text - Text
+ * @param {number} maxLength - Characters per line
+ * @param {number} maxLines - Most lines kept
+ * @returns {Array} - Lines
+ */
+export function wrapLines(text, maxLength, maxLines) {
+    const lines = [];
+    let line = '';
+
+    text.trim().split(/\s+/).filter(Boolean).forEach(word => {
+        while (word.length > maxLength) {
+            if (line) lines.push(line);
+            lines.push(word.slice(0, maxLength));
+            word = word.slice(maxLength);
+            line = '';
+        }
+
+        if (!line) {
+            line = word;
+        } else if (line.length + 1 + word.length <= maxLength) {
+            line += ` ${word}`;
+        } else {
+            lines.push(line);
+            line = word;
+        }
+    });
+    if (line) lines.push(line);
+
+    if (lines.length > maxLines) {
+        lines.length = maxLines;
+        lines[maxLines - 1] = `${lines[maxLines - 1].slice(0, maxLength - 1)}…`;
+    }
+
+    return lines;
+}
+
+/**
+ * Coordinates of the pixels drawn over
+ * @param {ImageData} image - Rendered text
+ * @returns {Array} - [x, y, x, y, ...] in pixels
+ */
+function filledPixels({ data, width, height }) {
+    const filled = [];
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (data[(y * width + x) * 4 + 3] >= COVERAGE_THRESHOLD) {
+                filled.push(x, y);
+            }
+        }
+    }
+
+    return filled;
+}
+
+/**
+ * The first entries of a random permutation of 0..total-1 (partial Fisher-Yates)
+ * @param {number} count - Entries wanted
+ * @param {number} total - Size of the permutation
+ * @param {Random} random - Random source
+ * @returns {Array} - count distinct indices
+ */
+function shuffledIndices(count, total, random) {
+    const indices = Array.from({ length: total }, (_, i) => i);
+
+    for (let i = 0; i < count; i++) {
+        const j = i + random.int(total - i);
+        [indices[i], indices[j]] = [indices[j], indices[i]];
+    }
+
+    indices.length = count;
+    return indices;
+}
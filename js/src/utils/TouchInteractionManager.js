@@ -7,6 +7,7 @@ import * as THREE from 'three';
 export class TouchInteractionManager {
     constructor(app) {
         this.app = app;
+        this.random = app.random.fork('TouchInteractionManager');
         
         // Touch state
         this.touchStartPosition = { x: 0, y: 0 };
@@ -515,13 +516,13 @@ export class TouchInteractionManager {
             }
             
             // Random size for variety
-            const size = 2 + Math.random() * 4;
+            const size = 2 + this.random.next() * 4;
             particle.style.width = `${size}px`;
             particle.style.height = `${size}px`;
             
             // Random position around touch point
-            const offsetRadius = 15 + Math.random() * 30;
-            const angle = Math.random() * Math.PI * 2;
+            const offsetRadius = 15 + this.random.next() * 30;
+            const angle = this.random.next() * Math.PI * 2;
             const offsetX = Math.cos(angle) * offsetRadius;
             const offsetY = Math.sin(angle) * offsetRadius;
             
@@ -529,7 +530,7 @@ export class TouchInteractionManager {
             particle.style.top = `${y + offsetY}px`;
             
             // Calculate final movement based on black hole center
-            const moveDistance = 100 + Math.random() * 150;
+            const moveDistance = 100 + this.random.next() * 150;
             const moveX = normX * moveDistance;
             const moveY = normY * moveDistance;
             
@@ -538,16 +539,16 @@ export class TouchInteractionManager {
             particle.style.setProperty('--moveY', `${moveY}px`);
             
             // Add color variation for visual interest
-            const hue = 250 + Math.random() * 30; // Purple to blue range
-            const lightness = 60 + Math.random() * 20;
+            const hue = 250 + this.random.next() * 30; // Purple to blue range
+            const lightness = 60 + this.random.next() * 20;
             particle.style.background = `hsla(${hue}, 80%, ${lightness}%, 0.8)`;
             
             // Randomize animation duration
-            const duration = 1 + Math.random() * 0.5;
+            const duration = 1 + this.random.next() * 0.5;
             particle.style.animationDuration = `${duration}s`;
             
             // Add delay for staggered effect
-            const delay = Math.random() * 0.3;
+            const delay = this.random.next() * 0.3;
             particle.style.animationDelay = `${delay}s`;
             
             // Add to DOM if new particle
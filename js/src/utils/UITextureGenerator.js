@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { Random } from './Random.js';
 
 /**
  * Utility class to generate textures for UI elements
@@ -8,9 +9,10 @@ export class UITextureGenerator {
      * Generate a texture for data fragments
      * @param {string} type - Type of fragment ('code', 'data', 'image', 'text')
      * @param {number} size - Texture size
+     * @param {Random} random - Seeded generator (see Random.js)
      * @returns {THREE.Texture} - Generated texture
      */
-    static generateFragmentTexture(type = 'data', size = 64) {
+    static generateFragmentTexture(type = 'data', size = 64, random = new Random()) {
         // Create canvas
         const canvas = document.createElement('canvas');
         canvas.width = size;
@@ -23,17 +25,17 @@ export class UITextureGenerator {
         // Draw based on type
         switch (type) {
             case 'code':
-                this.drawCodeFragment(ctx, size);
+                this.drawCodeFragment(ctx, size, random);
                 break;
             case 'image':
-                this.drawImageFragment(ctx, size);
+                this.drawImageFragment(ctx, size, random);
                 break;
             case 'text':
-                this.drawTextFragment(ctx, size);
+                this.drawTextFragment(ctx, size, random);
                 break;
             case 'data':
             default:
-                this.drawDataFragment(ctx, size);
+                this.drawDataFragment(ctx, size, random);
                 break;
         }
         
@@ -131,7 +133,7 @@ export class UITextureGenerator {
      * Draw a code fragment
      * @private
      */
-    static drawCodeFragment(ctx, size) {
+    static drawCodeFragment(ctx, size, random) {
         // Background
         ctx.fillStyle = 'rgba(40, 40, 60, 0.9)';
         this.roundRect(ctx, 0, 0, size, size, size / 8);
@@ -145,7 +147,7 @@ export class UITextureGenerator {
         
         for (let i = 0; i < lineCount; i++) {
             const y = lineSpacing * (i + 1);
-            const lineLength = lineWidth * (0.5 + Math.random() * 0.5);
+            const lineLength = lineWidth * (0.5 + random.next() * 0.5);
             const height = lineSpacing * 0.6;
             
             this.roundRect(ctx, size * 0.1, y, lineLength, height, height / 4);
@@ -163,7 +165,7 @@ export class UITextureGenerator {
      * Draw a data fragment
      * @private
      */
-    static drawDataFragment(ctx, size) {
+    static drawDataFragment(ctx, size, random) {
         // Background
         ctx.fillStyle = 'rgba(40, 60, 40, 0.9)';
         this.roundRect(ctx, 0, 0, size, size, size / 8);
@@ -173,8 +175,8 @@ export class UITextureGenerator {
         
         for (let x = 0; x < 6; x++) {
             for (let y = 0; y < 6; y++) {
-                if (Math.random() > 0.6) {
-                    const brightness = 100 + Math.floor(Math.random() * 155);
+                if (random.next() > 0.6) {
+                    const brightness = 100 + Math.floor(random.next() * 155);
                     ctx.fillStyle = `rgba(${brightness}, 255, ${brightness}, 0.9)`;
                     this.roundRect(
                         ctx, 
@@ -193,7 +195,7 @@ export class UITextureGenerator {
      * Draw an image fragment
      * @private
      */
-    static drawImageFragment(ctx, size) {
+    static drawImageFragment(ctx, size, random) {
         // Background
         ctx.fillStyle = 'rgba(60, 40, 60, 0.9)';
         this.roundRect(ctx, 0, 0, size, size, size / 8);
@@ -221,7 +223,7 @@ export class UITextureGenerator {
      * Draw a text fragment
      * @private
      */
-    static drawTextFragment(ctx, size) {
+    static drawTextFragment(ctx, size, random) {
         // Background
         ctx.fillStyle = 'rgba(60, 60, 40, 0.9)';
         this.roundRect(ctx, 0, 0, size, size, size / 8);
@@ -235,7 +237,7 @@ export class UITextureGenerator {
         
         for (let i = 0; i < lineCount; i++) {
             const y = lineSpacing * (i + 1);
-            const lineLength = lineWidth * (0.6 + Math.random() * 0.4);
+            const lineLength = lineWidth * (0.6 + random.next() * 0.4);
             const height = lineSpacing * 0.6;
             
             this.roundRect(ctx, size * 0.1, y, lineLength, height, height / 4);
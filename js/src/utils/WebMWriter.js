@@ -0,0 +1,294 @@
+/**
+ * WebM writer
+ * Puts VP8 or VP9 frames from a WebCodecs VideoEncoder into a WebM file, with the timestamps
+ * the encoder was given rather than when the frames happened to arrive. The file is assembled
+ * in memory once every frame is in, so it can carry its duration and cues (the index players
+ * seek with):
+ *
+ *   EBML header
+ *   Segment
+ *     SeekHead  - Where Info, Tracks and Cues are
+ *     Info      - Millisecond timestamps and the duration
+ *     Tracks    - One video track
+ *     Cluster*  - One per keyframe: its time, then SimpleBlocks relative to it
+ *     Cues      - Each cluster's time and position
+ */
+
+// Element IDs (Matroska specification)
+const EBML = 0x1A45DFA3;
+const EBML_VERSION = 0x4286;
+const EBML_READ_VERSION = 0x42F7;
+const EBML_MAX_ID_LENGTH = 0x42F2;
+const EBML_MAX_SIZE_LENGTH = 0x42F3;
+const DOC_TYPE = 0x4282;
+const DOC_TYPE_VERSION = 0x4287;
+const DOC_TYPE_READ_VERSION = 0x4285;
+const SEGMENT = 0x18538067;
+const SEEK_HEAD = 0x114D9B74;
+const SEEK = 0x4DBB;
+const SEEK_ID = 0x53AB;
+const SEEK_POSITION = 0x53AC;
+const INFO = 0x1549A966;
+const TIMECODE_SCALE = 0x2AD7B1;
+const MUXING_APP = 0x4D80;
+const WRITING_APP = 0x5741;
+const DURATION = 0x4489;
+const TRACKS = 0x1654AE6B;
+const TRACK_ENTRY = 0xAE;
+const TRACK_NUMBER = 0xD7;
+const TRACK_UID = 0x73C5;
+const TRACK_TYPE = 0x83;
+const CODEC_ID = 0x86;
+const DEFAULT_DURATION = 0x23E383;
+const VIDEO = 0xE0;
+const PIXEL_WIDTH = 0xB0;
+const PIXEL_HEIGHT = 0xBA;
+const CLUSTER = 0x1F43B675;
+const TIMECODE = 0xE7;
+const SIMPLE_BLOCK = 0xA3;
+const CUES = 0x1C53BB6B;
+const CUE_POINT = 0xBB;
+const CUE_TIME = 0xB3;
+const CUE_TRACK_POSITIONS = 0xB7;
+const CUE_TRACK = 0xF7;
+const CUE_CLUSTER_POSITION = 0xF1;
+
+// Matroska codec IDs for the WebCodecs codec strings this writes
+const CODEC_IDS = { vp8: 'V_VP8', vp09: 'V_VP9' };
+
+// Block timestamps are 16-bit offsets from their cluster's
+const MAX_CLUSTER_SPAN = 32767; // ms
+
+export class WebMWriter {
+    /**
+     * @param {Object} options - { codec (WebCodecs string, e.g. 'vp8' or 'vp09.00.10.08'), width, height, fps }
+     */
+    constructor({ codec, width, height, fps }) {
+        this.codecId = CODEC_IDS[codec.split('.')[0]];
+        if (!this.codecId) {
+            throw new Error(`WebM cannot hold ${codec}`);
+        }
+
+        this.width = width;
+        this.height = height;
+        this.fps = fps;
+        this.clusters = []; // { time, blocks: [parts] }
+        this.end = 0; // ms after the last frame
+    }
+
+    /**
+     * Add an encoded frame, in decode order
+     * @param {EncodedVideoChunk} chunk - Frame from the VideoEncoder output callback
+     */
+    addChunk(chunk) {
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+
+        const time = Math.round(chunk.timestamp / 1000);
+        const keyframe = chunk.type === 'key';
+        let cluster = this.clusters[this.clusters.length - 1];
+
+        if (!cluster || keyframe || time - cluster.time > MAX_CLUSTER_SPAN) {
+            if (!cluster && !keyframe) {
+                throw new Error('The first frame must be a keyframe');
+            }
+            cluster = { time, blocks: [] };
+            this.clusters.push(cluster);
+        }
+
+        // Track number 1, timestamp relative to the cluster, flags
+        const header = new DataView(new ArrayBuffer(4));
+        header.setUint8(0, 0x81);
+        header.setInt16(1, time - cluster.time);
+        header.setUint8(3, keyframe ? 0x80 : 0);
+        cluster.blocks.push(element(SIMPLE_BLOCK, [new Uint8Array(header.buffer), data]));
+
+        const duration = chunk.duration ? chunk.duration / 1000 : 1000 / this.fps;
+        this.end = Math.max(this.end, time + duration);
+    }
+
+    /**
+     * Finish the file
+     * @returns {Blob} - The WebM video
+     */
+    finish() {
+        const info = element(INFO, [
+            uint(TIMECODE_SCALE, 1000000), // Timestamps in ms
+            string(MUXING_APP, 'MicahOates.com'),
+            string(WRITING_APP, 'MicahOates.com'),
+            float(DURATION, this.end)
+        ]);
+
+        const tracks = element(TRACKS, element(TRACK_ENTRY, [
+            uint(TRACK_NUMBER, 1),
+            uint(TRACK_UID, 1),
+            uint(TRACK_TYPE, 1), // Video
+            string(CODEC_ID, this.codecId),
+            uint(DEFAULT_DURATION, Math.round(1e9 / this.fps)),
+            element(VIDEO, [uint(PIXEL_WIDTH, this.width), uint(PIXEL_HEIGHT, this.height)])
+        ]));
+
+        // Positions are from the start of the segment's data; the seek head's size does not
+        // depend on them because they are written at a fixed width
+        const seekHeadSize = byteLength(seekHead(0, 0, 0));
+        const infoPosition = seekHeadSize;
+        const tracksPosition = infoPosition + byteLength(info);
+        let position = tracksPosition + byteLength(tracks);
+
+        const cuePoints = [];
+        const clusters = this.clusters.map(cluster => {
+            const parts = element(CLUSTER, [uint(TIMECODE, cluster.time), ...cluster.blocks]);
+            cuePoints.push(element(CUE_POINT, [
+                uint(CUE_TIME, cluster.time),
+                element(CUE_TRACK_POSITIONS, [uint(CUE_TRACK, 1), uint(CUE_CLUSTER_POSITION, position)])
+            ]));
+            position += byteLength(parts);
+            return parts;
+        });
+        const cues = element(CUES, cuePoints);
+
+        const segment = element(SEGMENT, [
+            seekHead(infoPosition, tracksPosition, position),
+            info,
+            tracks,
+            ...clusters,
+            cues
+        ]);
+
+        const header = element(EBML, [
+            uint(EBML_VERSION, 1),
+            uint(EBML_READ_VERSION, 1),
+            uint(EBML_MAX_ID_LENGTH, 4),
+            uint(EBML_MAX_SIZE_LENGTH, 8),
+            string(DOC_TYPE, 'webm'),
+            uint(DOC_TYPE_VERSION, 2),
+            uint(DOC_TYPE_READ_VERSION, 2)
+        ]);
+
+        return new Blob([...flatten(header), ...flatten(segment)], { type: 'video/webm' });
+    }
+}
+
+/**
+ * The seek head, pointing at Info, Tracks and Cues
+ * @param {number} info - Position of Info
+ * @param {number} tracks - Position of Tracks
+ * @param {number} cues - Position of Cues
+ * @returns {Array} - Element
+ */
+function seekHead(info, tracks, cues) {
+    const seek = (id, position) => element(SEEK, [
+        element(SEEK_ID, idBytes(id)),
+        element(SEEK_POSITION, uintBytes(position, 8))
+    ]);
+    return element(SEEK_HEAD, [seek(INFO, info), seek(TRACKS, tracks), seek(CUES, cues)]);
+}
+
+/**
+ * An element: its ID, its size and its content
+ * Elements are kept as nested arrays of byte arrays until the file is assembled, so frame
+ * data is never copied.
+ * @param {number} id - Element ID
+ * @param {Uint8Array|Array} content - Bytes, an element, or a list of them
+ * @returns {Array} - Element
+ */
+function element(id, content) {
+    const children = Array.isArray(content) ? content : [content];
+    return [idBytes(id), sizeBytes(byteLength(children)), children];
+}
+
+/**
+ * An unsigned integer element
+ * @param {number} id - Element ID
+ * @param {number} value - Value
+ * @returns {Array} - Element
+ */
+function uint(id, value) {
+    return element(id, uintBytes(value));
+}
+
+/**
+ * A 64-bit float element
+ * @param {number} id - Element ID
+ * @param {number} value - Value
+ * @returns {Array} - Element
+ */
+function float(id, value) {
+    const view = new DataView(new ArrayBuffer(8));
+    view.setFloat64(0, value);
+    return element(id, new Uint8Array(view.buffer));
+}
+
+/**
+ * A string element
+ * @param {number} id - Element ID
+ * @param {string} value - Value
+ * @returns {Array} - Element
+ */
+function string(id, value) {
+    return element(id, new TextEncoder().encode(value));
+}
+
+/**
+ * An element ID as bytes; IDs carry their own length marker
+ * @param {number} id - Element ID
+ * @returns {Uint8Array} - 1 to 4 bytes
+ */
+function idBytes(id) {
+    const length = id > 0xFFFFFF ? 4 : id > 0xFFFF ? 3 : id > 0xFF ? 2 : 1;
+    return uintBytes(id, length);
+}
+
+/**
+ * A size as a variable-length integer, in as few bytes as it fits
+ * @param {number} size - Size in bytes
+ * @returns {Uint8Array} - 1 to 8 bytes
+ */
+function sizeBytes(size) {
+    let length = 1;
+    // All ones is reserved for "unknown size"
+    while (size >= Math.pow(2, 7 * length) - 1) length++;
+
+    const bytes = uintBytes(size, length);
+    bytes[0] |= 0x80 >> (length - 1);
+    return bytes;
+}
+
+/**
+ * An unsigned integer, big-endian
+ * @param {number} value - Value, up to 2^53
+ * @param {number} length - Bytes to use; the fewest that fit if not given
+ * @returns {Uint8Array} - Bytes
+ */
+function uintBytes(value, length) {
+    if (!length) {
+        length = 1;
+        while (value >= Math.pow(2, 8 * length)) length++;
+    }
+
+    const bytes = new Uint8Array(length);
+    for (let i = length - 1; i >= 0; i--) {
+        bytes[i] = value % 256;
+        value = Math.floor(value / 256);
+    }
+    return bytes;
+}
+
+/**
+ * Total size of nested byte arrays
+ * @param {Array|Uint8Array} parts - Bytes or a list of them
+ * @returns {number} - Bytes
+ */
+function byteLength(parts) {
+    if (!Array.isArray(parts)) return parts.byteLength;
+    return parts.reduce((total, part) => total + byteLength(part), 0);
+}
+
+/**
+ * Nested byte arrays in order, for a Blob
+ * @param {Array|Uint8Array} parts - Bytes or a list of them
+ * @returns {Array<Uint8Array>} - Flat list
+ */
+function flatten(parts) {
+    return Array.isArray(parts) ? parts.flatMap(flatten) : [parts];
+}
@@ -0,0 +1,155 @@
+/**
+ * Zip archives
+ * Writes stored (uncompressed) ZIP files, which is all image sequences need: PNGs do not get
+ * any smaller, and without compression the archive is just the files with headers between them,
+ * so it is assembled as a Blob without copying them. No ZIP64, so archives stay under 4 GB and
+ * 65535 files.
+ */
+
+const MAX_SIZE = 0xFFFFFFFF;
+const MAX_ENTRIES = 0xFFFF;
+
+// General purpose flag: file names are UTF-8
+const UTF8_FLAG = 0x0800;
+
+const CRC_TABLE = createCRCTable();
+
+export class ZipWriter {
+    constructor() {
+        this.parts = []; // Local headers and file data, in order
+        this.entries = []; // Central directory records
+        this.offset = 0;
+    }
+
+    /**
+     * Add a file
+     * @param {string} name - Path in the archive, e.g. "frames/0001.png"
+     * @param {Blob} blob - Contents
+     * @param {Date} date - Modification time
+     * @returns {Promise} - Resolves once the file has been checksummed and added
+     */
+    add(name, blob, date = new Date()) {
+        return blob.arrayBuffer().then(buffer => {
+            const nameBytes = new TextEncoder().encode(name);
+            const size = buffer.byteLength;
+
+            if (this.entries.length >= MAX_ENTRIES) {
+                throw new Error(`A zip archive holds at most ${MAX_ENTRIES} files`);
+            }
+            if (this.offset + 30 + nameBytes.length + size > MAX_SIZE) {
+                throw new Error('Zip archives over 4 GB are not supported');
+            }
+
+            const entry = {
+                nameBytes,
+                size,
+                crc: crc32(new Uint8Array(buffer)),
+                time: dosTime(date),
+                date: dosDate(date),
+                offset: this.offset
+            };
+
+            const header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, 0x04034B50, true); // Local file header signature
+            header.setUint16(4, 20, true); // Version needed to extract (2.0)
+            header.setUint16(6, UTF8_FLAG, true);
+            header.setUint16(8, 0, true); // Stored
+            header.setUint16(10, entry.time, true);
+            header.setUint16(12, entry.date, true);
+            header.setUint32(14, entry.crc, true);
+            header.setUint32(18, size, true); // Compressed size
+            header.setUint32(22, size, true); // Uncompressed size
+            header.setUint16(26, nameBytes.length, true);
+            header.setUint16(28, 0, true); // Extra field length
+
+            this.parts.push(header, nameBytes, blob);
+            this.entries.push(entry);
+            this.offset += 30 + nameBytes.length + size;
+        });
+    }
+
+    /**
+     * Finish the archive
+     * @returns {Blob} - The ZIP file
+     */
+    finish() {
+        const directory = [];
+        let directorySize = 0;
+
+        this.entries.forEach(entry => {
+            const record = new DataView(new ArrayBuffer(46));
+            record.setUint32(0, 0x02014B50, true); // Central directory signature
+            record.setUint16(4, 20, true); // Version made by
+            record.setUint16(6, 20, true); // Version needed to extract
+            record.setUint16(8, UTF8_FLAG, true);
+            record.setUint16(10, 0, true); // Stored
+            record.setUint16(12, entry.time, true);
+            record.setUint16(14, entry.date, true);
+            record.setUint32(16, entry.crc, true);
+            record.setUint32(20, entry.size, true);
+            record.setUint32(24, entry.size, true);
+            record.setUint16(28, entry.nameBytes.length, true);
+            // Extra field, comment, disk number and attributes stay 0
+            record.setUint32(42, entry.offset, true);
+
+            directory.push(record, entry.nameBytes);
+            directorySize += 46 + entry.nameBytes.length;
+        });
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true); // End of central directory signature
+        end.setUint16(8, this.entries.length, true); // Entries on this disk
+        end.setUint16(10, this.entries.length, true); // Entries in total
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, this.offset, true);
+
+        return new Blob([...this.parts, ...directory, end], { type: 'application/zip' });
+    }
+}
+
+/**
+ * CRC-32 of some bytes, as ZIP and PNG use it
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} - Checksum
+ */
+export function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Lookup table for the CRC-32 polynomial
+ * @returns {Uint32Array} - 256 entries
+ */
+function createCRCTable() {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+}
+
+/**
+ * Time of day in MS-DOS format
+ * @param {Date} date - Date
+ * @returns {number} - Hours, minutes and seconds / 2 packed in 16 bits
+ */
+function dosTime(date) {
+    return (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+}
+
+/**
+ * Date in MS-DOS format
+ * @param {Date} date - Date
+ * @returns {number} - Years since 1980, month and day packed in 16 bits
+ */
+function dosDate(date) {
+    return (Math.max(0, date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+}
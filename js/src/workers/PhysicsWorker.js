@@ -1,20 +1,45 @@
 /**
  * Web Worker for physics calculations
  * Offloads heavy calculations from the main thread for better performance
+ * Runs as a module worker so it shares the geodesic integrator with the main-thread fallback
  */
 
-// Constants
-const G = 6.67430e-11; // Gravitational constant
-const c = 299792458; // Speed of light (m/s)
+import { horizonRadius, iscoRadius } from '../physics/KerrGeodesics.js';
+import { createBody, evolveBodies } from '../physics/CompactBodies.js';
+import { advanceParticles } from '../physics/ParticleDynamics.js';
+import { buildDeflectionTable, traceDeflection } from '../physics/NullGeodesics.js';
+import { FragmentState, createFragment } from '../physics/TidalDisruption.js';
+import { DEFAULT_INTERACTIONS, applyParticleInteractions } from '../physics/ParticleInteractions.js';
+import { SOLAR_MASS, gravitationalRadius } from '../physics/Units.js';
+import {
+    PARTICLE_PROTOCOL_VERSION,
+    PARTICLE_LAYOUT,
+    ParticleState,
+    bufferCapacity,
+    createParticleBuffer,
+    supportsSharedBuffers
+} from '../physics/ParticleBuffer.js';
+
+// Shared buffers in the pool at most; when the main thread holds them all, updates are
+// transferred in a new buffer instead
+const MAX_SHARED_BUFFERS = 4;
 
 // State for simulation
 let simulationState = {
     blackHoleData: {
         position: [0, 0, 0],
-        mass: 1e30,
+        mass: SOLAR_MASS,
+        spin: 0,
         schwarzschildRadius: 0
     },
-    particleData: [],
+    bodies: [],
+    particles: new ParticleState(),
+    fragments: new FragmentState(),
+    interactions: DEFAULT_INTERACTIONS,
+    maxParticles: Infinity,
+    useSharedBuffers: false,
+    sharedBuffers: [], // { buffer, sequence }: sequence of the update it carries, null once released
+    sequence: 0,
     lastUpdateTime: 0,
     dt: 1/60
 };
@@ -25,28 +50,36 @@ let simulationState = {
  */
 function initSimulation(params) {
     // Set up simulation parameters
-    simulationState.blackHoleData = params.blackHoleData || simulationState.blackHoleData;
+    simulationState.blackHoleData = {
+        ...simulationState.blackHoleData,
+        ...params.blackHoleData
+    };
     simulationState.blackHoleData.schwarzschildRadius = calculateSchwarzschildRadius(simulationState.blackHoleData.mass);
+    setBodies(params.bodies);
     simulationState.lastUpdateTime = performance.now();
     simulationState.dt = params.dt || 1/60;
+    simulationState.interactions = params.interactions || DEFAULT_INTERACTIONS;
+    simulationState.maxParticles = params.maxParticles || Infinity;
+    simulationState.useSharedBuffers = Boolean(params.useSharedBuffers) && supportsSharedBuffers();
+    simulationState.sharedBuffers = [];
     
     // If particles are provided, set them up
+    simulationState.particles.clear();
+    simulationState.fragments.clear();
     if (params.particleData) {
-        simulationState.particleData = params.particleData.map(p => ({
-            position: [...p.position],
-            velocity: [...p.velocity],
-            mass: p.mass || 1,
-            charge: p.charge || 0,
-            id: p.id
-        }));
+        simulationState.particles.add(params.particleData);
     }
     
-    // Send initialization confirmation
+    // Send initialization confirmation along with the buffer layout used by every update
     self.postMessage({
         type: 'init_complete',
         data: {
-            particleCount: simulationState.particleData.length,
-            schwarzschildRadius: simulationState.blackHoleData.schwarzschildRadius
+            version: PARTICLE_PROTOCOL_VERSION,
+            layout: PARTICLE_LAYOUT,
+            sharedBuffers: simulationState.useSharedBuffers,
+            particleCount: simulationState.particles.count,
+            schwarzschildRadius: simulationState.blackHoleData.schwarzschildRadius,
+            ...calculateCharacteristicRadii(simulationState.blackHoleData)
         }
     });
 }
@@ -57,146 +90,171 @@ function initSimulation(params) {
  * @returns {number} - Schwarzschild radius in meters
  */
 function calculateSchwarzschildRadius(mass) {
-    return (2 * G * mass) / (c * c);
+    return 2 * gravitationalRadius(mass);
+}
+
+/**
+ * Calculate the horizon and ISCO radii for a spinning black hole
+ * @param {Object} blackHole - Black hole data
+ * @returns {Object} - Radii in meters
+ */
+function calculateCharacteristicRadii(blackHole) {
+    const lengthUnit = gravitationalRadius(blackHole.mass);
+
+    return {
+        horizonRadius: horizonRadius(blackHole.spin) * lengthUnit,
+        iscoRadius: iscoRadius(blackHole.spin) * lengthUnit
+    };
+}
+
+/**
+ * Replace the compact bodies in the simulation
+ * Without an explicit list the simulation has a single body described by blackHoleData.
+ * @param {Array} bodies - Compact bodies, or null for a single black hole
+ */
+function setBodies(bodies) {
+    if (Array.isArray(bodies) && bodies.length > 0) {
+        simulationState.bodies = bodies.map(createBody);
+    } else {
+        const { position, mass, spin } = simulationState.blackHoleData;
+        simulationState.bodies = [createBody({ id: 1, position, mass, spin })];
+    }
 }
 
 /**
  * Update the physics simulation
- * @param {Object} params - Update parameters
+ * @param {Object} params - Update parameters (dt of 0 applies parameters without stepping)
  */
 function updateSimulation(params) {
     // Update time step
     const now = performance.now();
-    const dt = params.dt || simulationState.dt;
+    const dt = params.dt !== undefined ? params.dt : simulationState.dt;
+    
+    // Particle interactions and the particle ceiling follow the main thread's settings
+    if (params.interactions) simulationState.interactions = params.interactions;
+    if (params.maxParticles) simulationState.maxParticles = params.maxParticles;
     
-    // Update black hole if needed
-    if (params.blackHoleData) {
+    // Update black hole(s) if needed
+    if (params.bodies) {
+        setBodies(params.bodies);
+    } else if (params.blackHoleData) {
         simulationState.blackHoleData = {
             ...simulationState.blackHoleData,
             ...params.blackHoleData
         };
+        simulationState.blackHoleData.schwarzschildRadius = calculateSchwarzschildRadius(simulationState.blackHoleData.mass);
+        setBodies(null);
     }
     
-    // Update particles
-    const updatedParticles = simulationState.particleData.map(particle => {
-        // Calculate gravitational forces
-        const updatedParticle = calculateGravitationalEffects(particle, simulationState.blackHoleData, dt);
-        
-        // Apply relativistic effects if close to black hole
-        if (params.includeRelativity) {
-            applyRelativisticEffects(updatedParticle, simulationState.blackHoleData);
-        }
-        
-        return updatedParticle;
-    });
+    // Move the black holes (inspiral, mergers, ringdown)
+    const { bodies, mergers } = evolveBodies(simulationState.bodies, dt);
+    simulationState.bodies = bodies;
     
-    // Remove particles that crossed the event horizon
-    const remainingParticles = updatedParticles.filter(particle => {
-        const dx = particle.position[0] - simulationState.blackHoleData.position[0];
-        const dy = particle.position[1] - simulationState.blackHoleData.position[1];
-        const dz = particle.position[2] - simulationState.blackHoleData.position[2];
-        const distance = Math.sqrt(dx*dx + dy*dy + dz*dz);
-        
-        // Particle survives if outside the Schwarzschild radius
-        return distance > simulationState.blackHoleData.schwarzschildRadius;
-    });
+    // Integrate particle orbits and drop particles that crossed a horizon
+    const particles = simulationState.particles;
+    const includeRelativity = params.includeRelativity !== false;
+    const { capturedIds } = advanceParticles(particles, bodies, dt, includeRelativity);
+    
+    // Move intact fragments; those inside a tidal radius shed their debris into the particles
+    const fragments = simulationState.fragments;
+    const tidal = fragments.advance(particles, bodies, dt, includeRelativity);
+    capturedIds.push(...tidal.capturedIds);
+    
+    // Drop the oldest particles over the quality ceiling, then let the rest push and pull on each other
+    particles.limit(simulationState.maxParticles);
+    applyParticleInteractions(particles, bodies, dt, simulationState.interactions);
     
-    // Update simulation state
-    simulationState.particleData = remainingParticles;
     simulationState.lastUpdateTime = now;
     
-    // Return updated data
-    self.postMessage({
+    // Pack particle records into the outgoing buffer, followed by the debris of intact fragments
+    const count = particles.count + fragments.particleCount;
+    const sequence = simulationState.sequence++;
+    const buffer = acquireOutputBuffer(count, sequence);
+    const shared = isSharedBuffer(buffer.buffer);
+    particles.pack(buffer);
+    fragments.pack(buffer, particles.count);
+    
+    const message = {
         type: 'simulation_update',
         data: {
-            particles: remainingParticles,
-            capturedCount: updatedParticles.length - remainingParticles.length,
+            version: PARTICLE_PROTOCOL_VERSION,
+            buffer,
+            count,
+            sequence,
+            shared,
+            capturedCount: capturedIds.length,
+            capturedIds,
+            bodies,
+            mergers,
+            disruptions: tidal.disruptions,
             time: now
         }
-    });
+    };
+    
+    // Shared buffers are visible to the main thread already; otherwise hand the memory over
+    if (shared) {
+        self.postMessage(message);
+    } else {
+        self.postMessage(message, [buffer.buffer]);
+    }
 }
 
 /**
- * Calculate gravitational effects on a particle
- * @param {Object} particle - Particle to update
- * @param {Object} blackHole - Black hole data
- * @param {number} dt - Time step
- * @returns {Object} - Updated particle
+ * Get a buffer to pack the next update into
+ * Shared mode takes a SharedArrayBuffer from a small pool, one the main thread has released
+ * (see releaseOutputBuffer), so nothing it is still reading or uploading gets overwritten.
+ * Transfer mode, or a pool the main thread holds entirely, allocates a fresh buffer since the
+ * previous one now belongs to the main thread.
+ * @param {number} count - Number of live particles
+ * @param {number} sequence - Sequence number of the update it will carry
+ * @returns {Float32Array} - Buffer with room for `count` particle records
  */
-function calculateGravitationalEffects(particle, blackHole, dt) {
-    // Clone particle to avoid mutations
-    const updatedParticle = {
-        ...particle,
-        position: [...particle.position],
-        velocity: [...particle.velocity]
-    };
-    
-    // Calculate distance vector from particle to black hole
-    const dx = blackHole.position[0] - particle.position[0];
-    const dy = blackHole.position[1] - particle.position[1];
-    const dz = blackHole.position[2] - particle.position[2];
-    
-    // Distance squared and magnitude
-    const distSquared = dx*dx + dy*dy + dz*dz;
-    const distance = Math.sqrt(distSquared);
+function acquireOutputBuffer(count, sequence) {
+    const capacity = bufferCapacity(count);
     
-    // Normalize direction vector
-    const dirX = dx / distance;
-    const dirY = dy / distance;
-    const dirZ = dz / distance;
+    if (!simulationState.useSharedBuffers) {
+        return createParticleBuffer(capacity);
+    }
     
-    // Calculate gravitational force (F = G * m1 * m2 / r^2)
-    // For simplicity, we'll calculate acceleration directly (a = F/m = G * m2 / r^2)
-    const forceMagnitude = G * blackHole.mass / distSquared;
+    const pool = simulationState.sharedBuffers;
+    let entry = pool.find(candidate => candidate.sequence === null);
     
-    // Calculate acceleration components
-    const accX = forceMagnitude * dirX;
-    const accY = forceMagnitude * dirY;
-    const accZ = forceMagnitude * dirZ;
+    if (!entry && pool.length < MAX_SHARED_BUFFERS) {
+        entry = { buffer: null, sequence: null };
+        pool.push(entry);
+    }
     
-    // Update velocity (v = v0 + a*t)
-    updatedParticle.velocity[0] += accX * dt;
-    updatedParticle.velocity[1] += accY * dt;
-    updatedParticle.velocity[2] += accZ * dt;
+    if (!entry) {
+        return createParticleBuffer(capacity);
+    }
     
-    // Update position (p = p0 + v*t)
-    updatedParticle.position[0] += updatedParticle.velocity[0] * dt;
-    updatedParticle.position[1] += updatedParticle.velocity[1] * dt;
-    updatedParticle.position[2] += updatedParticle.velocity[2] * dt;
+    // Grown past this buffer, or a fresh pool entry
+    if (!entry.buffer || entry.buffer.length < capacity * PARTICLE_LAYOUT.stride) {
+        entry.buffer = createParticleBuffer(capacity, true);
+    }
     
-    return updatedParticle;
+    entry.sequence = sequence;
+    return entry.buffer;
 }
 
 /**
- * Apply relativistic effects to particle motion
- * @param {Object} particle - Particle to update
- * @param {Object} blackHole - Black hole data
+ * The main thread is done with the shared buffers of updates up to a sequence number
+ * @param {number} sequence - Last update it has consumed
  */
-function applyRelativisticEffects(particle, blackHole) {
-    // Calculate distance to black hole
-    const dx = blackHole.position[0] - particle.position[0];
-    const dy = blackHole.position[1] - particle.position[1];
-    const dz = blackHole.position[2] - particle.position[2];
-    const distance = Math.sqrt(dx*dx + dy*dy + dz*dz);
-    
-    // Calculate relativistic factor (simplified)
-    // In reality, relativistic effects are much more complex
-    const r = distance;
-    const rs = blackHole.schwarzschildRadius;
-    
-    // Time dilation factor (simplified approximation)
-    // t_observed = t_proper * sqrt(1 - rs/r)
-    if (r > rs) {
-        const timeDilationFactor = Math.sqrt(1 - rs/r);
-        
-        // Apply time dilation to velocity
-        particle.velocity[0] *= timeDilationFactor;
-        particle.velocity[1] *= timeDilationFactor;
-        particle.velocity[2] *= timeDilationFactor;
-        
-        // Store relativistic factor for visualization
-        particle.relativisticFactor = timeDilationFactor;
-    }
+function releaseOutputBuffer(sequence) {
+    simulationState.sharedBuffers.forEach(entry => {
+        if (entry.sequence !== null && entry.sequence <= sequence) {
+            entry.sequence = null;
+        }
+    });
+}
+
+/**
+ * @param {ArrayBuffer|SharedArrayBuffer} buffer - Memory behind a typed array
+ * @returns {boolean} - True if it is shared with the main thread
+ */
+function isSharedBuffer(buffer) {
+    return typeof SharedArrayBuffer !== 'undefined' && buffer instanceof SharedArrayBuffer;
 }
 
 /**
@@ -222,12 +280,27 @@ function calculateGravitationalLensing(rays, blackHole) {
         }
         
         // Calculate impact parameter
-        // This is a simplified model - real lensing is much more complex
         const impactParameter = calculateImpactParameter(ray, blackHole);
         
-        // Calculate deflection angle (simplified)
-        // In reality, this depends on general relativity equations
-        const deflectionAngle = (2 * G * blackHole.mass) / (c * c * impactParameter);
+        // Trace the null geodesic, treating the ray as equatorial: its angular momentum about
+        // the spin axis decides whether it passes with or against the rotation (positive
+        // when it circulates from +x toward +z, the same way as the disk)
+        const lengthUnit = gravitationalRadius(blackHole.mass);
+        const angularMomentum = (ray.origin[0] - blackHole.position[0]) * ray.direction[2] -
+            (ray.origin[2] - blackHole.position[2]) * ray.direction[0];
+        const { captured, deflection } = traceDeflection(
+            Math.sign(angularMomentum || 1) * impactParameter / lengthUnit,
+            blackHole.spin || 0
+        );
+        
+        if (captured) {
+            return {
+                ...ray,
+                intensity: 0 // Absorbed by black hole
+            };
+        }
+        
+        const deflectionAngle = deflection;
         
         // Apply deflection to ray direction
         const updatedRay = applyDeflection(ray, blackHole, deflectionAngle);
@@ -236,6 +309,25 @@ function calculateGravitationalLensing(rays, blackHole) {
     });
 }
 
+/**
+ * Trace the deflection lookup table for the lensing shader and send it to the main thread
+ * @param {Object} params - { mass, spin, samples, maxImpactParameter }
+ */
+function buildLensingTable(params) {
+    const table = buildDeflectionTable(params.spin, {
+        samples: params.samples,
+        maxImpactParameter: params.maxImpactParameter
+    });
+    
+    self.postMessage({
+        type: 'lensing_table',
+        data: {
+            ...table,
+            mass: params.mass
+        }
+    }, [table.data.buffer]);
+}
+
 /**
  * Calculate impact parameter for a light ray
  * @param {Object} ray - Light ray data
@@ -342,33 +434,41 @@ function applyDeflection(ray, blackHole, angle) {
  */
 function addParticles(newParticles) {
     if (Array.isArray(newParticles)) {
-        simulationState.particleData = [
-            ...simulationState.particleData,
-            ...newParticles.map(p => ({
-                position: [...p.position],
-                velocity: [...p.velocity],
-                mass: p.mass || 1,
-                charge: p.charge || 0,
-                id: p.id
-            }))
-        ];
+        simulationState.particles.add(newParticles);
         
         self.postMessage({
             type: 'particles_added',
             data: {
                 count: newParticles.length,
-                totalCount: simulationState.particleData.length
+                totalCount: simulationState.particles.count
             }
         });
     }
 }
 
 /**
- * Clear all particles from the simulation
+ * Add an extended body that is torn apart inside the tidal radius
+ * @param {Object} fragment - Options for createFragment
+ */
+function addFragment(fragment) {
+    simulationState.fragments.add(createFragment(fragment));
+    
+    self.postMessage({
+        type: 'fragment_added',
+        data: {
+            id: fragment.id,
+            particleCount: fragment.particleCount
+        }
+    });
+}
+
+/**
+ * Clear all particles (and fragments) from the simulation
  */
 function clearParticles() {
-    const previousCount = simulationState.particleData.length;
-    simulationState.particleData = [];
+    const previousCount = simulationState.particles.count + simulationState.fragments.particleCount;
+    simulationState.particles.clear();
+    simulationState.fragments.clear();
     
     self.postMessage({
         type: 'particles_cleared',
@@ -393,14 +493,26 @@ self.onmessage = function(e) {
             updateSimulation(data);
             break;
             
+        case 'release_buffer':
+            releaseOutputBuffer(data.sequence);
+            break;
+            
         case 'add_particles':
             addParticles(data.particles);
             break;
             
+        case 'add_fragment':
+            addFragment(data);
+            break;
+            
         case 'clear_particles':
             clearParticles();
             break;
             
+        case 'build_lensing_table':
+            buildLensingTable(data);
+            break;
+            
         case 'calculate_lensing':
             const lensedRays = calculateGravitationalLensing(data.rays, data.blackHole);
             self.postMessage({
@@ -0,0 +1,312 @@
+/**
+ * Web Worker for rendering
+ * Runs the Three.js renderer, SceneManager, effects and 3D UI on an OffscreenCanvas handed over
+ * by RenderWorkerClient. The scene modules are the main-thread ones, unchanged: a small shim
+ * gives them the bits of window, document and the canvas element they touch, and forwarded
+ * input is dispatched as ordinary events on the canvas and on `window`.
+ */
+
+import * as THREE from 'three';
+import { App } from '../App.js';
+import { Random } from '../utils/Random.js';
+import { ContentManifest } from '../content/ContentManifest.js';
+import { ProjectCatalog } from '../content/ProjectCatalog.js';
+
+let app = null;
+
+/**
+ * Give the worker global the window and document members the scene modules use
+ * @param {Object} viewport - { width, height, pixelRatio }
+ */
+function installDOMShim({ width, height, pixelRatio }) {
+    self.window = self;
+    self.innerWidth = width;
+    self.innerHeight = height;
+    self.devicePixelRatio = pixelRatio;
+
+    // UITextureGenerator draws on scratch canvases
+    self.document = {
+        createElement(tagName) {
+            if (tagName !== 'canvas') {
+                throw new Error(`Cannot create <${tagName}> in the render worker`);
+            }
+            return new OffscreenCanvas(1, 1);
+        }
+    };
+
+    if (!self.requestAnimationFrame) {
+        self.requestAnimationFrame = (callback) => setTimeout(() => callback(performance.now()), 1000 / 60);
+    }
+}
+
+/**
+ * Make an OffscreenCanvas look enough like the page canvas for OrbitControls and setSize
+ * It fills the viewport, like the page canvas it stands in for.
+ * @param {OffscreenCanvas} canvas - Transferred canvas
+ */
+function adaptCanvas(canvas) {
+    canvas.style = {};
+    canvas.getRootNode = () => self;
+    canvas.getBoundingClientRect = () => ({
+        x: 0,
+        y: 0,
+        left: 0,
+        top: 0,
+        right: self.innerWidth,
+        bottom: self.innerHeight,
+        width: self.innerWidth,
+        height: self.innerHeight
+    });
+
+    // The page canvas captures the pointer; it keeps sending the drag here
+    canvas.setPointerCapture = () => {};
+    canvas.releasePointerCapture = () => {};
+    canvas.focus = () => {};
+
+    Object.defineProperties(canvas, {
+        clientWidth: { get: () => self.innerWidth },
+        clientHeight: { get: () => self.innerHeight }
+    });
+}
+
+/**
+ * App running in the worker
+ * Reuses the main-thread App for the scene, effects, animation loop and frame-gap checks;
+ * anything that needs the page is sent back to RenderWorkerClient instead.
+ */
+class RenderApp extends App {
+    constructor() {
+        super();
+        this.themeColors = {};
+    }
+
+    /**
+     * Build the scene on the transferred canvas and start the animation loop
+     * @param {Object} data - Init message from RenderWorkerClient
+     */
+    init({ canvas, seed, config, colors, content, projects }) {
+        // Same seed, so every module draws the numbers it would on the main thread
+        this.seed = seed;
+        this.random = new Random(seed);
+        this.config = config;
+        this.themeColors = colors;
+        this.content = content ? new ContentManifest(content) : null;
+        this.projects = projects ? new ProjectCatalog(projects) : null;
+
+        adaptCanvas(canvas);
+        this.canvas = canvas;
+
+        // SceneManager creates the renderer on app.canvas
+        this.initScene();
+
+        try {
+            this.initEffects();
+        } catch (effectError) {
+            console.error('Failed to initialize effects:', effectError);
+            // Continue without effects
+        }
+
+        try {
+            this.initUIManager();
+        } catch (uiError) {
+            console.error('Failed to initialize UI:', uiError);
+            // Continue without UI
+        }
+
+        self.addEventListener('resize', this.handleResize);
+        this.events.on('section:change', (detail) => post('sectionchange', detail));
+
+        this.setupGPUHangDetection();
+        this.isRunning = true;
+        this.animate();
+    }
+
+    /**
+     * Theme colour sent by the main thread
+     * @param {string} colorName - The name of the theme color to retrieve
+     * @return {string} - The color value
+     */
+    getThemeColor(colorName) {
+        return this.themeColors[colorName] || '#ffffff';
+    }
+
+    /**
+     * Show the pointer cursor on the page
+     * @param {string} cursor - CSS cursor
+     */
+    setCursor(cursor) {
+        post('cursor', { cursor });
+    }
+
+    /**
+     * Routes belong to the page; picking a project satellite lands here
+     * @param {Object} route - Route (see Router.navigate)
+     */
+    navigate(route) {
+        post('navigate', { route });
+    }
+
+    /**
+     * Reduce quality here and let the main thread adjust physics to match
+     * @param {boolean} drastic - Whether to make drastic reductions
+     */
+    reduceQualityForPerformance(drastic = false) {
+        super.reduceQualityForPerformance(drastic);
+        post('quality', { devicePerformance: this.config.devicePerformance });
+    }
+
+    /**
+     * Recover from repeated hangs
+     * There is no page here to swap a new canvas into, so past drastic quality cuts the page
+     * shows its fallback instead.
+     */
+    attemptRecovery() {
+        this.reduceQualityForPerformance(true);
+
+        if (this.consecutiveSlowFrames > this.maxConsecutiveSlowFrames * 2) {
+            this.showFallbackContent('Performance issues detected. Please try refreshing the page or using a different device.');
+            this.isRunning = false;
+        }
+    }
+
+    /**
+     * Ask the page to show its fallback content
+     * @param {string} message - Error message to display
+     */
+    showFallbackContent(message) {
+        post('fallback', { message });
+    }
+}
+
+/**
+ * Post a message to the main thread
+ * @param {string} type - Message type
+ * @param {Object} data - Message payload
+ */
+function post(type, data) {
+    self.postMessage({ type, data });
+}
+
+/**
+ * Create the app and start rendering
+ * @param {Object} data - Init message from RenderWorkerClient
+ */
+function initRenderer(data) {
+    try {
+        installDOMShim(data);
+        app = new RenderApp();
+        app.init(data);
+        post('ready', {});
+    } catch (error) {
+        console.error('Render worker failed to initialize:', error);
+        post('init_failed', { message: error.message });
+    }
+}
+
+/**
+ * Dispatch forwarded input where the scene modules listen for it
+ * @param {Object} data - { target: 'canvas' or 'window', event }
+ */
+function dispatchInput({ target, event: { type, ...fields } }) {
+    const event = Object.assign(new Event(type, { cancelable: true }), fields);
+    const element = target === 'canvas' ? app.canvas : self;
+    element.dispatchEvent(event);
+}
+
+/**
+ * Apply a viewport resize from the page
+ * @param {Object} data - { width, height, pixelRatio }
+ */
+function resize({ width, height, pixelRatio }) {
+    self.innerWidth = width;
+    self.innerHeight = height;
+    self.devicePixelRatio = pixelRatio;
+    self.dispatchEvent(new Event('resize'));
+}
+
+/**
+ * Object a facade on the main thread stands in for
+ * @param {string} path - Dotted path from the app, '' for the app itself
+ * @returns {Object|null} - Target object, or null if it does not exist (yet)
+ */
+function resolveTarget(path) {
+    if (!path) return app;
+    return path.split('.').reduce((object, key) => (object ? object[key] : null), app) || null;
+}
+
+/**
+ * Run a method call forwarded from the main thread
+ * @param {Object} data - { target, method, args }
+ */
+function callRemote({ target, method, args }) {
+    const object = resolveTarget(target);
+    if (!object || typeof object[method] !== 'function') {
+        console.warn(`Render worker cannot call ${target || 'app'}.${method}`);
+        return;
+    }
+
+    object[method](...args.map(arg => (arg && arg.vector3 ? new THREE.Vector3().fromArray(arg.vector3) : arg)));
+}
+
+/**
+ * Render a frame and send it to the main thread as an image
+ * @param {Object} data - { id } to answer with, and the step in seconds to advance app time by first (0 for none)
+ */
+function captureFrame({ id, step }) {
+    if (step > 0) {
+        app.advanceFrame(step);
+    }
+
+    // Render right before reading, so the drawing buffer still holds the frame
+    app.render();
+    app.canvas.convertToBlob({ type: 'image/png' })
+        .then(blob => post('capture', { id, blob }))
+        .catch(error => post('capture', { id, message: error.message }));
+}
+
+/**
+ * Handle messages from main thread
+ */
+self.onmessage = function(e) {
+    const { type, data } = e.data;
+
+    if (type !== 'init' && !app) {
+        console.warn(`Render worker not initialized, ignoring ${type}`);
+        return;
+    }
+
+    switch (type) {
+        case 'init':
+            initRenderer(data);
+            break;
+
+        case 'event':
+            dispatchInput(data);
+            break;
+
+        case 'resize':
+            resize(data);
+            break;
+
+        case 'call':
+            callRemote(data);
+            break;
+
+        case 'set': {
+            const object = resolveTarget(data.target);
+            if (object) object[data.property] = data.value;
+            break;
+        }
+
+        case 'physics_update':
+            app.applyPhysicsToScene(data);
+            break;
+
+        case 'capture':
+            captureFrame(data);
+            break;
+
+        default:
+            console.warn(`Unknown message type: ${type}`);
+    }
+};
@@ -0,0 +1,205 @@
+/**
+ * Blog build
+ * Reads the posts in content/blog/*.md and writes everything generated from them:
+ *   content/blog/index.json - Post list the site loads (newest first)
+ *   feed.xml                - RSS 2.0 feed
+ *   atom.xml                - Atom feed
+ *   sitemap.xml             - Post entries, between the generated-section markers
+ *
+ * Runs before `npm run build`, or on its own with `npm run blog` after adding a post.
+ */
+
+import { readdirSync, readFileSync, writeFileSync } from 'fs';
+import { basename, dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { parseFrontMatter } from '../js/src/content/FrontMatter.js';
+import { renderMarkdown, escapeHTML } from '../js/src/content/Markdown.js';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const BLOG_DIR = join(ROOT, 'content', 'blog');
+
+const SITE = {
+    url: 'https://micahoates.com/',
+    title: 'Micah Oates | Blog',
+    description: 'Writing on graphics, creative coding and the web.',
+    author: 'Micah Oates'
+};
+
+const SITEMAP_START = '<!-- Blog posts: generated by scripts/build-blog.js -->';
+const SITEMAP_END = '<!-- End of blog posts -->';
+
+/**
+ * Read and validate every post
+ * @returns {Array} - Posts, newest first
+ */
+function readPosts() {
+    const files = readdirSync(BLOG_DIR).filter(file => file.endsWith('.md')).sort();
+
+    const posts = files.map(file => {
+        const slug = basename(file, '.md');
+        const { data, body } = parseFrontMatter(readFileSync(join(BLOG_DIR, file), 'utf8'));
+
+        if (!/^[a-z0-9-]+$/.test(slug)) {
+            throw new Error(`${file}: file names become URLs and may only use a-z, 0-9 and -`);
+        }
+        if (!data.title) {
+            throw new Error(`${file}: missing title`);
+        }
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(data.date || '') || isNaN(Date.parse(data.date))) {
+            throw new Error(`${file}: date must be YYYY-MM-DD`);
+        }
+
+        return {
+            slug,
+            title: data.title,
+            date: data.date,
+            tags: Array.isArray(data.tags) ? data.tags : (data.tags ? [data.tags] : []),
+            summary: data.summary || '',
+            body: file,
+            html: renderMarkdown(body)
+        };
+    });
+
+    return posts.sort((a, b) => b.date.localeCompare(a.date) || a.slug.localeCompare(b.slug));
+}
+
+/**
+ * Public URL of a page, for the feeds and the sitemap
+ * Crawlers and many feed readers drop the fragment, so these use the query form, which the
+ * router accepts and rewrites to #/<section>/<item>; the hash form is for links inside the app.
+ * @param {string} section - Section id, e.g. 'blog'
+ * @param {string} item - Item in it, e.g. a post's slug
+ * @returns {string} - Absolute URL, escaped for XML
+ */
+function pageURL(section, item = null) {
+    const url = new URL(SITE.url);
+    url.searchParams.set('section', section);
+    if (item) url.searchParams.set('item', item);
+    return escapeHTML(url.toString());
+}
+
+/**
+ * Public URL of a post
+ * @param {Object} post - Post
+ * @returns {string} - Absolute URL, escaped for XML
+ */
+function postURL(post) {
+    return pageURL('blog', post.slug);
+}
+
+/**
+ * Post list for the site; rendered HTML stays out, the reader fetches the Markdown
+ * @param {Array} posts - Posts
+ * @returns {string} - JSON
+ */
+function buildIndex(posts) {
+    const entries = posts.map(({ html, ...entry }) => entry);
+    return JSON.stringify({ posts: entries }, null, 4) + '\n';
+}
+
+/**
+ * RSS 2.0 feed
+ * @param {Array} posts - Posts
+ * @returns {string} - XML
+ */
+function buildRSS(posts) {
+    const items = posts.map(post => `    <item>
+      <title>${escapeHTML(post.title)}</title>
+      <link>${postURL(post)}</link>
+      <guid isPermaLink="true">${postURL(post)}</guid>
+      <pubDate>${new Date(`${post.date}T00:00:00Z`).toUTCString()}</pubDate>
+${post.tags.map(tag => `      <category>${escapeHTML(tag)}</category>\n`).join('')}      <description>${escapeHTML(post.summary)}</description>
+      <content:encoded>${escapeHTML(post.html)}</content:encoded>
+    </item>`);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <title>${escapeHTML(SITE.title)}</title>
+    <link>${pageURL('blog')}</link>
+    <description>${escapeHTML(SITE.description)}</description>
+    <language>en</language>
+    <atom:link href="${SITE.url}feed.xml" rel="self" type="application/rss+xml"/>
+${posts.length > 0 ? `    <lastBuildDate>${new Date(`${posts[0].date}T00:00:00Z`).toUTCString()}</lastBuildDate>\n` : ''}${items.join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+/**
+ * Atom feed
+ * @param {Array} posts - Posts
+ * @returns {string} - XML
+ */
+function buildAtom(posts) {
+    // Dates come from front-matter, so the feed only changes when a post does
+    const updated = posts.length > 0 ? `${posts[0].date}T00:00:00Z` : '1970-01-01T00:00:00Z';
+
+    const entries = posts.map(post => `  <entry>
+    <title>${escapeHTML(post.title)}</title>
+    <link href="${postURL(post)}"/>
+    <id>${postURL(post)}</id>
+    <published>${post.date}T00:00:00Z</published>
+    <updated>${post.date}T00:00:00Z</updated>
+${post.tags.map(tag => `    <category term="${escapeHTML(tag)}"/>\n`).join('')}    <summary>${escapeHTML(post.summary)}</summary>
+    <content type="html">${escapeHTML(post.html)}</content>
+  </entry>`);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeHTML(SITE.title)}</title>
+  <subtitle>${escapeHTML(SITE.description)}</subtitle>
+  <link href="${SITE.url}atom.xml" rel="self"/>
+  <link href="${pageURL('blog')}"/>
+  <id>${pageURL('blog')}</id>
+  <updated>${updated}</updated>
+  <author><name>${escapeHTML(SITE.author)}</name></author>
+${entries.join('\n')}
+</feed>
+`;
+}
+
+/**
+ * Replace the post entries in sitemap.xml, adding the markers the first time
+ * @param {string} sitemap - Current sitemap
+ * @param {Array} posts - Posts
+ * @returns {string} - Updated sitemap
+ */
+function updateSitemap(sitemap, posts) {
+    const urls = posts.map(post => `  <url>
+    <loc>${postURL(post)}</loc>
+    <lastmod>${post.date}</lastmod>
+    <changefreq>yearly</changefreq>
+    <priority>0.6</priority>
+  </url>`);
+    const block = [`  ${SITEMAP_START}`, ...urls, `  ${SITEMAP_END}`].join('\n');
+
+    const start = sitemap.indexOf(SITEMAP_START);
+    const end = sitemap.indexOf(SITEMAP_END);
+    if (start !== -1 && end !== -1) {
+        const lineStart = sitemap.lastIndexOf('\n', start) + 1;
+        return sitemap.slice(0, lineStart) + block + sitemap.slice(end + SITEMAP_END.length);
+    }
+
+    return sitemap.replace('</urlset>', `${block}\n</urlset>`);
+}
+
+function main() {
+    const posts = readPosts();
+
+    writeFileSync(join(BLOG_DIR, 'index.json'), buildIndex(posts));
+    writeFileSync(join(ROOT, 'feed.xml'), buildRSS(posts));
+    writeFileSync(join(ROOT, 'atom.xml'), buildAtom(posts));
+
+    const sitemapPath = join(ROOT, 'sitemap.xml');
+    writeFileSync(sitemapPath, updateSitemap(readFileSync(sitemapPath, 'utf8'), posts));
+
+    console.log(`Blog: ${posts.length} posts, wrote content/blog/index.json, feed.xml, atom.xml and sitemap.xml`);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error('Blog build failed:', error.message);
+    process.exitCode = 1;
+}
@@ -1,8 +1,26 @@
 // vite.config.js
 import { defineConfig } from 'vite';
 import { resolve } from 'path';
+import { cpSync } from 'fs';
+
+// Sections, posts and projects are fetched from content/ at runtime (see js/src/content),
+// so the folder goes into the build as it is
+function copyContent() {
+  let outDir;
+  return {
+    name: 'copy-content',
+    apply: 'build',
+    configResolved(config) {
+      outDir = resolve(config.root, config.build.outDir);
+    },
+    closeBundle() {
+      cpSync(resolve(__dirname, 'content'), resolve(outDir, 'content'), { recursive: true });
+    }
+  };
+}
 
 export default defineConfig({
+  plugins: [copyContent()],
   server: {
     port: 8080,
     open: true